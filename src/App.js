@@ -25,6 +25,7 @@ const CRMDashboard = lazy(() => import('./components/CRM/CRMDashboard'));
 const CustomerDetailCRM = lazy(() => import('./components/CRM/CustomerDetailCRM'));
 const SalesPipeline = lazy(() => import('./components/CRM/SalesPipeline'));
 const DealManager = lazy(() => import('./components/CRM/DealManager'));
+const VerifyInvoice = lazy(() => import('./components/VerifyInvoice'));
 
 // Loading fallback component
 const LoadingFallback = ({ darkMode }) => (
@@ -203,6 +204,12 @@ function App() {
               } 
             />
 
+            {/* Public invoice verification (opened from the QR code on printed invoices) */}
+            <Route
+              path="/verify/:invoiceNumber"
+              element={<VerifyInvoice darkMode={darkMode} />}
+            />
+
             {/* Protected Routes - App Selector (Home) */}
             <Route
               path="/"
@@ -0,0 +1,327 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Download, FileText, RefreshCw, X } from 'lucide-react';
+import {
+  AGING_BUCKETS,
+  AGING_GROUPS,
+  getOpenReceivables,
+  buildAgingReport,
+  agingReportToCSV
+} from '../lib/receivables';
+import { generateAgingReportPDFClient } from '../lib/clientPDF';
+import { paymentStatusClasses } from '../lib/payments';
+
+/**
+ * AR AGING REPORT
+ * Unpaid Credit invoices bucketed by age and grouped by customer,
+ * region or salesperson. Click any amount to see the invoices behind it.
+ */
+
+const bucketTextClasses = {
+  current: 'text-green-600',
+  days_1_30: 'text-yellow-600',
+  days_31_60: 'text-orange-600',
+  days_61_90: 'text-red-500',
+  days_90_plus: 'text-red-700 font-bold'
+};
+
+const AgingReport = ({ darkMode, onViewInvoice }) => {
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [groupBy, setGroupBy] = useState('customer');
+  const [asOfDate, setAsOfDate] = useState(new Date().toISOString().split('T')[0]);
+  const [drillDown, setDrillDown] = useState(null); // { rowKey, bucketKey }
+
+  useEffect(() => {
+    loadReceivables();
+  }, []);
+
+  const loadReceivables = async () => {
+    setLoading(true);
+    try {
+      setInvoices(await getOpenReceivables());
+    } catch (error) {
+      console.error('Error loading receivables:', error);
+      alert('Failed to load receivables: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const report = useMemo(
+    () => buildAgingReport(invoices, groupBy, asOfDate),
+    [invoices, groupBy, asOfDate]
+  );
+
+  // Invoices behind the selected cell (rowKey null = totals row, bucketKey null = whole row)
+  const drillInvoices = useMemo(() => {
+    if (!drillDown) return [];
+    const source = drillDown.rowKey === null
+      ? report.totals
+      : report.rows.find(row => row.key === drillDown.rowKey)?.buckets;
+    if (!source) return [];
+    const keys = drillDown.bucketKey ? [drillDown.bucketKey] : AGING_BUCKETS.map(b => b.key);
+    return keys
+      .flatMap(key => source[key].invoices)
+      .sort((a, b) => b.daysOverdue - a.daysOverdue);
+  }, [drillDown, report]);
+
+  const drillTitle = useMemo(() => {
+    if (!drillDown) return '';
+    const rowLabel = drillDown.rowKey === null ? 'All' : drillDown.rowKey;
+    const bucketLabel = drillDown.bucketKey
+      ? AGING_BUCKETS.find(b => b.key === drillDown.bucketKey).label
+      : 'All ages';
+    return `${rowLabel} · ${bucketLabel}`;
+  }, [drillDown]);
+
+  const handleGroupByChange = (value) => {
+    setGroupBy(value);
+    setDrillDown(null);
+  };
+
+  const exportToCSV = () => {
+    const blob = new Blob([agingReportToCSV(report, groupBy)], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ar-aging-${groupBy}-${asOfDate}.csv`;
+    a.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const exportToPDF = () => {
+    generateAgingReportPDFClient(report, {
+      groupByLabel: AGING_GROUPS[groupBy].label,
+      asOfDate,
+      buckets: AGING_BUCKETS
+    });
+  };
+
+  const isSelected = (rowKey, bucketKey) =>
+    drillDown && drillDown.rowKey === rowKey && drillDown.bucketKey === bucketKey;
+
+  const renderCell = (rowKey, bucketKey, amount, extraClasses = '') => (
+    <td className="px-4 py-3 text-sm text-right">
+      {amount > 0 ? (
+        <button
+          onClick={() => setDrillDown({ rowKey, bucketKey })}
+          className={`px-2 py-1 rounded hover:underline ${extraClasses} ${
+            isSelected(rowKey, bucketKey) ? (darkMode ? 'bg-blue-900' : 'bg-blue-100') : ''
+          }`}
+        >
+          ₵{amount.toFixed(2)}
+        </button>
+      ) : (
+        <span className={darkMode ? 'text-gray-600' : 'text-gray-300'}>—</span>
+      )}
+    </td>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`max-w-7xl mx-auto p-4 md:p-6 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl md:text-3xl font-bold mb-2">Receivables Aging</h2>
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            ₵{report.grandTotal.toFixed(2)} outstanding across {report.rows.length} {AGING_GROUPS[groupBy].label.toLowerCase()}
+            {report.rows.length !== 1 ? 's' : ''}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={loadReceivables}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+              darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+            }`}
+          >
+            <RefreshCw size={16} />
+            Refresh
+          </button>
+          <button
+            onClick={exportToCSV}
+            disabled={report.rows.length === 0}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white disabled:bg-gray-500"
+          >
+            <Download size={16} />
+            CSV
+          </button>
+          <button
+            onClick={exportToPDF}
+            disabled={report.rows.length === 0}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:bg-gray-500"
+          >
+            <FileText size={16} />
+            PDF
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className={`p-6 rounded-xl mb-6 ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-2">Group By</label>
+            <div className="flex gap-2">
+              {Object.entries(AGING_GROUPS).map(([key, group]) => (
+                <button
+                  key={key}
+                  onClick={() => handleGroupByChange(key)}
+                  className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors ${
+                    groupBy === key
+                      ? 'bg-blue-600 text-white'
+                      : darkMode
+                      ? 'bg-gray-700 hover:bg-gray-600'
+                      : 'bg-gray-200 hover:bg-gray-300'
+                  }`}
+                >
+                  {group.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">As Of</label>
+            <input
+              type="date"
+              value={asOfDate}
+              onChange={(e) => e.target.value && setAsOfDate(e.target.value)}
+              className={`w-full px-4 py-2 rounded-lg border ${
+                darkMode
+                  ? 'bg-gray-700 border-gray-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-900'
+              }`}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Aging Grid */}
+      <div className={`rounded-xl overflow-hidden mb-6 ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium">{AGING_GROUPS[groupBy].label}</th>
+                {AGING_BUCKETS.map(bucket => (
+                  <th key={bucket.key} className="px-4 py-3 text-right text-xs font-medium">{bucket.label}</th>
+                ))}
+                <th className="px-4 py-3 text-right text-xs font-medium">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map(row => (
+                <tr
+                  key={row.key}
+                  className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}
+                >
+                  <td className="px-4 py-3 text-sm font-medium">{row.label}</td>
+                  {AGING_BUCKETS.map(bucket => (
+                    <React.Fragment key={bucket.key}>
+                      {renderCell(row.key, bucket.key, row.buckets[bucket.key].amount, bucketTextClasses[bucket.key])}
+                    </React.Fragment>
+                  ))}
+                  {renderCell(row.key, null, row.total, 'font-semibold')}
+                </tr>
+              ))}
+            </tbody>
+            {report.rows.length > 0 && (
+              <tfoot className={`font-bold ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+                <tr>
+                  <td className="px-4 py-3 text-sm">TOTAL</td>
+                  {AGING_BUCKETS.map(bucket => (
+                    <React.Fragment key={bucket.key}>
+                      {renderCell(null, bucket.key, report.totals[bucket.key].amount)}
+                    </React.Fragment>
+                  ))}
+                  {renderCell(null, null, report.grandTotal)}
+                </tr>
+              </tfoot>
+            )}
+          </table>
+        </div>
+
+        {report.rows.length === 0 && (
+          <div className="text-center py-12">
+            <p className={darkMode ? 'text-gray-400' : 'text-gray-600'}>No unpaid credit invoices</p>
+          </div>
+        )}
+      </div>
+
+      {/* Drill-down */}
+      {drillDown && (
+        <div className={`rounded-xl overflow-hidden ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
+          <div className={`flex justify-between items-center px-4 py-3 border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            <h3 className="font-semibold">
+              {drillTitle} — {drillInvoices.length} invoice{drillInvoices.length !== 1 ? 's' : ''}
+            </h3>
+            <button
+              onClick={() => setDrillDown(null)}
+              className={`p-2 rounded-lg transition-colors ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+            >
+              <X size={18} />
+            </button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Invoice #</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Date</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Due</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Customer</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Salesperson</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium">Days Overdue</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium">Total</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium">Balance</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {drillInvoices.map(invoice => (
+                  <tr
+                    key={invoice.id}
+                    className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}
+                  >
+                    <td className="px-4 py-3 text-sm font-medium">
+                      {onViewInvoice ? (
+                        <button
+                          onClick={() => onViewInvoice(invoice)}
+                          className="text-blue-600 hover:underline"
+                        >
+                          {invoice.invoice_number}
+                        </button>
+                      ) : invoice.invoice_number}
+                    </td>
+                    <td className="px-4 py-3 text-sm">{new Date(invoice.invoice_date).toLocaleDateString()}</td>
+                    <td className="px-4 py-3 text-sm">{invoice.due_date ? new Date(invoice.due_date).toLocaleDateString() : '—'}</td>
+                    <td className="px-4 py-3 text-sm">{invoice.customer_name}</td>
+                    <td className="px-4 py-3 text-sm">{invoice.salesperson_name}</td>
+                    <td className="px-4 py-3 text-sm text-right">{Math.max(0, invoice.daysOverdue)}</td>
+                    <td className="px-4 py-3 text-sm text-right">₵{Number(invoice.total_amount).toFixed(2)}</td>
+                    <td className="px-4 py-3 text-sm text-right font-semibold">₵{invoice.balance.toFixed(2)}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`px-2 py-1 rounded text-xs font-semibold ${paymentStatusClasses(invoice.payment_status)}`}>
+                        {invoice.payment_status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AgingReport;
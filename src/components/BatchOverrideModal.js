@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { X, Layers } from 'lucide-react';
+import { canOverrideCredit, verifyManager } from '../lib/creditControl';
+import { isBatchExpired, isBatchBlocked, stockUnits, validateAllocation } from '../lib/batches';
+
+/**
+ * BATCH OVERRIDE MODAL
+ * Lets a supervisor choose which batches a line is taken from instead of
+ * first-expiry-first-out. Expired and recalled batches are shown but
+ * cannot be picked.
+ */
+
+const BatchOverrideModal = ({ darkMode, productName, units, batches, allocations, currentUser, onClose, onApproved }) => {
+  const [picked, setPicked] = useState(() =>
+    Object.fromEntries(allocations.map(a => [a.batch_id, a.units]))
+  );
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [approving, setApproving] = useState(false);
+
+  const isSupervisor = canOverrideCredit(currentUser);
+  const pickedTotal = Object.values(picked).reduce((sum, value) => sum + (parseInt(value) || 0), 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const chosen = batches
+      .filter(batch => (parseInt(picked[batch.id]) || 0) > 0)
+      .map(batch => ({
+        batch_id: batch.id,
+        batch_number: batch.batch_number,
+        expiry_date: batch.expiry_date,
+        units: parseInt(picked[batch.id])
+      }));
+
+    const problems = validateAllocation(chosen, batches, units);
+    if (chosen.length === 0) problems.push('Pick at least one batch');
+    if (problems.length > 0) {
+      alert('❌ ' + problems.join('\n'));
+      return;
+    }
+
+    setApproving(true);
+    try {
+      const approver = isSupervisor ? currentUser : await verifyManager(email, password);
+      onApproved({
+        allocations: chosen,
+        approvedBy: approver.id,
+        approvedByName: approver.full_name
+      });
+    } catch (error) {
+      console.error('Batch override failed:', error);
+      alert('❌ Batch choice not approved: ' + error.message);
+    } finally {
+      setApproving(false);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`max-w-lg w-full max-h-[90vh] overflow-y-auto rounded-xl shadow-2xl ${
+        darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+      }`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${
+          darkMode ? 'border-gray-700' : 'border-gray-200'
+        }`}>
+          <div>
+            <h2 className="text-xl font-bold flex items-center gap-2">
+              <Layers size={22} />
+              Choose Batches
+            </h2>
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              {productName} · {units} units
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg transition-colors ${
+              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+            }`}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className="space-y-2">
+            {batches.length === 0 && (
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                This product has no batches in stock.
+              </p>
+            )}
+            {batches.map(batch => {
+              const expired = isBatchExpired(batch);
+              const recalled = isBatchBlocked(batch);
+              return (
+                <div key={batch.id} className="grid grid-cols-12 gap-2 items-center text-sm">
+                  <div className="col-span-8">
+                    <div className="font-medium">
+                      {batch.batch_number}
+                      {expired && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200">
+                          Expired
+                        </span>
+                      )}
+                      {recalled && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200">
+                          Recalled
+                        </span>
+                      )}
+                    </div>
+                    <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      exp {new Date(batch.expiry_date).toLocaleDateString()} · {stockUnits(batch)} units in stock
+                    </div>
+                  </div>
+                  <input
+                    type="number"
+                    min="0"
+                    max={stockUnits(batch)}
+                    value={picked[batch.id] ?? ''}
+                    onChange={(e) => setPicked({ ...picked, [batch.id]: e.target.value })}
+                    disabled={expired || recalled}
+                    placeholder="0"
+                    className={`${inputClass} col-span-4 disabled:opacity-40`}
+                  />
+                </div>
+              );
+            })}
+          </div>
+
+          <div className={`flex justify-between text-sm p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+            <span>Picked: {pickedTotal} of {units} units</span>
+            {pickedTotal < units && <span className="text-orange-600">{units - pickedTotal} from unbatched stock</span>}
+            {pickedTotal > units && <span className="text-red-600">Too many units</span>}
+          </div>
+
+          {!isSupervisor && (
+            <>
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                A manager or admin must enter their login to change the batches.
+              </p>
+              <div>
+                <label className="block text-sm font-medium mb-1">Manager email *</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  autoComplete="off"
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Manager password *</label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  autoComplete="new-password"
+                  className={inputClass}
+                />
+              </div>
+            </>
+          )}
+
+          <div className="flex gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+              }`}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={approving}
+              className={`flex-1 px-4 py-2 rounded-lg font-medium text-white transition-colors ${
+                approving ? 'bg-gray-500 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              {approving ? 'Approving...' : 'Use These Batches'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default BatchOverrideModal;
@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import { X, AlertTriangle } from 'lucide-react';
+import { PAYMENT_METHODS } from '../lib/payments';
+import {
+  BULK_ACTIONS,
+  exportInvoicesZip,
+  exportInvoicesMergedPDF,
+  exportInvoicesCSV,
+  markInvoicesPaid,
+  voidInvoices
+} from '../lib/bulkInvoices';
+
+/**
+ * BULK INVOICE MODAL
+ * Runs one bulk action over the invoices selected in the list, showing
+ * progress invoice by invoice and a summary of anything that failed.
+ */
+
+const ACTION_DETAILS = {
+  [BULK_ACTIONS.ZIP]: { title: 'Download PDFs (ZIP)', button: 'Download ZIP', verb: 'Exported' },
+  [BULK_ACTIONS.MERGED_PDF]: { title: 'Download Merged PDF', button: 'Download PDF', verb: 'Exported' },
+  [BULK_ACTIONS.CSV]: { title: 'Export CSV with Line Items', button: 'Download CSV', verb: 'Exported' },
+  [BULK_ACTIONS.MARK_PAID]: { title: 'Mark as Paid', button: 'Mark Paid', verb: 'Marked paid' },
+  [BULK_ACTIONS.VOID]: { title: 'Void Invoices', button: 'Void Invoices', verb: 'Voided' }
+};
+
+const BulkInvoiceModal = ({ darkMode, action, invoices, currentUser, onClose, onComplete }) => {
+  const [reason, setReason] = useState('');
+  const [payment, setPayment] = useState({
+    method: 'Bank Transfer',
+    payment_date: new Date().toISOString().split('T')[0],
+    reference: ''
+  });
+  const [progress, setProgress] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const details = ACTION_DETAILS[action];
+  const needsReference = payment.method === 'Cheque' || payment.method === 'Bank Transfer';
+  const canStart = !running && !result && (
+    action === BULK_ACTIONS.VOID ? reason.trim().length >= 5
+      : action === BULK_ACTIONS.MARK_PAID ? !needsReference || payment.reference.trim()
+      : true
+  );
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setRunning(true);
+    try {
+      const outcome = action === BULK_ACTIONS.ZIP ? await exportInvoicesZip(invoices, setProgress)
+        : action === BULK_ACTIONS.MERGED_PDF ? await exportInvoicesMergedPDF(invoices, setProgress)
+        : action === BULK_ACTIONS.CSV ? await exportInvoicesCSV(invoices, setProgress)
+        : action === BULK_ACTIONS.MARK_PAID ? await markInvoicesPaid(invoices, payment, currentUser, setProgress)
+        : await voidInvoices(invoices, reason, currentUser, setProgress);
+      setResult(outcome);
+      if (onComplete) onComplete(action, outcome);
+    } catch (error) {
+      console.error('Bulk action failed:', error);
+      alert('❌ ' + error.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const inputClass = `w-full px-4 py-2 rounded-lg border ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`max-w-lg w-full rounded-xl shadow-2xl ${
+        darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+      }`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${
+          darkMode ? 'border-gray-700' : 'border-gray-200'
+        }`}>
+          <div>
+            <h2 className="text-2xl font-bold">{details.title}</h2>
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              {invoices.length} invoice{invoices.length !== 1 ? 's' : ''} selected
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={running}
+            className={`p-2 rounded-lg transition-colors ${
+              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+            }`}
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        <form onSubmit={handleStart} className="p-6 space-y-4">
+          {action === BULK_ACTIONS.VOID && !result && (
+            <>
+              <div className={`flex gap-3 p-4 rounded-lg ${
+                darkMode ? 'bg-red-900/30 text-red-200' : 'bg-red-50 text-red-800'
+              }`}>
+                <AlertTriangle size={20} className="flex-shrink-0 mt-0.5" />
+                <p className="text-sm">
+                  Every selected invoice is marked Voided and its stock returned to inventory.
+                  Invoices with credit notes cannot be voided and will be skipped. This cannot be undone.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">Reason *</label>
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  rows={3}
+                  required
+                  minLength={5}
+                  disabled={running}
+                  placeholder="e.g. Duplicate month-end batch..."
+                  className={inputClass}
+                />
+              </div>
+            </>
+          )}
+
+          {action === BULK_ACTIONS.MARK_PAID && !result && (
+            <>
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                A payment for the full balance due is recorded on each invoice.
+                Invoices that are already paid or voided are skipped.
+              </p>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-2">Method *</label>
+                  <select
+                    value={payment.method}
+                    onChange={(e) => setPayment({ ...payment, method: e.target.value })}
+                    disabled={running}
+                    className={inputClass}
+                  >
+                    {PAYMENT_METHODS.map(method => (
+                      <option key={method} value={method}>{method}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Payment Date *</label>
+                  <input
+                    type="date"
+                    value={payment.payment_date}
+                    onChange={(e) => setPayment({ ...payment, payment_date: e.target.value })}
+                    required
+                    disabled={running}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">
+                  Reference {needsReference && '*'}
+                </label>
+                <input
+                  type="text"
+                  value={payment.reference}
+                  onChange={(e) => setPayment({ ...payment, reference: e.target.value })}
+                  required={needsReference}
+                  disabled={running}
+                  placeholder="Cheque or transfer reference"
+                  className={inputClass}
+                />
+              </div>
+            </>
+          )}
+
+          {progress && (
+            <div>
+              <div className="flex justify-between text-sm mb-1">
+                <span>{progress.current ? `Processing ${progress.current}...` : running ? 'Finishing...' : 'Done'}</span>
+                <span>{progress.done} / {progress.total}</span>
+              </div>
+              <div className={`h-2 rounded-full ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                <div
+                  className="h-2 rounded-full bg-blue-600 transition-all"
+                  style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          {result && (
+            <div className={`p-4 rounded-lg text-sm space-y-2 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+              <div className="font-semibold text-green-600">
+                ✅ {details.verb}: {result.succeeded.length}
+              </div>
+              {result.failed.length > 0 && (
+                <>
+                  <div className="font-semibold text-red-600">❌ Skipped: {result.failed.length}</div>
+                  <ul className="max-h-40 overflow-y-auto space-y-1">
+                    {result.failed.map(({ invoice, error }) => (
+                      <li key={invoice.id}>
+                        <span className="font-medium">{invoice.invoice_number}</span> — {error}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={running}
+              className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+              }`}
+            >
+              {result ? 'Close' : 'Cancel'}
+            </button>
+            {!result && (
+              <button
+                type="submit"
+                disabled={!canStart}
+                className={`flex-1 px-4 py-2 rounded-lg font-medium text-white transition-colors ${
+                  !canStart
+                    ? 'bg-gray-500 cursor-not-allowed'
+                    : action === BULK_ACTIONS.VOID ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+                }`}
+              >
+                {running ? 'Working...' : details.button}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default BulkInvoiceModal;
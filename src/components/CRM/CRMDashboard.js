@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Search, Filter, Download, Plus, Users, TrendingUp, DollarSign, Activity } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
+import { DRAFT_STATUS, isInvoiceVoided } from '../../lib/invoices';
 
 /**
  * PHARMA-C CRM DASHBOARD - CUSTOMER LIST VIEW
@@ -40,7 +41,7 @@ const CRMDashboard = ({ darkMode }) => {
         .from('customers')
         .select(`
           *,
-          invoices(total_amount, invoice_date)
+          invoices(total_amount, invoice_date, status)
         `)
         .order('name');
 
@@ -48,15 +49,17 @@ const CRMDashboard = ({ darkMode }) => {
 
       // Calculate revenue for each customer
       const customersWithRevenue = (data || []).map(customer => {
-        const revenue = customer.invoices?.reduce((sum, inv) => sum + (inv.total_amount || 0), 0) || 0;
-        const lastOrderDate = customer.invoices?.length > 0
-          ? new Date(Math.max(...customer.invoices.map(inv => new Date(inv.invoice_date))))
+        // Drafts and voided invoices are not sales
+        const invoices = (customer.invoices || []).filter(inv => inv.status !== DRAFT_STATUS && !isInvoiceVoided(inv));
+        const revenue = invoices.reduce((sum, inv) => sum + (inv.total_amount || 0), 0);
+        const lastOrderDate = invoices.length > 0
+          ? new Date(Math.max(...invoices.map(inv => new Date(inv.invoice_date))))
           : null;
         
         return {
           ...customer,
           total_revenue: revenue,
-          total_orders: customer.invoices?.length || 0,
+          total_orders: invoices.length,
           last_order_date: lastOrderDate
         };
       });
@@ -1,7 +1,11 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Phone, Mail, MapPin, Building, Calendar, DollarSign, FileText, TrendingUp, Edit } from 'lucide-react';
+import { ArrowLeft, Phone, Mail, MapPin, Building, Calendar, DollarSign, FileText, TrendingUp, Edit, CreditCard, Bell } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
+import { paymentStatusClasses } from '../../lib/payments';
+import StatementModal from '../StatementModal';
+import RecurringSchedules from '../RecurringSchedules';
+import { getCustomerReminders, REMINDER_STATUSES } from '../../lib/dunning';
 
 const CustomerDetailCRM = ({ darkMode }) => {
   const { id } = useParams();
@@ -19,6 +23,7 @@ const CustomerDetailCRM = ({ darkMode }) => {
   });
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('timeline');
+  const [showStatement, setShowStatement] = useState(false);
 
   const loadCustomerData = useCallback(async () => {
     setLoading(true);
@@ -43,6 +48,7 @@ const CustomerDetailCRM = ({ darkMode }) => {
         .from('invoices')
         .select('*')
         .eq('customer_id', id)
+        .neq('status', 'Draft')
         .order('invoice_date', { ascending: false })
         .limit(10);
 
@@ -73,7 +79,41 @@ const CustomerDetailCRM = ({ darkMode }) => {
         invoiceNumber: inv.invoice_number
       }));
 
-      setActivities(invoiceActivities);
+      // Payments received
+      const { data: paymentsData, error: paymentsError } = await supabase
+        .from('invoice_payments')
+        .select('*, invoices(invoice_number)')
+        .eq('customer_id', id)
+        .order('payment_date', { ascending: false })
+        .limit(20);
+
+      if (paymentsError) throw paymentsError;
+
+      const paymentActivities = (paymentsData || []).map(payment => ({
+        type: 'payment',
+        title: 'Payment Received',
+        description: `₵${Number(payment.amount).toLocaleString()} via ${payment.method}${payment.reference ? ` (${payment.reference})` : ''}`,
+        date: payment.payment_date,
+        invoiceNumber: payment.invoices?.invoice_number
+      }));
+
+      // Overdue reminders sent
+      const remindersData = await getCustomerReminders(id);
+
+      const reminderActivities = remindersData.map(reminder => ({
+        type: 'reminder',
+        title: `${reminder.level_label} (${reminder.channel === 'sms' ? 'SMS' : 'Email'})`,
+        description: reminder.status === REMINDER_STATUSES.SENT
+          ? `Sent to ${reminder.recipient}${reminder.sent_by_name ? ` by ${reminder.sent_by_name}` : ''}`
+          : `Failed to ${reminder.recipient}: ${reminder.error}`,
+        date: reminder.sent_at,
+        invoiceNumber: reminder.invoice_number
+      }));
+
+      setActivities(
+        [...invoiceActivities, ...paymentActivities, ...reminderActivities]
+          .sort((a, b) => new Date(b.date) - new Date(a.date))
+      );
 
     } catch (error) {
       console.error('Error loading customer:', error);
@@ -104,6 +144,10 @@ const CustomerDetailCRM = ({ darkMode }) => {
     switch (type) {
       case 'invoice':
         return <FileText size={20} className="text-green-600" />;
+      case 'payment':
+        return <CreditCard size={20} className="text-green-600" />;
+      case 'reminder':
+        return <Bell size={20} className="text-orange-600" />;
       default:
         return <FileText size={20} className="text-gray-600" />;
     }
@@ -325,6 +369,16 @@ const CustomerDetailCRM = ({ darkMode }) => {
                   >
                     Invoices ({invoices.length})
                   </button>
+                  <button
+                    onClick={() => setActiveTab('recurring')}
+                    className={`py-4 border-b-2 font-medium ${
+                      activeTab === 'recurring'
+                        ? 'border-[#5EEAD4] text-[#3B82F6]'
+                        : 'border-transparent text-gray-600 hover:text-gray-900'
+                    }`}
+                  >
+                    Recurring
+                  </button>
                 </div>
               </div>
               
@@ -361,11 +415,7 @@ const CustomerDetailCRM = ({ darkMode }) => {
                             </div>
                             {activity.status && (
                               <div className="flex items-center gap-2 mt-3">
-                                <span className={`px-2 py-1 rounded text-xs ${
-                                  activity.status === 'Paid'
-                                    ? 'bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-200'
-                                    : 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900 dark:text-yellow-200'
-                                }`}>
+                                <span className={`px-2 py-1 rounded text-xs ${paymentStatusClasses(activity.status)}`}>
                                   {activity.status}
                                 </span>
                                 {activity.invoiceNumber && (
@@ -386,6 +436,13 @@ const CustomerDetailCRM = ({ darkMode }) => {
                 </div>
               )}
 
+              {/* Recurring Tab */}
+              {activeTab === 'recurring' && (
+                <div className="p-6">
+                  <RecurringSchedules darkMode={darkMode} customer={customer} />
+                </div>
+              )}
+
               {/* Invoices Tab */}
               {activeTab === 'invoices' && (
                 <div className="p-6">
@@ -421,11 +478,7 @@ const CustomerDetailCRM = ({ darkMode }) => {
                               <div className={`font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
                                 ₵{invoice.total_amount.toLocaleString()}
                               </div>
-                              <span className={`text-xs px-2 py-1 rounded ${
-                                invoice.payment_status === 'Paid'
-                                  ? 'bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-200'
-                                  : 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900 dark:text-yellow-200'
-                              }`}>
+                              <span className={`text-xs px-2 py-1 rounded ${paymentStatusClasses(invoice.payment_status || 'Pending')}`}>
                                 {invoice.payment_status || 'Pending'}
                               </span>
                             </div>
@@ -503,6 +556,14 @@ const CustomerDetailCRM = ({ darkMode }) => {
                 >
                   Create Invoice
                 </button>
+                <button
+                  onClick={() => setShowStatement(true)}
+                  className={`w-full px-4 py-2 rounded-lg text-sm font-medium border ${
+                    darkMode ? 'border-gray-600 hover:bg-gray-700 text-gray-300' : 'border-gray-300 hover:bg-gray-50 text-gray-900'
+                  }`}
+                >
+                  Statement of Account
+                </button>
                 <button className={`w-full px-4 py-2 rounded-lg text-sm font-medium border ${
                   darkMode ? 'border-gray-600 hover:bg-gray-700 text-gray-300' : 'border-gray-300 hover:bg-gray-50 text-gray-900'
                 }`}>
@@ -521,6 +582,14 @@ const CustomerDetailCRM = ({ darkMode }) => {
         </div>
 
       </div>
+
+      {showStatement && (
+        <StatementModal
+          darkMode={darkMode}
+          customer={customer}
+          onClose={() => setShowStatement(false)}
+        />
+      )}
     </div>
   );
 };
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { X, Plus, Save, Search, Calendar, DollarSign, User, Tag, Briefcase, AlertCircle } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
+import { getActivePriceLists, resolvePrice, priceSourceLabel, isPriceOverridden } from '../../lib/priceLists';
 
 /**
  * PHASE 4: COMPLETE DEAL MANAGEMENT
@@ -10,6 +11,7 @@ import { supabase } from '../../lib/supabase';
  * - Add products to deals
  * - Convert deals to invoices
  * - Full CRUD operations
+ * - Product prices from the customer's price list, overrides flagged
  */
 
 const DealManager = ({ darkMode, currentUser, dealId, onClose, onSave }) => {
@@ -32,6 +34,7 @@ const DealManager = ({ darkMode, currentUser, dealId, onClose, onSave }) => {
 
   const [customers, setCustomers] = useState([]);
   const [products, setProducts] = useState([]);
+  const [priceLists, setPriceLists] = useState([]);
   const [dealProducts, setDealProducts] = useState([]);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
@@ -44,6 +47,7 @@ const DealManager = ({ darkMode, currentUser, dealId, onClose, onSave }) => {
   useEffect(() => {
     loadCustomers();
     loadProducts();
+    getActivePriceLists().then(setPriceLists);
     if (dealId) {
       loadDeal();
     }
@@ -68,7 +72,7 @@ const DealManager = ({ darkMode, currentUser, dealId, onClose, onSave }) => {
     try {
       const { data, error } = await supabase
         .from('products')
-        .select('id, name, selling_price')
+        .select('id, name, selling_price, units_per_box')
         .order('name');
 
       if (error) throw error;
@@ -261,15 +265,37 @@ const DealManager = ({ darkMode, currentUser, dealId, onClose, onSave }) => {
     }
   };
 
+  // Price a line from the customer's price list, keeping a typed-over price
+  const priceDealProduct = (line, customerId = formData.customer_id) => {
+    const product = products.find(p => p.id === line.product_id);
+    if (!product) return line;
+    const customer = customers.find(c => c.id === customerId);
+    const { unitPrice, source } = resolvePrice(product, { customer, units: line.quantity }, priceLists);
+    const price = isPriceOverridden(line.unit_price, line.list_price) ? line.unit_price : unitPrice;
+    return {
+      ...line,
+      unit_price: price,
+      list_price: unitPrice,
+      price_source: priceSourceLabel(source),
+      price_overridden: isPriceOverridden(price, unitPrice)
+    };
+  };
+
+  const handleCustomerChange = (customerId) => {
+    setFormData({ ...formData, customer_id: customerId });
+    setDealProducts(dealProducts.map(line => priceDealProduct(line, customerId)));
+  };
+
   // Add product to deal
   const handleAddProduct = (product) => {
-    const newProduct = {
+    const newProduct = priceDealProduct({
       product_id: product.id,
       product_name: product.name,
       quantity: 1,
-      unit_price: product.selling_price || 0,
+      unit_price: 0,
+      list_price: null,
       discount_percentage: 0
-    };
+    });
 
     setDealProducts([...dealProducts, newProduct]);
     setShowProductSelector(false);
@@ -284,6 +310,12 @@ const DealManager = ({ darkMode, currentUser, dealId, onClose, onSave }) => {
   const handleUpdateProduct = (index, field, value) => {
     const updated = [...dealProducts];
     updated[index] = { ...updated[index], [field]: value };
+    if (field === 'quantity') {
+      // Quantity breaks can move the list price
+      updated[index] = priceDealProduct(updated[index]);
+    } else if (field === 'unit_price') {
+      updated[index].price_overridden = isPriceOverridden(value, updated[index].list_price);
+    }
     setDealProducts(updated);
   };
 
@@ -393,7 +425,7 @@ const DealManager = ({ darkMode, currentUser, dealId, onClose, onSave }) => {
                   <User size={16} className={`absolute left-3 top-1/2 -translate-y-1/2 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`} />
                   <select
                     value={formData.customer_id}
-                    onChange={(e) => setFormData({ ...formData, customer_id: e.target.value })}
+                    onChange={(e) => handleCustomerChange(e.target.value)}
                     className={`w-full pl-10 pr-3 py-2 rounded-lg border ${
                       errors.customer_id ? 'border-red-500' : darkMode ? 'border-gray-600' : 'border-gray-300'
                     } ${darkMode ? 'bg-gray-700 text-white' : 'bg-white text-gray-900'}`}
@@ -569,6 +601,19 @@ const DealManager = ({ darkMode, currentUser, dealId, onClose, onSave }) => {
                           <div className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>
                             {product.product_name}
                           </div>
+                          {isPriceOverridden(product.unit_price, product.list_price) ? (
+                            <button
+                              onClick={() => handleUpdateProduct(index, 'unit_price', product.list_price)}
+                              className="text-xs text-orange-500 hover:underline"
+                              title="Use the list price"
+                            >
+                              Manual override (list ₵{Number(product.list_price).toFixed(2)})
+                            </button>
+                          ) : product.price_source && (
+                            <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                              {product.price_source}
+                            </div>
+                          )}
                         </div>
                         <div>
                           <input
@@ -699,7 +744,11 @@ const DealManager = ({ darkMode, currentUser, dealId, onClose, onSave }) => {
                         </div>
                       </div>
                       <div className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                        ₵{product.selling_price?.toFixed(2) || '0.00'}
+                        ₵{Number(resolvePrice(
+                          product,
+                          { customer: customers.find(c => c.id === formData.customer_id), units: 1 },
+                          priceLists
+                        ).unitPrice).toFixed(2)}
                       </div>
                     </div>
                   </button>
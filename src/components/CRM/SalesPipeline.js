@@ -74,6 +74,7 @@ const SalesPipeline = ({ darkMode, currentUser }) => {
           *,
           customers(name, customer_type, email, phone)
         `)
+        .neq('status', 'Draft')
         .order('invoice_date', { ascending: false });
 
       if (error) throw error;
@@ -6,8 +6,10 @@ import {
 } from 'lucide-react';
 import { supabase } from '../lib/supabase';
 import DuplicateWarning from './DuplicateWarning';
+import StatementModal from './StatementModal';
 import { checkDuplicateCompany, formatDuplicateData } from '../lib/crmHelpers';
 import { queryCache } from '../lib/queryCache';
+import { PAYMENT_TERMS, DEFAULT_PAYMENT_TERMS, termsLabel } from '../lib/paymentTerms';
 import { useNavigate } from 'react-router-dom';
 
 /**
@@ -29,6 +31,7 @@ const CRMModule = ({ darkMode, setDarkMode}) => {
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [showStatementsModal, setShowStatementsModal] = useState(false);
   const [filterRegion, setFilterRegion] = useState('all');
   const [filterType, setFilterType] = useState('all');
   const [showDuplicateWarning, setShowDuplicateWarning] = useState(false);
@@ -53,6 +56,7 @@ const CRMModule = ({ darkMode, setDarkMode}) => {
     email: '',
     address: '',
     credit_limit: 0,
+    payment_terms: DEFAULT_PAYMENT_TERMS,
     outstanding_balance: 0,
     is_active: true
   });
@@ -129,6 +133,7 @@ const CRMModule = ({ darkMode, setDarkMode}) => {
       email: '',
       address: '',
       credit_limit: 0,
+      payment_terms: DEFAULT_PAYMENT_TERMS,
       outstanding_balance: 0,
       is_active: true
     });
@@ -197,6 +202,7 @@ const CRMModule = ({ darkMode, setDarkMode}) => {
         .insert([{
           ...formData,
           credit_limit: parseFloat(formData.credit_limit) || 0,
+          payment_terms: parseInt(formData.payment_terms, 10) || DEFAULT_PAYMENT_TERMS,
           outstanding_balance: parseFloat(formData.outstanding_balance) || 0,
           created_by: user?.user?.id
         }])
@@ -235,6 +241,7 @@ const CRMModule = ({ darkMode, setDarkMode}) => {
         .update({
           ...formData,
           credit_limit: parseFloat(formData.credit_limit) || 0,
+          payment_terms: parseInt(formData.payment_terms, 10) || DEFAULT_PAYMENT_TERMS,
           outstanding_balance: parseFloat(formData.outstanding_balance) || 0,
           updated_at: new Date().toISOString()
         })
@@ -303,6 +310,7 @@ const CRMModule = ({ darkMode, setDarkMode}) => {
       email: customer.email || '',
       address: customer.address || '',
       credit_limit: customer.credit_limit || 0,
+      payment_terms: customer.payment_terms || DEFAULT_PAYMENT_TERMS,
       outstanding_balance: customer.outstanding_balance || 0,
       is_active: customer.is_active
     });
@@ -331,6 +339,7 @@ const CRMModule = ({ darkMode, setDarkMode}) => {
         .from('invoices')
         .select('*')
         .eq('customer_id', customer.id)
+        .neq('status', 'Draft')
         .order('invoice_date', { ascending: false })
         .limit(10);
 
@@ -448,6 +457,16 @@ const CRMModule = ({ darkMode, setDarkMode}) => {
                 <span className="hidden sm:inline">Export</span>
               </button>
               
+              <button
+                onClick={() => setShowStatementsModal(true)}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                  darkMode ? 'bg-gray-800 hover:bg-gray-700 text-white' : 'bg-white hover:bg-gray-100'
+                } border ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}
+              >
+                <FileText size={20} />
+                <span className="hidden sm:inline">Statements</span>
+              </button>
+              
               <button
                 onClick={() => {
                   resetForm();
@@ -627,6 +646,13 @@ const CRMModule = ({ darkMode, setDarkMode}) => {
         />
       )}
 
+      {showStatementsModal && (
+        <StatementModal
+          darkMode={darkMode}
+          onClose={() => setShowStatementsModal(false)}
+        />
+      )}
+
       {showDetailsModal && selectedCustomer && (
         <CustomerDetailsModal
           darkMode={darkMode}
@@ -1013,6 +1039,25 @@ const CustomerFormModal = ({
               />
             </div>
 
+            <div>
+              <label className={`block text-sm font-medium mb-2 ${
+                darkMode ? 'text-gray-300' : 'text-gray-700'
+              }`}>
+                Payment Terms
+              </label>
+              <select
+                value={formData.payment_terms}
+                onChange={(e) => setFormData({ ...formData, payment_terms: e.target.value })}
+                className={`w-full px-4 py-2 rounded-lg border ${
+                  darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                } focus:ring-2 focus:ring-blue-500`}
+              >
+                {PAYMENT_TERMS.map(days => (
+                  <option key={days} value={days}>{termsLabel(days)}</option>
+                ))}
+              </select>
+            </div>
+
             <div>
               <label className={`block text-sm font-medium mb-2 ${
                 darkMode ? 'text-gray-300' : 'text-gray-700'
@@ -1146,6 +1191,12 @@ const CustomerDetailsModal = ({ darkMode, customer, onClose, onEdit }) => {
                   darkMode={darkMode}
                   valueClass={customer.outstanding_balance > customer.credit_limit * 0.8 ? 'text-red-600' : ''}
                 />
+                <InfoRow 
+                  icon={Calendar} 
+                  label="Payment Terms" 
+                  value={termsLabel(customer.payment_terms)} 
+                  darkMode={darkMode} 
+                />
                 <InfoRow 
                   icon={TrendingUp} 
                   label="Available Credit" 
@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, RotateCcw } from 'lucide-react';
+import { getReturnableLines, createCreditNote, RETURN_DISPOSITIONS } from '../lib/creditNotes';
+import { generateCreditNotePDFClient } from '../lib/clientPDF';
+
+/**
+ * CREDIT NOTE MODAL
+ * Pick the invoice lines and quantities coming back, choose whether
+ * each goes back to sellable stock or is written off, and issue a
+ * numbered credit note.
+ */
+
+const CreditNoteModal = ({ darkMode, invoice, currentUser, onClose, onCreated }) => {
+  const [lines, setLines] = useState([]);
+  const [returns, setReturns] = useState({});
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadLines = async () => {
+      try {
+        const data = await getReturnableLines(invoice);
+        setLines(data);
+        setReturns(Object.fromEntries(data.map(line => [
+          line.id,
+          { boxes: 0, units: 0, disposition: RETURN_DISPOSITIONS.RESTOCK }
+        ])));
+      } catch (error) {
+        console.error('Error loading invoice lines:', error);
+        alert('❌ Failed to load invoice lines: ' + error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadLines();
+  }, [invoice]);
+
+  const updateReturn = (line, field, value) => {
+    setReturns(prev => {
+      const updated = { ...prev[line.id], [field]: value };
+
+      // Boxes drive units, same as sales entry
+      if (field === 'boxes') {
+        updated.units = (parseInt(value) || 0) * line.units_per_box;
+      }
+
+      return { ...prev, [line.id]: updated };
+    });
+  };
+
+  const totalCredit = useMemo(() => (
+    lines.reduce((sum, line) => sum + line.unit_credit * (parseInt(returns[line.id]?.units) || 0), 0)
+  ), [lines, returns]);
+
+  const hasErrors = lines.some(line => (parseInt(returns[line.id]?.units) || 0) > line.returnable_units);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const creditNote = await createCreditNote(
+        invoice,
+        lines.map(line => ({ line, ...returns[line.id] })),
+        reason,
+        currentUser
+      );
+      generateCreditNotePDFClient(creditNote);
+      alert(`✅ Credit note ${creditNote.credit_note_number} issued for ₵${Number(creditNote.total_amount).toFixed(2)}`);
+      if (onCreated) onCreated(creditNote);
+    } catch (error) {
+      console.error('Error creating credit note:', error);
+      alert('❌ Failed to create credit note: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded border text-sm ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`max-w-4xl w-full max-h-[90vh] overflow-y-auto rounded-xl shadow-2xl ${
+        darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+      }`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${
+          darkMode ? 'border-gray-700' : 'border-gray-200'
+        }`}>
+          <div>
+            <h2 className="text-2xl font-bold">Credit Note / Return</h2>
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              Against {invoice.invoice_number} • {invoice.customer_name}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg transition-colors ${
+              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+            }`}
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-48">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-6 space-y-6">
+            {/* Returned Lines */}
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium">Product</th>
+                    <th className="px-3 py-2 text-right font-medium">Returnable</th>
+                    <th className="px-3 py-2 text-left font-medium w-24">Boxes</th>
+                    <th className="px-3 py-2 text-left font-medium w-24">Units</th>
+                    <th className="px-3 py-2 text-left font-medium w-36">Goes To</th>
+                    <th className="px-3 py-2 text-right font-medium">Credit</th>
+                  </tr>
+                </thead>
+                <tbody className={darkMode ? 'divide-y divide-gray-700' : 'divide-y divide-gray-200'}>
+                  {lines.map(line => {
+                    const entry = returns[line.id] || {};
+                    const units = parseInt(entry.units) || 0;
+                    const tooMany = units > line.returnable_units;
+
+                    return (
+                      <tr key={line.id}>
+                        <td className="px-3 py-2">
+                          <div className="font-medium">{line.product_name}</div>
+                          <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                            Sold {line.units_sold} @ ₵{line.unit_credit.toFixed(2)}/unit
+                            {line.returned_units > 0 && ` • ${line.returned_units} already returned`}
+                          </div>
+                        </td>
+                        <td className="px-3 py-2 text-right">{line.returnable_units}</td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            value={entry.boxes}
+                            disabled={line.returnable_units === 0}
+                            onChange={(e) => updateReturn(line, 'boxes', e.target.value)}
+                            className={inputClass}
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            max={line.returnable_units}
+                            value={entry.units}
+                            disabled={line.returnable_units === 0}
+                            onChange={(e) => updateReturn(line, 'units', e.target.value)}
+                            className={`${inputClass} ${tooMany ? 'ring-2 ring-red-500' : ''}`}
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <select
+                            value={entry.disposition}
+                            disabled={line.returnable_units === 0}
+                            onChange={(e) => updateReturn(line, 'disposition', e.target.value)}
+                            className={inputClass}
+                          >
+                            <option value={RETURN_DISPOSITIONS.RESTOCK}>Sellable stock</option>
+                            <option value={RETURN_DISPOSITIONS.WRITE_OFF}>Damaged write-off</option>
+                          </select>
+                        </td>
+                        <td className="px-3 py-2 text-right font-medium">
+                          ₵{(line.unit_credit * units).toFixed(2)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Reason */}
+            <div>
+              <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                Reason for Return *
+              </label>
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows={2}
+                required
+                placeholder="e.g. Expired stock, damaged in transit..."
+                className={`w-full px-4 py-3 rounded-lg border ${
+                  darkMode
+                    ? 'bg-gray-700 border-gray-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                }`}
+              />
+            </div>
+
+            {/* Footer */}
+            <div className="flex items-center justify-between">
+              <div>
+                <div className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Total Credit</div>
+                <div className="text-2xl font-bold text-orange-600">₵{totalCredit.toFixed(2)}</div>
+              </div>
+              <div className="flex gap-3">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className={`px-6 py-2 rounded-lg font-medium transition-colors ${
+                    darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+                  }`}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving || hasErrors || totalCredit <= 0}
+                  className={`flex items-center gap-2 px-6 py-2 rounded-lg font-medium text-white transition-colors ${
+                    saving || hasErrors || totalCredit <= 0
+                      ? 'bg-gray-500 cursor-not-allowed'
+                      : 'bg-orange-600 hover:bg-orange-700'
+                  }`}
+                >
+                  <RotateCcw size={18} />
+                  {saving ? 'Issuing...' : 'Issue Credit Note'}
+                </button>
+              </div>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CreditNoteModal;
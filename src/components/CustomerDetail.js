@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { ArrowLeft, MapPin, Phone, Mail, Building, Calendar, DollarSign, FileText, TrendingUp } from 'lucide-react';
 import { supabase } from '../lib/supabase';
+import { paymentStatusClasses } from '../lib/payments';
+import StatementModal from './StatementModal';
 
 /**
  * CUSTOMER DETAIL PAGE
@@ -24,6 +26,7 @@ const CustomerDetail = ({ darkMode }) => {
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [showStatement, setShowStatement] = useState(false);
 
 
   useEffect(() => {
@@ -57,6 +60,7 @@ const CustomerDetail = ({ darkMode }) => {
         .from('invoices')
         .select('*')
         .eq('customer_id', id)
+        .neq('status', 'Draft')
         .order('invoice_date', { ascending: false })
         .limit(10);
 
@@ -143,12 +147,23 @@ const CustomerDetail = ({ darkMode }) => {
             Back to CRM
           </button>
 
-          <button
-            onClick={() => navigate(`/crm/customer/${id}/edit`)}
-            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
-          >
-            Edit Customer
-          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowStatement(true)}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                darkMode ? 'bg-gray-800 hover:bg-gray-700 text-white' : 'bg-white hover:bg-gray-100 text-gray-900'
+              } border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}
+            >
+              <FileText size={18} />
+              Statement
+            </button>
+            <button
+              onClick={() => navigate(`/crm/customer/${id}/edit`)}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+            >
+              Edit Customer
+            </button>
+          </div>
         </div>
 
         {/* Customer Info Card */}
@@ -348,11 +363,7 @@ const CustomerDetail = ({ darkMode }) => {
                         ₵{invoice.total_amount.toLocaleString()}
                       </td>
                       <td className="px-6 py-4">
-                        <span className={`px-2 py-1 rounded-full text-xs ${
-                          invoice.payment_status === 'Paid'
-                            ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
-                            : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200'
-                        }`}>
+                        <span className={`px-2 py-1 rounded-full text-xs ${paymentStatusClasses(invoice.payment_status || 'Pending')}`}>
                           {invoice.payment_status || 'Pending'}
                         </span>
                       </td>
@@ -372,6 +383,14 @@ const CustomerDetail = ({ darkMode }) => {
           )}
         </div>
       </div>
+
+      {showStatement && (
+        <StatementModal
+          darkMode={darkMode}
+          customer={customer}
+          onClose={() => setShowStatement(false)}
+        />
+      )}
     </div>
   );
 };
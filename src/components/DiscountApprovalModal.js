@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { X, ShieldAlert } from 'lucide-react';
+import { approveDiscount } from '../lib/promotions';
+
+/**
+ * DISCOUNT APPROVAL MODAL
+ * Shown when a sale's manual discount is above the rep's limit.
+ * The invoice stays blocked unless a manager approves it here.
+ */
+
+const DiscountApprovalModal = ({ darkMode, customer, discount, limits, currentUser, onClose, onApproved }) => {
+  const [reason, setReason] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [approving, setApproving] = useState(false);
+
+  const allowed = limits[currentUser?.role] ?? 0;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setApproving(true);
+    try {
+      const approval = await approveDiscount({
+        customer,
+        discount,
+        reason,
+        requestedBy: currentUser,
+        managerCredentials: { email, password },
+        limits
+      });
+      onApproved(approval);
+    } catch (error) {
+      console.error('Discount approval failed:', error);
+      alert('❌ Discount not approved: ' + error.message);
+    } finally {
+      setApproving(false);
+    }
+  };
+
+  const inputClass = `w-full px-4 py-2 rounded-lg border ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`max-w-md w-full rounded-xl shadow-2xl ${
+        darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+      }`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${
+          darkMode ? 'border-gray-700' : 'border-gray-200'
+        }`}>
+          <h2 className="text-xl font-bold flex items-center gap-2 text-orange-600">
+            <ShieldAlert size={22} />
+            Discount Above Limit
+          </h2>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg transition-colors ${
+              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+            }`}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className={`p-4 rounded-lg text-sm space-y-1 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+            <div className="font-semibold mb-2">{customer.name}</div>
+            <div className="flex justify-between">
+              <span>Manual discount:</span>
+              <span>₵{discount.amount.toFixed(2)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Your limit:</span>
+              <span>{allowed}%</span>
+            </div>
+            <div className="flex justify-between pt-2 border-t border-gray-400 font-semibold text-orange-600">
+              <span>This sale:</span>
+              <span>{discount.percent.toFixed(1)}%</span>
+            </div>
+          </div>
+
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            A manager or admin whose limit covers this discount must enter their login to approve it,
+            or reduce the discount.
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">Reason for discount *</label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+              required
+              placeholder="e.g. Matching competitor tender price"
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">Manager email *</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              autoComplete="off"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Manager password *</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoComplete="new-password"
+              className={inputClass}
+            />
+          </div>
+
+          <div className="flex gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+              }`}
+            >
+              Go Back
+            </button>
+            <button
+              type="submit"
+              disabled={approving}
+              className={`flex-1 px-4 py-2 rounded-lg font-medium text-white transition-colors ${
+                approving ? 'bg-gray-500 cursor-not-allowed' : 'bg-orange-600 hover:bg-orange-700'
+              }`}
+            >
+              {approving ? 'Approving...' : 'Approve Discount'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DiscountApprovalModal;
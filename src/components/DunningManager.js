@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Send, Eye, Mail, MessageSquare, RefreshCw, X, AlertTriangle } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { getDunningQueue, buildReminder, sendReminder, DUNNING_LEVELS } from '../lib/dunning';
+import { getMessageTransport } from '../lib/messaging';
+
+/**
+ * DUNNING MANAGER
+ * Overdue Credit invoices with the reminder each one is due for.
+ * Reminders can be previewed and sent one at a time or all at once.
+ */
+
+const levelClasses = (level) => {
+  if (level >= 3) return 'bg-red-100 text-red-800';
+  if (level === 2) return 'bg-orange-100 text-orange-800';
+  if (level === 1) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-gray-100 text-gray-800';
+};
+
+const levelLabel = (level) =>
+  DUNNING_LEVELS.find(entry => entry.level === level)?.label || 'None';
+
+const DunningManager = ({ darkMode, onViewInvoice }) => {
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [sendingId, setSendingId] = useState(null);
+  const [bulkProgress, setBulkProgress] = useState(null);
+
+  const today = new Date().toISOString().split('T')[0];
+  const transport = getMessageTransport();
+
+  useEffect(() => {
+    loadQueue();
+    getCurrentUser();
+  }, []);
+
+  const getCurrentUser = async () => {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (user) {
+      const { data: profile } = await supabase
+        .from('user_profiles')
+        .select('*')
+        .eq('id', user.id)
+        .single();
+      setCurrentUser(profile);
+    }
+  };
+
+  const loadQueue = async () => {
+    setLoading(true);
+    try {
+      setQueue(await getDunningQueue(new Date().toISOString().split('T')[0]));
+    } catch (error) {
+      console.error('Error loading overdue invoices:', error);
+      alert('Failed to load overdue invoices: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const dueNow = useMemo(() => queue.filter(entry => entry.nextLevel), [queue]);
+  const visible = showAll ? queue : dueNow;
+  const overdueTotal = useMemo(
+    () => queue.reduce((sum, entry) => sum + entry.invoice.balance, 0),
+    [queue]
+  );
+
+  const send = async (entry) => sendReminder({
+    invoice: entry.invoice,
+    customer: entry.customer,
+    level: entry.nextLevel,
+    sentBy: currentUser,
+    asOfDate: today
+  });
+
+  const handleSend = async (entry) => {
+    setSendingId(entry.invoice.id);
+    try {
+      const { sent, failed } = await send(entry);
+      if (sent.length > 0) {
+        alert(`✅ ${entry.nextLevel.label} sent to ${entry.invoice.customer_name} by ${sent.join(' and ')}` +
+          (failed.length > 0 ? `\n\n⚠️ ${failed.map(f => `${f.channel}: ${f.error}`).join('\n')}` : ''));
+      } else {
+        alert(`❌ Reminder not delivered:\n${failed.map(f => `${f.channel}: ${f.error}`).join('\n')}`);
+      }
+      setPreview(null);
+      await loadQueue();
+    } catch (error) {
+      console.error('Error sending reminder:', error);
+      alert('❌ Failed to send reminder: ' + error.message);
+    } finally {
+      setSendingId(null);
+    }
+  };
+
+  const handleSendAll = async () => {
+    if (!window.confirm(`Send ${dueNow.length} reminder${dueNow.length !== 1 ? 's' : ''} now?`)) {
+      return;
+    }
+
+    let delivered = 0;
+    const problems = [];
+    for (const [index, entry] of dueNow.entries()) {
+      setBulkProgress({ done: index, total: dueNow.length });
+      try {
+        const { sent, failed } = await send(entry);
+        if (sent.length > 0) delivered += 1;
+        failed.forEach(f => problems.push(`${entry.invoice.invoice_number} (${f.channel}): ${f.error}`));
+      } catch (error) {
+        problems.push(`${entry.invoice.invoice_number}: ${error.message}`);
+      }
+    }
+    setBulkProgress(null);
+
+    alert(`✅ ${delivered} of ${dueNow.length} reminders sent` +
+      (problems.length > 0 ? `\n\n⚠️ Problems:\n${problems.join('\n')}` : ''));
+    await loadQueue();
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const previewMessage = preview && buildReminder(preview.nextLevel, preview.invoice, preview.customer, today);
+
+  return (
+    <div className={`max-w-7xl mx-auto p-4 md:p-6 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl md:text-3xl font-bold mb-2">Overdue Reminders</h2>
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            {queue.length} overdue invoice{queue.length !== 1 ? 's' : ''} · ₵{overdueTotal.toFixed(2)} outstanding · {dueNow.length} reminder{dueNow.length !== 1 ? 's' : ''} due
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={loadQueue}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+              darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+            }`}
+          >
+            <RefreshCw size={16} />
+            Refresh
+          </button>
+          <button
+            onClick={handleSendAll}
+            disabled={dueNow.length === 0 || bulkProgress !== null}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:bg-gray-500"
+          >
+            <Send size={16} />
+            {bulkProgress
+              ? `Sending ${bulkProgress.done + 1} / ${bulkProgress.total}...`
+              : `Send All Due (${dueNow.length})`}
+          </button>
+        </div>
+      </div>
+
+      {transport.name === 'stub' && (
+        <div className={`flex items-start gap-3 p-4 rounded-lg mb-6 border ${
+          darkMode ? 'bg-yellow-900/30 border-yellow-700 text-yellow-200' : 'bg-yellow-50 border-yellow-300 text-yellow-800'
+        }`}>
+          <AlertTriangle size={20} className="flex-shrink-0 mt-0.5" />
+          <p className="text-sm">
+            Test mode: reminders are logged and written to the browser console but not delivered.
+            Set REACT_APP_MESSAGE_TRANSPORT=edge-function to send real email and SMS.
+          </p>
+        </div>
+      )}
+
+      {/* Filter */}
+      <div className="flex gap-2 mb-4">
+        {[{ key: false, label: `Due Now (${dueNow.length})` }, { key: true, label: `All Overdue (${queue.length})` }].map(option => (
+          <button
+            key={option.label}
+            onClick={() => setShowAll(option.key)}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              showAll === option.key
+                ? 'bg-blue-600 text-white'
+                : darkMode
+                ? 'bg-gray-700 hover:bg-gray-600'
+                : 'bg-gray-200 hover:bg-gray-300'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Overdue Table */}
+      <div className={`rounded-xl overflow-hidden ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium">Invoice #</th>
+                <th className="px-4 py-3 text-left text-xs font-medium">Customer</th>
+                <th className="px-4 py-3 text-left text-xs font-medium">Due Date</th>
+                <th className="px-4 py-3 text-right text-xs font-medium">Days Overdue</th>
+                <th className="px-4 py-3 text-right text-xs font-medium">Balance</th>
+                <th className="px-4 py-3 text-left text-xs font-medium">Last Sent</th>
+                <th className="px-4 py-3 text-left text-xs font-medium">Next</th>
+                <th className="px-4 py-3 text-center text-xs font-medium">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(entry => {
+                const { invoice, customer, nextLevel } = entry;
+                const lastLevel = Number(invoice.dunning_level) || 0;
+                return (
+                  <tr
+                    key={invoice.id}
+                    className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}
+                  >
+                    <td className="px-4 py-3 text-sm font-medium">
+                      {onViewInvoice ? (
+                        <button onClick={() => onViewInvoice(invoice)} className="text-blue-600 hover:underline">
+                          {invoice.invoice_number}
+                        </button>
+                      ) : invoice.invoice_number}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <div>{invoice.customer_name}</div>
+                      <div className={`flex items-center gap-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        {customer?.email && <Mail size={12} />}
+                        {customer?.phone && <MessageSquare size={12} />}
+                        {!customer?.email && !customer?.phone && <span className="text-red-500">No contact details</span>}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-sm">{new Date(invoice.due_date).toLocaleDateString()}</td>
+                    <td className="px-4 py-3 text-sm text-right font-semibold text-red-600">{entry.daysOverdue}</td>
+                    <td className="px-4 py-3 text-sm text-right font-semibold">₵{invoice.balance.toFixed(2)}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`px-2 py-1 rounded text-xs font-semibold ${levelClasses(lastLevel)}`}>
+                        {levelLabel(lastLevel)}
+                      </span>
+                      {invoice.last_reminder_at && (
+                        <div className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          {new Date(invoice.last_reminder_at).toLocaleDateString()}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {nextLevel ? (
+                        <span className={`px-2 py-1 rounded text-xs font-semibold ${levelClasses(nextLevel.level)}`}>
+                          {nextLevel.label}
+                        </span>
+                      ) : (
+                        <span className={darkMode ? 'text-gray-500' : 'text-gray-400'}>—</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {nextLevel && (
+                        <div className="flex items-center justify-center gap-2">
+                          <button
+                            onClick={() => setPreview(entry)}
+                            className="p-2 hover:bg-blue-100 dark:hover:bg-blue-900 rounded"
+                            title="Preview reminder"
+                          >
+                            <Eye size={16} className="text-blue-600" />
+                          </button>
+                          <button
+                            onClick={() => handleSend(entry)}
+                            disabled={sendingId === invoice.id || bulkProgress !== null}
+                            className="flex items-center gap-1 px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white text-xs disabled:bg-gray-500"
+                          >
+                            <Send size={14} />
+                            {sendingId === invoice.id ? 'Sending...' : 'Send'}
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {visible.length === 0 && (
+          <div className="text-center py-12">
+            <p className={darkMode ? 'text-gray-400' : 'text-gray-600'}>
+              {showAll ? 'No overdue invoices' : 'No reminders due today'}
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Preview Modal */}
+      {preview && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className={`max-w-2xl w-full max-h-[90vh] overflow-y-auto rounded-xl shadow-2xl ${
+            darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+          }`}>
+            <div className={`flex justify-between items-center p-6 border-b ${
+              darkMode ? 'border-gray-700' : 'border-gray-200'
+            }`}>
+              <div>
+                <h2 className="text-xl font-bold">{preview.nextLevel.label}</h2>
+                <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  {preview.invoice.invoice_number} · {preview.invoice.customer_name}
+                </p>
+              </div>
+              <button
+                onClick={() => setPreview(null)}
+                className={`p-2 rounded-lg transition-colors ${
+                  darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+                }`}
+              >
+                <X size={20} />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-4">
+              <div>
+                <div className="flex items-center gap-2 text-sm font-medium mb-2">
+                  <Mail size={16} />
+                  Email {preview.customer?.email ? `to ${preview.customer.email}` : '(no email on file)'}
+                </div>
+                <div className={`p-4 rounded-lg text-sm ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                  <div className="font-semibold mb-2">{previewMessage.subject}</div>
+                  <div className="whitespace-pre-line">{previewMessage.email}</div>
+                </div>
+              </div>
+              <div>
+                <div className="flex items-center gap-2 text-sm font-medium mb-2">
+                  <MessageSquare size={16} />
+                  SMS {preview.customer?.phone ? `to ${preview.customer.phone}` : '(no phone on file)'}
+                </div>
+                <div className={`p-4 rounded-lg text-sm ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                  {previewMessage.sms}
+                </div>
+              </div>
+
+              <div className="flex gap-3 pt-2">
+                <button
+                  onClick={() => setPreview(null)}
+                  className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors ${
+                    darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+                  }`}
+                >
+                  Close
+                </button>
+                <button
+                  onClick={() => handleSend(preview)}
+                  disabled={sendingId === preview.invoice.id}
+                  className={`flex-1 px-4 py-2 rounded-lg font-medium text-white transition-colors ${
+                    sendingId === preview.invoice.id ? 'bg-gray-500 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+                  }`}
+                >
+                  {sendingId === preview.invoice.id ? 'Sending...' : 'Send Reminder'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DunningManager;
@@ -4,7 +4,8 @@ import { useNavigate } from 'react-router-dom';
 import { 
   Package, Plus, AlertTriangle, TrendingUp, TrendingDown, Search, 
   Edit2, History, Download, BarChart3, RefreshCw, X, Bell, 
-  Activity, DollarSign, Boxes, CheckCircle, XCircle, Filter
+  Activity, DollarSign, Boxes, CheckCircle, XCircle, Filter, Barcode,
+  CalendarClock, ShieldAlert, Truck, MapPin
 } from 'lucide-react';
 import { supabase } from '../lib/supabase';
 import { 
@@ -15,6 +16,32 @@ import {
   downloadBlob 
 } from '../lib/api';
 import { queryCache } from '../lib/queryCache';
+import { setProductBarcode } from '../lib/products';
+import { splitUnits } from '../lib/inventory';
+import {
+  getInventoryBatches,
+  groupBatchesByProduct,
+  batchesAtLocation,
+  unbatchedUnits,
+  stockUnits,
+  receiveBatch,
+  adjustBatchStock,
+  isBatchBlocked
+} from '../lib/batches';
+import { EXPIRY_WINDOWS, DEFAULT_EXPIRY_WINDOW, getExpiryAlerts } from '../lib/expiry';
+import NearExpiryReport from './NearExpiryReport';
+import {
+  TRANSFER_STATUSES,
+  TRANSFER_MOVEMENT,
+  getLocations,
+  getDefaultLocation,
+  getLocationStockRows,
+  getStockTransfers,
+  buildLocationStock,
+  adjustLocationStock
+} from '../lib/locations';
+import RecallManager from './RecallManager';
+import StockTransfers from './StockTransfers';
 
 /**
  * INVENTORY MANAGEMENT MODULE - ENHANCED
@@ -22,12 +49,18 @@ import { queryCache } from '../lib/queryCache';
  */
 
 
+const emptyAdjustmentBatch = { batchId: '', batchNumber: '', manufactureDate: '', expiryDate: '' };
+
 const InventoryManagement = ({ darkMode}) => {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
   const [inventory, setInventory] = useState([]);
   const [products, setProducts] = useState([]);
   const [movements, setMovements] = useState([]);
+  const [batchesByProduct, setBatchesByProduct] = useState({});
+  const [locations, setLocations] = useState([]);
+  const [locationRows, setLocationRows] = useState([]);
+  const [transfersInTransit, setTransfersInTransit] = useState([]);
   const [currentUser, setCurrentUser] = useState(null);
   
   // View state
@@ -35,11 +68,16 @@ const InventoryManagement = ({ darkMode}) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [filterCategory, setFilterCategory] = useState('All');
   const [showLowStockOnly, setShowLowStockOnly] = useState(false);
+  const [locationFilter, setLocationFilter] = useState('All');
   
   // Modal state
   const [showAdjustmentModal, setShowAdjustmentModal] = useState(false);
   const [showAnalyticsModal, setShowAnalyticsModal] = useState(false);
   const [showAlertsModal, setShowAlertsModal] = useState(false);
+  const [showExpiryReport, setShowExpiryReport] = useState(false);
+  const [showRecalls, setShowRecalls] = useState(false);
+  const [showTransfers, setShowTransfers] = useState(false);
+  const [expiryWindow, setExpiryWindow] = useState(DEFAULT_EXPIRY_WINDOW);
   const [selectedProduct, setSelectedProduct] = useState(null);
   
   // Adjustment form
@@ -47,6 +85,8 @@ const InventoryManagement = ({ darkMode}) => {
   const [adjustmentBoxes, setAdjustmentBoxes] = useState(0);
   const [adjustmentUnits, setAdjustmentUnits] = useState(0);
   const [adjustmentNotes, setAdjustmentNotes] = useState('');
+  const [adjustmentBatch, setAdjustmentBatch] = useState(emptyAdjustmentBatch);
+  const [adjustmentLocationId, setAdjustmentLocationId] = useState('');
   const [saving, setSaving] = useState(false);
 
   // Analytics data
@@ -124,6 +164,20 @@ const loadProducts = async () => {
       if (inventoryError) throw inventoryError;
       setInventory(inventoryData || []);
 
+      // Load stock held per batch
+      const batchesData = await getInventoryBatches();
+      setBatchesByProduct(groupBatchesByProduct(batchesData));
+
+      // Load locations and stock held away from the default location
+      const [locationsData, locationRowsData, transfersData] = await Promise.all([
+        getLocations(),
+        getLocationStockRows(),
+        getStockTransfers({ status: TRANSFER_STATUSES.IN_TRANSIT })
+      ]);
+      setLocations(locationsData);
+      setLocationRows(locationRowsData);
+      setTransfersInTransit(transfersData);
+
       // Load recent movements
       const { data: movementsData, error: movementsError } = await supabase
         .from('inventory_movements')
@@ -235,9 +289,31 @@ const loadProducts = async () => {
     setAdjustmentBoxes(0);
     setAdjustmentUnits(0);
     setAdjustmentNotes('');
+    setAdjustmentBatch(emptyAdjustmentBatch);
+    setAdjustmentLocationId(locationFilter !== 'All' ? locationFilter : getDefaultLocation(locations)?.id || '');
     setShowAdjustmentModal(true);
   };
 
+  const canEditBarcodes = ['admin', 'manager'].includes(currentUser?.profile?.role);
+
+  const handleEditBarcode = async (product) => {
+    if (!product) return;
+    const barcode = window.prompt(
+      `Scan or type the barcode for ${product.name}.\nLeave empty to remove it.`,
+      product.barcode || ''
+    );
+    if (barcode === null) return;
+
+    try {
+      await setProductBarcode(product.id, barcode);
+      alert('✅ Barcode updated');
+      loadData();
+    } catch (error) {
+      console.error('Error updating barcode:', error);
+      alert('❌ ' + error.message);
+    }
+  };
+
   const handleStockAdjustment = async (e) => {
     e.preventDefault();
 
@@ -275,6 +351,46 @@ const loadProducts = async () => {
         return;
       }
 
+      // Removals must come from stock held at the chosen location
+      const location = locations.find(l => l.id === adjustmentLocationId) || null;
+      const unitsAtLocation = locationStock[selectedProduct.product_id]?.byLocation[adjustmentLocationId] || 0;
+      if (location && !isIncrease && totalUnitsAdjustment > unitsAtLocation) {
+        alert(`❌ Only ${unitsAtLocation} units at ${location.name}`);
+        setSaving(false);
+        return;
+      }
+
+      // Purchases go into a batch; other movements come from the chosen batch
+      let batch = null;
+      if (adjustmentType === 'Purchase') {
+        batch = await receiveBatch(
+          selectedProduct.product_id,
+          adjustmentBatch,
+          totalUnitsAdjustment,
+          selectedProduct.units_per_box,
+          location
+        );
+      } else if (adjustmentBatch.batchId) {
+        if (!batchesAtLocation(batchesByProduct[selectedProduct.product_id] || [], location)
+          .some(held => held.id === adjustmentBatch.batchId)) {
+          alert(`❌ That batch is not held at ${location?.name}`);
+          setSaving(false);
+          return;
+        }
+        batch = await adjustBatchStock(
+          adjustmentBatch.batchId,
+          isIncrease ? totalUnitsAdjustment : -totalUnitsAdjustment
+        );
+      } else if (!isIncrease) {
+        const batches = batchesAtLocation(batchesByProduct[selectedProduct.product_id] || [], location);
+        const held = location ? { loose_units_in_stock: unitsAtLocation } : selectedProduct;
+        if (totalUnitsAdjustment > unbatchedUnits(held, batches)) {
+          alert('❌ Not enough unbatched stock. Choose the batch this stock comes from.');
+          setSaving(false);
+          return;
+        }
+      }
+
       // Update inventory
       const { error: updateError } = await supabase
         .from('inventory')
@@ -287,6 +403,12 @@ const loadProducts = async () => {
 
       if (updateError) throw updateError;
 
+      await adjustLocationStock(
+        location,
+        selectedProduct.product_id,
+        isIncrease ? totalUnitsAdjustment : -totalUnitsAdjustment
+      );
+
       // Record movement
       const { error: movementError } = await supabase
         .from('inventory_movements')
@@ -296,6 +418,10 @@ const loadProducts = async () => {
           boxes_moved: Math.abs(adjustmentBoxes),
           units_per_box: selectedProduct.units_per_box,
           loose_units_moved: Math.abs(adjustmentUnits),
+          batch_id: batch?.id || null,
+          batch_number: batch?.batch_number || null,
+          location_id: location?.id || null,
+          location_name: location?.name || null,
           movement_date: new Date().toISOString(),
           notes: adjustmentNotes,
           user_id: currentUser?.id
@@ -319,6 +445,12 @@ const loadProducts = async () => {
   // Get unique categories
   const categories = ['All', ...new Set(products.map(p => p.category).filter(Boolean))];
 
+  // Stock per location; with a location chosen the cards show its stock
+  const locationStock = buildLocationStock(inventory, locations, locationRows, transfersInTransit);
+  const unitsShown = (item) => (locationFilter === 'All'
+    ? (item.boxes_in_stock * item.units_per_box) + item.loose_units_in_stock
+    : locationStock[item.product_id]?.byLocation[locationFilter] || 0);
+
   // Apply filters
   const filteredInventory = inventory.filter(item => {
     const product = item.products;
@@ -329,13 +461,27 @@ const loadProducts = async () => {
     
     const matchesCategory = filterCategory === 'All' || product.category === filterCategory;
     
-    const totalUnits = (item.boxes_in_stock * item.units_per_box) + item.loose_units_in_stock;
+    const totalUnits = unitsShown(item);
     const isLowStock = totalUnits <= (product.reorder_level || 0);
     const matchesLowStock = !showLowStockOnly || isLowStock;
 
-    return matchesSearch && matchesCategory && matchesLowStock;
+    // A location only lists what it holds, unless looking for low stock
+    const matchesLocation = locationFilter === 'All' || showLowStockOnly || totalUnits > 0;
+
+    return matchesSearch && matchesCategory && matchesLowStock && matchesLocation;
   });
 
+  // Expired and soon-to-expire batches, named for display
+  const allBatches = Object.values(batchesByProduct).flat();
+  const productName = (productId) => products.find(p => p.id === productId)?.name || 'Unknown Product';
+  const rawExpiryAlerts = getExpiryAlerts(allBatches, expiryWindow);
+  const expiryAlerts = {
+    expired: rawExpiryAlerts.expired.map(batch => ({ ...batch, productName: productName(batch.product_id) })),
+    expiringSoon: rawExpiryAlerts.expiringSoon.map(batch => ({ ...batch, productName: productName(batch.product_id) }))
+  };
+  const alertCount = stats.lowStockCount + stats.outOfStockCount +
+    expiryAlerts.expired.length + expiryAlerts.expiringSoon.length;
+
   if (loading) {
     return (
       <div className={`min-h-screen flex items-center justify-center ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
@@ -386,13 +532,63 @@ const loadProducts = async () => {
                   <Bell size={20} />
                 )}
                 <span className="hidden sm:inline">Alerts</span>
-                {(stats.lowStockCount + stats.outOfStockCount) > 0 && (
+                {alertCount > 0 && (
                   <span className="absolute -top-2 -right-2 bg-red-600 text-white text-xs rounded-full w-6 h-6 flex items-center justify-center">
-                    {stats.lowStockCount + stats.outOfStockCount}
+                    {alertCount}
                   </span>
                 )}
               </button>
 
+              <select
+                value={expiryWindow}
+                onChange={(e) => setExpiryWindow(parseInt(e.target.value))}
+                title="Warn about batches expiring within"
+                className={`px-3 py-2 rounded-lg border ${
+                  darkMode ? 'bg-gray-800 border-gray-700 text-white' : 'bg-white border-gray-300'
+                }`}
+              >
+                {EXPIRY_WINDOWS.map(days => (
+                  <option key={days} value={days}>{days}-day expiry window</option>
+                ))}
+              </select>
+
+              <button
+                onClick={() => setShowExpiryReport(true)}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                  darkMode ? 'bg-gray-800 hover:bg-gray-700 text-white' : 'bg-white hover:bg-gray-100'
+                } border ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}
+              >
+                <CalendarClock size={20} />
+                <span className="hidden sm:inline">Expiry</span>
+              </button>
+
+              <button
+                onClick={() => setShowRecalls(true)}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                  darkMode ? 'bg-gray-800 hover:bg-gray-700 text-white' : 'bg-white hover:bg-gray-100'
+                } border ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}
+              >
+                <ShieldAlert size={20} />
+                <span className="hidden sm:inline">Recalls</span>
+              </button>
+
+              {locations.length > 0 && (
+                <button
+                  onClick={() => setShowTransfers(true)}
+                  className={`relative flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                    darkMode ? 'bg-gray-800 hover:bg-gray-700 text-white' : 'bg-white hover:bg-gray-100'
+                  } border ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}
+                >
+                  <Truck size={20} />
+                  <span className="hidden sm:inline">Transfers</span>
+                  {transfersInTransit.length > 0 && (
+                    <span className="absolute -top-2 -right-2 bg-yellow-500 text-white text-xs rounded-full w-6 h-6 flex items-center justify-center">
+                      {transfersInTransit.length}
+                    </span>
+                  )}
+                </button>
+              )}
+
               <button
                 onClick={loadAnalytics}
                 disabled={analyticsLoading}
@@ -422,7 +618,7 @@ const loadProducts = async () => {
         </div>
 
         {/* Statistics Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 xl:grid-cols-7 gap-4 mb-6">
           <StatCard
             title="Total Items"
             value={stats.totalItems}
@@ -453,6 +649,22 @@ const loadProducts = async () => {
             darkMode={darkMode}
             alert={stats.outOfStockCount > 0}
           />
+          <StatCard
+            title={`Expiring ≤ ${expiryWindow} Days`}
+            value={expiryAlerts.expiringSoon.length}
+            icon={CalendarClock}
+            color="orange"
+            darkMode={darkMode}
+            alert={expiryAlerts.expiringSoon.length > 0}
+          />
+          <StatCard
+            title="Expired Batches"
+            value={expiryAlerts.expired.length}
+            icon={XCircle}
+            color="red"
+            darkMode={darkMode}
+            alert={expiryAlerts.expired.length > 0}
+          />
           <StatCard
             title="Recent Activity"
             value={`${stats.recentMovements} moves`}
@@ -490,7 +702,7 @@ const loadProducts = async () => {
           <>
             {/* Search and Filters */}
             <div className={`p-4 rounded-lg mb-6 ${darkMode ? 'bg-gray-800' : 'bg-white'} border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
-              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className={`grid grid-cols-1 gap-4 ${locations.length > 0 ? 'md:grid-cols-5' : 'md:grid-cols-4'}`}>
                 {/* Search */}
                 <div className="md:col-span-2">
                   <div className="relative">
@@ -526,6 +738,29 @@ const loadProducts = async () => {
                   </select>
                 </div>
 
+                {/* Location Filter */}
+                {locations.length > 0 && (
+                  <div className="relative">
+                    <MapPin size={18} className={`absolute left-3 top-3 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`} />
+                    <select
+                      value={locationFilter}
+                      onChange={(e) => setLocationFilter(e.target.value)}
+                      className={`w-full pl-9 pr-4 py-2 rounded-lg border ${
+                        darkMode 
+                          ? 'bg-gray-700 border-gray-600 text-white' 
+                          : 'bg-white border-gray-300 text-gray-900'
+                      } focus:ring-2 focus:ring-blue-500`}
+                    >
+                      <option value="All">All locations</option>
+                      {locations.map(location => (
+                        <option key={location.id} value={location.id}>
+                          {location.name}{location.is_active ? '' : ' (inactive)'}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 {/* Low Stock Filter */}
                 <div>
                   <button
@@ -549,7 +784,7 @@ const loadProducts = async () => {
               <div className={`text-center py-12 ${darkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
                 <Package size={48} className={`mx-auto mb-4 ${darkMode ? 'text-gray-600' : 'text-gray-400'}`} />
                 <p className={`text-lg font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                  {searchTerm || filterCategory !== 'All' || showLowStockOnly
+                  {searchTerm || filterCategory !== 'All' || showLowStockOnly || locationFilter !== 'All'
                     ? 'No items match your filters'
                     : 'No inventory items yet'}
                 </p>
@@ -560,8 +795,13 @@ const loadProducts = async () => {
                   <InventoryCard
                     key={item.id}
                     item={item}
+                    batches={batchesByProduct[item.product_id] || []}
+                    locations={locations}
+                    locationStock={locationStock[item.product_id]}
+                    locationId={locationFilter}
                     darkMode={darkMode}
                     onAdjust={() => openAdjustmentModal(item)}
+                    onEditBarcode={canEditBarcodes ? () => handleEditBarcode(item.products) : null}
                   />
                 ))}
               </div>
@@ -592,6 +832,13 @@ const loadProducts = async () => {
           setAdjustmentUnits={setAdjustmentUnits}
           adjustmentNotes={adjustmentNotes}
           setAdjustmentNotes={setAdjustmentNotes}
+          batches={batchesByProduct[selectedProduct.product_id] || []}
+          adjustmentBatch={adjustmentBatch}
+          setAdjustmentBatch={setAdjustmentBatch}
+          locations={locations.filter(location => location.is_active)}
+          locationStock={locationStock[selectedProduct.product_id]}
+          adjustmentLocationId={adjustmentLocationId}
+          setAdjustmentLocationId={setAdjustmentLocationId}
           onSubmit={handleStockAdjustment}
           onClose={() => setShowAdjustmentModal(false)}
           saving={saving}
@@ -607,11 +854,64 @@ const loadProducts = async () => {
         />
       )}
 
+      {/* Near-Expiry Report */}
+      {showExpiryReport && (
+        <NearExpiryReport
+          darkMode={darkMode}
+          batches={allBatches}
+          products={products}
+          windowDays={expiryWindow}
+          onWindowChange={setExpiryWindow}
+          onClose={() => setShowExpiryReport(false)}
+        />
+      )}
+
+      {/* Recalls */}
+      {showRecalls && (
+        <RecallManager
+          darkMode={darkMode}
+          products={products}
+          currentUser={currentUser?.profile}
+          onChanged={() => getInventoryBatches()
+            .then(batchesData => setBatchesByProduct(groupBatchesByProduct(batchesData)))
+            .catch(error => console.error('Error reloading batches:', error))}
+          onClose={() => setShowRecalls(false)}
+        />
+      )}
+
+      {/* Stock Transfers */}
+      {showTransfers && (
+        <StockTransfers
+          darkMode={darkMode}
+          products={products}
+          locations={locations}
+          locationStock={locationStock}
+          currentUser={currentUser?.profile}
+          canCancel={['admin', 'manager'].includes(currentUser?.profile?.role)}
+          onChanged={() => Promise.all([
+            getLocationStockRows(),
+            getStockTransfers({ status: TRANSFER_STATUSES.IN_TRANSIT })
+          ])
+            .then(([rowsData, transfersData]) => {
+              setLocationRows(rowsData);
+              setTransfersInTransit(transfersData);
+            })
+            .catch(error => console.error('Error reloading location stock:', error))}
+          onClose={() => setShowTransfers(false)}
+        />
+      )}
+
       {/* Alerts Modal */}
       {showAlertsModal && alerts && (
         <AlertsModal
           darkMode={darkMode}
           alerts={alerts}
+          expiryAlerts={expiryAlerts}
+          expiryWindow={expiryWindow}
+          onViewExpiryReport={() => {
+            setShowAlertsModal(false);
+            setShowExpiryReport(true);
+          }}
           onClose={() => setShowAlertsModal(false)}
           onReorder={(product) => {
             setShowAlertsModal(false);
@@ -654,9 +954,18 @@ const StatCard = ({ title, value, icon: Icon, color, darkMode, alert = false })
 };
 
 // Inventory Card Component
-const InventoryCard = ({ item, darkMode, onAdjust }) => {
+const InventoryCard = ({ item, batches: allBatches = [], locations = [], locationStock, locationId = 'All', darkMode, onAdjust, onEditBarcode }) => {
   const product = item.products;
-  const totalUnits = (item.boxes_in_stock * item.units_per_box) + item.loose_units_in_stock;
+
+  // With a location chosen, stock figures and batches are for that location only
+  const atLocation = locationId !== 'All'
+    ? splitUnits(locationStock?.byLocation[locationId] || 0, item.units_per_box)
+    : { boxes: item.boxes_in_stock, looseUnits: item.loose_units_in_stock };
+  const totalUnits = (atLocation.boxes * item.units_per_box) + atLocation.looseUnits;
+  const batches = locationId !== 'All'
+    ? batchesAtLocation(allBatches, locations.find(location => location.id === locationId))
+    : allBatches;
+  const unbatched = unbatchedUnits({ loose_units_in_stock: totalUnits }, batches);
   const reorderLevel = product?.reorder_level || 0;
   const unitPrice = product?.unit_price || 0;
   const totalValue = totalUnits * unitPrice;
@@ -679,6 +988,18 @@ const InventoryCard = ({ item, darkMode, onAdjust }) => {
           <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
             SKU: {product?.sku || 'N/A'}
           </p>
+          <p className={`text-sm flex items-center gap-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            <Barcode size={14} />
+            {product?.barcode || 'No barcode'}
+            {onEditBarcode && (
+              <button
+                onClick={onEditBarcode}
+                className="ml-1 text-blue-600 hover:underline text-xs"
+              >
+                {product?.barcode ? 'Change' : 'Set'}
+              </button>
+            )}
+          </p>
           <div className="flex items-center gap-2 mt-2">
             <span className={`px-2 py-0.5 text-xs rounded ${
               product?.category
@@ -704,13 +1025,13 @@ const InventoryCard = ({ item, darkMode, onAdjust }) => {
           <div>
             <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Boxes</p>
             <p className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
-              {item.boxes_in_stock}
+              {atLocation.boxes}
             </p>
           </div>
           <div>
             <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Loose Units</p>
             <p className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
-              {item.loose_units_in_stock}
+              {atLocation.looseUnits}
             </p>
           </div>
         </div>
@@ -738,6 +1059,60 @@ const InventoryCard = ({ item, darkMode, onAdjust }) => {
           </div>
         </div>
 
+        {/* Batches */}
+        {(batches.length > 0 || unbatched > 0) && (
+          <div className={`mt-3 pt-2 border-t text-xs space-y-1 ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            <p className={`font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Batches</p>
+            {batches.map(batch => (
+              <div key={batch.id} className="flex justify-between gap-2">
+                <span className={darkMode ? 'text-gray-400' : 'text-gray-600'}>
+                  {batch.batch_number} · exp {new Date(batch.expiry_date).toLocaleDateString()}
+                  {locationId === 'All' && batch.location_id && ` · ${locations.find(location => location.id === batch.location_id)?.name || ''}`}
+                  {isBatchBlocked(batch) && <span className="ml-1 font-medium text-red-600">Recalled</span>}
+                </span>
+                <span className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                  {batch.boxes_in_stock} boxes{batch.loose_units_in_stock > 0 ? ` + ${batch.loose_units_in_stock} units` : ''}
+                </span>
+              </div>
+            ))}
+            {unbatched > 0 && (
+              <div className="flex justify-between gap-2">
+                <span className={`italic ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Unbatched</span>
+                <span className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                  {unbatched.toLocaleString()} units
+                </span>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Locations */}
+        {locations.length > 0 && locationStock && (
+          <div className={`mt-3 pt-2 border-t text-xs space-y-1 ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            <p className={`font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Locations</p>
+            {locations
+              .filter(location => location.is_active || locationStock.byLocation[location.id] > 0)
+              .map(location => (
+                <div key={location.id} className="flex justify-between gap-2">
+                  <span className={`${location.id === locationId ? 'font-medium' : ''} ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    {location.name}
+                  </span>
+                  <span className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                    {(locationStock.byLocation[location.id] || 0).toLocaleString()} units
+                  </span>
+                </div>
+              ))}
+            {locationStock.inTransit > 0 && (
+              <div className="flex justify-between gap-2">
+                <span className="italic text-yellow-600">In transit</span>
+                <span className="font-medium text-yellow-600">
+                  {locationStock.inTransit.toLocaleString()} units
+                </span>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Stock Level Bar */}
         {reorderLevel > 0 && (
           <div className="mt-3">
@@ -781,11 +1156,25 @@ const StockAdjustmentModal = ({
   setAdjustmentUnits,
   adjustmentNotes,
   setAdjustmentNotes,
+  batches: allBatches,
+  adjustmentBatch,
+  setAdjustmentBatch,
+  locations = [],
+  locationStock,
+  adjustmentLocationId,
+  setAdjustmentLocationId,
   onSubmit,
   onClose,
   saving
 }) => {
   const productInfo = product.products;
+  // Batches and unbatched stock held at the chosen location
+  const location = locations.find(l => l.id === adjustmentLocationId) || null;
+  const batches = batchesAtLocation(allBatches, location);
+  const unbatched = unbatchedUnits(
+    location ? { loose_units_in_stock: locationStock?.byLocation[location.id] || 0 } : product,
+    batches
+  );
   const totalUnitsChange = (adjustmentBoxes * product.units_per_box) + adjustmentUnits;
   const isIncrease = adjustmentType === 'Purchase' || adjustmentType === 'Adjustment In';
   const finalChange = isIncrease ? totalUnitsChange : -totalUnitsChange;
@@ -866,6 +1255,111 @@ const StockAdjustmentModal = ({
               </select>
             </div>
 
+            {/* Location */}
+            {locations.length > 0 && (
+              <div>
+                <label className={`block text-sm font-medium mb-2 ${
+                  darkMode ? 'text-gray-300' : 'text-gray-700'
+                }`}>
+                  Location *
+                </label>
+                <select
+                  value={adjustmentLocationId}
+                  onChange={(e) => {
+                    setAdjustmentLocationId(e.target.value);
+                    setAdjustmentBatch({ ...adjustmentBatch, batchId: '' });
+                  }}
+                  required
+                  className={`w-full px-4 py-2 rounded-lg border ${
+                    darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                  } focus:ring-2 focus:ring-blue-500`}
+                >
+                  {locations.map(location => (
+                    <option key={location.id} value={location.id}>
+                      {location.name} · {(locationStock?.byLocation[location.id] || 0).toLocaleString()} units
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Batch */}
+            {adjustmentType === 'Purchase' ? (
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className={`block text-sm font-medium mb-2 ${
+                    darkMode ? 'text-gray-300' : 'text-gray-700'
+                  }`}>
+                    Batch / Lot No. *
+                  </label>
+                  <input
+                    type="text"
+                    value={adjustmentBatch.batchNumber}
+                    onChange={(e) => setAdjustmentBatch({ ...adjustmentBatch, batchNumber: e.target.value })}
+                    required
+                    className={`w-full px-4 py-2 rounded-lg border ${
+                      darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                    } focus:ring-2 focus:ring-blue-500`}
+                  />
+                </div>
+                <div>
+                  <label className={`block text-sm font-medium mb-2 ${
+                    darkMode ? 'text-gray-300' : 'text-gray-700'
+                  }`}>
+                    Manufactured
+                  </label>
+                  <input
+                    type="date"
+                    value={adjustmentBatch.manufactureDate}
+                    onChange={(e) => setAdjustmentBatch({ ...adjustmentBatch, manufactureDate: e.target.value })}
+                    className={`w-full px-4 py-2 rounded-lg border ${
+                      darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                    } focus:ring-2 focus:ring-blue-500`}
+                  />
+                </div>
+                <div>
+                  <label className={`block text-sm font-medium mb-2 ${
+                    darkMode ? 'text-gray-300' : 'text-gray-700'
+                  }`}>
+                    Expiry Date *
+                  </label>
+                  <input
+                    type="date"
+                    value={adjustmentBatch.expiryDate}
+                    min={adjustmentBatch.manufactureDate || undefined}
+                    onChange={(e) => setAdjustmentBatch({ ...adjustmentBatch, expiryDate: e.target.value })}
+                    required
+                    className={`w-full px-4 py-2 rounded-lg border ${
+                      darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                    } focus:ring-2 focus:ring-blue-500`}
+                  />
+                </div>
+              </div>
+            ) : (
+              <div>
+                <label className={`block text-sm font-medium mb-2 ${
+                  darkMode ? 'text-gray-300' : 'text-gray-700'
+                }`}>
+                  Batch
+                </label>
+                <select
+                  value={adjustmentBatch.batchId}
+                  onChange={(e) => setAdjustmentBatch({ ...adjustmentBatch, batchId: e.target.value })}
+                  className={`w-full px-4 py-2 rounded-lg border ${
+                    darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                  } focus:ring-2 focus:ring-blue-500`}
+                >
+                  <option value="">Unbatched stock ({unbatched} units)</option>
+                  {batches.map(batch => (
+                    <option key={batch.id} value={batch.id}>
+                      {batch.batch_number} · exp {new Date(batch.expiry_date).toLocaleDateString()} · {stockUnits(batch)} units
+                      {isBatchBlocked(batch) ? ' · recalled' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div className="grid grid-cols-2 gap-4">
               {/* Boxes */}
               <div>
@@ -1152,8 +1646,9 @@ const AnalyticsModal = ({ darkMode, analytics, onClose }) => {
 };
 
 // Alerts Modal Component
-const AlertsModal = ({ darkMode, alerts, onClose, onReorder }) => {
-  const totalAlerts = alerts.outOfStock.length + alerts.lowStock.length;
+const AlertsModal = ({ darkMode, alerts, expiryAlerts, expiryWindow, onViewExpiryReport, onClose, onReorder }) => {
+  const expiryCount = expiryAlerts.expired.length + expiryAlerts.expiringSoon.length;
+  const totalAlerts = alerts.outOfStock.length + alerts.lowStock.length + expiryCount;
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -1276,6 +1771,58 @@ const AlertsModal = ({ darkMode, alerts, onClose, onReorder }) => {
             </div>
           )}
 
+          {/* Expiry */}
+          {expiryCount > 0 && (
+            <div className={alerts.outOfStock.length + alerts.lowStock.length > 0 ? 'mt-6' : ''}>
+              <div className="flex items-center justify-between gap-2 mb-4">
+                <div className="flex items-center gap-2">
+                  <CalendarClock size={20} className="text-red-600" />
+                  <h3 className={`font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                    Expiry - Expired or Within {expiryWindow} Days ({expiryCount})
+                  </h3>
+                </div>
+                <button
+                  onClick={onViewExpiryReport}
+                  className="text-sm text-blue-600 hover:underline"
+                >
+                  Near-expiry report
+                </button>
+              </div>
+              <div className="space-y-2">
+                {[...expiryAlerts.expired, ...expiryAlerts.expiringSoon].map(batch => {
+                  const expired = batch.daysLeft < 0;
+                  return (
+                    <div
+                      key={batch.id}
+                      className={`p-4 rounded-lg border-l-4 ${
+                        expired ? 'border-red-600' : batch.daysLeft <= 30 ? 'border-orange-600' : 'border-yellow-600'
+                      } ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}
+                    >
+                      <div className="flex justify-between items-start gap-4">
+                        <div>
+                          <p className={`font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                            {batch.productName}
+                          </p>
+                          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                            Batch {batch.batch_number} | Expiry: {new Date(batch.expiry_date).toLocaleDateString()}
+                          </p>
+                          <p className={`text-sm mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                            {batch.units} units ({batch.boxes_in_stock} boxes, {batch.loose_units_in_stock} loose)
+                          </p>
+                        </div>
+                        <span className={`px-2 py-0.5 text-xs rounded whitespace-nowrap text-white ${
+                          expired ? 'bg-red-600' : batch.daysLeft <= 30 ? 'bg-orange-600' : 'bg-yellow-600'
+                        }`}>
+                          {expired ? 'EXPIRED' : `${batch.daysLeft} DAYS LEFT`}
+                        </span>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* No Alerts */}
           {totalAlerts === 0 && (
             <div className="text-center py-12">
@@ -1345,6 +1892,7 @@ const MovementHistory = ({ movements, darkMode }) => {
             {movements.map((movement) => {
               const totalUnits = (movement.boxes_moved * movement.units_per_box) + movement.loose_units_moved;
               const isIncrease = movement.movement_type === 'Purchase' || movement.movement_type === 'Adjustment In';
+              const isTransfer = movement.movement_type === TRANSFER_MOVEMENT;
               
               return (
                 <tr key={movement.id}>
@@ -1367,17 +1915,33 @@ const MovementHistory = ({ movements, darkMode }) => {
                         ? 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
                         : movement.movement_type === 'Adjustment In'
                         ? 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200'
+                        : isTransfer
+                        ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200'
                         : 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200'
                     }`}>
                       {movement.movement_type}
                     </span>
+                    {movement.batch_number && (
+                      <p className={`text-xs mt-1 ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                        Batch {movement.batch_number}
+                      </p>
+                    )}
+                    {movement.location_name && (
+                      <p className={`text-xs mt-1 ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                        {isTransfer
+                          ? `${movement.location_name} → ${movement.to_location_name}`
+                          : movement.location_name}
+                      </p>
+                    )}
                   </td>
                   <td className={`px-4 py-3 text-sm text-right font-medium ${
-                    isIncrease 
+                    isTransfer
+                      ? darkMode ? 'text-gray-300' : 'text-gray-700'
+                      : isIncrease 
                       ? darkMode ? 'text-green-400' : 'text-green-600'
                       : darkMode ? 'text-red-400' : 'text-red-600'
                   }`}>
-                    {isIncrease ? '+' : '-'}{totalUnits}
+                    {isTransfer ? '' : isIncrease ? '+' : '-'}{totalUnits}
                     <span className={`text-xs ml-1 ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
                       ({movement.boxes_moved}b, {movement.loose_units_moved}u)
                     </span>
@@ -0,0 +1,107 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RotateCcw, Download, Plus } from 'lucide-react';
+import { getInvoiceCreditNotes } from '../lib/creditNotes';
+import { generateCreditNotePDFClient } from '../lib/clientPDF';
+import { isInvoiceVoided } from '../lib/invoices';
+import CreditNoteModal from './CreditNoteModal';
+
+/**
+ * INVOICE CREDIT NOTES PANEL
+ * Credit notes raised against an invoice, with the entry point
+ * for recording a customer return.
+ */
+
+const InvoiceCreditNotes = ({ invoice, darkMode, currentUser, onCreditNoteCreated }) => {
+  const [creditNotes, setCreditNotes] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+
+  const loadCreditNotes = useCallback(async () => {
+    if (!invoice?.id) return;
+    try {
+      setCreditNotes(await getInvoiceCreditNotes(invoice.id));
+    } catch (error) {
+      console.error('Error loading credit notes:', error);
+    }
+  }, [invoice?.id]);
+
+  useEffect(() => {
+    loadCreditNotes();
+  }, [loadCreditNotes]);
+
+  const handleCreated = (creditNote) => {
+    setShowModal(false);
+    loadCreditNotes();
+    if (onCreditNoteCreated) onCreditNoteCreated(creditNote);
+  };
+
+  return (
+    <div className={`p-6 border-t no-print ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className={`text-lg font-semibold flex items-center gap-2 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+          <RotateCcw size={20} />
+          Credit Notes & Returns
+        </h3>
+        {!isInvoiceVoided(invoice) && (
+          <button
+            onClick={() => setShowModal(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-orange-600 hover:bg-orange-700 text-white rounded-lg text-sm transition-colors"
+          >
+            <Plus size={16} />
+            Record Return
+          </button>
+        )}
+      </div>
+
+      {creditNotes.length === 0 ? (
+        <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          No credit notes issued.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {creditNotes.map(note => (
+            <div
+              key={note.id}
+              className={`flex items-center justify-between p-3 rounded-lg border ${
+                darkMode ? 'border-gray-700' : 'border-gray-200'
+              }`}
+            >
+              <div>
+                <div className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                  {note.credit_note_number}
+                </div>
+                <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  {new Date(note.credit_date).toLocaleDateString()} • {note.reason}
+                  {note.created_by_name && ` • ${note.created_by_name}`}
+                </div>
+              </div>
+              <div className="flex items-center gap-3">
+                <span className="font-semibold text-orange-600">
+                  -₵{Number(note.total_amount).toFixed(2)}
+                </span>
+                <button
+                  onClick={() => generateCreditNotePDFClient(note)}
+                  className="p-2 hover:bg-green-100 dark:hover:bg-green-900 rounded"
+                  title="Download PDF"
+                >
+                  <Download size={16} className="text-green-600" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showModal && (
+        <CreditNoteModal
+          darkMode={darkMode}
+          invoice={invoice}
+          currentUser={currentUser}
+          onClose={() => setShowModal(false)}
+          onCreated={handleCreated}
+        />
+      )}
+    </div>
+  );
+};
+
+export default InvoiceCreditNotes;
@@ -0,0 +1,232 @@
+import React from 'react';
+import { taxLabel } from '../lib/tax';
+import {
+  templateColumns,
+  companyDetailLines,
+  paymentInstructionLines,
+  paymentTermsLine
+} from '../lib/invoiceTemplate';
+import { invoiceDocumentTotals, billToLines } from '../lib/invoiceDocument';
+import { isInvoiceVoided } from '../lib/invoices';
+
+/**
+ * INVOICE DOCUMENT
+ * The invoice as the customer sees it. Used for the on-screen copy and
+ * the printed copy, and laid out to match the PDF. Always drawn as white
+ * paper so dark mode never leaks onto a printout.
+ * Data comes from loadInvoiceDocument().
+ */
+
+const money = (value) => `₵${value.toFixed(2)}`;
+
+const InvoiceDocument = ({ invoiceDocument, qrCode }) => {
+  const { invoice, payments, creditNotes, customer, template } = invoiceDocument;
+  const totals = invoiceDocumentTotals(invoice, { payments, creditNotes });
+  const columns = templateColumns(template);
+  const lineItems = invoice.invoice_line_items || [];
+  const paymentLines = [paymentTermsLine(invoice, template), ...paymentInstructionLines(template)].filter(Boolean);
+  const showSettlement = invoice.sale_type === 'Credit' || totals.credited > 0;
+
+  return (
+    <div className="invoice-document bg-white text-gray-900 p-8 rounded-xl border border-gray-200">
+      {/* Header */}
+      <div className="flex justify-between items-start mb-8">
+        <div className="flex items-start gap-4">
+          {template.showLogo && template.logoUrl && (
+            <img src={template.logoUrl} alt={template.companyName} className="h-16 w-16 object-contain" />
+          )}
+          <div>
+            <h1 className="text-3xl font-bold mb-2" style={{ color: template.primaryColor }}>{template.companyName}</h1>
+            {companyDetailLines(template).map(line => (
+              <p key={line} className="text-sm">{line}</p>
+            ))}
+          </div>
+        </div>
+        <div className="text-right">
+          <h2 className="text-2xl font-bold mb-2" style={{ color: template.primaryColor }}>INVOICE</h2>
+          <p className="text-sm"><strong>Invoice #:</strong> {invoice.invoice_number}</p>
+          <p className="text-sm"><strong>Date:</strong> {new Date(invoice.invoice_date).toLocaleDateString()}</p>
+          {invoice.due_date && (
+            <p className="text-sm"><strong>Due:</strong> {new Date(invoice.due_date).toLocaleDateString()}</p>
+          )}
+          {isInvoiceVoided(invoice) && (
+            <p className="text-lg font-bold text-red-600 mt-2">VOIDED</p>
+          )}
+        </div>
+      </div>
+
+      {/* Customer & Sale Info */}
+      <div className="grid grid-cols-2 gap-8 mb-8 pb-8 border-b border-gray-300">
+        <div>
+          <h3 className="font-bold mb-2">BILL TO:</h3>
+          {billToLines(invoice, customer).map((line, index) => (
+            <p key={line} className={index === 0 ? 'font-semibold' : 'text-sm'}>{line}</p>
+          ))}
+        </div>
+        <div className="text-right">
+          <p className="text-sm"><strong>Sale Type:</strong> {invoice.sale_type || '-'}</p>
+          <p className="text-sm"><strong>Salesperson:</strong> {invoice.salesperson_name || '-'}</p>
+          <p className="text-sm"><strong>Payment Status:</strong> {invoice.payment_status || 'Pending'}</p>
+        </div>
+      </div>
+
+      {/* Line Items Table */}
+      {lineItems.length > 0 ? (
+        <table className="w-full mb-8">
+          <thead className="text-white" style={{ backgroundColor: template.primaryColor }}>
+            <tr>
+              {columns.map(column => (
+                <th key={column.key} className={`px-4 py-3 ${column.align === 'right' ? 'text-right' : 'text-left'}`}>
+                  {column.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {lineItems.map((item, index) => (
+              <tr
+                key={item.id ?? index}
+                style={index % 2 === 0 ? { backgroundColor: template.accentColor } : undefined}
+              >
+                {columns.map(column => (
+                  <td
+                    key={column.key}
+                    className={`px-4 py-3 ${column.align === 'right' ? 'text-right' : ''} ${column.key === 'total' ? 'font-semibold' : ''}`}
+                  >
+                    {column.value(item)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-gray-500 mb-8">No line items available.</p>
+      )}
+
+      {/* Totals */}
+      <div className="flex justify-end mb-8">
+        <div className="w-72">
+          <div className="flex justify-between mb-2">
+            <span>Subtotal:</span>
+            <span>{money(totals.subtotal)}</span>
+          </div>
+          {totals.discount > 0 && (
+            <div className="flex justify-between mb-2 text-red-600">
+              <span>Discount:</span>
+              <span>-{money(totals.discount)}</span>
+            </div>
+          )}
+          {totals.taxes.length > 0 && (
+            <div className="mb-2 text-sm">
+              <div className="flex justify-between text-gray-500">
+                <span>Taxable:</span>
+                <span>{money(totals.taxable)}</span>
+              </div>
+              {totals.exempt > 0 && (
+                <div className="flex justify-between text-gray-500">
+                  <span>Zero-rated:</span>
+                  <span>{money(totals.exempt)}</span>
+                </div>
+              )}
+              {totals.taxes.map(tax => (
+                <div key={tax.code} className="flex justify-between">
+                  <span>{taxLabel(tax)}:</span>
+                  <span>{money(Number(tax.amount))}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="flex justify-between pt-2 border-t-2 text-xl font-bold" style={{ borderColor: template.primaryColor }}>
+            <span>TOTAL:</span>
+            <span style={{ color: template.primaryColor }}>{money(totals.total)}</span>
+          </div>
+          {showSettlement && (
+            <div className="mt-2 text-sm space-y-1">
+              {totals.credited > 0 && (
+                <div className="flex justify-between">
+                  <span>Credit notes:</span>
+                  <span>-{money(totals.credited)}</span>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <span>Paid:</span>
+                <span>-{money(totals.paid)}</span>
+              </div>
+              <div className="flex justify-between font-bold text-base">
+                <span>Balance Due:</span>
+                <span>{money(totals.balanceDue)}</span>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Payments Received */}
+      {payments.length > 0 && (
+        <div className="mb-8">
+          <h3 className="font-bold mb-2">Payments Received:</h3>
+          <table className="w-full text-sm">
+            <tbody>
+              {payments.map(payment => (
+                <tr key={payment.id} className="border-b border-gray-200">
+                  <td className="py-1">{new Date(payment.payment_date).toLocaleDateString()}</td>
+                  <td className="py-1">{payment.method}</td>
+                  <td className="py-1">{payment.reference || ''}</td>
+                  <td className="py-1 text-right">{money(Number(payment.amount) || 0)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Notes */}
+      {invoice.notes && (
+        <div className="mb-8">
+          <h3 className="font-bold mb-2">Notes:</h3>
+          <p className="text-sm">{invoice.notes}</p>
+        </div>
+      )}
+
+      {/* Payment Details */}
+      {paymentLines.length > 0 && (
+        <div className="mb-8">
+          <h3 className="font-bold mb-2" style={{ color: template.primaryColor }}>PAYMENT DETAILS</h3>
+          {paymentLines.map(line => (
+            <p key={line} className="text-sm">{line}</p>
+          ))}
+        </div>
+      )}
+
+      {/* Verification QR & Signature */}
+      <div className="invoice-document-band flex justify-between items-end mb-8">
+        <div className="text-center">
+          {qrCode && (
+            <>
+              <img src={qrCode} alt="Verification QR code" className="h-24 w-24" />
+              <p className="text-xs text-gray-500 mt-1">Scan to verify</p>
+            </>
+          )}
+        </div>
+        {template.showSignature && (
+          <div className="w-56 pt-12 text-center">
+            <div className="border-t border-gray-400 pt-1 text-sm">{template.signatureLabel}</div>
+          </div>
+        )}
+      </div>
+
+      {/* Footer */}
+      <div className="text-center pt-8 border-t border-gray-300">
+        {totals.taxes.length === 0 && (
+          <p className="text-xs text-gray-500">* This invoice is VAT-exempt</p>
+        )}
+        {(template.footerTerms || '').split('\n').filter(Boolean).map(line => (
+          <p key={line} className="text-xs text-gray-500 mt-1">{line}</p>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default InvoiceDocument;
@@ -1,131 +1,191 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { FileText, Download, Eye, Search } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { FileText, Download, Eye, Search, Ban, Edit, Trash2, ArrowUp, ArrowDown, ChevronLeft, ChevronRight, X, FileArchive, Files, FileSpreadsheet, CheckCircle } from 'lucide-react';
 import { supabase } from '../lib/supabase';
-import { queryCache } from '../lib/queryCache';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { canVoidInvoice, isInvoiceVoided } from '../lib/invoices';
+import VoidInvoiceModal from './VoidInvoiceModal';
+import BulkInvoiceModal from './BulkInvoiceModal';
+import { BULK_ACTIONS } from '../lib/bulkInvoices';
+import { isDraft, discardDraft } from '../lib/drafts';
+import {
+  INVOICE_PAGE_SIZES,
+  DEFAULT_INVOICE_FILTERS,
+  filtersFromSearchParams,
+  filtersToSearchParams,
+  searchInvoices,
+  getInvoiceFilterOptions
+} from '../lib/invoiceSearch';
 
 /**
- * INVOICE LIST COMPONENT - OPTIMIZED
- * Performance improvements:
- * - Query caching (5 min TTL)
- * - useMemo for filtered invoices
- * - Cache invalidation on data changes
+ * INVOICE LIST COMPONENT
+ * Filtering, sorting and paging all happen in the database; only the
+ * current page is loaded. Filters live in the URL query string so a
+ * filtered view can be bookmarked.
+ *
+ * Drafts only show under the 'Draft' status filter.
+ * Issued invoices can be selected across pages for bulk actions.
  */
 
-const InvoiceList = ({ darkMode, onViewInvoice }) => {
+const DESCENDING_FIRST = ['created_at', 'invoice_date', 'total_amount'];
+const FILTER_KEYS = ['search', 'customerId', 'startDate', 'endDate', 'saleType', 'status', 'salespersonId'];
+
+const InvoiceList = ({ darkMode, onViewInvoice, onResumeDraft }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams]);
   const [invoices, setInvoices] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
   const [loading, setLoading] = useState(true);
   const [isGeneratingPDF, setIsGeneratingPDF] = useState(false);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filterType, setFilterType] = useState('All');
-  const [filterStatus, setFilterStatus] = useState('All');
-  const [startDate, setStartDate] = useState('');
-  const [endDate, setEndDate] = useState('');
+  const [searchInput, setSearchInput] = useState(filters.search);
+  const [filterOptions, setFilterOptions] = useState({ customers: [], salespeople: [] });
+  const [currentUser, setCurrentUser] = useState(null);
+  const [voidingInvoice, setVoidingInvoice] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [bulkAction, setBulkAction] = useState(null);
+  const latestRequest = useRef(0);
   const navigate = useNavigate();
   
   useEffect(() => {
-    loadInvoices();
+    const getCurrentUser = async () => {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (user) {
+        const { data: profile } = await supabase
+          .from('user_profiles')
+          .select('*')
+          .eq('id', user.id)
+          .single();
+        setCurrentUser(profile);
+      }
+    };
+    getCurrentUser();
+    
+    getInvoiceFilterOptions()
+      .then(setFilterOptions)
+      .catch(error => console.error('[Invoices] Error loading filter options:', error));
   }, []);
   
   // ==========================================
-  // PERFORMANCE: Query Caching
+  // FILTERS (kept in the URL)
+  // ==========================================
+  
+  const updateFilters = useCallback((changes, { keepPage = false, replace = false } = {}) => {
+    setSearchParams(
+      prev => filtersToSearchParams({
+        ...filtersFromSearchParams(prev),
+        ...(keepPage ? {} : { page: 1 }),
+        ...changes
+      }),
+      { replace }
+    );
+  }, [setSearchParams]);
+  
+  // Follow the URL when it changes underneath us (back/forward)
+  useEffect(() => {
+    setSearchInput(filters.search);
+  }, [filters.search]);
+  
+  // Only search once typing pauses
+  useEffect(() => {
+    if (searchInput === filters.search) return;
+    const timer = setTimeout(() => updateFilters({ search: searchInput }, { replace: true }), 400);
+    return () => clearTimeout(timer);
+  }, [searchInput, filters.search, updateFilters]);
+  
+  // Dates and amounts sort newest/largest first; text sorts A-Z first
+  const toggleSort = (field) => {
+    updateFilters({
+      sort: field,
+      ascending: filters.sort === field ? !filters.ascending : !DESCENDING_FIRST.includes(field)
+    });
+  };
+  
+  const hasFilters = FILTER_KEYS.some(key => filters[key] !== DEFAULT_INVOICE_FILTERS[key]);
+  
+  // ==========================================
+  // DATA: one page at a time
   // ==========================================
   
-  const loadInvoices = async () => {
+  const loadInvoices = useCallback(async () => {
+    if (!currentUser) return;
+    const requestId = ++latestRequest.current;
     setLoading(true);
-    const cacheKey = 'invoices_all';
     
     try {
-      // Check cache first
-      if (queryCache.isValid(cacheKey)) {
-        const cached = queryCache.get(cacheKey);
-        console.log('[Invoices] Cache hit: Loading from cache');
-        setInvoices(cached);
-        setLoading(false);
-        return;
-      }
-      
-      // Cache miss - fetch from database
-      console.log('[Invoices] Cache miss: Fetching from database');
-      
-      // Get current user
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      // Get user profile to check role
-      const { data: profile } = await supabase
-        .from('user_profiles')
-        .select('role')
-        .eq('id', user.id)
-        .single();
-      
-      // Build query
-      let query = supabase
-        .from('invoices')
-        .select(`
-          *,
-          invoice_line_items (
-            id,
-            product_name,
-            units_sold,
-            line_total
-          )
-        `)
-        .order('created_at', { ascending: false });
-      
-      // If not admin, only show own invoices
-      if (profile?.role !== 'admin') {
-        query = query.eq('salesperson_id', user.id);
-      }
-      
-      const { data, error } = await query;
-      
-      if (error) throw error;
-      
-      setInvoices(data || []);
-      
-      // Cache for 5 minutes
-      queryCache.set(cacheKey, data || [], 300000);
-      console.log('[Invoices] Cached for 5 minutes');
-      
+      const { invoices: page, count } = await searchInvoices(filters, currentUser);
+      // Ignore responses that arrive after a newer search was started
+      if (requestId !== latestRequest.current) return;
+      setInvoices(page);
+      setTotalCount(count);
     } catch (error) {
       console.error('[Invoices] Error loading:', error);
     } finally {
-      setLoading(false);
+      if (requestId === latestRequest.current) setLoading(false);
     }
-  };
+  }, [filters, currentUser]);
+  
+  useEffect(() => {
+    loadInvoices();
+  }, [loadInvoices]);
+  
+  const totalPages = Math.max(1, Math.ceil(totalCount / filters.pageSize));
+  const firstShown = totalCount === 0 ? 0 : (filters.page - 1) * filters.pageSize + 1;
+  const lastShown = Math.min(filters.page * filters.pageSize, totalCount);
   
   // ==========================================
-  // PERFORMANCE: useMemo for filtered invoices
-  // Only recalculates when dependencies change
+  // SELECTION & BULK ACTIONS
   // ==========================================
   
-  const filteredInvoices = useMemo(() => {
-    console.log('[Invoices] Filtering...');
-    
-    return invoices.filter(invoice => {
-      // Search filter
-      const matchesSearch = 
-        invoice.invoice_number.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        invoice.customer_name.toLowerCase().includes(searchTerm.toLowerCase());
-      
-      // Type filter
-      const matchesType = filterType === 'All' || invoice.sale_type === filterType;
-      
-      // Status filter
-      const matchesStatus = filterStatus === 'All' || invoice.status === filterStatus;
-      
-      // Date filter
-      let matchesDate = true;
-      if (startDate) {
-        matchesDate = matchesDate && new Date(invoice.invoice_date) >= new Date(startDate);
-      }
-      if (endDate) {
-        matchesDate = matchesDate && new Date(invoice.invoice_date) <= new Date(endDate);
-      }
-      
-      return matchesSearch && matchesType && matchesStatus && matchesDate;
+  const selectedInvoices = Object.values(selected);
+  const selectableOnPage = invoices.filter(invoice => !isDraft(invoice));
+  const allOnPageSelected = selectableOnPage.length > 0 && selectableOnPage.every(invoice => selected[invoice.id]);
+  
+  const toggleSelected = (invoice) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (next[invoice.id]) delete next[invoice.id];
+      else next[invoice.id] = invoice;
+      return next;
     });
-  }, [invoices, searchTerm, filterType, filterStatus, startDate, endDate]);
+  };
+  
+  const togglePageSelected = () => {
+    setSelected(prev => {
+      const next = { ...prev };
+      selectableOnPage.forEach(invoice => {
+        if (allOnPageSelected) delete next[invoice.id];
+        else next[invoice.id] = invoice;
+      });
+      return next;
+    });
+  };
+  
+  const handleBulkComplete = (action, { succeeded }) => {
+    if (action === BULK_ACTIONS.MARK_PAID || action === BULK_ACTIONS.VOID) {
+      // Changed invoices drop out of the selection so they are not acted on twice
+      setSelected(prev => {
+        const next = { ...prev };
+        succeeded.forEach(invoice => delete next[invoice.id]);
+        return next;
+      });
+      loadInvoices();
+    }
+  };
+  
+  const handleInvoiceVoided = (updated) => {
+    setInvoices(prev => prev.map(inv => inv.id === updated.id ? { ...inv, ...updated } : inv));
+    setVoidingInvoice(null);
+  };
+  
+  const handleDiscardDraft = async (invoice) => {
+    if (!window.confirm(`Discard the draft for ${invoice.customer_name}?`)) return;
+    try {
+      await discardDraft(invoice.id);
+      loadInvoices();
+    } catch (error) {
+      console.error('Error discarding draft:', error);
+      alert('❌ Failed to discard draft: ' + error.message);
+    }
+  };
   
   // ==========================================
   // PDF DOWNLOAD HANDLER
@@ -184,7 +244,19 @@ const InvoiceList = ({ darkMode, onViewInvoice }) => {
     }
   };
   
-  if (loading) {
+  const sortHeader = (field, label, align = 'left') => (
+    <th className={`px-4 py-3 text-${align} text-xs font-medium`}>
+      <button
+        onClick={() => toggleSort(field)}
+        className={`inline-flex items-center gap-1 hover:underline ${align === 'right' ? 'flex-row-reverse' : ''}`}
+      >
+        {label}
+        {filters.sort === field && (filters.ascending ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+      </button>
+    </th>
+  );
+  
+  if (!currentUser) {
     return (
       <div className="flex items-center justify-center h-96">
         <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
@@ -199,14 +271,24 @@ const InvoiceList = ({ darkMode, onViewInvoice }) => {
         <div>
           <h2 className="text-2xl md:text-3xl font-bold mb-2">Invoices</h2>
           <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-            {filteredInvoices.length} invoice{filteredInvoices.length !== 1 ? 's' : ''}
+            {totalCount} invoice{totalCount !== 1 ? 's' : ''}
           </p>
         </div>
+        {hasFilters && (
+          <button
+            onClick={() => setSearchParams({})}
+            className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm ${
+              darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+            }`}
+          >
+            <X size={16} /> Clear Filters
+          </button>
+        )}
       </div>
       
       {/* Filters */}
       <div className={`p-6 rounded-xl mb-6 ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
           {/* Search */}
           <div className="lg:col-span-2">
             <label className="block text-sm font-medium mb-2">Search</label>
@@ -216,8 +298,8 @@ const InvoiceList = ({ darkMode, onViewInvoice }) => {
               }`} />
               <input
                 type="text"
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
                 placeholder="Invoice # or Customer..."
                 className={`w-full pl-10 pr-4 py-2 rounded-lg border ${
                   darkMode
@@ -228,12 +310,52 @@ const InvoiceList = ({ darkMode, onViewInvoice }) => {
             </div>
           </div>
           
+          {/* Customer */}
+          <div>
+            <label className="block text-sm font-medium mb-2">Customer</label>
+            <select
+              value={filters.customerId}
+              onChange={(e) => updateFilters({ customerId: e.target.value })}
+              className={`w-full px-4 py-2 rounded-lg border ${
+                darkMode
+                  ? 'bg-gray-700 border-gray-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-900'
+              }`}
+            >
+              <option value="">All Customers</option>
+              {filterOptions.customers.map(customer => (
+                <option key={customer.id} value={customer.id}>{customer.name}</option>
+              ))}
+            </select>
+          </div>
+          
+          {/* Salesperson (admins see everyone's invoices) */}
+          {currentUser.role === 'admin' && (
+            <div>
+              <label className="block text-sm font-medium mb-2">Salesperson</label>
+              <select
+                value={filters.salespersonId}
+                onChange={(e) => updateFilters({ salespersonId: e.target.value })}
+                className={`w-full px-4 py-2 rounded-lg border ${
+                  darkMode
+                    ? 'bg-gray-700 border-gray-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                }`}
+              >
+                <option value="">All Salespeople</option>
+                {filterOptions.salespeople.map(person => (
+                  <option key={person.id} value={person.id}>{person.full_name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          
           {/* Sale Type */}
           <div>
             <label className="block text-sm font-medium mb-2">Sale Type</label>
             <select
-              value={filterType}
-              onChange={(e) => setFilterType(e.target.value)}
+              value={filters.saleType}
+              onChange={(e) => updateFilters({ saleType: e.target.value })}
               className={`w-full px-4 py-2 rounded-lg border ${
                 darkMode
                   ? 'bg-gray-700 border-gray-600 text-white'
@@ -250,8 +372,8 @@ const InvoiceList = ({ darkMode, onViewInvoice }) => {
           <div>
             <label className="block text-sm font-medium mb-2">Status</label>
             <select
-              value={filterStatus}
-              onChange={(e) => setFilterStatus(e.target.value)}
+              value={filters.status}
+              onChange={(e) => updateFilters({ status: e.target.value })}
               className={`w-full px-4 py-2 rounded-lg border ${
                 darkMode
                   ? 'bg-gray-700 border-gray-600 text-white'
@@ -261,6 +383,7 @@ const InvoiceList = ({ darkMode, onViewInvoice }) => {
               <option value="All">All Statuses</option>
               <option value="Active">Active</option>
               <option value="Draft">Draft</option>
+              <option value="Voided">Voided</option>
               <option value="Cancelled">Cancelled</option>
             </select>
           </div>
@@ -270,8 +393,21 @@ const InvoiceList = ({ darkMode, onViewInvoice }) => {
             <label className="block text-sm font-medium mb-2">Date From</label>
             <input
               type="date"
-              value={startDate}
-              onChange={(e) => setStartDate(e.target.value)}
+              value={filters.startDate}
+              onChange={(e) => updateFilters({ startDate: e.target.value })}
+              className={`w-full px-4 py-2 rounded-lg border ${
+                darkMode
+                  ? 'bg-gray-700 border-gray-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-900'
+              }`}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">Date To</label>
+            <input
+              type="date"
+              value={filters.endDate}
+              onChange={(e) => updateFilters({ endDate: e.target.value })}
               className={`w-full px-4 py-2 rounded-lg border ${
                 darkMode
                   ? 'bg-gray-700 border-gray-600 text-white'
@@ -282,34 +418,109 @@ const InvoiceList = ({ darkMode, onViewInvoice }) => {
         </div>
       </div>
       
+      {/* Bulk Actions */}
+      {selectedInvoices.length > 0 && (
+        <div className={`flex flex-wrap items-center gap-2 p-4 rounded-xl mb-4 ${
+          darkMode ? 'bg-blue-900/30 border border-blue-800' : 'bg-blue-50 border border-blue-200'
+        }`}>
+          <span className="text-sm font-semibold mr-2">
+            {selectedInvoices.length} selected
+          </span>
+          {[
+            { action: BULK_ACTIONS.ZIP, label: 'PDFs (ZIP)', icon: FileArchive },
+            { action: BULK_ACTIONS.MERGED_PDF, label: 'Merged PDF', icon: Files },
+            { action: BULK_ACTIONS.CSV, label: 'CSV', icon: FileSpreadsheet },
+            { action: BULK_ACTIONS.MARK_PAID, label: 'Mark Paid', icon: CheckCircle }
+          ].map(({ action, label, icon: Icon }) => (
+            <button
+              key={action}
+              onClick={() => setBulkAction(action)}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-white hover:bg-gray-100 border border-gray-300'
+              }`}
+            >
+              <Icon size={16} /> {label}
+            </button>
+          ))}
+          {canVoidInvoice(currentUser) && (
+            <button
+              onClick={() => setBulkAction(BULK_ACTIONS.VOID)}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm bg-red-600 hover:bg-red-700 text-white"
+            >
+              <Ban size={16} /> Void
+            </button>
+          )}
+          <button
+            onClick={() => setSelected({})}
+            className={`ml-auto text-sm hover:underline ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}
+          >
+            Clear selection
+          </button>
+        </div>
+      )}
+      
       {/* Invoice Table */}
-      <div className={`rounded-xl overflow-hidden ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
+      <div className={`relative rounded-xl overflow-hidden ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
+        {loading && (
+          <div className={`absolute inset-0 z-10 flex items-center justify-center ${darkMode ? 'bg-gray-800/60' : 'bg-white/60'}`}>
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        )}
         <div className="overflow-x-auto">
           <table className="w-full">
             <thead className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
               <tr>
-                <th className="px-4 py-3 text-left text-xs font-medium">Invoice #</th>
-                <th className="px-4 py-3 text-left text-xs font-medium">Date</th>
-                <th className="px-4 py-3 text-left text-xs font-medium">Customer</th>
-                <th className="px-4 py-3 text-left text-xs font-medium">Type</th>
-                <th className="px-4 py-3 text-right text-xs font-medium">Amount</th>
-                <th className="px-4 py-3 text-left text-xs font-medium">Status</th>
+                <th className="px-4 py-3 w-10">
+                  <input
+                    type="checkbox"
+                    checked={allOnPageSelected}
+                    onChange={togglePageSelected}
+                    disabled={selectableOnPage.length === 0}
+                    title="Select all on this page"
+                  />
+                </th>
+                {sortHeader('invoice_number', 'Invoice #')}
+                {sortHeader('invoice_date', 'Date')}
+                {sortHeader('customer_name', 'Customer')}
+                {sortHeader('sale_type', 'Type')}
+                {sortHeader('total_amount', 'Amount', 'right')}
+                {sortHeader('status', 'Status')}
                 <th className="px-4 py-3 text-center text-xs font-medium">Actions</th>
               </tr>
             </thead>
             <tbody>
-              {filteredInvoices.map((invoice) => (
+              {invoices.map((invoice) => (
                 <tr
                   key={invoice.id}
                   className={`border-b ${darkMode ? 'border-gray-700 hover:bg-gray-750' : 'border-gray-200 hover:bg-gray-50'}`}
                 >
+                  <td className="px-4 py-3">
+                    {!isDraft(invoice) && (
+                      <input
+                        type="checkbox"
+                        checked={!!selected[invoice.id]}
+                        onChange={() => toggleSelected(invoice)}
+                      />
+                    )}
+                  </td>
                   <td className="px-4 py-3 text-sm font-medium">
-                    <span
-                      onClick={() => navigate(`/invoice/${invoice.invoice_number}`)}
-                      className="cursor-pointer hover:underline text-blue-600"
-                    >
-                      {invoice.invoice_number}
-                    </span>
+                    {isDraft(invoice) ? (
+                      <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+                        DRAFT
+                        {invoice.draft_updated_at && (
+                          <span className="block text-xs font-normal">
+                            saved {new Date(invoice.draft_updated_at).toLocaleString()}
+                          </span>
+                        )}
+                      </span>
+                    ) : (
+                      <span
+                        onClick={() => navigate(`/invoice/${invoice.invoice_number}`)}
+                        className="cursor-pointer hover:underline text-blue-600"
+                      >
+                        {invoice.invoice_number}
+                      </span>
+                    )}
                   </td>
                   <td className="px-4 py-3 text-sm">{new Date(invoice.invoice_date).toLocaleDateString()}</td>
                   <td className="px-4 py-3 text-sm">{invoice.customer_name}</td>
@@ -337,27 +548,55 @@ const InvoiceList = ({ darkMode, onViewInvoice }) => {
                     </span>
                   </td>
                   <td className="px-4 py-3 text-sm">
-                    <div className="flex items-center justify-center gap-2">
-                      <button
-                        onClick={() => onViewInvoice && onViewInvoice(invoice)}
-                        className="p-2 hover:bg-blue-100 dark:hover:bg-blue-900 rounded"
-                        title="View"
-                      >
-                        <Eye size={16} className="text-blue-600" />
-                      </button>
-                      <button
-                        onClick={() => handleDownloadPDF(invoice)} 
-                        disabled={isGeneratingPDF}
-                        className={`p-2 rounded ${
-                          isGeneratingPDF
-                            ? 'opacity-50 cursor-not-allowed'
-                            : 'hover:bg-green-100 dark:hover:bg-green-900'
-                        }`}
-                        title="Download PDF"
-                      >
-                        <Download size={16} className="text-green-600" />
-                      </button>
-                    </div>
+                    {isDraft(invoice) ? (
+                      <div className="flex items-center justify-center gap-2">
+                        <button
+                          onClick={() => onResumeDraft && onResumeDraft(invoice)}
+                          className="p-2 hover:bg-blue-100 dark:hover:bg-blue-900 rounded"
+                          title="Resume draft"
+                        >
+                          <Edit size={16} className="text-blue-600" />
+                        </button>
+                        <button
+                          onClick={() => handleDiscardDraft(invoice)}
+                          className="p-2 hover:bg-red-100 dark:hover:bg-red-900 rounded"
+                          title="Discard draft"
+                        >
+                          <Trash2 size={16} className="text-red-600" />
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex items-center justify-center gap-2">
+                        <button
+                          onClick={() => onViewInvoice && onViewInvoice(invoice)}
+                          className="p-2 hover:bg-blue-100 dark:hover:bg-blue-900 rounded"
+                          title="View"
+                        >
+                          <Eye size={16} className="text-blue-600" />
+                        </button>
+                        <button
+                          onClick={() => handleDownloadPDF(invoice)} 
+                          disabled={isGeneratingPDF}
+                          className={`p-2 rounded ${
+                            isGeneratingPDF
+                              ? 'opacity-50 cursor-not-allowed'
+                              : 'hover:bg-green-100 dark:hover:bg-green-900'
+                          }`}
+                          title="Download PDF"
+                        >
+                          <Download size={16} className="text-green-600" />
+                        </button>
+                        {canVoidInvoice(currentUser) && !isInvoiceVoided(invoice) && (
+                          <button
+                            onClick={() => setVoidingInvoice(invoice)}
+                            className="p-2 hover:bg-red-100 dark:hover:bg-red-900 rounded"
+                            title="Void"
+                          >
+                            <Ban size={16} className="text-red-600" />
+                          </button>
+                        )}
+                      </div>
+                    )}
                   </td>
                 </tr>
               ))}
@@ -365,7 +604,7 @@ const InvoiceList = ({ darkMode, onViewInvoice }) => {
           </table>
         </div>
         
-        {filteredInvoices.length === 0 && (
+        {!loading && invoices.length === 0 && (
           <div className="text-center py-12">
             <FileText size={48} className={`mx-auto mb-4 ${darkMode ? 'text-gray-600' : 'text-gray-400'}`} />
             <p className={`text-lg ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
@@ -373,7 +612,71 @@ const InvoiceList = ({ darkMode, onViewInvoice }) => {
             </p>
           </div>
         )}
+        
+        {/* Pagination */}
+        {totalCount > 0 && (
+          <div className={`flex flex-col sm:flex-row items-center justify-between gap-3 px-4 py-3 border-t text-sm ${
+            darkMode ? 'border-gray-700' : 'border-gray-200'
+          }`}>
+            <div className={darkMode ? 'text-gray-400' : 'text-gray-600'}>
+              Showing {firstShown}–{lastShown} of {totalCount}
+            </div>
+            <div className="flex items-center gap-3">
+              <select
+                value={filters.pageSize}
+                onChange={(e) => updateFilters({ pageSize: parseInt(e.target.value) })}
+                className={`px-2 py-1 rounded border ${
+                  darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                }`}
+              >
+                {INVOICE_PAGE_SIZES.map(size => (
+                  <option key={size} value={size}>{size} per page</option>
+                ))}
+              </select>
+              <button
+                onClick={() => updateFilters({ page: filters.page - 1 }, { keepPage: true })}
+                disabled={filters.page <= 1}
+                className={`p-2 rounded ${filters.page <= 1 ? 'opacity-40 cursor-not-allowed' : darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+                title="Previous page"
+              >
+                <ChevronLeft size={16} />
+              </button>
+              <span>Page {filters.page} of {totalPages}</span>
+              <button
+                onClick={() => updateFilters({ page: filters.page + 1 }, { keepPage: true })}
+                disabled={filters.page >= totalPages}
+                className={`p-2 rounded ${filters.page >= totalPages ? 'opacity-40 cursor-not-allowed' : darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+                title="Next page"
+              >
+                <ChevronRight size={16} />
+              </button>
+            </div>
+          </div>
+        )}
       </div>
+      
+      {/* Bulk Action Modal */}
+      {bulkAction && (
+        <BulkInvoiceModal
+          darkMode={darkMode}
+          action={bulkAction}
+          invoices={selectedInvoices}
+          currentUser={currentUser}
+          onClose={() => setBulkAction(null)}
+          onComplete={handleBulkComplete}
+        />
+      )}
+      
+      {/* Void Modal */}
+      {voidingInvoice && (
+        <VoidInvoiceModal
+          darkMode={darkMode}
+          invoice={voidingInvoice}
+          currentUser={currentUser}
+          onClose={() => setVoidingInvoice(null)}
+          onVoided={handleInvoiceVoided}
+        />
+      )}
     </div>
   );
 };
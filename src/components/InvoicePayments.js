@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CreditCard, Plus, X, Save } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import {
+  PAYMENT_METHODS,
+  getInvoicePayments,
+  recordPayment,
+  sumPayments,
+  invoiceAmountOwed,
+  paymentStatusClasses
+} from '../lib/payments';
+
+/**
+ * INVOICE PAYMENTS PANEL
+ * Payment ledger for a single invoice with a form to record
+ * cash, cheque, bank transfer or mobile money payments.
+ */
+
+const emptyForm = () => ({
+  amount: '',
+  payment_date: new Date().toISOString().split('T')[0],
+  method: 'Cash',
+  reference: '',
+  notes: ''
+});
+
+const InvoicePayments = ({ invoice, darkMode, onPaymentRecorded }) => {
+  const [payments, setPayments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [currentUser, setCurrentUser] = useState(null);
+
+  const loadPayments = useCallback(async () => {
+    if (!invoice?.id) return;
+    setLoading(true);
+    try {
+      setPayments(await getInvoicePayments(invoice.id));
+    } catch (error) {
+      console.error('Error loading payments:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [invoice?.id]);
+
+  useEffect(() => {
+    loadPayments();
+  }, [loadPayments]);
+
+  useEffect(() => {
+    const getCurrentUser = async () => {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (user) {
+        const { data: profile } = await supabase
+          .from('user_profiles')
+          .select('id, full_name, role')
+          .eq('id', user.id)
+          .single();
+        setCurrentUser(profile);
+      }
+    };
+    getCurrentUser();
+  }, []);
+
+  const total = Number(invoice?.total_amount) || 0;
+  const credited = Number(invoice?.credited_amount) || 0;
+  const owed = invoiceAmountOwed(invoice);
+  const amountPaid = payments.length > 0
+    ? sumPayments(payments)
+    : Number(invoice?.amount_paid) || (invoice?.payment_status === 'Paid' ? owed : 0);
+  const balanceDue = Math.max(0, owed - amountPaid);
+  const isVoided = invoice?.status === 'Voided' || invoice?.status === 'Cancelled';
+  const canRecord = !isVoided && balanceDue > 0.005;
+
+  const openForm = () => {
+    setForm({ ...emptyForm(), amount: balanceDue.toFixed(2) });
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const result = await recordPayment(invoice, form, currentUser);
+      await loadPayments();
+      setShowForm(false);
+      if (onPaymentRecorded) {
+        onPaymentRecorded(result);
+      }
+      alert(`✅ Payment of ₵${result.payment.amount.toFixed(2)} recorded. Status: ${result.paymentStatus}`);
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      alert('❌ Failed to record payment: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className={`p-6 border-t no-print ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className={`text-lg font-semibold flex items-center gap-2 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+          <CreditCard size={20} />
+          Payments
+        </h3>
+        {canRecord && !showForm && (
+          <button
+            onClick={openForm}
+            className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm transition-colors"
+          >
+            <Plus size={16} />
+            Record Payment
+          </button>
+        )}
+      </div>
+
+      {/* Summary */}
+      <div className={`grid gap-4 mb-4 ${credited > 0 ? 'grid-cols-2 md:grid-cols-4' : 'grid-cols-3'}`}>
+        <div>
+          <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Invoice Total</div>
+          <div className={`font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>₵{total.toFixed(2)}</div>
+        </div>
+        {credited > 0 && (
+          <div>
+            <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Credited</div>
+            <div className="font-semibold text-orange-600">-₵{credited.toFixed(2)}</div>
+          </div>
+        )}
+        <div>
+          <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Amount Paid</div>
+          <div className="font-semibold text-green-600">₵{amountPaid.toFixed(2)}</div>
+        </div>
+        <div>
+          <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Balance Due</div>
+          <div className={`font-semibold ${balanceDue > 0 ? 'text-red-600' : darkMode ? 'text-white' : 'text-gray-900'}`}>
+            ₵{balanceDue.toFixed(2)}
+          </div>
+        </div>
+      </div>
+
+      {/* Record Payment Form */}
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          className={`p-4 mb-4 rounded-lg border ${darkMode ? 'border-gray-600 bg-gray-750' : 'border-gray-200 bg-gray-50'}`}
+        >
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-medium mb-1">Amount (₵) *</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                max={balanceDue.toFixed(2)}
+                value={form.amount}
+                onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Payment Date *</label>
+              <input
+                type="date"
+                value={form.payment_date}
+                onChange={(e) => setForm({ ...form, payment_date: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Method *</label>
+              <select
+                value={form.method}
+                onChange={(e) => setForm({ ...form, method: e.target.value })}
+                className={inputClass}
+              >
+                {PAYMENT_METHODS.map(method => (
+                  <option key={method} value={method}>{method}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">
+                Reference {(form.method === 'Cheque' || form.method === 'Bank Transfer') && '*'}
+              </label>
+              <input
+                type="text"
+                value={form.reference}
+                onChange={(e) => setForm({ ...form, reference: e.target.value })}
+                placeholder={form.method === 'Mobile Money' ? 'MoMo transaction ID' : 'Cheque / transfer no.'}
+                className={inputClass}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-xs font-medium mb-1">Notes</label>
+              <input
+                type="text"
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end gap-2 mt-4">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+              }`}
+            >
+              <X size={16} />
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm text-white ${
+                saving ? 'bg-gray-500 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700'
+              }`}
+            >
+              <Save size={16} />
+              {saving ? 'Saving...' : 'Save Payment'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Payment History */}
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+        </div>
+      ) : payments.length === 0 ? (
+        <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          No payments recorded yet.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+              <tr>
+                <th className="px-3 py-2 text-left font-medium">Date</th>
+                <th className="px-3 py-2 text-left font-medium">Method</th>
+                <th className="px-3 py-2 text-left font-medium">Reference</th>
+                <th className="px-3 py-2 text-left font-medium">Recorded By</th>
+                <th className="px-3 py-2 text-right font-medium">Amount</th>
+              </tr>
+            </thead>
+            <tbody className={darkMode ? 'divide-y divide-gray-700' : 'divide-y divide-gray-200'}>
+              {payments.map(payment => (
+                <tr key={payment.id} className={darkMode ? 'text-gray-300' : 'text-gray-900'}>
+                  <td className="px-3 py-2">{new Date(payment.payment_date).toLocaleDateString()}</td>
+                  <td className="px-3 py-2">{payment.method}</td>
+                  <td className="px-3 py-2">{payment.reference || '-'}</td>
+                  <td className="px-3 py-2">{payment.recorded_by_name || '-'}</td>
+                  <td className="px-3 py-2 text-right font-medium">₵{Number(payment.amount).toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {invoice?.payment_status && (
+        <div className="mt-4 text-sm">
+          <span className={darkMode ? 'text-gray-400' : 'text-gray-600'}>Status: </span>
+          <span className={`px-2 py-1 rounded text-xs font-semibold ${paymentStatusClasses(invoice.payment_status)}`}>
+            {invoice.payment_status}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvoicePayments;
@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import { Save, FileText } from 'lucide-react';
+import {
+  DEFAULT_INVOICE_TEMPLATE,
+  OPTIONAL_COLUMNS,
+  getInvoiceTemplate,
+  saveInvoiceTemplate
+} from '../lib/invoiceTemplate';
+import { generateInvoicePDFClient } from '../lib/clientPDF';
+
+/**
+ * INVOICE TEMPLATE SETTINGS
+ * Admin editor for the branding, payment instructions, footer and
+ * columns used on printed and PDF invoices.
+ */
+
+// Sample invoice for previewing the template as a PDF
+const SAMPLE_INVOICE = {
+  invoice_number: 'PREVIEW-0001',
+  invoice_date: new Date().toISOString().split('T')[0],
+  due_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+  customer_name: 'Sample Hospital',
+  region: 'Greater Accra',
+  sale_type: 'Credit',
+  salesperson_name: 'Sales Rep',
+  subtotal: 1200,
+  discount_amount: 0,
+  taxable_amount: 1200,
+  exempt_amount: 0,
+  tax_breakdown: [],
+  total_amount: 1200,
+  invoice_line_items: [
+    { product_name: 'Sterile Gauze 10x10', batch_allocations: [{ batch_number: 'GZ2401', expiry_date: '2027-06-30', units: 200 }], boxes_sold: 2, units_sold: 200, unit_price: 4, discount_amount: 0, tax_amount: 0, line_total: 800 },
+    { product_name: 'Surgical Gloves (M)', batch_allocations: [{ batch_number: 'SG2317', expiry_date: '2027-01-31', units: 100 }], boxes_sold: 1, units_sold: 100, unit_price: 4, discount_amount: 0, tax_amount: 0, line_total: 400 }
+  ]
+};
+
+const InvoiceTemplateSettings = ({ darkMode, user }) => {
+  const [template, setTemplate] = useState(DEFAULT_INVOICE_TEMPLATE);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getInvoiceTemplate().then(setTemplate);
+  }, []);
+
+  const update = (field, value) => setTemplate(prev => ({ ...prev, [field]: value }));
+
+  const toggleColumn = (key) =>
+    setTemplate(prev => ({ ...prev, columns: { ...prev.columns, [key]: !prev.columns[key] } }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      setTemplate(await saveInvoiceTemplate(template, { id: user?.id, full_name: user?.profile?.full_name }));
+      alert('✅ Invoice template saved!');
+    } catch (error) {
+      console.error('Error saving invoice template:', error);
+      alert('❌ Failed to save invoice template: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      await generateInvoicePDFClient(SAMPLE_INVOICE, template);
+    } catch (error) {
+      console.error('Error generating preview:', error);
+      alert('❌ Failed to generate preview: ' + error.message);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  const textField = (field, label, placeholder = '') => (
+    <div>
+      <label className="block text-sm font-medium mb-1">{label}</label>
+      <input
+        type="text"
+        value={template[field] || ''}
+        onChange={(e) => update(field, e.target.value)}
+        placeholder={placeholder}
+        className={inputClass}
+      />
+    </div>
+  );
+
+  const checkbox = (checked, onChange, label) => (
+    <label className="flex items-center gap-2 text-sm cursor-pointer">
+      <input type="checkbox" checked={!!checked} onChange={onChange} />
+      {label}
+    </label>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Branding */}
+      <div>
+        <h3 className="text-lg font-semibold mb-1">Branding</h3>
+        <p className={`text-sm mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          Used on printed invoices and downloaded PDFs.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {textField('companyName', 'Company Name *')}
+          {textField('logoUrl', 'Logo URL', '/pharma-c-logo.png')}
+          {textField('tagline', 'Tagline')}
+          {textField('brandLine', 'Brand Line')}
+          <div>
+            <label className="block text-sm font-medium mb-1">Primary Colour</label>
+            <div className="flex gap-2">
+              <input
+                type="color"
+                value={template.primaryColor}
+                onChange={(e) => update('primaryColor', e.target.value)}
+                className="h-10 w-14 rounded border"
+              />
+              <input
+                type="text"
+                value={template.primaryColor}
+                onChange={(e) => update('primaryColor', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Row Shading Colour</label>
+            <div className="flex gap-2">
+              <input
+                type="color"
+                value={template.accentColor}
+                onChange={(e) => update('accentColor', e.target.value)}
+                className="h-10 w-14 rounded border"
+              />
+              <input
+                type="text"
+                value={template.accentColor}
+                onChange={(e) => update('accentColor', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+        </div>
+        <div className="flex items-center gap-4 mt-3">
+          {checkbox(template.showLogo, () => update('showLogo', !template.showLogo), 'Show logo')}
+          {template.showLogo && template.logoUrl && (
+            <img src={template.logoUrl} alt="Logo preview" className="h-10 w-10 object-contain" />
+          )}
+        </div>
+      </div>
+
+      {/* Company Details */}
+      <div>
+        <h3 className="text-lg font-semibold mb-4">Company Details</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {textField('address', 'Address')}
+          {textField('tin', 'TIN', 'e.g. C0001234567')}
+          {textField('phone', 'Phone')}
+          {textField('email', 'Email')}
+        </div>
+      </div>
+
+      {/* Payment Instructions */}
+      <div>
+        <h3 className="text-lg font-semibold mb-1">Payment Instructions</h3>
+        <p className={`text-sm mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          Leave a method blank to hide it.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {textField('bankName', 'Bank')}
+          {textField('bankBranch', 'Branch')}
+          {textField('bankAccountName', 'Account Name')}
+          {textField('bankAccountNumber', 'Account Number')}
+          {textField('momoNetwork', 'MoMo Network', 'e.g. MTN')}
+          {textField('momoNumber', 'MoMo Number')}
+          {textField('momoName', 'MoMo Account Name')}
+        </div>
+        <div className="mt-3">
+          {checkbox(template.showPaymentTerms, () => update('showPaymentTerms', !template.showPaymentTerms), 'Show payment terms and due date on credit invoices')}
+        </div>
+      </div>
+
+      {/* Columns */}
+      <div>
+        <h3 className="text-lg font-semibold mb-1">Line Item Columns</h3>
+        <p className={`text-sm mb-3 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          Product, unit price and line total are always shown.
+        </p>
+        <div className="flex flex-wrap gap-6">
+          {OPTIONAL_COLUMNS.map(column => (
+            <React.Fragment key={column.key}>
+              {checkbox(template.columns[column.key], () => toggleColumn(column.key), column.label)}
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+
+      {/* Footer & Signature */}
+      <div>
+        <h3 className="text-lg font-semibold mb-4">Footer & Signature</h3>
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium mb-1">Footer Terms</label>
+            <textarea
+              value={template.footerTerms}
+              onChange={(e) => update('footerTerms', e.target.value)}
+              rows={3}
+              className={inputClass}
+            />
+          </div>
+          <div className="flex flex-col md:flex-row md:items-end gap-4">
+            {checkbox(template.showSignature, () => update('showSignature', !template.showSignature), 'Show signature line')}
+            {template.showSignature && (
+              <div className="flex-1">{textField('signatureLabel', 'Signature Label')}</div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex justify-between">
+        <div className="flex gap-2">
+          <button
+            onClick={handlePreview}
+            className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm ${
+              darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+            }`}
+          >
+            <FileText size={16} /> Preview PDF
+          </button>
+          <button
+            onClick={() => setTemplate(DEFAULT_INVOICE_TEMPLATE)}
+            className={`px-3 py-2 rounded-lg text-sm ${
+              darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+            }`}
+          >
+            Reset to Defaults
+          </button>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm text-white ${
+            saving ? 'bg-gray-500 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+          }`}
+        >
+          <Save size={16} /> {saving ? 'Saving...' : 'Save Template'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default InvoiceTemplateSettings;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Save, Star } from 'lucide-react';
+import { getLocations, saveLocation, LOCATION_TYPES } from '../lib/locations';
+
+/**
+ * LOCATION SETTINGS
+ * Admin editor for the warehouses and consignment sites that hold stock.
+ * The first location added is the default and holds all existing stock.
+ */
+
+const emptyLocation = { name: '', code: '', type: 'Warehouse', address: '', is_active: true };
+
+const LocationSettings = ({ darkMode }) => {
+  const [locations, setLocations] = useState([]);
+  const [newLocation, setNewLocation] = useState(emptyLocation);
+  const [savingId, setSavingId] = useState(null);
+
+  useEffect(() => {
+    getLocations()
+      .then(setLocations)
+      .catch(error => console.error('Error loading locations:', error));
+  }, []);
+
+  const updateLocation = (id, field, value) => {
+    setLocations(prev => prev.map(location => (location.id === id ? { ...location, [field]: value } : location)));
+  };
+
+  const handleSave = async (location) => {
+    setSavingId(location.id || 'new');
+    try {
+      const saved = await saveLocation(location);
+      if (location.id) {
+        setLocations(prev => prev.map(existing => (existing.id === saved.id ? saved : existing)));
+      } else {
+        setLocations(prev => [...prev, saved]);
+        setNewLocation(emptyLocation);
+      }
+      alert(`✅ ${saved.name} saved`);
+    } catch (error) {
+      console.error('Error saving location:', error);
+      alert('❌ Failed to save location: ' + error.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const inputClass = `w-full px-2 py-1 rounded border text-sm ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  const renderRow = (location, onChange, key) => (
+    <tr key={key}>
+      <td className="px-2 py-2">
+        <div className="flex items-center gap-1">
+          {location.is_default && <Star size={14} className="text-yellow-500 flex-shrink-0" />}
+          <input value={location.name} onChange={(e) => onChange('name', e.target.value)} placeholder="e.g. Kumasi Warehouse" className={inputClass} />
+        </div>
+      </td>
+      <td className="px-2 py-2 w-24">
+        <input value={location.code || ''} onChange={(e) => onChange('code', e.target.value)} placeholder="KSI" className={inputClass} />
+      </td>
+      <td className="px-2 py-2">
+        <select value={location.type} onChange={(e) => onChange('type', e.target.value)} className={inputClass}>
+          {LOCATION_TYPES.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+      </td>
+      <td className="px-2 py-2">
+        <input value={location.address || ''} onChange={(e) => onChange('address', e.target.value)} className={inputClass} />
+      </td>
+      <td className="px-2 py-2 text-center">
+        <input
+          type="checkbox"
+          checked={location.is_active !== false}
+          disabled={location.is_default}
+          onChange={(e) => onChange('is_active', e.target.checked)}
+        />
+      </td>
+      <td className="px-2 py-2">
+        <button
+          onClick={() => handleSave(location)}
+          disabled={savingId === (location.id || 'new')}
+          title={location.id ? 'Save' : 'Add location'}
+          className="p-1 rounded text-blue-600 hover:bg-blue-100 dark:hover:bg-blue-900 disabled:opacity-40"
+        >
+          {location.id ? <Save size={16} /> : <Plus size={16} />}
+        </button>
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold mb-1">Stock Locations</h3>
+        <p className={`text-sm mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          Warehouses and consignment sites. The default location (★) holds all stock not recorded at another location.
+        </p>
+
+        <table className="w-full text-sm">
+          <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+            <tr>
+              <th className="px-2 py-2 text-left font-medium">Name</th>
+              <th className="px-2 py-2 text-left font-medium">Code</th>
+              <th className="px-2 py-2 text-left font-medium">Type</th>
+              <th className="px-2 py-2 text-left font-medium">Address</th>
+              <th className="px-2 py-2 text-center font-medium">Active</th>
+              <th className="px-2 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className={darkMode ? 'divide-y divide-gray-700' : 'divide-y divide-gray-200'}>
+            {locations.map(location =>
+              renderRow(location, (field, value) => updateLocation(location.id, field, value), location.id)
+            )}
+            {renderRow(newLocation, (field, value) => setNewLocation(prev => ({ ...prev, [field]: value })), 'new')}
+          </tbody>
+        </table>
+        {locations.length === 0 && (
+          <p className={`text-xs mt-2 ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+            The first location you add becomes the default and takes all current stock.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LocationSettings;
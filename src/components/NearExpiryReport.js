@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Download, FileText, CalendarClock } from 'lucide-react';
+import {
+  EXPIRY_WINDOWS,
+  getSalesVelocity,
+  buildNearExpiryReport,
+  nearExpiryReportToCSV
+} from '../lib/expiry';
+import { generateNearExpiryReportPDFClient } from '../lib/clientPDF';
+
+/**
+ * NEAR-EXPIRY REPORT
+ * Expired batches and batches expiring within the window, with the value
+ * at risk and a suggested action for each.
+ */
+
+const NearExpiryReport = ({ darkMode, batches, products, windowDays, onWindowChange, onClose }) => {
+  const [velocity, setVelocity] = useState({});
+  const [loading, setLoading] = useState(true);
+  const asOfDate = new Date().toISOString().split('T')[0];
+
+  const productsById = useMemo(
+    () => Object.fromEntries(products.map(product => [product.id, product])),
+    [products]
+  );
+
+  // Only refetch sales when the set of products changes
+  const productKey = [...new Set(batches.map(batch => batch.product_id))].sort().join(',');
+
+  useEffect(() => {
+    getSalesVelocity(productKey ? productKey.split(',') : [])
+      .then(setVelocity)
+      .catch(error => {
+        console.error('Error loading sales velocity:', error);
+        alert('❌ Could not load recent sales; suggestions assume no sales');
+      })
+      .finally(() => setLoading(false));
+  }, [productKey]);
+
+  const report = useMemo(
+    () => buildNearExpiryReport(batches, productsById, velocity, windowDays, asOfDate),
+    [batches, productsById, velocity, windowDays, asOfDate]
+  );
+
+  const exportToCSV = () => {
+    const blob = new Blob([nearExpiryReportToCSV(report)], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `near-expiry-${windowDays}d-${asOfDate}.csv`;
+    a.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const exportToPDF = () => {
+    generateNearExpiryReportPDFClient(report, { windowDays, asOfDate });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`max-w-6xl w-full rounded-xl shadow-2xl max-h-[90vh] overflow-y-auto ${
+        darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+      }`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${
+          darkMode ? 'border-gray-700' : 'border-gray-200'
+        }`}>
+          <div>
+            <h2 className="text-2xl font-bold flex items-center gap-2">
+              <CalendarClock size={24} />
+              Near-Expiry Stock
+            </h2>
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              ₵{report.totals.total.toFixed(2)} at risk across {report.rows.length} batch{report.rows.length !== 1 ? 'es' : ''}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg transition-colors ${
+              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+            }`}
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {/* Controls */}
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+            <div className="flex gap-2">
+              {EXPIRY_WINDOWS.map(days => (
+                <button
+                  key={days}
+                  onClick={() => onWindowChange(days)}
+                  className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                    windowDays === days
+                      ? 'bg-blue-600 text-white'
+                      : darkMode
+                      ? 'bg-gray-700 hover:bg-gray-600'
+                      : 'bg-gray-200 hover:bg-gray-300'
+                  }`}
+                >
+                  {days} days
+                </button>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={exportToCSV}
+                disabled={report.rows.length === 0}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white disabled:bg-gray-500"
+              >
+                <Download size={16} />
+                CSV
+              </button>
+              <button
+                onClick={exportToPDF}
+                disabled={report.rows.length === 0}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:bg-gray-500"
+              >
+                <FileText size={16} />
+                PDF
+              </button>
+            </div>
+          </div>
+
+          {/* Totals */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className={`p-4 rounded-lg border-l-4 border-red-600 ${darkMode ? 'bg-red-900 bg-opacity-20' : 'bg-red-50'}`}>
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Expired</p>
+              <p className="text-2xl font-bold">₵{report.totals.expired.toFixed(2)}</p>
+            </div>
+            <div className={`p-4 rounded-lg border-l-4 border-orange-600 ${darkMode ? 'bg-orange-900 bg-opacity-20' : 'bg-orange-50'}`}>
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>At risk in next {windowDays} days</p>
+              <p className="text-2xl font-bold">₵{report.totals.expiringSoon.toFixed(2)}</p>
+            </div>
+            <div className={`p-4 rounded-lg border-l-4 border-blue-600 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Total value at risk</p>
+              <p className="text-2xl font-bold">₵{report.totals.total.toFixed(2)}</p>
+            </div>
+          </div>
+
+          {/* Batches */}
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+            </div>
+          ) : report.rows.length === 0 ? (
+            <p className={`text-center py-12 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              No batches are expired or expire in the next {windowDays} days.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                  <tr>
+                    <th className="px-4 py-3 text-left">Product</th>
+                    <th className="px-4 py-3 text-left">Batch</th>
+                    <th className="px-4 py-3 text-left">Expiry</th>
+                    <th className="px-4 py-3 text-right">Units</th>
+                    <th className="px-4 py-3 text-right">Value at Risk</th>
+                    <th className="px-4 py-3 text-left">Suggested Action</th>
+                  </tr>
+                </thead>
+                <tbody className={darkMode ? 'divide-y divide-gray-700' : 'divide-y divide-gray-200'}>
+                  {report.rows.map(row => (
+                    <tr key={row.key}>
+                      <td className="px-4 py-3">
+                        <p className="font-medium">{row.productName}</p>
+                        <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>{row.sku}</p>
+                      </td>
+                      <td className="px-4 py-3">{row.batchNumber}</td>
+                      <td className="px-4 py-3">
+                        <p>{new Date(row.expiryDate).toLocaleDateString()}</p>
+                        <p className={`text-xs font-medium ${
+                          row.expired ? 'text-red-600' : row.daysLeft <= 30 ? 'text-orange-600' : 'text-yellow-600'
+                        }`}>
+                          {row.expired ? 'Expired' : `${row.daysLeft} days left`}
+                        </p>
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        {row.units.toLocaleString()}
+                        {!row.expired && row.unsoldUnits > 0 && (
+                          <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                            {row.unsoldUnits.toLocaleString()} unlikely to sell
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-right font-semibold">₵{row.valueAtRisk.toFixed(2)}</td>
+                      <td className="px-4 py-3">
+                        <ul className="list-disc list-inside space-y-1">
+                          {row.suggestions.map(suggestion => (
+                            <li key={suggestion}>{suggestion}</li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NearExpiryReport;
@@ -0,0 +1,353 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Trash2, Save, Edit, Tag } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import {
+  PRICE_LIST_SCOPES,
+  PRICE_LIST_CUSTOMER_TYPES,
+  getPriceLists,
+  savePriceList,
+  deletePriceList
+} from '../lib/priceLists';
+
+/**
+ * PRICE LIST SETTINGS
+ * Admin editor for the default, customer-type and customer price
+ * lists, including quantity breaks (a price from N boxes up).
+ */
+
+const emptyItem = () => ({ product_id: '', product_name: '', min_boxes: 0, unit_price: '' });
+
+const PriceListSettings = ({ darkMode, user }) => {
+  const [priceLists, setPriceLists] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [editing, setEditing] = useState(null); // list being edited, or {} for new
+  const [items, setItems] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const loadPriceLists = useCallback(async () => {
+    try {
+      setPriceLists(await getPriceLists());
+    } catch (error) {
+      console.error('Error loading price lists:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      const [{ data: productData }, { data: customerData }] = await Promise.all([
+        supabase
+          .from('products')
+          .select('id, product_name, product_code, selling_price, unit_price')
+          .eq('is_active', true)
+          .order('product_name'),
+        supabase
+          .from('customers')
+          .select('id, name, customer_type')
+          .eq('is_active', true)
+          .order('name')
+      ]);
+      setProducts(productData || []);
+      setCustomers(customerData || []);
+    };
+    loadPriceLists();
+    loadOptions();
+  }, [loadPriceLists]);
+
+  const startEditing = (list) => {
+    setEditing(list || { name: '', scope: 'customer', customer_type: 'Facility', customer_id: '', is_active: true });
+    setItems(list?.price_list_items?.length
+      ? [...list.price_list_items].sort((a, b) =>
+          a.product_name.localeCompare(b.product_name) || a.min_boxes - b.min_boxes)
+      : [emptyItem()]);
+  };
+
+  const updateItem = (index, field, value) => {
+    setItems(prev => prev.map((item, i) => {
+      if (i !== index) return item;
+      const updated = { ...item, [field]: value };
+      if (field === 'product_id') {
+        const product = products.find(p => p.id === value);
+        updated.product_name = product?.product_name || '';
+        if (product && updated.unit_price === '') {
+          updated.unit_price = product.selling_price || product.unit_price || 0;
+        }
+      }
+      return updated;
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const customer = customers.find(c => c.id === editing.customer_id);
+      await savePriceList(
+        { ...editing, customer_name: customer?.name },
+        items,
+        { id: user?.id, full_name: user?.profile?.full_name }
+      );
+      alert('✅ Price list saved! New sales will use these prices.');
+      setEditing(null);
+      loadPriceLists();
+    } catch (error) {
+      console.error('Error saving price list:', error);
+      alert('❌ Failed to save price list: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (list) => {
+    if (!window.confirm(`Delete the price list "${list.name}"? Invoices already issued keep their prices.`)) return;
+    try {
+      await deletePriceList(list.id);
+      loadPriceLists();
+    } catch (error) {
+      console.error('Error deleting price list:', error);
+      alert('❌ Failed to delete price list: ' + error.message);
+    }
+  };
+
+  const appliesTo = (list) =>
+    list.scope === 'default' ? 'Everyone'
+      : list.scope === 'customer_type' ? `${list.customer_type} customers`
+      : list.customer_name;
+
+  const inputClass = `w-full px-2 py-1 rounded border text-sm ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  if (editing) {
+    return (
+      <div className="space-y-4">
+        <h3 className="text-lg font-semibold">{editing.id ? 'Edit' : 'New'} Price List</h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-1">Name *</label>
+            <input
+              value={editing.name}
+              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              placeholder="e.g. Korle Bu contract 2026"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Applies To *</label>
+            <select
+              value={editing.scope}
+              onChange={(e) => setEditing({ ...editing, scope: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(PRICE_LIST_SCOPES).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {editing.scope === 'customer_type' && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Customer Type *</label>
+              <select
+                value={editing.customer_type || ''}
+                onChange={(e) => setEditing({ ...editing, customer_type: e.target.value })}
+                className={inputClass}
+              >
+                {PRICE_LIST_CUSTOMER_TYPES.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {editing.scope === 'customer' && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Customer *</label>
+              <select
+                value={editing.customer_id || ''}
+                onChange={(e) => setEditing({ ...editing, customer_id: e.target.value })}
+                className={inputClass}
+              >
+                <option value="">Select customer...</option>
+                {customers.map(customer => (
+                  <option key={customer.id} value={customer.id}>{customer.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        <label className="flex items-center gap-2 text-sm cursor-pointer">
+          <input
+            type="checkbox"
+            checked={editing.is_active !== false}
+            onChange={(e) => setEditing({ ...editing, is_active: e.target.checked })}
+          />
+          Active
+        </label>
+
+        <div>
+          <p className={`text-sm mb-2 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            Prices are per unit. Add a second row for the same product with a higher "From Boxes" for a volume price.
+          </p>
+          <table className="w-full text-sm">
+            <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+              <tr>
+                <th className="px-2 py-2 text-left font-medium">Product</th>
+                <th className="px-2 py-2 text-left font-medium w-28">From Boxes</th>
+                <th className="px-2 py-2 text-left font-medium w-32">Price/Unit (₵)</th>
+                <th className="px-2 py-2 text-right font-medium w-28">Standard</th>
+                <th className="px-2 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className={darkMode ? 'divide-y divide-gray-700' : 'divide-y divide-gray-200'}>
+              {items.map((item, index) => {
+                const product = products.find(p => p.id === item.product_id);
+                return (
+                  <tr key={index}>
+                    <td className="px-2 py-2">
+                      <select
+                        value={item.product_id}
+                        onChange={(e) => updateItem(index, 'product_id', e.target.value)}
+                        className={inputClass}
+                      >
+                        <option value="">Select product...</option>
+                        {products.map(p => (
+                          <option key={p.id} value={p.id}>{p.product_name}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-2 py-2">
+                      <input
+                        type="number"
+                        min="0"
+                        value={item.min_boxes}
+                        onChange={(e) => updateItem(index, 'min_boxes', e.target.value)}
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="px-2 py-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={item.unit_price}
+                        onChange={(e) => updateItem(index, 'unit_price', e.target.value)}
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className={`px-2 py-2 text-right ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      {product ? `₵${Number(product.selling_price || product.unit_price || 0).toFixed(2)}` : '—'}
+                    </td>
+                    <td className="px-2 py-2">
+                      <button
+                        onClick={() => setItems(prev => prev.filter((_, i) => i !== index))}
+                        title="Remove"
+                        className="p-1 rounded text-red-600 hover:bg-red-100 dark:hover:bg-red-900"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-between">
+          <button
+            onClick={() => setItems(prev => [...prev, emptyItem()])}
+            className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm ${
+              darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+            }`}
+          >
+            <Plus size={16} /> Add Price
+          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setEditing(null)}
+              className={`px-4 py-2 rounded-lg text-sm ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+              }`}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm text-white ${
+                saving ? 'bg-gray-500 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              <Save size={16} /> {saving ? 'Saving...' : 'Save Price List'}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="text-lg font-semibold mb-1">Price Lists</h3>
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            A sale uses the customer's own list first, then their customer type's list, then the default list,
+            then the product's standard price.
+          </p>
+        </div>
+        <button
+          onClick={() => startEditing(null)}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm bg-blue-600 hover:bg-blue-700 text-white whitespace-nowrap"
+        >
+          <Plus size={16} /> New Price List
+        </button>
+      </div>
+
+      {priceLists.length === 0 ? (
+        <div className={`text-center py-8 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          <Tag size={32} className="mx-auto mb-2 opacity-50" />
+          No price lists yet. Every sale uses the product's standard price.
+        </div>
+      ) : (
+        <div className={`rounded-lg border divide-y ${darkMode ? 'border-gray-700 divide-gray-700' : 'border-gray-200 divide-gray-200'}`}>
+          {priceLists.map(list => (
+            <div key={list.id} className="flex items-center justify-between px-4 py-3">
+              <div>
+                <div className="font-medium flex items-center gap-2">
+                  {list.name}
+                  {!list.is_active && (
+                    <span className="px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-800">Inactive</span>
+                  )}
+                </div>
+                <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  {PRICE_LIST_SCOPES[list.scope].label} • {appliesTo(list)} • {list.price_list_items?.length || 0} price{list.price_list_items?.length !== 1 ? 's' : ''}
+                </div>
+              </div>
+              <div className="flex gap-1">
+                <button
+                  onClick={() => startEditing(list)}
+                  title="Edit"
+                  className="p-2 rounded hover:bg-blue-100 dark:hover:bg-blue-900"
+                >
+                  <Edit size={16} className="text-blue-600" />
+                </button>
+                <button
+                  onClick={() => handleDelete(list)}
+                  title="Delete"
+                  className="p-2 rounded hover:bg-red-100 dark:hover:bg-red-900"
+                >
+                  <Trash2 size={16} className="text-red-600" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceListSettings;
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import { X, Plus, Trash2, Save } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { queryCache } from '../lib/queryCache';
+import { PROMOTION_TYPES, savePromotion } from '../lib/promotions';
+
+/**
+ * PROMOTION MODAL
+ * Create or edit a promotion: what it offers, on which products and
+ * between which dates.
+ */
+
+const emptyBundleItem = () => ({ product_id: '', product_name: '', units: 1 });
+
+const PromotionModal = ({ darkMode, promotion, currentUser, onClose, onSaved }) => {
+  const [products, setProducts] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(() => ({
+    name: '',
+    type: 'percent_off',
+    product_id: '',
+    product_name: '',
+    percent: '',
+    min_units: 0,
+    buy_units: '',
+    free_units: '',
+    bundle_price: '',
+    start_date: new Date().toISOString().split('T')[0],
+    end_date: '',
+    is_active: true,
+    ...Object.fromEntries(Object.entries(promotion || {}).filter(([, value]) => value !== null)),
+    bundle_items: promotion?.bundle_items?.length ? promotion.bundle_items : [emptyBundleItem(), emptyBundleItem()]
+  }));
+
+  useEffect(() => {
+    const loadProducts = async () => {
+      const cacheKey = 'products_dropdown';
+      if (queryCache.isValid(cacheKey, 600000)) {
+        setProducts(queryCache.get(cacheKey));
+        return;
+      }
+      const { data } = await supabase
+        .from('products')
+        .select('*')
+        .eq('is_active', true)
+        .order('product_name');
+      setProducts(data || []);
+      queryCache.set(cacheKey, data || [], 600000);
+    };
+    loadProducts();
+  }, []);
+
+  const productName = (productId) => products.find(p => p.id === productId)?.product_name || '';
+
+  const updateBundleItem = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      bundle_items: prev.bundle_items.map((item, i) => {
+        if (i !== index) return item;
+        const updated = { ...item, [field]: value };
+        if (field === 'product_id') updated.product_name = productName(value);
+        return updated;
+      })
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const saved = await savePromotion(form, currentUser);
+      alert('✅ Promotion saved!');
+      if (onSaved) onSaved(saved);
+    } catch (error) {
+      console.error('Error saving promotion:', error);
+      alert('❌ ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`max-w-2xl w-full max-h-[90vh] overflow-y-auto rounded-xl shadow-2xl ${
+        darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+      }`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${
+          darkMode ? 'border-gray-700' : 'border-gray-200'
+        }`}>
+          <h2 className="text-2xl font-bold">{promotion?.id ? 'Edit' : 'New'} Promotion</h2>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg transition-colors ${
+              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+            }`}
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Name *</label>
+              <input
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                required
+                placeholder="e.g. Gloves December offer"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Type *</label>
+              <select
+                value={form.type}
+                onChange={(e) => setForm({ ...form, type: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(PROMOTION_TYPES).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {form.type !== 'bundle_price' && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Product *</label>
+              <select
+                value={form.product_id}
+                onChange={(e) => setForm({ ...form, product_id: e.target.value, product_name: productName(e.target.value) })}
+                className={inputClass}
+              >
+                <option value="">Select product...</option>
+                {products.map(product => (
+                  <option key={product.id} value={product.id}>{product.product_name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {form.type === 'percent_off' && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Percent Off *</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.1"
+                  value={form.percent}
+                  onChange={(e) => setForm({ ...form, percent: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">From Units</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.min_units}
+                  onChange={(e) => setForm({ ...form, min_units: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          )}
+
+          {form.type === 'buy_x_get_y' && (
+            <>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Buy (units) *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.buy_units}
+                    onChange={(e) => setForm({ ...form, buy_units: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Get Free (units) *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.free_units}
+                    onChange={(e) => setForm({ ...form, free_units: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                The free units are part of the quantity on the invoice: with buy 10 get 1, an order of 11 units is charged for 10.
+              </p>
+            </>
+          )}
+
+          {form.type === 'bundle_price' && (
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <label className="block text-sm font-medium">Bundle Contents *</label>
+                <button
+                  type="button"
+                  onClick={() => setForm({ ...form, bundle_items: [...form.bundle_items, emptyBundleItem()] })}
+                  className="flex items-center gap-1 text-sm text-blue-600 hover:underline"
+                >
+                  <Plus size={14} /> Add Product
+                </button>
+              </div>
+              <div className="space-y-2">
+                {form.bundle_items.map((item, index) => (
+                  <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                    <select
+                      value={item.product_id}
+                      onChange={(e) => updateBundleItem(index, 'product_id', e.target.value)}
+                      className={`${inputClass} col-span-8`}
+                    >
+                      <option value="">Select product...</option>
+                      {products.map(product => (
+                        <option key={product.id} value={product.id}>{product.product_name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="1"
+                      value={item.units}
+                      onChange={(e) => updateBundleItem(index, 'units', e.target.value)}
+                      title="Units"
+                      className={`${inputClass} col-span-3`}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setForm({ ...form, bundle_items: form.bundle_items.filter((_, i) => i !== index) })}
+                      disabled={form.bundle_items.length <= 2}
+                      className="col-span-1 p-2 rounded hover:bg-red-100 dark:hover:bg-red-900 disabled:opacity-40"
+                      title="Remove"
+                    >
+                      <Trash2 size={16} className="text-red-600" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="mt-3 w-1/2">
+                <label className="block text-sm font-medium mb-1">Bundle Price (₵) *</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.bundle_price}
+                  onChange={(e) => setForm({ ...form, bundle_price: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Starts</label>
+              <input
+                type="date"
+                value={form.start_date || ''}
+                onChange={(e) => setForm({ ...form, start_date: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Ends</label>
+              <input
+                type="date"
+                value={form.end_date || ''}
+                onChange={(e) => setForm({ ...form, end_date: e.target.value })}
+                min={form.start_date}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={form.is_active}
+              onChange={() => setForm({ ...form, is_active: !form.is_active })}
+            />
+            Active
+          </label>
+
+          <div className="flex gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+              }`}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg font-medium text-white transition-colors ${
+                saving ? 'bg-gray-500 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              <Save size={18} />
+              {saving ? 'Saving...' : 'Save Promotion'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PromotionModal;
@@ -0,0 +1,370 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Tag, Plus, Edit, Pause, Play, Save, RefreshCw } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import {
+  getPromotions,
+  setPromotionActive,
+  describePromotion,
+  isPromotionLive,
+  getDiscountLimits,
+  saveDiscountLimits,
+  getDiscountAnalytics,
+  DEFAULT_DISCOUNT_LIMITS
+} from '../lib/promotions';
+import PromotionModal from './PromotionModal';
+
+/**
+ * PROMOTIONS
+ * Promotion rules applied automatically in SalesEntry, the maximum
+ * manual discount per role, and how much discount each rep and each
+ * promotion has given away.
+ */
+
+const ROLE_LABELS = { sales_rep: 'Sales Rep', manager: 'Manager', admin: 'Admin' };
+
+const Promotions = ({ darkMode }) => {
+  const today = new Date().toISOString().split('T')[0];
+  const [promotions, setPromotions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [editing, setEditing] = useState(null); // promotion, or {} for new
+  const [limits, setLimits] = useState(DEFAULT_DISCOUNT_LIMITS);
+  const [savingLimits, setSavingLimits] = useState(false);
+  const [range, setRange] = useState({ startDate: `${today.slice(0, 8)}01`, endDate: today });
+  const [analytics, setAnalytics] = useState(null);
+  const [loadingAnalytics, setLoadingAnalytics] = useState(false);
+
+  const canManage = currentUser?.role === 'admin' || currentUser?.role === 'manager';
+  const isAdmin = currentUser?.role === 'admin';
+
+  const loadPromotions = useCallback(async () => {
+    setLoading(true);
+    try {
+      setPromotions(await getPromotions());
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    const getCurrentUser = async () => {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (user) {
+        const { data: profile } = await supabase
+          .from('user_profiles')
+          .select('id, full_name, role')
+          .eq('id', user.id)
+          .single();
+        setCurrentUser(profile);
+      }
+    };
+    getCurrentUser();
+    loadPromotions();
+    getDiscountLimits().then(setLimits);
+  }, [loadPromotions]);
+
+  const loadAnalytics = useCallback(async () => {
+    setLoadingAnalytics(true);
+    try {
+      setAnalytics(await getDiscountAnalytics(range.startDate, range.endDate));
+    } catch (error) {
+      console.error('Error loading discount analytics:', error);
+      alert('❌ Failed to load discount analytics: ' + error.message);
+    } finally {
+      setLoadingAnalytics(false);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    if (canManage) loadAnalytics();
+  }, [canManage, loadAnalytics]);
+
+  const handleToggleActive = async (promotion) => {
+    try {
+      await setPromotionActive(promotion.id, !promotion.is_active);
+      loadPromotions();
+    } catch (error) {
+      console.error('Error updating promotion:', error);
+      alert('❌ ' + error.message);
+    }
+  };
+
+  const handleSaveLimits = async () => {
+    setSavingLimits(true);
+    try {
+      setLimits(await saveDiscountLimits(limits, currentUser));
+      alert('✅ Discount limits saved!');
+    } catch (error) {
+      console.error('Error saving discount limits:', error);
+      alert('❌ Failed to save discount limits: ' + error.message);
+    } finally {
+      setSavingLimits(false);
+    }
+  };
+
+  const statusBadge = (promotion) => {
+    if (!promotion.is_active) return { label: 'Off', classes: 'bg-gray-100 text-gray-800' };
+    if (isPromotionLive(promotion, today)) return { label: 'Live', classes: 'bg-green-100 text-green-800' };
+    return promotion.start_date > today
+      ? { label: 'Scheduled', classes: 'bg-blue-100 text-blue-800' }
+      : { label: 'Ended', classes: 'bg-gray-100 text-gray-800' };
+  };
+
+  const cardClass = `rounded-xl overflow-hidden ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`;
+  const inputClass = `px-3 py-2 rounded-lg border text-sm ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+  const money = (value) => `₵${Number(value || 0).toFixed(2)}`;
+
+  return (
+    <div className={`max-w-7xl mx-auto p-4 md:p-6 space-y-6 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+      {/* Header */}
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h2 className="text-2xl md:text-3xl font-bold flex items-center gap-2">
+            <Tag size={24} /> Promotions & Discounts
+          </h2>
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            Live promotions are applied to new sales automatically
+          </p>
+        </div>
+        {canManage && (
+          <button
+            onClick={() => setEditing({})}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            <Plus size={16} /> New Promotion
+          </button>
+        )}
+      </div>
+
+      {/* Promotions */}
+      <div className={cardClass}>
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        ) : promotions.length === 0 ? (
+          <div className={`text-center py-12 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            <Tag size={40} className="mx-auto mb-3 opacity-50" />
+            No promotions yet
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Promotion</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Offer</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Runs</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Status</th>
+                  {canManage && <th className="px-4 py-3 text-center text-xs font-medium">Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {promotions.map(promotion => {
+                  const badge = statusBadge(promotion);
+                  return (
+                    <tr key={promotion.id} className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                      <td className="px-4 py-3 font-medium">{promotion.name}</td>
+                      <td className="px-4 py-3">{describePromotion(promotion)}</td>
+                      <td className="px-4 py-3">
+                        {promotion.start_date ? new Date(promotion.start_date).toLocaleDateString() : 'Any time'}
+                        {' – '}
+                        {promotion.end_date ? new Date(promotion.end_date).toLocaleDateString() : 'no end'}
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={`px-2 py-1 rounded text-xs font-semibold ${badge.classes}`}>{badge.label}</span>
+                      </td>
+                      {canManage && (
+                        <td className="px-4 py-3">
+                          <div className="flex items-center justify-center gap-2">
+                            <button
+                              onClick={() => setEditing(promotion)}
+                              className="p-2 hover:bg-blue-100 dark:hover:bg-blue-900 rounded"
+                              title="Edit"
+                            >
+                              <Edit size={16} className="text-blue-600" />
+                            </button>
+                            <button
+                              onClick={() => handleToggleActive(promotion)}
+                              className="p-2 hover:bg-yellow-100 dark:hover:bg-yellow-900 rounded"
+                              title={promotion.is_active ? 'Switch off' : 'Switch on'}
+                            >
+                              {promotion.is_active
+                                ? <Pause size={16} className="text-yellow-600" />
+                                : <Play size={16} className="text-green-600" />}
+                            </button>
+                          </div>
+                        </td>
+                      )}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Discount limits */}
+      <div className={`${cardClass} p-6`}>
+        <h3 className="text-lg font-semibold mb-1">Maximum Manual Discount</h3>
+        <p className={`text-sm mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          The overall discount plus any price typed below the list price, as a % of the sale after promotions.
+          Above this a manager whose limit covers it must approve the invoice.
+        </p>
+        <div className="flex flex-wrap items-end gap-4">
+          {Object.keys(DEFAULT_DISCOUNT_LIMITS).map(role => (
+            <div key={role}>
+              <label className="block text-sm font-medium mb-1">{ROLE_LABELS[role]} (%)</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.5"
+                value={limits[role] ?? ''}
+                onChange={(e) => setLimits({ ...limits, [role]: e.target.value })}
+                disabled={!isAdmin}
+                className={`${inputClass} w-32`}
+              />
+            </div>
+          ))}
+          {isAdmin && (
+            <button
+              onClick={handleSaveLimits}
+              disabled={savingLimits}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm text-white ${
+                savingLimits ? 'bg-gray-500 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              <Save size={16} /> {savingLimits ? 'Saving...' : 'Save Limits'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Discount analytics */}
+      {canManage && (
+        <div className={`${cardClass} p-6`}>
+          <div className="flex flex-wrap justify-between items-end gap-3 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold">Discount Given</h3>
+              {analytics && (
+                <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  {money(analytics.totals.total)} on {money(analytics.totals.sales)} of sales
+                  ({analytics.totals.percent.toFixed(1)}%) • {analytics.totals.approvals} approved above limit
+                </p>
+              )}
+            </div>
+            <div className="flex items-end gap-2">
+              <div>
+                <label className="block text-xs font-medium mb-1">From</label>
+                <input
+                  type="date"
+                  value={range.startDate}
+                  onChange={(e) => setRange({ ...range, startDate: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium mb-1">To</label>
+                <input
+                  type="date"
+                  value={range.endDate}
+                  onChange={(e) => setRange({ ...range, endDate: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <button
+                onClick={loadAnalytics}
+                className={`p-2 rounded-lg ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                title="Refresh"
+              >
+                <RefreshCw size={18} className={loadingAnalytics ? 'animate-spin' : ''} />
+              </button>
+            </div>
+          </div>
+
+          {analytics && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div>
+                <h4 className="font-medium mb-2">By Rep</h4>
+                <table className="w-full text-sm">
+                  <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium">Rep</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium">Promotions</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium">Manual</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium">% of Sales</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium">Approvals</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analytics.byRep.map(rep => (
+                      <tr key={rep.name} className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                        <td className="px-3 py-2">{rep.name}</td>
+                        <td className="px-3 py-2 text-right">{money(rep.promotion)}</td>
+                        <td className="px-3 py-2 text-right">{money(rep.manual)}</td>
+                        <td className="px-3 py-2 text-right">{rep.percent.toFixed(1)}%</td>
+                        <td className="px-3 py-2 text-right">{rep.approvals}</td>
+                      </tr>
+                    ))}
+                    {analytics.byRep.length === 0 && (
+                      <tr><td colSpan={5} className="px-3 py-4 text-center opacity-75">No invoices in this period</td></tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              <div>
+                <h4 className="font-medium mb-2">By Promotion</h4>
+                <table className="w-full text-sm">
+                  <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium">Promotion</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium">Invoices</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium">Sales</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium">Discount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analytics.byPromotion.map(entry => (
+                      <tr key={entry.id} className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                        <td className="px-3 py-2">{entry.name}</td>
+                        <td className="px-3 py-2 text-right">{entry.invoices}</td>
+                        <td className="px-3 py-2 text-right">{money(entry.sales)}</td>
+                        <td className="px-3 py-2 text-right">{money(entry.discount)}</td>
+                      </tr>
+                    ))}
+                    {analytics.byPromotion.length === 0 && (
+                      <tr><td colSpan={4} className="px-3 py-4 text-center opacity-75">No promotions used in this period</td></tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Editor */}
+      {editing && (
+        <PromotionModal
+          darkMode={darkMode}
+          promotion={editing.id ? editing : null}
+          currentUser={currentUser}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            loadPromotions();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Promotions;
@@ -0,0 +1,258 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Download, Search, ArrowRightCircle } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { getQuotes, convertQuoteToInvoice, quoteStatus, QUOTE_STATUSES } from '../lib/quotes';
+import { generateQuotePDFClient } from '../lib/clientPDF';
+import { CreditLimitError } from '../lib/creditControl';
+import CreditOverrideModal from './CreditOverrideModal';
+
+/**
+ * QUOTE LIST COMPONENT
+ * Pro-forma quotes with their expiry, PDF download and one-click
+ * conversion to a real invoice. A Credit quote over the customer's
+ * credit limit needs a manager's override before it converts.
+ */
+
+const statusClasses = (status) => {
+  if (status === QUOTE_STATUSES.CONVERTED) return 'bg-green-100 text-green-800';
+  if (status === QUOTE_STATUSES.EXPIRED) return 'bg-gray-100 text-gray-800';
+  return 'bg-blue-100 text-blue-800';
+};
+
+const QuoteList = ({ darkMode, onInvoiceCreated }) => {
+  const [quotes, setQuotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filterStatus, setFilterStatus] = useState('All');
+  const [currentUser, setCurrentUser] = useState(null);
+  const [convertingId, setConvertingId] = useState(null);
+  const [creditCheck, setCreditCheck] = useState(null);
+
+  useEffect(() => {
+    loadQuotes();
+    getCurrentUser();
+  }, []);
+
+  const getCurrentUser = async () => {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (user) {
+      const { data: profile } = await supabase
+        .from('user_profiles')
+        .select('*')
+        .eq('id', user.id)
+        .single();
+      setCurrentUser(profile);
+    }
+  };
+
+  const loadQuotes = async () => {
+    setLoading(true);
+    try {
+      setQuotes(await getQuotes());
+    } catch (error) {
+      console.error('Error loading quotes:', error);
+      alert('Failed to load quotes: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConvert = async (quote) => {
+    if (!window.confirm(
+      `Convert ${quote.quote_number} to an invoice for ${quote.customer_name}?\n\n` +
+      `₵${Number(quote.total_amount).toFixed(2)} will be invoiced today and stock will be deducted.`
+    )) {
+      return;
+    }
+    await convertQuote(quote);
+  };
+
+  const convertQuote = async (quote, creditOverride = null) => {
+    setConvertingId(quote.id);
+    try {
+      const invoice = await convertQuoteToInvoice(quote, currentUser, { creditOverride });
+      alert(`✅ Invoice ${invoice.invoice_number} created from ${quote.quote_number}`);
+      await loadQuotes();
+      if (onInvoiceCreated) {
+        onInvoiceCreated(invoice);
+      }
+    } catch (error) {
+      if (error instanceof CreditLimitError) {
+        setCreditCheck({ quote, position: error.position });
+        return;
+      }
+      console.error('Error converting quote:', error);
+      alert('❌ Failed to convert quote: ' + error.message);
+    } finally {
+      setConvertingId(null);
+    }
+  };
+
+  const filteredQuotes = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return quotes.filter(quote => {
+      const matchesSearch = !term ||
+        quote.quote_number?.toLowerCase().includes(term) ||
+        quote.customer_name?.toLowerCase().includes(term);
+      const matchesStatus = filterStatus === 'All' || quoteStatus(quote) === filterStatus;
+      return matchesSearch && matchesStatus;
+    });
+  }, [quotes, searchTerm, filterStatus]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`max-w-7xl mx-auto p-4 md:p-6 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+      {/* Header */}
+      <div className="mb-6">
+        <h2 className="text-2xl md:text-3xl font-bold mb-2">Quotes</h2>
+        <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          {filteredQuotes.length} quote{filteredQuotes.length !== 1 ? 's' : ''}
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className={`p-6 rounded-xl mb-6 ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium mb-2">Search</label>
+            <div className="relative">
+              <Search size={18} className={`absolute left-3 top-1/2 transform -translate-y-1/2 ${
+                darkMode ? 'text-gray-500' : 'text-gray-400'
+              }`} />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="Quote # or Customer..."
+                className={`w-full pl-10 pr-4 py-2 rounded-lg border ${
+                  darkMode
+                    ? 'bg-gray-700 border-gray-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                }`}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">Status</label>
+            <select
+              value={filterStatus}
+              onChange={(e) => setFilterStatus(e.target.value)}
+              className={`w-full px-4 py-2 rounded-lg border ${
+                darkMode
+                  ? 'bg-gray-700 border-gray-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-900'
+              }`}
+            >
+              <option value="All">All Statuses</option>
+              {Object.values(QUOTE_STATUSES).map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Quote Table */}
+      <div className={`rounded-xl overflow-hidden ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium">Quote #</th>
+                <th className="px-4 py-3 text-left text-xs font-medium">Date</th>
+                <th className="px-4 py-3 text-left text-xs font-medium">Valid Until</th>
+                <th className="px-4 py-3 text-left text-xs font-medium">Customer</th>
+                <th className="px-4 py-3 text-right text-xs font-medium">Amount</th>
+                <th className="px-4 py-3 text-left text-xs font-medium">Status</th>
+                <th className="px-4 py-3 text-center text-xs font-medium">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredQuotes.map(quote => {
+                const status = quoteStatus(quote);
+                return (
+                  <tr
+                    key={quote.id}
+                    className={`border-b ${darkMode ? 'border-gray-700 hover:bg-gray-750' : 'border-gray-200 hover:bg-gray-50'}`}
+                  >
+                    <td className="px-4 py-3 text-sm font-medium">{quote.quote_number}</td>
+                    <td className="px-4 py-3 text-sm">{new Date(quote.quote_date).toLocaleDateString()}</td>
+                    <td className="px-4 py-3 text-sm">{new Date(quote.expiry_date).toLocaleDateString()}</td>
+                    <td className="px-4 py-3 text-sm">{quote.customer_name}</td>
+                    <td className="px-4 py-3 text-sm text-right font-semibold">
+                      ₵{Number(quote.total_amount).toFixed(2)}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`px-2 py-1 rounded text-xs font-semibold ${statusClasses(status)}`}>
+                        {status}
+                      </span>
+                      {quote.converted_invoice_number && (
+                        <div className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          → {quote.converted_invoice_number}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <div className="flex items-center justify-center gap-2">
+                        <button
+                          onClick={() => generateQuotePDFClient(quote)}
+                          className="p-2 hover:bg-green-100 dark:hover:bg-green-900 rounded"
+                          title="Download PDF"
+                        >
+                          <Download size={16} className="text-green-600" />
+                        </button>
+                        {status === QUOTE_STATUSES.OPEN && (
+                          <button
+                            onClick={() => handleConvert(quote)}
+                            disabled={convertingId === quote.id}
+                            className="flex items-center gap-1 px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white text-xs disabled:bg-gray-500"
+                            title="Convert to invoice"
+                          >
+                            <ArrowRightCircle size={14} />
+                            {convertingId === quote.id ? 'Converting...' : 'Convert to Invoice'}
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {filteredQuotes.length === 0 && (
+          <div className="text-center py-12">
+            <p className={darkMode ? 'text-gray-400' : 'text-gray-600'}>No quotes found</p>
+          </div>
+        )}
+      </div>
+
+      {/* Credit Limit Override */}
+      {creditCheck && (
+        <CreditOverrideModal
+          darkMode={darkMode}
+          customer={{ id: creditCheck.quote.customer_id, name: creditCheck.quote.customer_name }}
+          position={creditCheck.position}
+          saleAmount={Number(creditCheck.quote.total_amount) || 0}
+          currentUser={currentUser}
+          onClose={() => setCreditCheck(null)}
+          onApproved={(override) => {
+            const { quote } = creditCheck;
+            setCreditCheck(null);
+            convertQuote(quote, override);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default QuoteList;
@@ -0,0 +1,590 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, ShieldAlert, Plus, Send, FileText, RefreshCw, PackageCheck, Lock } from 'lucide-react';
+import {
+  RECALL_STATUSES,
+  canManageRecalls,
+  getRecalls,
+  getBatchRecipients,
+  createRecall,
+  getRecallCustomers,
+  buildRecallNotice,
+  sendRecallNotice,
+  recordRecallReturn,
+  closeRecall,
+  recallProgress
+} from '../lib/recalls';
+import { getProductBatches, mergeBatchLocations, stockUnits } from '../lib/batches';
+import { generateRecallNoticePDFClient } from '../lib/clientPDF';
+
+/**
+ * RECALL MANAGER
+ * Open a recall on a product batch, see which customers received it,
+ * send them recall notices and count the units they send back.
+ */
+
+const RecallManager = ({ darkMode, products, currentUser, onClose, onChanged }) => {
+  const [recalls, setRecalls] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [customers, setCustomers] = useState(new Map());
+  const [busyItemId, setBusyItemId] = useState(null);
+
+  // New recall form
+  const [showNew, setShowNew] = useState(false);
+  const [productId, setProductId] = useState('');
+  const [productBatches, setProductBatches] = useState([]);
+  const [batchId, setBatchId] = useState('');
+  const [reason, setReason] = useState('');
+  const [recipients, setRecipients] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const canManage = canManageRecalls(currentUser);
+  const selected = recalls.find(recall => recall.id === selectedId) || null;
+  const selectedBatch = productBatches.find(batch => batch.id === batchId) || null;
+  const batchNumber = selectedBatch?.batch_number || '';
+
+  useEffect(() => {
+    getRecalls()
+      .then(data => {
+        setRecalls(data);
+        if (data.length > 0) setSelectedId(data[0].id);
+      })
+      .catch(error => {
+        console.error('Error loading recalls:', error);
+        alert('Failed to load recalls: ' + error.message);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Only refetch customers when the set of customers changes
+  const customerKey = [...new Set((selected?.recall_items || []).map(item => item.customer_id))].sort().join(',');
+
+  useEffect(() => {
+    getRecallCustomers(customerKey ? customerKey.split(',') : [])
+      .then(setCustomers)
+      .catch(error => console.error('Error loading recall customers:', error));
+  }, [customerKey]);
+
+  useEffect(() => {
+    setBatchId('');
+    setRecipients(null);
+    if (!productId) {
+      setProductBatches([]);
+      return;
+    }
+    // One entry per batch, whichever locations hold it
+    getProductBatches(productId)
+      .then(batches => setProductBatches(mergeBatchLocations(batches)))
+      .catch(error => {
+        console.error('Error loading batches:', error);
+        alert('❌ Failed to load batches: ' + error.message);
+      });
+  }, [productId]);
+
+  useEffect(() => {
+    setRecipients(null);
+    if (!batchNumber) return;
+    getBatchRecipients({ product_id: productId, batch_number: batchNumber })
+      .then(setRecipients)
+      .catch(error => {
+        console.error('Error tracing batch:', error);
+        alert('❌ Failed to find customers who received this batch: ' + error.message);
+      });
+  }, [productId, batchNumber]);
+
+  // Swap one recall item in state after it changes
+  const replaceItem = (item) => {
+    setRecalls(recalls.map(recall => recall.id !== item.recall_id ? recall : {
+      ...recall,
+      recall_items: recall.recall_items.map(existing => existing.id === item.id ? item : existing)
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!selectedBatch) {
+      alert('❌ Choose the batch to recall');
+      return;
+    }
+
+    const blocked = stockUnits(selectedBatch);
+    if (!window.confirm(
+      `Recall batch ${selectedBatch.batch_number}?\n\n` +
+      `${recipients?.length || 0} invoice line(s) will be recorded and the ` +
+      `${blocked} units still in stock will be blocked from sale.`
+    )) return;
+
+    setSaving(true);
+    try {
+      const recall = await createRecall({
+        product: products.find(product => product.id === productId),
+        batch: selectedBatch,
+        reason,
+        initiatedBy: currentUser
+      });
+      setRecalls([recall, ...recalls]);
+      setSelectedId(recall.id);
+      setShowNew(false);
+      setProductId('');
+      setReason('');
+      onChanged();
+      alert(`✅ Recall opened for batch ${recall.batch_number}. ${blocked} units blocked from sale.`);
+    } catch (error) {
+      console.error('Error opening recall:', error);
+      alert('❌ Failed to open recall: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSendNotice = async (item) => {
+    setBusyItemId(item.id);
+    try {
+      const { sent, failed } = await sendRecallNotice({
+        recall: selected,
+        item,
+        customer: customers.get(item.customer_id),
+        sentBy: currentUser
+      });
+      if (sent.length > 0) {
+        replaceItem({ ...item, notice_sent_at: new Date().toISOString() });
+        alert(`✅ Recall notice sent to ${item.customer_name} by ${sent.join(' and ')}` +
+          (failed.length > 0 ? `\n${failed.map(f => `${f.channel} failed: ${f.error}`).join('\n')}` : ''));
+      } else {
+        alert(`❌ Recall notice not delivered:\n${failed.map(f => `${f.channel}: ${f.error}`).join('\n')}`);
+      }
+    } catch (error) {
+      console.error('Error sending recall notice:', error);
+      alert('❌ Failed to send recall notice: ' + error.message);
+    } finally {
+      setBusyItemId(null);
+    }
+  };
+
+  const handleNotifyAll = async () => {
+    const pending = (selected.recall_items || []).filter(item => !item.notice_sent_at);
+    if (!window.confirm(`Send recall notices to ${pending.length} customer line(s)?`)) return;
+
+    let delivered = 0;
+    const problems = [];
+    const updated = [];
+    for (const item of pending) {
+      try {
+        const { sent, failed } = await sendRecallNotice({
+          recall: selected,
+          item,
+          customer: customers.get(item.customer_id),
+          sentBy: currentUser
+        });
+        if (sent.length > 0) {
+          delivered += 1;
+          updated.push(item.id);
+        } else {
+          problems.push(`${item.customer_name}: ${failed.map(f => f.error).join(', ')}`);
+        }
+      } catch (error) {
+        problems.push(`${item.customer_name}: ${error.message}`);
+      }
+    }
+
+    const sentAt = new Date().toISOString();
+    setRecalls(recalls.map(recall => recall.id !== selected.id ? recall : {
+      ...recall,
+      recall_items: recall.recall_items.map(item => updated.includes(item.id) ? { ...item, notice_sent_at: sentAt } : item)
+    }));
+    alert(`✅ ${delivered} of ${pending.length} recall notices sent` +
+      (problems.length > 0 ? `\n\n❌ Not delivered:\n${problems.join('\n')}` : ''));
+  };
+
+  const handleDownloadNotice = (item) => {
+    const notice = buildRecallNotice(selected, item, customers.get(item.customer_id));
+    generateRecallNoticePDFClient(selected, item, notice);
+  };
+
+  const handleRecordReturn = async (item) => {
+    const outstanding = item.units_received - (item.units_returned || 0);
+    const input = window.prompt(
+      `Units of batch ${selected.batch_number} returned by ${item.customer_name} (${outstanding} still out):`,
+      String(outstanding)
+    );
+    if (input === null) return;
+
+    setBusyItemId(item.id);
+    try {
+      replaceItem(await recordRecallReturn(item, input));
+    } catch (error) {
+      console.error('Error recording return:', error);
+      alert('❌ ' + error.message);
+    } finally {
+      setBusyItemId(null);
+    }
+  };
+
+  const handleClose = async () => {
+    const { outstanding } = recallProgress(selected);
+    if (!window.confirm(
+      `Close the recall for batch ${selected.batch_number}?` +
+      (outstanding > 0 ? `\n\n${outstanding} units have not been returned.` : '') +
+      '\n\nThe batch stays blocked from sale.'
+    )) return;
+
+    try {
+      const closed = await closeRecall(selected, currentUser);
+      setRecalls(recalls.map(recall => recall.id === closed.id ? { ...recall, ...closed } : recall));
+    } catch (error) {
+      console.error('Error closing recall:', error);
+      alert('❌ Failed to close recall: ' + error.message);
+    }
+  };
+
+  const progress = useMemo(() => (selected ? recallProgress(selected) : null), [selected]);
+  const recipientUnits = (recipients || []).reduce((sum, item) => sum + item.units_received, 0);
+
+  const inputClass = `w-full px-4 py-2 rounded-lg border ${
+    darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  } focus:ring-2 focus:ring-blue-500`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`max-w-6xl w-full rounded-xl shadow-2xl max-h-[90vh] overflow-y-auto ${
+        darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+      }`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${
+          darkMode ? 'border-gray-700' : 'border-gray-200'
+        }`}>
+          <div>
+            <h2 className="text-2xl font-bold flex items-center gap-2">
+              <ShieldAlert size={24} />
+              Product Recalls
+            </h2>
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              {recalls.filter(recall => recall.status === RECALL_STATUSES.OPEN).length} open
+            </p>
+          </div>
+          <div className="flex gap-2">
+            {canManage && !showNew && (
+              <button
+                onClick={() => setShowNew(true)}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 text-white"
+              >
+                <Plus size={16} />
+                New Recall
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className={`p-2 rounded-lg transition-colors ${
+                darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+              }`}
+            >
+              <X size={24} />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* New Recall */}
+          {showNew && (
+            <form onSubmit={handleCreate} className={`p-4 rounded-lg border space-y-4 ${
+              darkMode ? 'border-gray-700 bg-gray-900' : 'border-gray-200 bg-gray-50'
+            }`}>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-2">Product *</label>
+                  <select value={productId} onChange={(e) => setProductId(e.target.value)} required className={inputClass}>
+                    <option value="">Select product...</option>
+                    {products.map(product => (
+                      <option key={product.id} value={product.id}>
+                        {product.name} ({product.sku})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Batch *</label>
+                  <select
+                    value={batchId}
+                    onChange={(e) => setBatchId(e.target.value)}
+                    required
+                    disabled={!productId}
+                    className={inputClass}
+                  >
+                    <option value="">{productId && productBatches.length === 0 ? 'No batches recorded' : 'Select batch...'}</option>
+                    {productBatches.map(batch => (
+                      <option key={batch.id} value={batch.id} disabled={Boolean(batch.blocked_at)}>
+                        {batch.batch_number} · exp {new Date(batch.expiry_date).toLocaleDateString()} · {stockUnits(batch)} units in stock
+                        {batch.blocked_at ? ' · already recalled' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">Reason *</label>
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  required
+                  rows={2}
+                  placeholder="e.g. Supplier notice of contamination, failed sterility test..."
+                  className={inputClass}
+                />
+              </div>
+
+              {/* Who received the batch */}
+              {batchId && (
+                recipients === null ? (
+                  <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Finding customers who received this batch...</p>
+                ) : (
+                  <div>
+                    <p className="text-sm font-medium mb-2">
+                      {recipients.length} invoice line{recipients.length !== 1 ? 's' : ''} · {recipientUnits} units sold ·{' '}
+                      {stockUnits(selectedBatch)} units still in stock will be blocked
+                    </p>
+                    {recipients.length > 0 && (
+                      <div className="overflow-x-auto max-h-48">
+                        <table className="w-full text-sm">
+                          <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+                            <tr>
+                              <th className="px-3 py-2 text-left">Customer</th>
+                              <th className="px-3 py-2 text-left">Invoice</th>
+                              <th className="px-3 py-2 text-left">Date</th>
+                              <th className="px-3 py-2 text-right">Units</th>
+                            </tr>
+                          </thead>
+                          <tbody className={darkMode ? 'divide-y divide-gray-700' : 'divide-y divide-gray-200'}>
+                            {recipients.map(item => (
+                              <tr key={item.invoice_line_item_id}>
+                                <td className="px-3 py-2">{item.customer_name}</td>
+                                <td className="px-3 py-2">{item.invoice_number}</td>
+                                <td className="px-3 py-2">{new Date(item.invoice_date).toLocaleDateString()}</td>
+                                <td className="px-3 py-2 text-right">{item.units_received}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                )
+              )}
+
+              <div className="flex gap-3">
+                <button
+                  type="button"
+                  onClick={() => setShowNew(false)}
+                  className={`px-4 py-2 rounded-lg font-medium ${
+                    darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+                  }`}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving || recipients === null}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-white bg-red-600 hover:bg-red-700 disabled:bg-gray-500"
+                >
+                  <Lock size={16} />
+                  {saving ? 'Opening...' : 'Open Recall & Block Stock'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+            </div>
+          ) : recalls.length === 0 ? (
+            <p className={`text-center py-12 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              No recalls have been opened.
+            </p>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+              {/* Recall list */}
+              <div className="space-y-2">
+                {recalls.map(recall => (
+                  <button
+                    key={recall.id}
+                    onClick={() => setSelectedId(recall.id)}
+                    className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                      recall.id === selectedId
+                        ? 'border-blue-600 bg-blue-50 dark:bg-blue-900 dark:bg-opacity-20'
+                        : darkMode ? 'border-gray-700 hover:bg-gray-700' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="flex justify-between items-start gap-2">
+                      <p className="font-medium text-sm">{recall.product_name}</p>
+                      <span className={`px-2 py-0.5 text-xs rounded ${
+                        recall.status === RECALL_STATUSES.OPEN ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-800'
+                      }`}>
+                        {recall.status}
+                      </span>
+                    </div>
+                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      Batch {recall.batch_number} · {new Date(recall.created_at).toLocaleDateString()}
+                    </p>
+                  </button>
+                ))}
+              </div>
+
+              {/* Recall detail */}
+              {selected && progress && (
+                <div className="lg:col-span-3 space-y-4">
+                  <div className="flex flex-col md:flex-row md:justify-between md:items-start gap-3">
+                    <div>
+                      <h3 className="text-lg font-bold">
+                        {selected.product_name} · Batch {selected.batch_number}
+                      </h3>
+                      <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                        {selected.reason}
+                      </p>
+                      <p className={`text-xs mt-1 ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                        Opened by {selected.initiated_by_name} on {new Date(selected.created_at).toLocaleString()} ·{' '}
+                        {selected.units_blocked} units blocked from sale
+                        {selected.closed_at && ` · Closed by ${selected.closed_by_name} on ${new Date(selected.closed_at).toLocaleDateString()}`}
+                      </p>
+                    </div>
+                    {selected.status === RECALL_STATUSES.OPEN && canManage && (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={handleNotifyAll}
+                          disabled={progress.notified === (selected.recall_items || []).length}
+                          className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm bg-blue-600 hover:bg-blue-700 text-white disabled:bg-gray-500"
+                        >
+                          <Send size={16} />
+                          Notify All
+                        </button>
+                        <button
+                          onClick={handleClose}
+                          className={`px-3 py-2 rounded-lg text-sm ${
+                            darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+                          }`}
+                        >
+                          Close Recall
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Progress */}
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <div className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Customers</p>
+                      <p className="text-xl font-bold">{progress.customers}</p>
+                    </div>
+                    <div className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Notified</p>
+                      <p className="text-xl font-bold">{progress.notified} / {(selected.recall_items || []).length}</p>
+                    </div>
+                    <div className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Units Returned</p>
+                      <p className="text-xl font-bold">{progress.unitsReturned} / {progress.unitsReceived}</p>
+                    </div>
+                    <div className={`p-3 rounded-lg border-l-4 ${
+                      progress.outstanding > 0 ? 'border-red-600' : 'border-green-600'
+                    } ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Still With Customers</p>
+                      <p className="text-xl font-bold">{progress.outstanding}</p>
+                    </div>
+                  </div>
+
+                  {/* Affected invoice lines */}
+                  {(selected.recall_items || []).length === 0 ? (
+                    <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      No units of this batch were sold.
+                    </p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                          <tr>
+                            <th className="px-3 py-2 text-left">Customer</th>
+                            <th className="px-3 py-2 text-left">Invoice</th>
+                            <th className="px-3 py-2 text-right">Received</th>
+                            <th className="px-3 py-2 text-right">Returned</th>
+                            <th className="px-3 py-2 text-left">Notice</th>
+                            <th className="px-3 py-2 text-right">Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody className={darkMode ? 'divide-y divide-gray-700' : 'divide-y divide-gray-200'}>
+                          {selected.recall_items.map(item => {
+                            const customer = customers.get(item.customer_id);
+                            const fullyReturned = (item.units_returned || 0) >= item.units_received;
+                            const busy = busyItemId === item.id;
+                            return (
+                              <tr key={item.id}>
+                                <td className="px-3 py-2">
+                                  <p className="font-medium">{item.customer_name}</p>
+                                  <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                                    {[customer?.email, customer?.phone].filter(Boolean).join(' · ') || 'No email or phone'}
+                                  </p>
+                                </td>
+                                <td className="px-3 py-2">
+                                  <p>{item.invoice_number}</p>
+                                  <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                                    {new Date(item.invoice_date).toLocaleDateString()}
+                                  </p>
+                                </td>
+                                <td className="px-3 py-2 text-right">{item.units_received}</td>
+                                <td className={`px-3 py-2 text-right font-medium ${fullyReturned ? 'text-green-600' : ''}`}>
+                                  {item.units_returned || 0}
+                                </td>
+                                <td className="px-3 py-2">
+                                  {item.notice_sent_at ? (
+                                    <span className="text-green-600">Sent {new Date(item.notice_sent_at).toLocaleDateString()}</span>
+                                  ) : (
+                                    <span className="text-orange-600">Not sent</span>
+                                  )}
+                                </td>
+                                <td className="px-3 py-2">
+                                  <div className="flex justify-end gap-1">
+                                    {selected.status === RECALL_STATUSES.OPEN && canManage && (
+                                      <>
+                                        <button
+                                          onClick={() => handleSendNotice(item)}
+                                          disabled={busy}
+                                          title={item.notice_sent_at ? 'Send the notice again' : 'Send recall notice'}
+                                          className="p-2 rounded-lg text-blue-600 hover:bg-blue-100 disabled:opacity-40"
+                                        >
+                                          {busy ? <RefreshCw size={16} className="animate-spin" /> : <Send size={16} />}
+                                        </button>
+                                        <button
+                                          onClick={() => handleRecordReturn(item)}
+                                          disabled={busy || fullyReturned}
+                                          title="Record returned units"
+                                          className="p-2 rounded-lg text-green-600 hover:bg-green-100 disabled:opacity-40"
+                                        >
+                                          <PackageCheck size={16} />
+                                        </button>
+                                      </>
+                                    )}
+                                    <button
+                                      onClick={() => handleDownloadNotice(item)}
+                                      title="Download recall notice (PDF)"
+                                      className={`p-2 rounded-lg ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+                                    >
+                                      <FileText size={16} />
+                                    </button>
+                                  </div>
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecallManager;
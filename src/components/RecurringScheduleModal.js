@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { X, Plus, Trash2, Save } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { queryCache } from '../lib/queryCache';
+import { RECURRING_FREQUENCIES, saveRecurringSchedule } from '../lib/recurringInvoices';
+
+/**
+ * RECURRING SCHEDULE MODAL
+ * Create or edit a customer's standing order: products and quantities,
+ * how often it repeats and between which dates.
+ */
+
+const emptyLine = () => ({ product_id: '', product_name: '', boxes: 0, units: 0 });
+
+const RecurringScheduleModal = ({ darkMode, customer, schedule, currentUser, onClose, onSaved }) => {
+  const [products, setProducts] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(() => ({
+    frequency: 'monthly',
+    sale_type: 'Credit',
+    start_date: new Date().toISOString().split('T')[0],
+    end_date: '',
+    notes: '',
+    is_active: true,
+    ...(schedule || {}),
+    lines: schedule?.lines?.length ? schedule.lines : [emptyLine()]
+  }));
+
+  useEffect(() => {
+    const loadProducts = async () => {
+      const cacheKey = 'products_dropdown';
+      if (queryCache.isValid(cacheKey, 600000)) {
+        setProducts(queryCache.get(cacheKey));
+        return;
+      }
+      const { data } = await supabase
+        .from('products')
+        .select('*')
+        .eq('is_active', true)
+        .order('product_name');
+      setProducts(data || []);
+      queryCache.set(cacheKey, data || [], 600000);
+    };
+    loadProducts();
+  }, []);
+
+  const updateLine = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => {
+        if (i !== index) return line;
+        const updated = { ...line, [field]: value };
+        const product = products.find(p => p.id === updated.product_id);
+        if (field === 'product_id') {
+          updated.product_name = product?.product_name || '';
+        }
+        // Units follow boxes, as in SalesEntry
+        if ((field === 'boxes' || field === 'product_id') && product) {
+          updated.units = (parseInt(updated.boxes) || 0) * (product.units_per_box || 1);
+        }
+        return updated;
+      })
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const saved = await saveRecurringSchedule({
+        ...form,
+        customer_id: customer.id,
+        customer_name: customer.name,
+        region: customer.region,
+        // Until the first run, moving the start date moves the first run
+        next_run_date: schedule?.last_run_at ? schedule.next_run_date : form.start_date
+      }, currentUser);
+      alert('✅ Recurring schedule saved!');
+      if (onSaved) onSaved(saved);
+    } catch (error) {
+      console.error('Error saving recurring schedule:', error);
+      alert('❌ ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`max-w-3xl w-full max-h-[90vh] overflow-y-auto rounded-xl shadow-2xl ${
+        darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+      }`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${
+          darkMode ? 'border-gray-700' : 'border-gray-200'
+        }`}>
+          <div>
+            <h2 className="text-2xl font-bold">{schedule?.id ? 'Edit' : 'New'} Recurring Invoice</h2>
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              {customer.name} • drafts are created for review before stock is deducted
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg transition-colors ${
+              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+            }`}
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Frequency *</label>
+              <select
+                value={form.frequency}
+                onChange={(e) => setForm({ ...form, frequency: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(RECURRING_FREQUENCIES).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Sale Type *</label>
+              <select
+                value={form.sale_type}
+                onChange={(e) => setForm({ ...form, sale_type: e.target.value })}
+                className={inputClass}
+              >
+                <option value="Credit">Credit</option>
+                <option value="Cash">Cash</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Start Date *</label>
+              <input
+                type="date"
+                value={form.start_date}
+                onChange={(e) => setForm({ ...form, start_date: e.target.value })}
+                required
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">End Date</label>
+              <input
+                type="date"
+                value={form.end_date || ''}
+                onChange={(e) => setForm({ ...form, end_date: e.target.value })}
+                min={form.start_date}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          {schedule?.last_run_at && (
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              Next run: {new Date(schedule.next_run_date).toLocaleDateString()}
+            </p>
+          )}
+
+          {/* Lines */}
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <label className="block text-sm font-medium">Products *</label>
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, lines: [...form.lines, emptyLine()] })}
+                className="flex items-center gap-1 text-sm text-blue-600 hover:underline"
+              >
+                <Plus size={14} /> Add Product
+              </button>
+            </div>
+            <div className="space-y-2">
+              {form.lines.map((line, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                  <select
+                    value={line.product_id}
+                    onChange={(e) => updateLine(index, 'product_id', e.target.value)}
+                    className={`${inputClass} col-span-6`}
+                  >
+                    <option value="">Select product...</option>
+                    {products.map(product => (
+                      <option key={product.id} value={product.id}>{product.product_name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="0"
+                    value={line.boxes}
+                    onChange={(e) => updateLine(index, 'boxes', e.target.value)}
+                    placeholder="Boxes"
+                    title="Boxes"
+                    className={`${inputClass} col-span-2`}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={line.units}
+                    onChange={(e) => updateLine(index, 'units', e.target.value)}
+                    placeholder="Units"
+                    title="Units"
+                    className={`${inputClass} col-span-3`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setForm({ ...form, lines: form.lines.filter((_, i) => i !== index) })}
+                    disabled={form.lines.length === 1}
+                    className="col-span-1 p-2 rounded hover:bg-red-100 dark:hover:bg-red-900 disabled:opacity-40"
+                    title="Remove"
+                  >
+                    <Trash2 size={16} className="text-red-600" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <p className={`text-xs mt-2 ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+              Prices (from the customer's price list) and tax are worked out on the day each draft is created.
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">Notes</label>
+            <textarea
+              value={form.notes || ''}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              rows={2}
+              placeholder="Copied onto every draft, e.g. PO reference"
+              className={inputClass}
+            />
+          </div>
+
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={form.is_active}
+              onChange={() => setForm({ ...form, is_active: !form.is_active })}
+            />
+            Active
+          </label>
+
+          <div className="flex gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+              }`}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg font-medium text-white transition-colors ${
+                saving ? 'bg-gray-500 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              <Save size={18} />
+              {saving ? 'Saving...' : 'Save Schedule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RecurringScheduleModal;
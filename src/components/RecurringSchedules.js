@@ -0,0 +1,258 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Repeat, Plus, Edit, Pause, Play, Trash2, RefreshCw } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import {
+  RECURRING_FREQUENCIES,
+  isScheduleDue,
+  getRecurringSchedules,
+  setRecurringScheduleActive,
+  deleteRecurringSchedule,
+  runDueSchedules
+} from '../lib/recurringInvoices';
+import RecurringScheduleModal from './RecurringScheduleModal';
+
+/**
+ * RECURRING SCHEDULES
+ * Standing orders for one customer (pass `customer`) or for everyone.
+ * "Generate Due Drafts" creates a draft invoice for every run that has
+ * come due; reps finalise them from the Draft filter on the invoice list.
+ */
+
+const RecurringSchedules = ({ darkMode, customer = null }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [editing, setEditing] = useState(null); // schedule, or {} for new
+  const [progress, setProgress] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const today = new Date().toISOString().split('T')[0];
+  const customerId = customer?.id;
+
+  const loadSchedules = useCallback(async () => {
+    setLoading(true);
+    try {
+      setSchedules(await getRecurringSchedules(customerId));
+    } catch (error) {
+      console.error('Error loading recurring schedules:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [customerId]);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules]);
+
+  useEffect(() => {
+    const getCurrentUser = async () => {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (user) {
+        const { data: profile } = await supabase
+          .from('user_profiles')
+          .select('id, full_name, role')
+          .eq('id', user.id)
+          .single();
+        setCurrentUser(profile);
+      }
+    };
+    getCurrentUser();
+  }, []);
+
+  const dueCount = schedules.filter(schedule => isScheduleDue(schedule, today)).length;
+
+  const handleRunDue = async () => {
+    setRunning(true);
+    try {
+      const { created, failed } = await runDueSchedules(today, setProgress);
+      alert(
+        `✅ ${created.length} draft invoice${created.length !== 1 ? 's' : ''} created for review` +
+        (failed.length > 0
+          ? `\n❌ ${failed.length} failed:\n${failed.map(f => `${f.schedule.customer_name}: ${f.error}`).join('\n')}`
+          : '')
+      );
+      loadSchedules();
+    } catch (error) {
+      console.error('Error generating recurring drafts:', error);
+      alert('❌ Failed to generate drafts: ' + error.message);
+    } finally {
+      setRunning(false);
+      setProgress(null);
+    }
+  };
+
+  const handleToggleActive = async (schedule) => {
+    try {
+      await setRecurringScheduleActive(schedule.id, !schedule.is_active);
+      loadSchedules();
+    } catch (error) {
+      console.error('Error updating schedule:', error);
+      alert('❌ ' + error.message);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete the ${RECURRING_FREQUENCIES[schedule.frequency].label.toLowerCase()} schedule for ${schedule.customer_name}? Drafts already created are kept.`)) return;
+    try {
+      await deleteRecurringSchedule(schedule.id);
+      loadSchedules();
+    } catch (error) {
+      console.error('Error deleting schedule:', error);
+      alert('❌ ' + error.message);
+    }
+  };
+
+  const statusBadge = (schedule) => {
+    if (!schedule.is_active) {
+      return schedule.end_date && schedule.next_run_date > schedule.end_date
+        ? { label: 'Ended', classes: 'bg-gray-100 text-gray-800' }
+        : { label: 'Paused', classes: 'bg-yellow-100 text-yellow-800' };
+    }
+    return isScheduleDue(schedule, today)
+      ? { label: 'Due', classes: 'bg-orange-100 text-orange-800' }
+      : { label: 'Active', classes: 'bg-green-100 text-green-800' };
+  };
+
+  // In customer mode the editor needs the customer; otherwise use the schedule's
+  const editorCustomer = customer || (editing && {
+    id: editing.customer_id,
+    name: editing.customer_name,
+    region: editing.region
+  });
+
+  return (
+    <div className={customer ? '' : `max-w-7xl mx-auto p-4 md:p-6 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+      {/* Header */}
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <div>
+          <h2 className={`${customer ? 'text-lg' : 'text-2xl md:text-3xl'} font-bold flex items-center gap-2`}>
+            <Repeat size={customer ? 18 : 24} /> Recurring Invoices
+          </h2>
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            {schedules.length} schedule{schedules.length !== 1 ? 's' : ''}
+            {dueCount > 0 && ` • ${dueCount} due`}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {dueCount > 0 && (
+            <button
+              onClick={handleRunDue}
+              disabled={running}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm text-white ${
+                running ? 'bg-gray-500 cursor-not-allowed' : 'bg-orange-600 hover:bg-orange-700'
+              }`}
+            >
+              <RefreshCw size={16} className={running ? 'animate-spin' : ''} />
+              {running && progress ? `Generating ${progress.done}/${progress.total}...` : 'Generate Due Drafts'}
+            </button>
+          )}
+          {customer && (
+            <button
+              onClick={() => setEditing({})}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              <Plus size={16} /> New Schedule
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Table */}
+      <div className={`rounded-xl overflow-hidden ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        ) : schedules.length === 0 ? (
+          <div className={`text-center py-12 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            <Repeat size={40} className="mx-auto mb-3 opacity-50" />
+            {customer ? 'No recurring invoices for this customer yet' : 'No recurring invoices set up. Add them from a customer\'s page.'}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+                <tr>
+                  {!customer && <th className="px-4 py-3 text-left text-xs font-medium">Customer</th>}
+                  <th className="px-4 py-3 text-left text-xs font-medium">Products</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Frequency</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Next Run</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Ends</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium">Status</th>
+                  <th className="px-4 py-3 text-center text-xs font-medium">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedules.map(schedule => {
+                  const badge = statusBadge(schedule);
+                  return (
+                    <tr key={schedule.id} className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                      {!customer && <td className="px-4 py-3 font-medium">{schedule.customer_name}</td>}
+                      <td className="px-4 py-3">
+                        {schedule.lines.map(line => (
+                          <div key={line.product_id}>{line.units} × {line.product_name}</div>
+                        ))}
+                      </td>
+                      <td className="px-4 py-3">
+                        {RECURRING_FREQUENCIES[schedule.frequency]?.label} • {schedule.sale_type}
+                      </td>
+                      <td className="px-4 py-3">{new Date(schedule.next_run_date).toLocaleDateString()}</td>
+                      <td className="px-4 py-3">{schedule.end_date ? new Date(schedule.end_date).toLocaleDateString() : '—'}</td>
+                      <td className="px-4 py-3">
+                        <span className={`px-2 py-1 rounded text-xs font-semibold ${badge.classes}`}>{badge.label}</span>
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="flex items-center justify-center gap-2">
+                          <button
+                            onClick={() => setEditing(schedule)}
+                            className="p-2 hover:bg-blue-100 dark:hover:bg-blue-900 rounded"
+                            title="Edit"
+                          >
+                            <Edit size={16} className="text-blue-600" />
+                          </button>
+                          <button
+                            onClick={() => handleToggleActive(schedule)}
+                            className="p-2 hover:bg-yellow-100 dark:hover:bg-yellow-900 rounded"
+                            title={schedule.is_active ? 'Pause' : 'Resume'}
+                          >
+                            {schedule.is_active
+                              ? <Pause size={16} className="text-yellow-600" />
+                              : <Play size={16} className="text-green-600" />}
+                          </button>
+                          <button
+                            onClick={() => handleDelete(schedule)}
+                            className="p-2 hover:bg-red-100 dark:hover:bg-red-900 rounded"
+                            title="Delete"
+                          >
+                            <Trash2 size={16} className="text-red-600" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Editor */}
+      {editing && editorCustomer && (
+        <RecurringScheduleModal
+          darkMode={darkMode}
+          customer={editorCustomer}
+          schedule={editing.id ? editing : null}
+          currentUser={currentUser}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            loadSchedules();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RecurringSchedules;
@@ -1,7 +1,38 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { Plus, Trash2, Save, X, Search, Calculator } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { Plus, Trash2, Save, X, Search, Calculator, CheckCircle, XCircle, AlertTriangle, Tag, Keyboard, ScanBarcode, Layers, MapPin } from 'lucide-react';
 import { supabase } from '../lib/supabase';
 import { queryCache } from '../lib/queryCache';
+import { createInvoice, newIdempotencyKey, invoicePeriod, INVOICE_STEPS } from '../lib/invoices';
+import { getTaxConfig, calculateInvoiceTax, taxLabel, DEFAULT_TAXES } from '../lib/tax';
+import { createQuote, defaultQuoteExpiry } from '../lib/quotes';
+import { generateQuotePDFClient } from '../lib/clientPDF';
+import { buildDraftPayload, restoreDraftLineItems, saveDraft, getDraft, discardDraft } from '../lib/drafts';
+import { getCreditPosition, evaluateCredit, enforceCreditLimit, CreditLimitError, attachOverrideToInvoice } from '../lib/creditControl';
+import { calculateDueDate, termsLabel } from '../lib/paymentTerms';
+import { getActivePriceLists, resolvePrice, priceSourceLabel, isPriceOverridden } from '../lib/priceLists';
+import { findProductByCode } from '../lib/products';
+import { getInventoryBatches, groupBatchesByProduct, batchesAtLocation, planBatchAllocations, batchAllocationLabel } from '../lib/batches';
+import {
+  TRANSFER_STATUSES,
+  getLocations,
+  getDefaultLocation,
+  getLocationStockRows,
+  getStockTransfers,
+  buildLocationStock
+} from '../lib/locations';
+import {
+  getPromotions,
+  applyPromotions,
+  measureManualDiscount,
+  getDiscountLimits,
+  isWithinDiscountLimit,
+  attachApprovalToInvoice,
+  attachApprovalToQuote,
+  DEFAULT_DISCOUNT_LIMITS
+} from '../lib/promotions';
+import CreditOverrideModal from './CreditOverrideModal';
+import DiscountApprovalModal from './DiscountApprovalModal';
+import BatchOverrideModal from './BatchOverrideModal';
 import { useNavigate } from 'react-router-dom';
 
 /**
@@ -13,18 +44,86 @@ import { useNavigate } from 'react-router-dom';
  * ✅ Memoize filtered customers
  * ✅ useCallback for handlers
  * ✅ Cache invalidation on save
+ *
+ * documentType 'quote' reuses the same editor for pro-forma quotes,
+ * which are saved without touching inventory.
+ *
+ * Invoices autosave as drafts once a customer is picked; pass
+ * resumeDraftId to continue a draft started elsewhere.
+ *
+ * Prices come from the customer's price list (see lib/priceLists) and
+ * follow the quantity breaks as boxes change, unless the rep has typed
+ * a different price, which is kept and flagged as an override.
+ *
+ * Live promotions are applied to the lines automatically. A manual
+ * discount above the rep's role limit needs a manager's approval before
+ * the invoice is created.
+ *
+ * Each invoice line shows the stock batches it will be taken from,
+ * earliest expiry first; a supervisor can choose other batches.
  */
 
-const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
+// Re-price a line from the price lists; a typed-over price is kept
+const applyListPrice = (item, customer, priceLists) => {
+  if (!item.product) return item;
+  const { unitPrice, source } = resolvePrice(item.product, { customer, boxes: item.boxes, units: item.units }, priceLists);
+  return {
+    ...item,
+    listPrice: unitPrice,
+    priceSource: source,
+    unitPrice: isPriceOverridden(item.unitPrice, item.listPrice) ? item.unitPrice : unitPrice
+  };
+};
+
+const AUTOSAVE_DELAY = 1500;
+
+const SalesEntry = ({ darkMode, onInvoiceCreated, documentType = 'invoice', onQuoteCreated, resumeDraftId }) => {
+  const isQuote = documentType === 'quote';
   const navigate = useNavigate();
   // ==========================================
   // STATE MANAGEMENT
   // ==========================================
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
+  const savingRef = useRef(false);
+  const [saveProgress, setSaveProgress] = useState({});
+  const [saveError, setSaveError] = useState(null);
+  
+  // One key per invoice being entered, so retries never create a second invoice
+  const [idempotencyKey, setIdempotencyKey] = useState(newIdempotencyKey);
+  
+  // Draft autosave
+  const [draftId, setDraftId] = useState(null);
+  const [draftStatus, setDraftStatus] = useState(null); // 'saving', 'saved', 'error'
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const draftIdRef = useRef(null);
+  const draftChainRef = useRef(Promise.resolve());
+  const draftTimerRef = useRef(null);
+  const draftResumedRef = useRef(false);
+  
+  // Credit control
+  const [creditPosition, setCreditPosition] = useState(null);
+  const [creditOverride, setCreditOverride] = useState(null);
+  const [showCreditOverride, setShowCreditOverride] = useState(false);
+  const creditOverrideRef = useRef(null);
+  
+  // Discount control
+  const [discountApproval, setDiscountApproval] = useState(null);
+  const [showDiscountApproval, setShowDiscountApproval] = useState(false);
+  const discountApprovalRef = useRef(null);
   
   // Master Data
   const [products, setProducts] = useState([]);
+  const [taxConfig, setTaxConfig] = useState(DEFAULT_TAXES);
+  const [priceLists, setPriceLists] = useState([]);
+  const [promotions, setPromotions] = useState([]);
+  const [discountLimits, setDiscountLimits] = useState(DEFAULT_DISCOUNT_LIMITS);
+  const [batches, setBatches] = useState([]);
+  const [stockByProduct, setStockByProduct] = useState({});
+  const [locations, setLocations] = useState([]);
+  const [locationStock, setLocationStock] = useState({});
+  const [locationId, setLocationId] = useState('');
+  const [batchOverrideLineId, setBatchOverrideLineId] = useState(null);
   const [customers, setCustomers] = useState([]);
   const [currentUser, setCurrentUser] = useState(null);
   
@@ -32,6 +131,7 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
   const [selectedCustomer, setSelectedCustomer] = useState(null);
   const [saleType, setSaleType] = useState('Cash');
   const [saleDate, setSaleDate] = useState(new Date().toISOString().split('T')[0]);
+  const [expiryDate, setExpiryDate] = useState(() => defaultQuoteExpiry());
   const [overallDiscount, setOverallDiscount] = useState(0);
   const [notes, setNotes] = useState('');
   
@@ -51,6 +151,16 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
   // Search/Filter
   const [customerSearch, setCustomerSearch] = useState('');
   const [showCustomerDropdown, setShowCustomerDropdown] = useState(false);
+  const [highlightedCustomer, setHighlightedCustomer] = useState(0);
+  
+  // Fast entry: scanner input and keyboard navigation between lines
+  const [fastEntry, setFastEntry] = useState(false);
+  const [scanCode, setScanCode] = useState('');
+  const [scanMessage, setScanMessage] = useState(null);
+  const scanInputRef = useRef(null);
+  const productSelectRefs = useRef({});
+  const focusLineRef = useRef(null);
+  const saveInvoiceRef = useRef(null);
   
   // ==========================================
   // LOAD INITIAL DATA
@@ -91,7 +201,7 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
     console.log('📡 Fetching customers...');
     const { data } = await supabase
       .from('customers')
-      .select('id, name, customer_type, region')
+      .select('id, name, customer_type, region, payment_terms')
       .eq('is_active', true)
       .order('name');
     
@@ -128,10 +238,40 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
     console.log('💾 Products cached for 10 minutes');
   };
   
+  // Batches, stock totals and stock per location, for showing where a sale is taken from
+  const loadStock = async () => {
+    if (isQuote) return;
+    const [batchRows, { data: stock, error }, allLocations, locationRows, transfers] = await Promise.all([
+      getInventoryBatches(),
+      supabase
+        .from('inventory')
+        .select('product_id, boxes_in_stock, loose_units_in_stock, units_per_box'),
+      getLocations(),
+      getLocationStockRows(),
+      getStockTransfers({ status: TRANSFER_STATUSES.IN_TRANSIT })
+    ]);
+    if (error) throw error;
+    setBatches(batchRows);
+    setStockByProduct(Object.fromEntries((stock || []).map(row => [row.product_id, row])));
+
+    const activeLocations = allLocations.filter(location => location.is_active);
+    setLocations(activeLocations);
+    setLocationStock(buildLocationStock(stock || [], allLocations, locationRows, transfers));
+    setLocationId(prev => prev || getDefaultLocation(allLocations)?.id || '');
+  };
+  
   const loadMasterData = async () => {
     setLoading(true);
     try {
-      await Promise.all([loadCustomers(), loadProducts()]);
+      await Promise.all([
+        loadCustomers(),
+        loadProducts(),
+        getTaxConfig().then(setTaxConfig),
+        getActivePriceLists().then(setPriceLists),
+        getPromotions().then(setPromotions),
+        getDiscountLimits().then(setDiscountLimits),
+        loadStock()
+      ]);
     } catch (error) {
       console.error('Error loading master data:', error);
     } finally {
@@ -159,15 +299,33 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
     setShowCustomerDropdown(false);
   };
   
+  const handleCustomerKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setShowCustomerDropdown(true);
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlightedCustomer(prev =>
+        Math.min(Math.max(prev + step, 0), Math.max(filteredCustomers.length - 1, 0))
+      );
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const customer = filteredCustomers[highlightedCustomer];
+      if (showCustomerDropdown && customer) selectCustomer(customer);
+    } else if (e.key === 'Escape') {
+      setShowCustomerDropdown(false);
+    }
+  };
+  
   // ==========================================
   // LINE ITEM MANAGEMENT
   // ==========================================
   
   const addLineItem = useCallback(() => {
+    const id = Date.now();
     setLineItems(prev => [
       ...prev,
       {
-        id: Date.now(),
+        id,
         product: null,
         boxes: 0,
         units: 0,
@@ -176,6 +334,7 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
         discount: 0
       }
     ]);
+    return id;
   }, []);
   
   const removeLineItem = useCallback((id) => {
@@ -194,7 +353,7 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
         
         // Auto-populate pricing when product is selected
         if (field === 'product' && value) {
-          updated.unitPrice = value.selling_price || value.unit_price || 0;
+          updated.listPrice = null;
           updated.costPerUnit = value.cost_per_unit || 0;
         }
         
@@ -203,16 +362,176 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
           updated.units = parseInt(value || 0) * (updated.product.units_per_box || 1);
         }
         
+        // Quantity breaks move the list price as the order grows;
+        // a new quantity also needs the batches chosen again
+        if (field === 'product' || field === 'boxes' || field === 'units') {
+          updated.batchOverride = null;
+          return applyListPrice(updated, selectedCustomer, priceLists);
+        }
+        
         return updated;
       }
       return item;
     }));
-  }, []);
+  }, [selectedCustomer, priceLists]);
+  
+  // Enter in a quantity field moves on to the next line's product
+  const focusNextLine = useCallback((id) => {
+    const index = lineItems.findIndex(item => item.id === id);
+    const next = lineItems[index + 1];
+    if (next) {
+      productSelectRefs.current[next.id]?.focus();
+    } else {
+      focusLineRef.current = addLineItem();
+    }
+  }, [lineItems, addLineItem]);
+  
+  const handleQuantityKeyDown = (e, id) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    focusNextLine(id);
+  };
+  
+  // Focus a line added from the keyboard once it has rendered
+  useEffect(() => {
+    const id = focusLineRef.current;
+    if (id && productSelectRefs.current[id]) {
+      productSelectRefs.current[id].focus();
+      focusLineRef.current = null;
+    }
+  }, [lineItems]);
+  
+  // A scanned product adds a box to its line, or fills a new line
+  const addScannedProduct = useCallback((product) => {
+    setLineItems(prev => {
+      const existing = prev.find(item => item.product?.id === product.id);
+      const unitsPerBox = product.units_per_box || 1;
+      
+      if (existing) {
+        return prev.map(item => {
+          if (item !== existing) return item;
+          // Add a box's worth of units so loose units typed on the line are kept
+          return applyListPrice(
+            {
+              ...item,
+              boxes: parseInt(item.boxes || 0) + 1,
+              units: parseInt(item.units || 0) + unitsPerBox,
+              batchOverride: null
+            },
+            selectedCustomer,
+            priceLists
+          );
+        });
+      }
+      
+      const empty = prev.find(item => !item.product);
+      const line = applyListPrice({
+        id: empty ? empty.id : Date.now(),
+        product,
+        boxes: 1,
+        units: unitsPerBox,
+        unitPrice: 0,
+        listPrice: null,
+        costPerUnit: product.cost_per_unit || 0,
+        discount: 0
+      }, selectedCustomer, priceLists);
+      
+      return empty
+        ? prev.map(item => (item === empty ? line : item))
+        : [...prev, line];
+    });
+  }, [selectedCustomer, priceLists]);
+  
+  const handleScan = (e) => {
+    e.preventDefault();
+    const code = scanCode.trim();
+    if (!code) return;
+    
+    const product = findProductByCode(products, code);
+    if (product) {
+      addScannedProduct(product);
+      setScanMessage({ type: 'success', text: `Added ${product.product_name}` });
+    } else {
+      setScanMessage({ type: 'error', text: `No product with barcode or SKU "${code}"` });
+    }
+    setScanCode('');
+    scanInputRef.current?.focus();
+  };
+  
+  useEffect(() => {
+    if (fastEntry) scanInputRef.current?.focus();
+  }, [fastEntry]);
+  
+  // A different customer can mean a different price list
+  useEffect(() => {
+    setLineItems(prev => prev.map(item => applyListPrice(item, selectedCustomer, priceLists)));
+  }, [selectedCustomer, priceLists]);
   
   // ==========================================
   // OPTIMIZATION 4: Memoize Invoice Totals & Calculations
   // ==========================================
   
+  // Lines with the promotion discounts applied. A line that already carries a
+  // discount (resumed draft, converted quote) keeps it unless a promotion beats it.
+  const pricedLines = useMemo(() => {
+    const applied = applyPromotions(lineItems, promotions, saleDate);
+    return lineItems.map((item, index) => {
+      const lineDiscount = item.discount || 0;
+      if (applied[index].discount > lineDiscount) {
+        return { ...item, discount: applied[index].discount, promotion: applied[index].promotion };
+      }
+      return { ...item, discount: lineDiscount, promotion: null };
+    });
+  }, [lineItems, promotions, saleDate]);
+  
+  // Batches and stock held at the ship-from location
+  const shipFrom = useMemo(() => locations.find(l => l.id === locationId) || null, [locations, locationId]);
+  const batchesByProduct = useMemo(() => (
+    groupBatchesByProduct(batchesAtLocation(batches, shipFrom))
+  ), [batches, shipFrom]);
+  const stockAtShipFrom = useMemo(() => (
+    shipFrom
+      ? Object.fromEntries(Object.entries(locationStock).map(([productId, entry]) => [
+        productId,
+        { loose_units_in_stock: entry.byLocation[shipFrom.id] || 0 }
+      ]))
+      : stockByProduct
+  ), [shipFrom, locationStock, stockByProduct]);
+  
+  // Batches each line will be taken from (FEFO unless a supervisor chose)
+  const batchPlan = useMemo(() => (
+    isQuote ? [] : planBatchAllocations(
+      lineItems.map(item => ({
+        product_id: item.product?.id,
+        units_sold: item.units,
+        batch_allocations: item.batchOverride?.allocations,
+        batch_override_by: item.batchOverride?.approvedBy
+      })),
+      batchesByProduct,
+      stockAtShipFrom
+    )
+  ), [isQuote, lineItems, batchesByProduct, stockAtShipFrom]);
+  
+  // Units each product needs from the chosen location, and what it holds
+  const locationShortfalls = useMemo(() => {
+    if (isQuote || !locationId) return [];
+    const needed = {};
+    lineItems.forEach(item => {
+      const units = parseInt(item.units || 0);
+      if (!item.product || units <= 0) return;
+      const entry = needed[item.product.id] || (needed[item.product.id] = {
+        productId: item.product.id,
+        name: item.product.product_name || item.product.name,
+        units: 0
+      });
+      entry.units += units;
+    });
+    return Object.values(needed).map(entry => {
+      const available = locationStock[entry.productId]?.byLocation[locationId] || 0;
+      return { ...entry, available, short: Math.max(entry.units - available, 0) };
+    });
+  }, [isQuote, lineItems, locationStock, locationId]);
+  
   const calculations = useMemo(() => {
     console.log('🔄 Calculating invoice totals...');
     
@@ -220,28 +539,46 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
     let totalCost = 0;
     let totalBoxes = 0;
     let totalUnits = 0;
+    let promotionDiscount = 0;
+    const taxLines = [];
     
-    lineItems.forEach(item => {
+    pricedLines.forEach(item => {
       if (item.product && item.units > 0) {
         const lineSubtotal = item.units * item.unitPrice;
         const lineDiscount = item.discount || 0;
         const lineCost = item.units * item.costPerUnit;
         
         subtotal += (lineSubtotal - lineDiscount);
+        promotionDiscount += lineDiscount;
         totalCost += lineCost;
         totalBoxes += parseInt(item.boxes || 0);
         totalUnits += parseInt(item.units || 0);
+        taxLines.push({ lineTotal: lineSubtotal - lineDiscount, taxExempt: !!item.product.tax_exempt });
       }
     });
     
     const discountAmount = parseFloat(overallDiscount || 0);
-    const total = subtotal - discountAmount;
-    const profit = total - totalCost;
-    const margin = total > 0 ? (profit / total) * 100 : 0;
+    const netTotal = subtotal - discountAmount;
+    
+    // GRA levies and VAT on the discounted value; zero-rated lines carry none
+    const tax = calculateInvoiceTax(taxLines, discountAmount, taxConfig);
+    const total = netTotal + tax.taxTotal;
+    
+    // Tax is collected for GRA, so profit and margin are on the net amount
+    const profit = netTotal - totalCost;
+    const margin = netTotal > 0 ? (profit / netTotal) * 100 : 0;
     
     return {
       subtotal,
+      promotionDiscount,
+      manualDiscount: measureManualDiscount(pricedLines, discountAmount),
       discountAmount,
+      netTotal,
+      taxableAmount: tax.taxableAmount,
+      exemptAmount: tax.exemptAmount,
+      taxBreakdown: tax.breakdown,
+      taxTotal: tax.taxTotal,
+      lineTaxes: tax.lineTaxes,
       total,
       totalCost,
       profit,
@@ -249,13 +586,16 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
       totalBoxes,
       totalUnits
     };
-  }, [lineItems, overallDiscount]);
+  }, [pricedLines, overallDiscount, taxConfig]);
   
   // ==========================================
   // OPTIMIZATION 5: useCallback for Save Handler
   // ==========================================
   
   const saveInvoice = useCallback(async () => {
+    // Ignore a second click while the first save is still running
+    if (savingRef.current) return;
+    
     // Validation
     if (!selectedCustomer) {
       alert('Please select a customer');
@@ -272,58 +612,74 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
       return;
     }
     
+    // Expired batches are never sold, so the rest of the stock must cover each line
+    const shortIndex = lineItems.findIndex((item, index) => item.product && batchPlan[index]?.shortfall > 0);
+    if (!isQuote && shortIndex >= 0) {
+      const short = lineItems[shortIndex];
+      alert(`❌ Not enough sellable stock for ${short.product.product_name || short.product.name} ` +
+        `(short by ${batchPlan[shortIndex].shortfall} units)`);
+      return;
+    }
+    
+    // The whole sale ships from one location, so it must hold every line
+    const location = !isQuote ? locations.find(l => l.id === locationId) : null;
+    const shortAtLocation = location && locationShortfalls.find(entry => entry.short > 0);
+    if (shortAtLocation) {
+      alert(`❌ Only ${shortAtLocation.available} units of ${shortAtLocation.name} at ${location.name} ` +
+        `(need ${shortAtLocation.units}). Choose another location or transfer stock first.`);
+      return;
+    }
+    
+    savingRef.current = true;
     setSaving(true);
+    setSaveProgress({});
+    setSaveError(null);
+    
+    // Let any pending autosave land first so the draft is finalised, not duplicated
+    clearTimeout(draftTimerRef.current);
+    await draftChainRef.current;
     
     try {
-      // Generate invoice number
-      const { data: invoiceNumberData, error: invoiceNumberError } = await supabase
-        .rpc('generate_invoice_number');
-      
-      if (invoiceNumberError) throw invoiceNumberError;
-      const invoiceNumber = invoiceNumberData;
-      
-      // Calculate month and quarter
-      const date = new Date(saleDate);
-      const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                          'July', 'August', 'September', 'October', 'November', 'December'];
-      const month = monthNames[date.getMonth()];
-      const quarter = `Q${Math.floor(date.getMonth() / 3) + 1} ${date.getFullYear()}`;
-      
-      // Create invoice header
-      const invoiceData = {
-        invoice_number: invoiceNumber,
-        invoice_date: saleDate,
+      // Header fields shared by invoices and quotes
+      const documentData = {
         customer_id: selectedCustomer.id,
         customer_name: selectedCustomer.name,
         sale_type: saleType,
         region: selectedCustomer.region,
         salesperson_id: currentUser.id,
         salesperson_name: currentUser.full_name,
-        month,
-        quarter,
         subtotal: calculations.subtotal,
         discount_amount: calculations.discountAmount,
+        taxable_amount: calculations.taxableAmount,
+        exempt_amount: calculations.exemptAmount,
+        tax_amount: calculations.taxTotal,
+        tax_breakdown: calculations.taxBreakdown,
         total_amount: calculations.total,
         total_cost: calculations.totalCost,
         total_profit: calculations.profit,
         margin_percentage: calculations.margin,
-        notes,
-        status: 'Active',
-        payment_status: saleType === 'Cash' ? 'Paid' : 'Pending'
+        notes
       };
       
-      const { data: invoice, error: invoiceError } = await supabase
-        .from('invoices')
-        .insert(invoiceData)
-        .select()
-        .single();
-      
-      if (invoiceError) throw invoiceError;
+      // Invoice header (number is assigned during creation)
+      const invoiceData = {
+        ...documentData,
+        invoice_date: saleDate,
+        ...invoicePeriod(saleDate),
+        due_date: saleType === 'Credit' ? calculateDueDate(saleDate, selectedCustomer.payment_terms) : null,
+        status: 'Active',
+        payment_status: saleType === 'Cash' ? 'Paid' : 'Pending',
+        amount_paid: saleType === 'Cash' ? calculations.total : 0,
+        balance_due: saleType === 'Cash' ? 0 : calculations.total,
+        promotion_discount: calculations.promotionDiscount,
+        manual_discount: calculations.manualDiscount.amount,
+        ...(location && { location_id: location.id, location_name: location.name })
+      };
       
-      // Create line items
-      const lineItemsData = lineItems
+      // Line items (invoice_id is assigned during creation)
+      const lineItemsData = pricedLines
         .filter(item => item.product && item.units > 0)
-        .map(item => {
+        .map((item, index) => {
           const lineSubtotal = item.units * item.unitPrice;
           const lineDiscount = item.discount || 0;
           const lineTotal = lineSubtotal - lineDiscount;
@@ -332,7 +688,6 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
           const lineMargin = lineTotal > 0 ? (lineProfit / lineTotal) * 100 : 0;
           
           return {
-            invoice_id: invoice.id,
             product_id: item.product.id,
             product_name: item.product.product_name || item.product.name,
             product_code: item.product.product_code || item.product.sku,
@@ -345,46 +700,125 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
             line_profit: lineProfit,
             line_margin: lineMargin,
             discount_amount: lineDiscount,
-            line_total: lineTotal
+            line_total: lineTotal,
+            tax_exempt: !!item.product.tax_exempt,
+            tax_amount: calculations.lineTaxes[index] || 0,
+            list_price: item.listPrice ?? null,
+            price_source: priceSourceLabel(item.priceSource),
+            price_overridden: isPriceOverridden(item.unitPrice, item.listPrice),
+            promotion_id: item.promotion?.id || null,
+            promotion_name: item.promotion?.name || null,
+            // Invoices only; createInvoice allocates FEFO when there is no override
+            ...(!isQuote && item.batchOverride && {
+              batch_allocations: item.batchOverride.allocations,
+              batch_override_by: item.batchOverride.approvedBy,
+              batch_override_by_name: item.batchOverride.approvedByName
+            })
           };
         });
       
-      const { error: lineItemsError } = await supabase
-        .from('invoice_line_items')
-        .insert(lineItemsData);
+      // ==========================================
+      // DISCOUNT LIMIT CHECK
+      // Manual discount above the rep's role limit needs an approval that covers it.
+      // Quotes are checked too: converting one creates the invoice as quoted.
+      // ==========================================
+      let approval = null;
+      if (!isWithinDiscountLimit(calculations.manualDiscount.percent, currentUser.role, discountLimits)) {
+        approval = discountApprovalRef.current;
+        const covers = approval &&
+          approval.customer_id === selectedCustomer.id &&
+          approval.discount_amount >= calculations.manualDiscount.amount - 0.005;
+        if (!covers) {
+          setShowDiscountApproval(true);
+          return;
+        }
+        invoiceData.discount_approval_id = approval.id;
+      }
       
-      if (lineItemsError) throw lineItemsError;
+      // Quotes are saved as-is; stock moves only when converted
+      if (isQuote) {
+        const quote = await createQuote(
+          {
+            ...documentData,
+            quote_date: saleDate,
+            expiry_date: expiryDate,
+            promotion_discount: calculations.promotionDiscount,
+            manual_discount: calculations.manualDiscount.amount,
+            discount_approval_id: approval?.id || null
+          },
+          lineItemsData
+        );
+        if (approval) {
+          try {
+            await attachApprovalToQuote(approval.id, quote);
+          } catch (error) {
+            console.error('Could not link discount approval to quote:', error);
+          }
+        }
+        generateQuotePDFClient(quote);
+        alert(`✅ Quote ${quote.quote_number} saved (valid until ${new Date(quote.expiry_date).toLocaleDateString()})`);
+        resetForm();
+        if (onQuoteCreated) {
+          onQuoteCreated(quote);
+        }
+        return;
+      }
       
       // ==========================================
-      // INVENTORY INTEGRATION (ACTIVE)
+      // CREDIT LIMIT CHECK
+      // Re-read the balance now; block unless a manager approved this amount
       // ==========================================
-      // Deduct inventory for each line item
-      for (const item of lineItemsData) {
-        const { error: invError } = await supabase.rpc('deduct_inventory_for_sale', {
-          p_product_id: item.product_id,
-          p_units_sold: item.units_sold,
-          p_boxes_sold: item.boxes_sold,
-          p_invoice_id: invoice.id
-        });
-        
-        if (invError) {
-          console.error('Inventory deduction failed:', invError);
-          // Continue even if inventory fails (can be adjusted manually)
+      let override = null;
+      if (saleType === 'Credit') {
+        try {
+          const check = await enforceCreditLimit(selectedCustomer.id, calculations.total, creditOverrideRef.current);
+          setCreditPosition(check.position);
+          override = check.override;
+        } catch (error) {
+          if (!(error instanceof CreditLimitError)) throw error;
+          setCreditPosition(error.position);
+          setShowCreditOverride(true);
+          return;
         }
+        if (override) invoiceData.credit_override_id = override.id;
       }
       
       // ==========================================
-      // OPTIMIZATION 6: Invalidate Cache on Save
+      // ALL-OR-NOTHING CREATE
+      // Header, line items, inventory deduction and customer balance
+      // are rolled back together if any step fails
       // ==========================================
-      queryCache.clearPattern('invoices_');
-      queryCache.clearPattern('inventory_');
-      queryCache.clearPattern('products_');
+      const { invoice, duplicate } = await createInvoice(invoiceData, lineItemsData, {
+        idempotencyKey,
+        draftId: draftIdRef.current,
+        onProgress: (step, status) => setSaveProgress(prev => ({ ...prev, [step]: status }))
+      });
+      
       console.log('🗑️ Caches cleared after invoice creation');
       
-      alert(`✅ Invoice ${invoiceNumber} created successfully!`);
+      if (override && !duplicate) {
+        try {
+          await attachOverrideToInvoice(override.id, invoice);
+        } catch (error) {
+          console.error('Could not link credit override to invoice:', error);
+        }
+      }
+      
+      if (approval && !duplicate) {
+        try {
+          await attachApprovalToInvoice(approval.id, invoice);
+        } catch (error) {
+          console.error('Could not link discount approval to invoice:', error);
+        }
+      }
+      
+      alert(duplicate
+        ? `ℹ️ Invoice ${invoice.invoice_number} was already saved`
+        : `✅ Invoice ${invoice.invoice_number} created successfully!`);
       
       // Reset form
       resetForm();
+      loadStock().catch(error => console.error('Error reloading stock:', error));
       
       // Callback
       if (onInvoiceCreated) {
@@ -392,18 +826,35 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
       }
       
     } catch (error) {
-      console.error('Error saving invoice:', error);
-      alert('❌ Error creating invoice: ' + error.message);
+      console.error(`Error saving ${documentType}:`, error);
+      if (!isQuote) setSaveError(error);
+      alert(`❌ Error creating ${documentType}: ` + error.message +
+        (error.rolledBack === false ? '\n\nSome steps could not be undone — please check inventory.' : ''));
     } finally {
+      savingRef.current = false;
       setSaving(false);
     }
-  }, [selectedCustomer, lineItems, currentUser, saleDate, saleType, calculations, notes, overallDiscount, onInvoiceCreated]);
+  }, [selectedCustomer, lineItems, pricedLines, currentUser, saleDate, saleType, calculations, notes, idempotencyKey, onInvoiceCreated, isQuote, documentType, expiryDate, onQuoteCreated, discountLimits, batchPlan, locations, locationId, locationShortfalls]);
   
   const resetForm = useCallback(() => {
+    clearTimeout(draftTimerRef.current);
+    draftIdRef.current = null;
+    creditOverrideRef.current = null;
+    setCreditOverride(null);
+    setCreditPosition(null);
+    discountApprovalRef.current = null;
+    setDiscountApproval(null);
+    setDraftId(null);
+    setDraftStatus(null);
+    setDraftSavedAt(null);
+    setIdempotencyKey(newIdempotencyKey());
+    setSaveProgress({});
+    setSaveError(null);
     setSelectedCustomer(null);
     setCustomerSearch('');
     setSaleType('Cash');
     setSaleDate(new Date().toISOString().split('T')[0]);
+    setExpiryDate(defaultQuoteExpiry());
     setOverallDiscount(0);
     setNotes('');
     setLineItems([
@@ -419,6 +870,165 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
     ]);
   }, []);
   
+  // ==========================================
+  // CREDIT POSITION
+  // ==========================================
+  
+  useEffect(() => {
+    if (isQuote || saleType !== 'Credit' || !selectedCustomer?.id) {
+      setCreditPosition(null);
+      return;
+    }
+    
+    let cancelled = false;
+    getCreditPosition(selectedCustomer.id)
+      .then(position => { if (!cancelled) setCreditPosition(position); })
+      .catch(error => console.error('Error loading credit position:', error));
+    
+    return () => { cancelled = true; };
+  }, [isQuote, saleType, selectedCustomer?.id]);
+  
+  const creditCheck = useMemo(() => (
+    creditPosition?.hasLimit ? evaluateCredit(creditPosition, calculations.total) : null
+  ), [creditPosition, calculations.total]);
+  
+  const handleOverrideApproved = (override) => {
+    creditOverrideRef.current = override;
+    setCreditOverride(override);
+    setShowCreditOverride(false);
+    saveInvoice();
+  };
+  
+  const handleBatchOverrideApproved = (override) => {
+    setLineItems(prev => prev.map(item => (
+      item.id === batchOverrideLineId ? { ...item, batchOverride: override } : item
+    )));
+    setBatchOverrideLineId(null);
+  };
+  
+  const handleDiscountApproved = (approval) => {
+    discountApprovalRef.current = approval;
+    setDiscountApproval(approval);
+    setShowDiscountApproval(false);
+    saveInvoice();
+  };
+  
+  // Ctrl+S saves from anywhere on the form
+  saveInvoiceRef.current = saveInvoice;
+  const approvalOpen = showCreditOverride || showDiscountApproval || Boolean(batchOverrideLineId);
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+        e.preventDefault();
+        if (!approvalOpen) saveInvoiceRef.current();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [approvalOpen]);
+  
+  const discountWithinLimit = isWithinDiscountLimit(calculations.manualDiscount.percent, currentUser?.role, discountLimits);
+  
+  // ==========================================
+  // DRAFTS: Resume & Autosave
+  // ==========================================
+  
+  // Resume a draft once products are loaded so lines can be matched
+  useEffect(() => {
+    if (!resumeDraftId || draftResumedRef.current || products.length === 0) return;
+    draftResumedRef.current = true;
+    
+    const resume = async () => {
+      try {
+        const draft = await getDraft(resumeDraftId);
+        const payload = draft.draft_payload || {};
+        const restoredLines = restoreDraftLineItems(payload, products);
+        
+        draftIdRef.current = draft.id;
+        setDraftId(draft.id);
+        setDraftStatus('saved');
+        setDraftSavedAt(draft.draft_updated_at);
+        if (draft.idempotency_key) setIdempotencyKey(draft.idempotency_key);
+        setSelectedCustomer(customers.find(c => c.id === draft.customer_id) || {
+          id: draft.customer_id,
+          name: draft.customer_name,
+          region: draft.region
+        });
+        setCustomerSearch(draft.customer_name || '');
+        setSaleType(payload.saleType || draft.sale_type || 'Cash');
+        setSaleDate(payload.saleDate || draft.invoice_date);
+        setOverallDiscount(payload.overallDiscount || 0);
+        setNotes(payload.notes || '');
+        if (draft.location_id) setLocationId(draft.location_id);
+        if (restoredLines.length > 0) setLineItems(restoredLines);
+      } catch (error) {
+        console.error('Error resuming draft:', error);
+        alert('❌ Could not open draft: ' + error.message);
+      }
+    };
+    resume();
+  }, [resumeDraftId, products, customers]);
+  
+  // Autosave shortly after the rep stops typing
+  useEffect(() => {
+    if (isQuote || !selectedCustomer || !currentUser || savingRef.current) return;
+    if (resumeDraftId && !draftResumedRef.current) return;
+    
+    clearTimeout(draftTimerRef.current);
+    draftTimerRef.current = setTimeout(() => {
+      const header = {
+        invoice_date: saleDate,
+        customer_id: selectedCustomer.id,
+        customer_name: selectedCustomer.name,
+        region: selectedCustomer.region,
+        sale_type: saleType,
+        salesperson_id: currentUser.id,
+        salesperson_name: currentUser.full_name,
+        subtotal: calculations.subtotal,
+        discount_amount: calculations.discountAmount,
+        tax_amount: calculations.taxTotal,
+        total_amount: calculations.total,
+        notes,
+        idempotency_key: idempotencyKey,
+        location_id: locationId || null,
+        location_name: locations.find(l => l.id === locationId)?.name || null
+      };
+      const payload = buildDraftPayload({ saleType, saleDate, overallDiscount, notes, lineItems });
+      
+      // Chain saves so the first insert finishes before any update
+      draftChainRef.current = draftChainRef.current.then(async () => {
+        setDraftStatus('saving');
+        try {
+          const draft = await saveDraft(draftIdRef.current, header, payload);
+          draftIdRef.current = draft.id;
+          setDraftId(draft.id);
+          setDraftSavedAt(draft.draft_updated_at);
+          setDraftStatus('saved');
+        } catch (error) {
+          console.error('Draft autosave failed:', error);
+          setDraftStatus('error');
+        }
+      });
+    }, AUTOSAVE_DELAY);
+    
+    return () => clearTimeout(draftTimerRef.current);
+  }, [isQuote, resumeDraftId, selectedCustomer, currentUser, saleDate, saleType, overallDiscount, notes, lineItems, calculations, idempotencyKey, locationId, locations]);
+  
+  const handleDiscardDraft = useCallback(async () => {
+    if (!draftIdRef.current) return;
+    if (!window.confirm('Discard this draft? The order entered so far will be lost.')) return;
+    
+    clearTimeout(draftTimerRef.current);
+    await draftChainRef.current;
+    try {
+      await discardDraft(draftIdRef.current);
+      resetForm();
+    } catch (error) {
+      console.error('Error discarding draft:', error);
+      alert('❌ Failed to discard draft: ' + error.message);
+    }
+  }, [resetForm]);
+  
   // ==========================================
   // RENDER
   // ==========================================
@@ -434,10 +1044,28 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
     <div className={`max-w-6xl mx-auto p-4 md:p-6 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
       {/* Header */}
       <div className="mb-6">
-        <h2 className="text-2xl md:text-3xl font-bold mb-2">New Sale / Invoice</h2>
+        <h2 className="text-2xl md:text-3xl font-bold mb-2">
+          {isQuote ? 'New Quote / Pro-Forma' : 'New Sale / Invoice'}
+        </h2>
         <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-          Enter sale details and generate invoice automatically
+          {isQuote
+            ? 'Prepare a priced quote for the customer. Stock is not reserved or deducted.'
+            : 'Enter sale details and generate invoice automatically'}
         </p>
+        {!isQuote && draftStatus && (
+          <div className={`flex items-center gap-3 mt-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            <span className={draftStatus === 'error' ? 'text-red-600' : ''}>
+              {draftStatus === 'saving' && 'Saving draft...'}
+              {draftStatus === 'saved' && `Draft saved${draftSavedAt ? ` at ${new Date(draftSavedAt).toLocaleTimeString()}` : ''}`}
+              {draftStatus === 'error' && 'Draft not saved — check your connection'}
+            </span>
+            {draftId && (
+              <button onClick={handleDiscardDraft} className="text-red-600 hover:underline">
+                Discard draft
+              </button>
+            )}
+          </div>
+        )}
       </div>
       
       {/* Sale Header */}
@@ -456,8 +1084,10 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
                 onChange={(e) => {
                   setCustomerSearch(e.target.value);
                   setShowCustomerDropdown(true);
+                  setHighlightedCustomer(0);
                 }}
                 onFocus={() => setShowCustomerDropdown(true)}
+                onKeyDown={handleCustomerKeyDown}
                 placeholder="Search customer..."
                 className={`w-full pl-10 pr-4 py-3 rounded-lg border ${
                   darkMode
@@ -472,11 +1102,14 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
               <div className={`absolute z-10 w-full mt-1 max-h-60 overflow-auto rounded-lg border shadow-lg ${
                 darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-200'
               }`}>
-                {filteredCustomers.map(customer => (
+                {filteredCustomers.map((customer, index) => (
                   <div
                     key={customer.id}
                     onClick={() => selectCustomer(customer)}
-                    className={`p-3 cursor-pointer hover:bg-blue-600 hover:text-white ${
+                    onMouseEnter={() => setHighlightedCustomer(index)}
+                    className={`p-3 cursor-pointer ${
+                      index === highlightedCustomer ? 'bg-blue-600 text-white' : ''
+                    } ${
                       darkMode ? 'border-b border-gray-600' : 'border-b border-gray-100'
                     }`}
                   >
@@ -505,17 +1138,25 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
               <option value="Cash">Cash</option>
               <option value="Credit">Credit</option>
             </select>
+            {!isQuote && saleType === 'Credit' && selectedCustomer && saleDate && (
+              <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                {termsLabel(selectedCustomer.payment_terms)} · due {new Date(calculateDueDate(saleDate, selectedCustomer.payment_terms)).toLocaleDateString()}
+              </p>
+            )}
           </div>
           
           {/* Sale Date */}
           <div>
             <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-              Sale Date *
+              {isQuote ? 'Quote Date *' : 'Sale Date *'}
             </label>
             <input
               type="date"
               value={saleDate}
-              onChange={(e) => setSaleDate(e.target.value)}
+              onChange={(e) => {
+                setSaleDate(e.target.value);
+                if (isQuote) setExpiryDate(defaultQuoteExpiry(e.target.value));
+              }}
               className={`w-full px-4 py-3 rounded-lg border ${
                 darkMode
                   ? 'bg-gray-700 border-gray-600 text-white'
@@ -523,6 +1164,55 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
               }`}
             />
           </div>
+          
+          {/* Ship From */}
+          {!isQuote && locations.length > 0 && (
+            <div>
+              <label className={`flex items-center gap-1 text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <MapPin size={14} />
+                Ship From *
+              </label>
+              <select
+                value={locationId}
+                onChange={(e) => {
+                  setLocationId(e.target.value);
+                  // Hand-picked batches belong to the previous location
+                  setLineItems(prev => prev.map(item => (item.batchOverride ? { ...item, batchOverride: null } : item)));
+                }}
+                className={`w-full px-4 py-3 rounded-lg border ${
+                  darkMode
+                    ? 'bg-gray-700 border-gray-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                }`}
+              >
+                {locations.map(location => (
+                  <option key={location.id} value={location.id}>
+                    {location.name}{location.type === 'Consignment' ? ' (consignment)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          
+          {/* Quote Expiry */}
+          {isQuote && (
+            <div>
+              <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                Valid Until *
+              </label>
+              <input
+                type="date"
+                value={expiryDate}
+                min={saleDate}
+                onChange={(e) => setExpiryDate(e.target.value)}
+                className={`w-full px-4 py-3 rounded-lg border ${
+                  darkMode
+                    ? 'bg-gray-700 border-gray-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                }`}
+              />
+            </div>
+          )}
         </div>
       </div>
       
@@ -530,17 +1220,62 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
       <div className={`p-6 rounded-xl mb-6 ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-lg font-semibold">Line Items</h3>
-          <button
-            onClick={addLineItem}
-            className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
-          >
-            <Plus size={18} />
-            Add Item
-          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setFastEntry(!fastEntry)}
+              title="Scan barcodes and enter the order from the keyboard"
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                fastEntry
+                  ? 'bg-green-600 hover:bg-green-700 text-white'
+                  : darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+              }`}
+            >
+              <Keyboard size={18} />
+              Fast Entry
+            </button>
+            <button
+              onClick={() => addLineItem()}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+            >
+              <Plus size={18} />
+              Add Item
+            </button>
+          </div>
         </div>
         
+        {fastEntry && (
+          <form onSubmit={handleScan} className="mb-4">
+            <div className="relative">
+              <ScanBarcode size={18} className={`absolute left-3 top-1/2 transform -translate-y-1/2 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`} />
+              <input
+                ref={scanInputRef}
+                type="text"
+                value={scanCode}
+                onChange={(e) => setScanCode(e.target.value)}
+                placeholder="Scan barcode or type SKU, then Enter"
+                autoComplete="off"
+                className={`w-full pl-10 pr-4 py-3 rounded-lg border ${
+                  darkMode
+                    ? 'bg-gray-700 border-gray-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                } focus:outline-none focus:ring-2 focus:ring-green-500`}
+              />
+            </div>
+            <div className="flex justify-between mt-1 text-xs">
+              <span className={
+                scanMessage?.type === 'error' ? 'text-red-600' : 'text-green-600'
+              }>
+                {scanMessage?.text}
+              </span>
+              <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+                Enter in Boxes/Units: next line · Ctrl+S: save
+              </span>
+            </div>
+          </form>
+        )}
+        
         <div className="space-y-4">
-          {lineItems.map((item, index) => (
+          {pricedLines.map((item, index) => (
             <div key={item.id} className={`p-4 rounded-lg border ${
               darkMode ? 'border-gray-600 bg-gray-750' : 'border-gray-200 bg-gray-50'
             }`}>
@@ -549,6 +1284,7 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
                 <div className="md:col-span-2">
                   <label className="block text-xs font-medium mb-1">Product *</label>
                   <select
+                    ref={(el) => { productSelectRefs.current[item.id] = el; }}
                     value={item.product?.id || ''}
                     onChange={(e) => {
                       const product = products.find(p => p.id === e.target.value);
@@ -563,7 +1299,7 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
                     <option value="">Select product...</option>
                     {products.map(product => (
                       <option key={product.id} value={product.id}>
-                        {product.product_name} (₵{product.selling_price || product.unit_price})
+                        {product.product_name} (₵{product.selling_price || product.unit_price}){product.tax_exempt ? ' • Zero-rated' : ''}
                       </option>
                     ))}
                   </select>
@@ -576,6 +1312,7 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
                     type="number"
                     value={item.boxes}
                     onChange={(e) => updateLineItem(item.id, 'boxes', e.target.value)}
+                    onKeyDown={(e) => handleQuantityKeyDown(e, item.id)}
                     min="0"
                     className={`w-full px-3 py-2 rounded border text-sm ${
                       darkMode
@@ -592,6 +1329,7 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
                     type="number"
                     value={item.units}
                     onChange={(e) => updateLineItem(item.id, 'units', e.target.value)}
+                    onKeyDown={(e) => handleQuantityKeyDown(e, item.id)}
                     min="0"
                     className={`w-full px-3 py-2 rounded border text-sm ${
                       darkMode
@@ -610,11 +1348,29 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
                     onChange={(e) => updateLineItem(item.id, 'unitPrice', parseFloat(e.target.value))}
                     step="0.01"
                     className={`w-full px-3 py-2 rounded border text-sm ${
-                      darkMode
-                        ? 'bg-gray-700 border-gray-600 text-white'
-                        : 'bg-white border-gray-300 text-gray-900'
+                      darkMode ? 'bg-gray-700 text-white' : 'bg-white text-gray-900'
+                    } ${
+                      isPriceOverridden(item.unitPrice, item.listPrice)
+                        ? 'border-orange-500'
+                        : darkMode ? 'border-gray-600' : 'border-gray-300'
                     }`}
                   />
+                  {item.product && (
+                    isPriceOverridden(item.unitPrice, item.listPrice) ? (
+                      <button
+                        type="button"
+                        onClick={() => updateLineItem(item.id, 'unitPrice', item.listPrice)}
+                        className="mt-1 text-xs text-orange-500 hover:underline text-left"
+                        title="Use the list price"
+                      >
+                        Manual override (list ₵{Number(item.listPrice).toFixed(2)})
+                      </button>
+                    ) : (
+                      <div className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        {priceSourceLabel(item.priceSource)}
+                      </div>
+                    )
+                  )}
                 </div>
                 
                 {/* Remove Button */}
@@ -632,10 +1388,61 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
               
               {/* Line Total */}
               {item.product && item.units > 0 && (
-                <div className="mt-3 pt-3 border-t border-gray-600">
+                <div className="mt-3 pt-3 border-t border-gray-600 flex flex-wrap justify-between gap-2">
                   <div className="text-sm font-medium">
                     Line Total: ₵{((item.units * item.unitPrice) - (item.discount || 0)).toFixed(2)}
                   </div>
+                  {item.promotion && (
+                    <div className="flex items-center gap-1 text-xs font-medium text-purple-500">
+                      <Tag size={14} />
+                      {item.promotion.name} −₵{item.discount.toFixed(2)}
+                    </div>
+                  )}
+                  {!isQuote && batchPlan[index] && (
+                    <div className="w-full flex flex-wrap items-center gap-2 text-xs">
+                      <Layers size={14} className={darkMode ? 'text-gray-400' : 'text-gray-500'} />
+                      <span className={darkMode ? 'text-gray-300' : 'text-gray-700'}>
+                        {batchAllocationLabel(batchPlan[index].allocations) || 'No batches'}
+                        {batchPlan[index].fromUnbatched > 0 && ` + ${batchPlan[index].fromUnbatched} unbatched`}
+                      </span>
+                      {batchPlan[index].shortfall > 0 && (
+                        <span className="text-red-600 font-medium">
+                          Short by {batchPlan[index].shortfall} units of sellable stock
+                        </span>
+                      )}
+                      {batchPlan[index].problems.map(problem => (
+                        <span key={problem} className="text-red-600">{problem}</span>
+                      ))}
+                      {locationShortfalls.some(entry => entry.productId === item.product?.id && entry.short > 0) && (
+                        <span className="text-red-600 font-medium">
+                          Only {locationShortfalls.find(entry => entry.productId === item.product?.id).available} units
+                          at {locations.find(l => l.id === locationId)?.name}
+                        </span>
+                      )}
+                      {item.batchOverride ? (
+                        <>
+                          <span className="text-orange-500">Chosen by {item.batchOverride.approvedByName}</span>
+                          <button
+                            type="button"
+                            onClick={() => setLineItems(prev => prev.map(line => (
+                              line.id === item.id ? { ...line, batchOverride: null } : line
+                            )))}
+                            className="text-blue-600 hover:underline"
+                          >
+                            Use FEFO
+                          </button>
+                        </>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => setBatchOverrideLineId(item.id)}
+                          className="text-blue-600 hover:underline"
+                        >
+                          Change batches
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -658,6 +1465,13 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
               <span className="font-semibold">₵{calculations.subtotal.toFixed(2)}</span>
             </div>
             
+            {calculations.promotionDiscount > 0 && (
+              <div className="flex justify-between text-sm text-purple-500">
+                <span>Promotions (included above):</span>
+                <span>−₵{calculations.promotionDiscount.toFixed(2)}</span>
+              </div>
+            )}
+            
             <div className="flex justify-between items-center">
               <span className="text-sm">Discount:</span>
               <input
@@ -673,10 +1487,68 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
               />
             </div>
             
+            {calculations.manualDiscount.amount > 0 && (
+              <div className={`text-xs ${
+                !discountWithinLimit ? 'text-orange-500' : darkMode ? 'text-gray-400' : 'text-gray-500'
+              }`}>
+                Manual discount ₵{calculations.manualDiscount.amount.toFixed(2)} ({calculations.manualDiscount.percent.toFixed(1)}%,
+                your limit {discountLimits[currentUser?.role] ?? 0}%)
+                {!discountWithinLimit && (
+                  discountApproval && discountApproval.discount_amount >= calculations.manualDiscount.amount - 0.005
+                    ? ` — approved by ${discountApproval.approved_by_name}`
+                    : ' — manager approval required'
+                )}
+              </div>
+            )}
+            
+            {calculations.taxBreakdown.length > 0 && (
+              <div className={`space-y-1 pt-2 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <div className="flex justify-between text-xs opacity-75">
+                  <span>Taxable:</span>
+                  <span>₵{calculations.taxableAmount.toFixed(2)}</span>
+                </div>
+                {calculations.exemptAmount > 0 && (
+                  <div className="flex justify-between text-xs opacity-75">
+                    <span>Zero-rated / exempt:</span>
+                    <span>₵{calculations.exemptAmount.toFixed(2)}</span>
+                  </div>
+                )}
+                {calculations.taxBreakdown.map(tax => (
+                  <div key={tax.code} className="flex justify-between">
+                    <span>{taxLabel(tax)}:</span>
+                    <span>₵{tax.amount.toFixed(2)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+            
             <div className="flex justify-between pt-3 border-t border-gray-600">
               <span className="font-semibold">Total:</span>
               <span className="text-xl font-bold text-green-500">₵{calculations.total.toFixed(2)}</span>
             </div>
+            
+            {/* Credit headroom */}
+            {creditCheck && (
+              <div className={`p-3 rounded-lg text-sm ${
+                creditCheck.withinLimit
+                  ? darkMode ? 'bg-gray-700' : 'bg-gray-50'
+                  : darkMode ? 'bg-red-900/30 text-red-300' : 'bg-red-50 text-red-700'
+              }`}>
+                <div className="flex justify-between">
+                  <span>Credit headroom:</span>
+                  <span className="font-semibold">
+                    ₵{Math.max(0, creditPosition.headroom).toFixed(2)} of ₵{creditPosition.creditLimit.toFixed(2)}
+                  </span>
+                </div>
+                {!creditCheck.withinLimit && (
+                  <div className="mt-1 text-xs">
+                    {creditOverride && creditOverride.sale_amount >= calculations.total - 0.005
+                      ? `Override approved by ${creditOverride.approved_by_name}`
+                      : `Exceeds limit by ₵${creditCheck.excess.toFixed(2)} — manager override required`}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
           
           {/* Right - Only visible to admin/manager */}
@@ -737,6 +1609,96 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
         </div>
       </div>
       
+      {/* Save Progress / Failure */}
+      {!isQuote && (saving || saveError) && (
+        <div className={`p-4 rounded-xl mb-6 border ${
+          saveError
+            ? darkMode ? 'bg-red-900/30 border-red-800' : 'bg-red-50 border-red-200'
+            : darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'
+        }`}>
+          {saveError && (
+            <div className="flex items-start gap-2 mb-3 text-red-600">
+              <AlertTriangle size={18} className="flex-shrink-0 mt-0.5" />
+              <div className="text-sm">
+                <div className="font-semibold">Invoice not created</div>
+                <div>{saveError.message}</div>
+                {saveError.step && (
+                  <div className="mt-1">
+                    {saveError.rolledBack
+                      ? 'All earlier steps were rolled back. You can fix the problem and save again.'
+                      : 'Some steps could not be rolled back automatically. Please check inventory before retrying.'}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+          <div className="flex flex-wrap gap-4 text-sm">
+            {Object.entries(INVOICE_STEPS).map(([step, label]) => {
+              const status = saveProgress[step];
+              return (
+                <div key={step} className={`flex items-center gap-1 ${
+                  status === 'done' ? 'text-green-500'
+                    : status === 'failed' ? 'text-red-600 font-semibold'
+                    : status === 'running' ? 'text-blue-500'
+                    : darkMode ? 'text-gray-500' : 'text-gray-400'
+                }`}>
+                  {status === 'done' && <CheckCircle size={14} />}
+                  {status === 'failed' && <XCircle size={14} />}
+                  {status === 'running' && (
+                    <div className="animate-spin h-3 w-3 border-2 border-current border-t-transparent rounded-full"></div>
+                  )}
+                  {label}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+      
+      {/* Credit Override */}
+      {showCreditOverride && creditPosition && (
+        <CreditOverrideModal
+          darkMode={darkMode}
+          customer={selectedCustomer}
+          position={creditPosition}
+          saleAmount={calculations.total}
+          currentUser={currentUser}
+          onClose={() => setShowCreditOverride(false)}
+          onApproved={handleOverrideApproved}
+        />
+      )}
+      
+      {/* Discount Approval */}
+      {batchOverrideLineId && (() => {
+        const index = lineItems.findIndex(item => item.id === batchOverrideLineId);
+        const line = lineItems[index];
+        if (!line?.product) return null;
+        return (
+          <BatchOverrideModal
+            darkMode={darkMode}
+            productName={line.product.product_name || line.product.name}
+            units={parseInt(line.units || 0)}
+            batches={batchesByProduct[line.product.id] || []}
+            allocations={batchPlan[index]?.allocations || []}
+            currentUser={currentUser}
+            onClose={() => setBatchOverrideLineId(null)}
+            onApproved={handleBatchOverrideApproved}
+          />
+        );
+      })()}
+      
+      {showDiscountApproval && (
+        <DiscountApprovalModal
+          darkMode={darkMode}
+          customer={selectedCustomer}
+          discount={calculations.manualDiscount}
+          limits={discountLimits}
+          currentUser={currentUser}
+          onClose={() => setShowDiscountApproval(false)}
+          onApproved={handleDiscountApproved}
+        />
+      )}
+      
       {/* Actions */}
       <div className="flex gap-4 justify-end">
         <button
@@ -768,7 +1730,7 @@ const SalesEntry = ({ darkMode, onInvoiceCreated }) => {
           ) : (
             <>
               <Save size={18} className="inline mr-2" />
-              Create Invoice
+              {isQuote ? 'Save Quote' : 'Create Invoice'}
             </>
           )}
         </button>
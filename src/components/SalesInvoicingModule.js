@@ -1,8 +1,14 @@
-import React, { useState } from 'react';
-import { FileText, PlusCircle, List } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { FileText, PlusCircle, List, ClipboardList, Clock, Bell, Repeat, Tag, X } from 'lucide-react';
 import SalesEntry from './SalesEntry';
 import InvoiceList from './InvoiceList';
 import InvoiceViewer from './InvoiceViewer';
+import QuoteList from './QuoteList';
+import AgingReport from './AgingReport';
+import DunningManager from './DunningManager';
+import RecurringSchedules from './RecurringSchedules';
+import Promotions from './Promotions';
+import { runDueSchedules } from '../lib/recurringInvoices';
 import { useNavigate } from 'react-router-dom';
 
 /**
@@ -13,20 +19,51 @@ import { useNavigate } from 'react-router-dom';
  * - Sales entry with auto-invoice generation
  * - Invoice list with search/filter
  * - PDF generation
+ * - Pro-forma quotes convertible to invoices
+ * - Receivables aging report
+ * - Overdue reminders (dunning)
+ * - Recurring invoices (due runs become drafts when the module opens)
+ * - Promotions, discount limits and discount analytics
  * - Inventory hooks (dormant)
  */
 
 const SalesInvoicingModule = ({ darkMode, setDarkMode }) => {
   const navigate = useNavigate();
-  const [currentView, setCurrentView] = useState('list'); // 'list', 'new', 'view'
+  const [currentView, setCurrentView] = useState('list'); // 'list', 'new', 'view', 'quotes', 'new-quote', 'aging', 'reminders', 'recurring', 'promotions'
   const [selectedInvoice, setSelectedInvoice] = useState(null);
+  const [resumeDraftId, setResumeDraftId] = useState(null);
+  const [recurringDrafts, setRecurringDrafts] = useState(0);
+  
+  // Standing orders that have come due become drafts for the reps to review
+  useEffect(() => {
+    runDueSchedules()
+      .then(({ created }) => setRecurringDrafts(created.length))
+      .catch(error => console.error('Error generating recurring drafts:', error));
+  }, []);
+  
+  const handleReviewRecurringDrafts = () => {
+    setRecurringDrafts(0);
+    setCurrentView('list');
+    navigate('?status=Draft');
+  };
   
   const handleInvoiceCreated = (invoice) => {
     // Switch to list view after creating invoice
+    setResumeDraftId(null);
     setCurrentView('list');
     setSelectedInvoice(invoice);
   };
   
+  const handleResumeDraft = (draft) => {
+    setResumeDraftId(draft.id);
+    setCurrentView('new');
+  };
+  
+  const handleNewSale = () => {
+    setResumeDraftId(null);
+    setCurrentView('new');
+  };
+  
   const handleViewInvoice = (invoice) => {
     setSelectedInvoice(invoice);
     setCurrentView('view');
@@ -80,7 +117,91 @@ const SalesInvoicingModule = ({ darkMode, setDarkMode }) => {
               </button>
               
               <button
-                onClick={() => setCurrentView('new')}
+                onClick={() => setCurrentView('quotes')}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                  currentView === 'quotes'
+                    ? 'bg-blue-600 text-white'
+                    : darkMode
+                    ? 'bg-gray-700 hover:bg-gray-600 text-white'
+                    : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+                }`}
+              >
+                <ClipboardList size={18} />
+                <span className="hidden sm:inline">Quotes</span>
+              </button>
+              
+              <button
+                onClick={() => setCurrentView('aging')}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                  currentView === 'aging'
+                    ? 'bg-blue-600 text-white'
+                    : darkMode
+                    ? 'bg-gray-700 hover:bg-gray-600 text-white'
+                    : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+                }`}
+              >
+                <Clock size={18} />
+                <span className="hidden sm:inline">Aging</span>
+              </button>
+              
+              <button
+                onClick={() => setCurrentView('reminders')}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                  currentView === 'reminders'
+                    ? 'bg-blue-600 text-white'
+                    : darkMode
+                    ? 'bg-gray-700 hover:bg-gray-600 text-white'
+                    : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+                }`}
+              >
+                <Bell size={18} />
+                <span className="hidden sm:inline">Reminders</span>
+              </button>
+              
+              <button
+                onClick={() => setCurrentView('recurring')}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                  currentView === 'recurring'
+                    ? 'bg-blue-600 text-white'
+                    : darkMode
+                    ? 'bg-gray-700 hover:bg-gray-600 text-white'
+                    : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+                }`}
+              >
+                <Repeat size={18} />
+                <span className="hidden sm:inline">Recurring</span>
+              </button>
+              
+              <button
+                onClick={() => setCurrentView('promotions')}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                  currentView === 'promotions'
+                    ? 'bg-blue-600 text-white'
+                    : darkMode
+                    ? 'bg-gray-700 hover:bg-gray-600 text-white'
+                    : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+                }`}
+              >
+                <Tag size={18} />
+                <span className="hidden sm:inline">Promotions</span>
+              </button>
+              
+              <button
+                onClick={() => setCurrentView('new-quote')}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                  currentView === 'new-quote'
+                    ? 'bg-blue-600 text-white'
+                    : darkMode
+                    ? 'bg-gray-700 hover:bg-gray-600 text-white'
+                    : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+                }`}
+              >
+                <FileText size={18} />
+                <span className="hidden sm:inline">New Quote</span>
+              </button>
+              
+              <button
+                onClick={handleNewSale}
                 className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
                   currentView === 'new'
                     ? 'bg-green-600 text-white'
@@ -95,22 +216,83 @@ const SalesInvoicingModule = ({ darkMode, setDarkMode }) => {
         </div>
       </header>
       
+      {/* Recurring drafts notice */}
+      {recurringDrafts > 0 && (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-4">
+          <div className={`flex items-center gap-3 p-3 rounded-lg border text-sm ${
+            darkMode ? 'bg-blue-900/30 border-blue-800 text-blue-200' : 'bg-blue-50 border-blue-200 text-blue-800'
+          }`}>
+            <Repeat size={18} />
+            <span className="flex-1">
+              {recurringDrafts} recurring draft invoice{recurringDrafts !== 1 ? 's were' : ' was'} created and {recurringDrafts !== 1 ? 'are' : 'is'} waiting for review.
+            </span>
+            <button onClick={handleReviewRecurringDrafts} className="font-semibold hover:underline">
+              Review drafts
+            </button>
+            <button onClick={() => setRecurringDrafts(0)} title="Dismiss">
+              <X size={16} />
+            </button>
+          </div>
+        </div>
+      )}
+      
       {/* Main Content */}
       <main>
         {currentView === 'list' && (
           <InvoiceList
             darkMode={darkMode}
             onViewInvoice={handleViewInvoice}
+            onResumeDraft={handleResumeDraft}
           />
         )}
         
         {currentView === 'new' && (
           <SalesEntry
+            key={resumeDraftId || 'invoice'}
             darkMode={darkMode}
+            resumeDraftId={resumeDraftId}
             onInvoiceCreated={handleInvoiceCreated}
           />
         )}
         
+        {currentView === 'quotes' && (
+          <QuoteList
+            darkMode={darkMode}
+            onInvoiceCreated={handleViewInvoice}
+          />
+        )}
+        
+        {currentView === 'new-quote' && (
+          <SalesEntry
+            key="quote"
+            darkMode={darkMode}
+            documentType="quote"
+            onQuoteCreated={() => setCurrentView('quotes')}
+          />
+        )}
+        
+        {currentView === 'aging' && (
+          <AgingReport
+            darkMode={darkMode}
+            onViewInvoice={handleViewInvoice}
+          />
+        )}
+        
+        {currentView === 'reminders' && (
+          <DunningManager
+            darkMode={darkMode}
+            onViewInvoice={handleViewInvoice}
+          />
+        )}
+        
+        {currentView === 'recurring' && (
+          <RecurringSchedules darkMode={darkMode} />
+        )}
+        
+        {currentView === 'promotions' && (
+          <Promotions darkMode={darkMode} />
+        )}
+        
         {currentView === 'view' && selectedInvoice && (
           <InvoiceViewer
             darkMode={darkMode}
@@ -2,9 +2,13 @@ import React, { useState } from 'react';
 import { 
   X, User, Shield, Lock, Bell, Palette, Database, 
   Users as UsersIcon, Save, Eye, EyeOff, Mail,
-  Download, Upload, RefreshCw, AlertCircle, CheckCircle
+  Download, Upload, RefreshCw, AlertCircle, CheckCircle, Percent, FileText, Tag, Warehouse
 } from 'lucide-react';
 import { supabase } from '../lib/supabase';
+import TaxSettings from './TaxSettings';
+import InvoiceTemplateSettings from './InvoiceTemplateSettings';
+import PriceListSettings from './PriceListSettings';
+import LocationSettings from './LocationSettings';
 import { useNavigate } from 'react-router-dom';
 
 /**
@@ -14,6 +18,9 @@ import { useNavigate } from 'react-router-dom';
  * - Password change
  * - Notification preferences
  * - Appearance customization
+ * - Tax rates & zero-rated products
+ * - Price lists & volume pricing
+ * - Stock locations
  * - Admin tools
  */
 
@@ -60,6 +67,10 @@ const Settings = ({ darkMode, setDarkMode, onClose, user, onNavigateToUserManage
   ];
 
   if (isAdmin) {
+    tabs.push({ id: 'tax', label: 'Tax', icon: Percent });
+    tabs.push({ id: 'price-lists', label: 'Price Lists', icon: Tag });
+    tabs.push({ id: 'locations', label: 'Locations', icon: Warehouse });
+    tabs.push({ id: 'invoice-template', label: 'Invoice Template', icon: FileText });
     tabs.push({ id: 'admin', label: 'Admin Tools', icon: Lock });
   }
 
@@ -653,6 +664,26 @@ const Settings = ({ darkMode, setDarkMode, onClose, user, onNavigateToUserManage
               </div>
             )}
 
+            {/* TAX TAB */}
+            {activeTab === 'tax' && isAdmin && (
+              <TaxSettings darkMode={darkMode} user={user} />
+            )}
+
+            {/* PRICE LISTS TAB */}
+            {activeTab === 'price-lists' && isAdmin && (
+              <PriceListSettings darkMode={darkMode} user={user} />
+            )}
+
+            {/* LOCATIONS TAB */}
+            {activeTab === 'locations' && isAdmin && (
+              <LocationSettings darkMode={darkMode} />
+            )}
+
+            {/* INVOICE TEMPLATE TAB */}
+            {activeTab === 'invoice-template' && isAdmin && (
+              <InvoiceTemplateSettings darkMode={darkMode} user={user} />
+            )}
+
             {/* ADMIN TAB */}
             {activeTab === 'admin' && isAdmin && (
               <div className="space-y-6">
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { X, FileText } from 'lucide-react';
+import { defaultStatementPeriod, getCustomerStatement, getBulkStatements } from '../lib/statements';
+import { generateStatementPDFClient, generateBulkStatementsPDFClient } from '../lib/clientPDF';
+
+/**
+ * STATEMENT MODAL
+ * Pick a period and download a statement of account, either for one
+ * customer or, without a customer, for every customer with a balance.
+ */
+
+const StatementModal = ({ darkMode, customer, onClose }) => {
+  const [period, setPeriod] = useState(defaultStatementPeriod);
+  const [generating, setGenerating] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [summary, setSummary] = useState(null);
+
+  const isBulk = !customer;
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+    setGenerating(true);
+    setSummary(null);
+    try {
+      if (isBulk) {
+        const statements = await getBulkStatements(period.startDate, period.endDate, (done, total) =>
+          setProgress({ done, total })
+        );
+        if (statements.length === 0) {
+          alert('No customers have an outstanding balance');
+          return;
+        }
+        generateBulkStatementsPDFClient(statements, period);
+        alert(`✅ ${statements.length} statement${statements.length !== 1 ? 's' : ''} generated`);
+      } else {
+        const statement = await getCustomerStatement(customer, period.startDate, period.endDate);
+        generateStatementPDFClient(statement);
+        setSummary(statement);
+      }
+    } catch (error) {
+      console.error('Error generating statement:', error);
+      alert('❌ Failed to generate statement: ' + error.message);
+    } finally {
+      setGenerating(false);
+      setProgress(null);
+    }
+  };
+
+  const inputClass = `w-full px-4 py-2 rounded-lg border ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`max-w-md w-full rounded-xl shadow-2xl ${
+        darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+      }`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${
+          darkMode ? 'border-gray-700' : 'border-gray-200'
+        }`}>
+          <div>
+            <h2 className="text-xl font-bold flex items-center gap-2">
+              <FileText size={22} />
+              {isBulk ? 'Bulk Statements' : 'Statement of Account'}
+            </h2>
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              {isBulk ? 'All customers with an outstanding balance' : customer.name}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg transition-colors ${
+              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+            }`}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleGenerate} className="p-6 space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">From *</label>
+              <input
+                type="date"
+                value={period.startDate}
+                onChange={(e) => setPeriod({ ...period, startDate: e.target.value })}
+                required
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">To *</label>
+              <input
+                type="date"
+                value={period.endDate}
+                onChange={(e) => setPeriod({ ...period, endDate: e.target.value })}
+                required
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          {progress && (
+            <div>
+              <div className="flex justify-between text-sm mb-1">
+                <span>Preparing statements...</span>
+                <span>{progress.done} / {progress.total}</span>
+              </div>
+              <div className={`h-2 rounded-full ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                <div
+                  className="h-2 rounded-full bg-blue-600 transition-all"
+                  style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          {summary && (
+            <div className={`p-4 rounded-lg text-sm space-y-1 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+              <div className="flex justify-between">
+                <span>Opening balance:</span>
+                <span>₵{summary.openingBalance.toFixed(2)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Invoices:</span>
+                <span>₵{summary.totals.invoiced.toFixed(2)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Payments:</span>
+                <span>-₵{summary.totals.paid.toFixed(2)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Credit notes:</span>
+                <span>-₵{summary.totals.credited.toFixed(2)}</span>
+              </div>
+              <div className="flex justify-between pt-2 border-t border-gray-400 font-semibold">
+                <span>Closing balance:</span>
+                <span>₵{summary.closingBalance.toFixed(2)}</span>
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+              }`}
+            >
+              Close
+            </button>
+            <button
+              type="submit"
+              disabled={generating}
+              className={`flex-1 px-4 py-2 rounded-lg font-medium text-white transition-colors ${
+                generating ? 'bg-gray-500 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              {generating ? 'Generating...' : 'Download PDF'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default StatementModal;
@@ -0,0 +1,374 @@
+import React, { useState, useEffect } from 'react';
+import { X, Truck, Plus, PackageCheck, ArrowRight } from 'lucide-react';
+import {
+  TRANSFER_STATUSES,
+  getStockTransfers,
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer
+} from '../lib/locations';
+import { batchAllocationLabel } from '../lib/batches';
+
+/**
+ * STOCK TRANSFERS
+ * Send stock from one location to another and confirm its receipt at
+ * the destination. Stock is in transit, and cannot be sold at either
+ * end, until it is received.
+ */
+
+const statusClasses = (status) => {
+  if (status === TRANSFER_STATUSES.IN_TRANSIT) return 'bg-yellow-100 text-yellow-800';
+  if (status === TRANSFER_STATUSES.RECEIVED) return 'bg-green-100 text-green-800';
+  return 'bg-gray-100 text-gray-800';
+};
+
+const StockTransfers = ({ darkMode, products, locations, locationStock, currentUser, canCancel, onClose, onChanged }) => {
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showAll, setShowAll] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  // New transfer form
+  const activeLocations = locations.filter(location => location.is_active);
+  const [showNew, setShowNew] = useState(false);
+  const [productId, setProductId] = useState('');
+  const [fromId, setFromId] = useState(activeLocations[0]?.id || '');
+  const [toId, setToId] = useState(activeLocations[1]?.id || '');
+  const [units, setUnits] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getStockTransfers()
+      .then(setTransfers)
+      .catch(error => {
+        console.error('Error loading transfers:', error);
+        alert('Failed to load transfers: ' + error.message);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const available = productId && fromId ? (locationStock[productId]?.byLocation[fromId] || 0) : null;
+  const inTransit = transfers.filter(transfer => transfer.status === TRANSFER_STATUSES.IN_TRANSIT);
+  const visible = showAll ? transfers : inTransit;
+
+  const replaceTransfer = (updated) => {
+    setTransfers(prev => prev.map(transfer => (transfer.id === updated.id ? updated : transfer)));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const transfer = await createTransfer({
+        product: products.find(product => product.id === productId),
+        fromLocation: locations.find(location => location.id === fromId),
+        toLocation: locations.find(location => location.id === toId),
+        units,
+        notes,
+        sentBy: currentUser
+      });
+      setTransfers(prev => [transfer, ...prev]);
+      setShowNew(false);
+      setProductId('');
+      setUnits('');
+      setNotes('');
+      onChanged();
+      alert(`✅ ${transfer.units} units of ${transfer.product_name} sent to ${transfer.to_location_name}`);
+    } catch (error) {
+      console.error('Error creating transfer:', error);
+      alert('❌ Failed to send stock: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReceive = async (transfer) => {
+    if (!window.confirm(
+      `Confirm ${transfer.units} units of ${transfer.product_name} arrived at ${transfer.to_location_name}?`
+    )) return;
+
+    setBusyId(transfer.id);
+    try {
+      replaceTransfer(await receiveTransfer(transfer, currentUser));
+      onChanged();
+    } catch (error) {
+      console.error('Error receiving transfer:', error);
+      alert('❌ Failed to confirm receipt: ' + error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = async (transfer) => {
+    if (!window.confirm(
+      `Cancel this transfer? ${transfer.units} units go back to ${transfer.from_location_name}.`
+    )) return;
+
+    setBusyId(transfer.id);
+    try {
+      replaceTransfer(await cancelTransfer(transfer, currentUser));
+      onChanged();
+    } catch (error) {
+      console.error('Error cancelling transfer:', error);
+      alert('❌ Failed to cancel transfer: ' + error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const inputClass = `w-full px-4 py-2 rounded-lg border ${
+    darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  } focus:ring-2 focus:ring-blue-500`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`max-w-5xl w-full rounded-xl shadow-2xl max-h-[90vh] overflow-y-auto ${
+        darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+      }`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${
+          darkMode ? 'border-gray-700' : 'border-gray-200'
+        }`}>
+          <div>
+            <h2 className="text-2xl font-bold flex items-center gap-2">
+              <Truck size={24} />
+              Stock Transfers
+            </h2>
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              {inTransit.length} in transit
+            </p>
+          </div>
+          <div className="flex gap-2">
+            {!showNew && activeLocations.length > 1 && (
+              <button
+                onClick={() => setShowNew(true)}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white"
+              >
+                <Plus size={16} />
+                New Transfer
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className={`p-2 rounded-lg transition-colors ${
+                darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+              }`}
+            >
+              <X size={24} />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {activeLocations.length < 2 && (
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              Add a second location in Settings → Locations to transfer stock.
+            </p>
+          )}
+
+          {/* New Transfer */}
+          {showNew && (
+            <form onSubmit={handleCreate} className={`p-4 rounded-lg border space-y-4 ${
+              darkMode ? 'border-gray-700 bg-gray-900' : 'border-gray-200 bg-gray-50'
+            }`}>
+              <div>
+                <label className="block text-sm font-medium mb-2">Product *</label>
+                <select value={productId} onChange={(e) => setProductId(e.target.value)} required className={inputClass}>
+                  <option value="">Select product...</option>
+                  {products.map(product => (
+                    <option key={product.id} value={product.id}>
+                      {product.name} ({product.sku})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-2">From *</label>
+                  <select value={fromId} onChange={(e) => setFromId(e.target.value)} required className={inputClass}>
+                    {activeLocations.map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                  {available !== null && (
+                    <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      {available.toLocaleString()} units available
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">To *</label>
+                  <select value={toId} onChange={(e) => setToId(e.target.value)} required className={inputClass}>
+                    {activeLocations.map(location => (
+                      <option key={location.id} value={location.id} disabled={location.id === fromId}>
+                        {location.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-2">Units *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max={available ?? undefined}
+                    value={units}
+                    onChange={(e) => setUnits(e.target.value)}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium mb-2">Notes</label>
+                  <input
+                    type="text"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    placeholder="Waybill number, driver, vehicle..."
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  type="button"
+                  onClick={() => setShowNew(false)}
+                  className={`px-4 py-2 rounded-lg font-medium ${
+                    darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+                  }`}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500"
+                >
+                  <Truck size={16} />
+                  {saving ? 'Sending...' : 'Send Stock'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {/* Transfers */}
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowAll(false)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                !showAll ? 'bg-blue-600 text-white' : darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+              }`}
+            >
+              In Transit ({inTransit.length})
+            </button>
+            <button
+              onClick={() => setShowAll(true)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                showAll ? 'bg-blue-600 text-white' : darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+              }`}
+            >
+              All
+            </button>
+          </div>
+
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+            </div>
+          ) : visible.length === 0 ? (
+            <p className={`text-center py-12 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              {showAll ? 'No transfers yet.' : 'Nothing is in transit.'}
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                  <tr>
+                    <th className="px-3 py-2 text-left">Product</th>
+                    <th className="px-3 py-2 text-right">Units</th>
+                    <th className="px-3 py-2 text-left">Route</th>
+                    <th className="px-3 py-2 text-left">Sent</th>
+                    <th className="px-3 py-2 text-left">Status</th>
+                    <th className="px-3 py-2 text-right">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className={darkMode ? 'divide-y divide-gray-700' : 'divide-y divide-gray-200'}>
+                  {visible.map(transfer => (
+                    <tr key={transfer.id}>
+                      <td className="px-3 py-2">
+                        <p className="font-medium">{transfer.product_name}</p>
+                        {transfer.batch_allocations?.length > 0 && (
+                          <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                            Batch {batchAllocationLabel(transfer.batch_allocations)}
+                          </p>
+                        )}
+                        {transfer.notes && (
+                          <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>{transfer.notes}</p>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-right">{transfer.units.toLocaleString()}</td>
+                      <td className="px-3 py-2">
+                        <span className="flex items-center gap-1">
+                          {transfer.from_location_name}
+                          <ArrowRight size={14} />
+                          {transfer.to_location_name}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2">
+                        <p>{new Date(transfer.sent_at).toLocaleDateString()}</p>
+                        <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>{transfer.sent_by_name}</p>
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className={`px-2 py-0.5 text-xs rounded ${statusClasses(transfer.status)}`}>
+                          {transfer.status}
+                        </span>
+                        {transfer.received_at && (
+                          <p className={`text-xs mt-1 ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                            {new Date(transfer.received_at).toLocaleDateString()} · {transfer.received_by_name}
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        {transfer.status === TRANSFER_STATUSES.IN_TRANSIT && (
+                          <div className="flex justify-end gap-2">
+                            <button
+                              onClick={() => handleReceive(transfer)}
+                              disabled={busyId === transfer.id}
+                              className="flex items-center gap-1 px-3 py-1 rounded-lg text-xs text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-500"
+                            >
+                              <PackageCheck size={14} />
+                              Receive
+                            </button>
+                            {canCancel && (
+                              <button
+                                onClick={() => handleCancel(transfer)}
+                                disabled={busyId === transfer.id}
+                                className={`px-3 py-1 rounded-lg text-xs ${
+                                  darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+                                }`}
+                              >
+                                Cancel
+                              </button>
+                            )}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StockTransfers;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Save, ArrowUp, ArrowDown } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { getTaxConfig, saveTaxConfig, setProductTaxExempt, DEFAULT_TAXES } from '../lib/tax';
+
+/**
+ * TAX SETTINGS
+ * Admin editor for the GRA tax chain (rates, order, compounding)
+ * and the list of zero-rated products.
+ */
+
+const TaxSettings = ({ darkMode, user }) => {
+  const [taxes, setTaxes] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [productSearch, setProductSearch] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setTaxes(await getTaxConfig());
+        const { data, error } = await supabase
+          .from('products')
+          .select('id, product_name, product_code, tax_exempt')
+          .eq('is_active', true)
+          .order('product_name');
+        if (error) throw error;
+        setProducts(data || []);
+      } catch (error) {
+        console.error('Error loading tax settings:', error);
+      }
+    };
+    loadSettings();
+  }, []);
+
+  const updateTax = (index, field, value) => {
+    setTaxes(prev => prev.map((tax, i) => (i === index ? { ...tax, [field]: value } : tax)));
+  };
+
+  const moveTax = (index, direction) => {
+    setTaxes(prev => {
+      const next = [...prev];
+      const target = index + direction;
+      if (target < 0 || target >= next.length) return prev;
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      setTaxes(await saveTaxConfig(taxes, { id: user?.id, full_name: user?.profile?.full_name }));
+      alert('✅ Tax settings saved! New invoices will use these rates.');
+    } catch (error) {
+      console.error('Error saving tax settings:', error);
+      alert('❌ Failed to save tax settings: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleExempt = async (product) => {
+    try {
+      await setProductTaxExempt(product.id, !product.tax_exempt);
+      setProducts(prev => prev.map(p => (p.id === product.id ? { ...p, tax_exempt: !p.tax_exempt } : p)));
+    } catch (error) {
+      console.error('Error updating product:', error);
+      alert('❌ Failed to update product: ' + error.message);
+    }
+  };
+
+  const inputClass = `w-full px-2 py-1 rounded border text-sm ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  const visibleProducts = products.filter(p =>
+    !productSearch || (p.product_name || '').toLowerCase().includes(productSearch.toLowerCase())
+  );
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold mb-1">Taxes & Levies</h3>
+        <p className={`text-sm mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          Applied top to bottom. A compounding tax is charged on the value plus the taxes above it.
+        </p>
+
+        <table className="w-full text-sm">
+          <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+            <tr>
+              <th className="px-2 py-2 text-left font-medium">Code</th>
+              <th className="px-2 py-2 text-left font-medium">Name</th>
+              <th className="px-2 py-2 text-left font-medium w-20">Rate %</th>
+              <th className="px-2 py-2 text-center font-medium">Compound</th>
+              <th className="px-2 py-2 text-center font-medium">On</th>
+              <th className="px-2 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className={darkMode ? 'divide-y divide-gray-700' : 'divide-y divide-gray-200'}>
+            {taxes.map((tax, index) => (
+              <tr key={index}>
+                <td className="px-2 py-2">
+                  <input value={tax.code} onChange={(e) => updateTax(index, 'code', e.target.value)} className={inputClass} />
+                </td>
+                <td className="px-2 py-2">
+                  <input value={tax.name} onChange={(e) => updateTax(index, 'name', e.target.value)} className={inputClass} />
+                </td>
+                <td className="px-2 py-2">
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={tax.rate}
+                    onChange={(e) => updateTax(index, 'rate', e.target.value)}
+                    className={inputClass}
+                  />
+                </td>
+                <td className="px-2 py-2 text-center">
+                  <input type="checkbox" checked={!!tax.compound} onChange={(e) => updateTax(index, 'compound', e.target.checked)} />
+                </td>
+                <td className="px-2 py-2 text-center">
+                  <input type="checkbox" checked={tax.enabled !== false} onChange={(e) => updateTax(index, 'enabled', e.target.checked)} />
+                </td>
+                <td className="px-2 py-2">
+                  <div className="flex gap-1">
+                    <button onClick={() => moveTax(index, -1)} title="Move up" className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-600">
+                      <ArrowUp size={14} />
+                    </button>
+                    <button onClick={() => moveTax(index, 1)} title="Move down" className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-600">
+                      <ArrowDown size={14} />
+                    </button>
+                    <button
+                      onClick={() => setTaxes(prev => prev.filter((_, i) => i !== index))}
+                      title="Remove"
+                      className="p-1 rounded text-red-600 hover:bg-red-100 dark:hover:bg-red-900"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex justify-between mt-4">
+          <div className="flex gap-2">
+            <button
+              onClick={() => setTaxes(prev => [...prev, { code: '', name: '', rate: 0, compound: false, enabled: true }])}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+              }`}
+            >
+              <Plus size={16} /> Add Tax
+            </button>
+            <button
+              onClick={() => setTaxes(DEFAULT_TAXES)}
+              className={`px-3 py-2 rounded-lg text-sm ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+              }`}
+            >
+              Reset to GRA Defaults
+            </button>
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm text-white ${
+              saving ? 'bg-gray-500 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+            }`}
+          >
+            <Save size={16} /> {saving ? 'Saving...' : 'Save Taxes'}
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold mb-1">Zero-Rated Products</h3>
+        <p className={`text-sm mb-3 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          Ticked products are invoiced without VAT or levies.
+        </p>
+        <input
+          type="text"
+          value={productSearch}
+          onChange={(e) => setProductSearch(e.target.value)}
+          placeholder="Search products..."
+          className={`${inputClass} mb-3`}
+        />
+        <div className={`max-h-48 overflow-y-auto rounded-lg border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          {visibleProducts.map(product => (
+            <label
+              key={product.id}
+              className={`flex items-center gap-3 px-3 py-2 text-sm cursor-pointer ${
+                darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'
+              }`}
+            >
+              <input type="checkbox" checked={!!product.tax_exempt} onChange={() => toggleExempt(product)} />
+              <span className="flex-1">{product.product_name}</span>
+              <span className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>{product.product_code}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaxSettings;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { ShieldCheck, ShieldAlert, ShieldQuestion } from 'lucide-react';
+import { verifyInvoice, VERIFICATION_RESULTS } from '../lib/invoiceVerification';
+import { DEFAULT_INVOICE_TEMPLATE } from '../lib/invoiceTemplate';
+
+/**
+ * VERIFY INVOICE PAGE
+ * Public page opened from the QR code on a printed invoice.
+ * Shows whether the printed copy matches the invoice on file, and a short
+ * summary of that invoice only when it does.
+ * Example: /verify/INV-2026-0001?d=2026-10-01&t=1250.00&h=3f9a...
+ */
+
+const VerifyInvoice = ({ darkMode }) => {
+  const { invoiceNumber } = useParams();
+  const [searchParams] = useSearchParams();
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const runVerification = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        setVerification(await verifyInvoice(invoiceNumber, {
+          date: searchParams.get('d'),
+          total: searchParams.get('t'),
+          hash: searchParams.get('h')
+        }));
+      } catch (err) {
+        console.error('Error verifying invoice:', err);
+        setError('Verification is unavailable right now. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    runVerification();
+  }, [invoiceNumber, searchParams]);
+
+  const { result, invoice } = verification || {};
+
+  const banner = {
+    [VERIFICATION_RESULTS.AUTHENTIC]: {
+      icon: ShieldCheck,
+      title: 'Authentic invoice',
+      text: 'This invoice matches our records.',
+      classes: 'bg-green-50 border-green-300 text-green-800'
+    },
+    [VERIFICATION_RESULTS.MISMATCH]: {
+      icon: ShieldAlert,
+      title: 'Does not match our records',
+      text: 'The invoice number, date, total or security code on this copy does not match our records. Please contact us before paying.',
+      classes: 'bg-red-50 border-red-300 text-red-800'
+    },
+    [VERIFICATION_RESULTS.NOT_FOUND]: {
+      icon: ShieldQuestion,
+      title: 'Invoice not found',
+      text: `We have no invoice numbered ${invoiceNumber}. It may not be genuine.`,
+      classes: 'bg-red-50 border-red-300 text-red-800'
+    }
+  }[result];
+
+  return (
+    <div className={`min-h-screen ${darkMode ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-900'} flex items-center justify-center p-4`}>
+      <div className={`max-w-lg w-full rounded-xl shadow-lg p-6 ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'}`}>
+        {/* Header */}
+        <div className="flex items-center gap-3 mb-6">
+          <img src={DEFAULT_INVOICE_TEMPLATE.logoUrl} alt={DEFAULT_INVOICE_TEMPLATE.companyName} className="h-12 w-12 object-contain" />
+          <div>
+            <h1 className="text-xl font-bold text-blue-600">{DEFAULT_INVOICE_TEMPLATE.companyName}</h1>
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Invoice Verification</p>
+          </div>
+        </div>
+
+        {loading && (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+
+        {!loading && error && (
+          <p className="text-center py-8 text-red-600">{error}</p>
+        )}
+
+        {!loading && banner && (
+          <>
+            <div className={`flex items-start gap-3 p-4 rounded-lg border mb-6 ${banner.classes}`}>
+              <banner.icon size={28} className="flex-shrink-0" />
+              <div>
+                <div className="font-bold">{banner.title}</div>
+                <div className="text-sm">{banner.text}</div>
+              </div>
+            </div>
+
+            {invoice && (
+              <div className="space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <span className={darkMode ? 'text-gray-400' : 'text-gray-600'}>Invoice #</span>
+                  <span className="font-semibold">{invoice.invoice_number}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className={darkMode ? 'text-gray-400' : 'text-gray-600'}>Date</span>
+                  <span>{new Date(invoice.invoice_date).toLocaleDateString()}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className={darkMode ? 'text-gray-400' : 'text-gray-600'}>Total</span>
+                  <span className="font-semibold">₵{Number(invoice.total_amount).toFixed(2)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className={darkMode ? 'text-gray-400' : 'text-gray-600'}>Status</span>
+                  <span className={`font-semibold ${invoice.status === 'Voided' ? 'text-red-600' : 'text-green-600'}`}>
+                    {invoice.status === 'Voided' ? 'VOIDED - not payable' : invoice.status}
+                  </span>
+                </div>
+                {invoice.status !== 'Voided' && (
+                  <div className="flex justify-between">
+                    <span className={darkMode ? 'text-gray-400' : 'text-gray-600'}>Payment</span>
+                    <span>{invoice.payment_status}</span>
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        <p className={`text-xs text-center mt-6 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+          Checked {new Date().toLocaleString()}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyInvoice;
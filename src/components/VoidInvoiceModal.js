@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { X, AlertTriangle, Ban } from 'lucide-react';
+import { voidInvoice } from '../lib/invoices';
+
+/**
+ * VOID INVOICE MODAL
+ * Confirms voiding an invoice and captures the reason.
+ * Stock for every line item is returned to inventory.
+ */
+
+const VoidInvoiceModal = ({ darkMode, invoice, currentUser, onClose, onVoided }) => {
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const updated = await voidInvoice(invoice, reason, currentUser);
+      alert(`✅ Invoice ${invoice.invoice_number} voided and stock returned`);
+      if (onVoided) onVoided(updated);
+    } catch (error) {
+      console.error('Error voiding invoice:', error);
+      alert('❌ ' + error.message);
+      // The invoice may have been voided even if a stock reversal failed
+      if (error.message.startsWith('Invoice voided') && onVoided) {
+        onVoided({ ...invoice, status: 'Voided', void_reason: reason.trim() });
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`max-w-lg w-full rounded-xl shadow-2xl ${
+        darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+      }`}>
+        {/* Header */}
+        <div className={`flex justify-between items-center p-6 border-b ${
+          darkMode ? 'border-gray-700' : 'border-gray-200'
+        }`}>
+          <div>
+            <h2 className="text-2xl font-bold">Void Invoice</h2>
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              {invoice.invoice_number} • {invoice.customer_name} • ₵{Number(invoice.total_amount || 0).toFixed(2)}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg transition-colors ${
+              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+            }`}
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className={`flex gap-3 p-4 rounded-lg ${
+            darkMode ? 'bg-red-900/30 text-red-200' : 'bg-red-50 text-red-800'
+          }`}>
+            <AlertTriangle size={20} className="flex-shrink-0 mt-0.5" />
+            <p className="text-sm">
+              The invoice is kept for audit but marked Voided. Stock for every line item is
+              returned to inventory and any unpaid credit is removed from the customer's balance.
+              This cannot be undone.
+            </p>
+          </div>
+
+          <div>
+            <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              Reason *
+            </label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={3}
+              required
+              minLength={5}
+              placeholder="e.g. Wrong customer selected, duplicate entry..."
+              className={`w-full px-4 py-3 rounded-lg border ${
+                darkMode
+                  ? 'bg-gray-700 border-gray-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-900'
+              }`}
+            />
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className={`px-6 py-2 rounded-lg font-medium transition-colors ${
+                darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+              }`}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || reason.trim().length < 5}
+              className={`flex items-center gap-2 px-6 py-2 rounded-lg font-medium text-white transition-colors ${
+                saving || reason.trim().length < 5
+                  ? 'bg-gray-500 cursor-not-allowed'
+                  : 'bg-red-600 hover:bg-red-700'
+              }`}
+            >
+              <Ban size={18} />
+              {saving ? 'Voiding...' : 'Void Invoice'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default VoidInvoiceModal;
@@ -0,0 +1,531 @@
+/**
+ * STOCK BATCHES
+ * Stock is received in manufacturer batches (lots), each with its own
+ * manufacture and expiry date, so a recall or inspection can be traced
+ * to the exact boxes on the shelf.
+ *
+ * The `inventory` row stays the product total; batches split that total.
+ * Stock that arrived before batches were tracked has no batch row and is
+ * shown as unbatched.
+ *
+ * A batch row is the part of a batch held at one location (lib/locations).
+ * Rows with no location_id are at the default location; a transfer moves
+ * units into the batch's row at the destination, creating it on arrival.
+ * Sales only take batches held at the location they ship from.
+ *
+ * Tables:
+ *   inventory_batches
+ *     id, product_id, batch_number, manufacture_date, expiry_date,
+ *     units_per_box, boxes_in_stock, loose_units_in_stock, received_at,
+ *     recall_id, blocked_at, location_id, created_at, updated_at
+ *     unique (product_id, batch_number, location_id)
+ *
+ * Columns used on inventory_movements:
+ *   batch_id, batch_number - batch the stock came from or went into
+ *
+ * Columns used on invoice_line_items:
+ *   batch_allocations - jsonb [{ batch_id, batch_number, expiry_date, units }]
+ *   batch_override_by, batch_override_by_name - supervisor who chose the
+ *     batches by hand instead of first-expiry-first-out
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { splitUnits } from './inventory';
+
+/**
+ * Total units held in a batch (or an inventory row)
+ * @param {Object} stock - { boxes_in_stock, loose_units_in_stock, units_per_box }
+ * @returns {number} - Units
+ */
+export const stockUnits = (stock) =>
+  ((stock?.boxes_in_stock || 0) * (stock?.units_per_box || 1)) + (stock?.loose_units_in_stock || 0);
+
+/**
+ * Get all batches that still hold stock, earliest expiry first
+ * @returns {Promise<Array>} - Batches
+ */
+export const getInventoryBatches = async () => {
+  const cacheKey = 'inventory_batches';
+  if (queryCache.isValid(cacheKey, 300000)) {
+    return queryCache.get(cacheKey);
+  }
+
+  const { data, error } = await supabase
+    .from('inventory_batches')
+    .select('*')
+    .or('boxes_in_stock.gt.0,loose_units_in_stock.gt.0')
+    .order('expiry_date', { ascending: true });
+
+  if (error) throw error;
+  queryCache.set(cacheKey, data || [], 300000);
+  return data || [];
+};
+
+/**
+ * Get every batch of a product, including sold-out ones, earliest expiry first
+ * @param {string} productId - Product ID
+ * @returns {Promise<Array>} - Batches
+ */
+export const getProductBatches = async (productId) => {
+  const { data, error } = await supabase
+    .from('inventory_batches')
+    .select('*')
+    .eq('product_id', productId)
+    .order('expiry_date', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * location_id stored on a batch row held at a location
+ * @param {Object|null} location - Location
+ * @returns {string|null} - null for the default location (or none)
+ */
+const batchLocationId = (location) => (location && !location.is_default ? location.id : null);
+
+/**
+ * Batch rows held at a location
+ * Without a location (none set up) every row is returned.
+ * @param {Array} batches - Batch rows
+ * @param {Object|null} location - Location
+ * @returns {Array} - Batch rows at that location
+ */
+export const batchesAtLocation = (batches, location) => {
+  if (!location) return batches;
+  const locationId = batchLocationId(location);
+  return batches.filter(batch => (batch.location_id || null) === locationId);
+};
+
+/**
+ * One entry per batch number, with stock summed across locations
+ * The first row's ID and dates stand for the batch.
+ * @param {Array} batches - Batch rows of one product
+ * @returns {Array} - Batches
+ */
+export const mergeBatchLocations = (batches) => {
+  const merged = new Map();
+  batches.forEach(batch => {
+    const entry = merged.get(batch.batch_number);
+    merged.set(batch.batch_number, entry
+      ? { ...entry, boxes_in_stock: 0, loose_units_in_stock: stockUnits(entry) + stockUnits(batch) }
+      : batch);
+  });
+  return [...merged.values()];
+};
+
+/**
+ * Group batches by product
+ * @param {Array} batches - Batches
+ * @returns {Object} - { [productId]: batches }
+ */
+export const groupBatchesByProduct = (batches) =>
+  batches.reduce((groups, batch) => {
+    (groups[batch.product_id] = groups[batch.product_id] || []).push(batch);
+    return groups;
+  }, {});
+
+/**
+ * Units of a product's stock that are not in any batch
+ * @param {Object} item - Inventory row
+ * @param {Array} batches - The product's batches
+ * @returns {number} - Unbatched units
+ */
+export const unbatchedUnits = (item, batches = []) => {
+  const batched = batches.reduce((sum, batch) => sum + stockUnits(batch), 0);
+  return Math.max(stockUnits(item) - batched, 0);
+};
+
+/**
+ * A batch's row at one location
+ * @param {string} productId - Product ID
+ * @param {string} batchNumber - Batch number
+ * @param {Object|null} location - Location
+ * @returns {Promise<Object|null>} - Batch row
+ */
+const findBatchRow = async (productId, batchNumber, location) => {
+  const locationId = batchLocationId(location);
+  const query = supabase
+    .from('inventory_batches')
+    .select('*')
+    .eq('product_id', productId)
+    .eq('batch_number', batchNumber);
+
+  const { data, error } = locationId
+    ? await query.eq('location_id', locationId).maybeSingle()
+    : await query.is('location_id', null).maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Receive stock into a batch, creating the batch on first receipt
+ * @param {string} productId - Product ID
+ * @param {Object} batch - { batchNumber, manufactureDate, expiryDate }
+ * @param {number} units - Units received
+ * @param {number} unitsPerBox - Units in one box
+ * @param {Object|null} location - Location receiving the stock (default when omitted)
+ * @returns {Promise<Object>} - Updated batch
+ */
+export const receiveBatch = async (productId, batch, units, unitsPerBox, location = null) => {
+  const batchNumber = (batch.batchNumber || '').trim();
+  if (!batchNumber) throw new Error('Batch number is required');
+  if (!batch.expiryDate) throw new Error('Expiry date is required');
+  if (batch.manufactureDate && batch.manufactureDate > batch.expiryDate) {
+    throw new Error('Expiry date must be after the manufacture date');
+  }
+
+  const existing = await findBatchRow(productId, batchNumber, location);
+
+  if (existing) {
+    if (existing.blocked_at) {
+      throw new Error(`Batch ${batchNumber} is under recall and cannot receive stock`);
+    }
+    if (existing.expiry_date !== batch.expiryDate) {
+      throw new Error(`Batch ${batchNumber} is already recorded with expiry ${existing.expiry_date}`);
+    }
+    return adjustBatchStock(existing.id, units);
+  }
+
+  const stock = splitUnits(units, unitsPerBox);
+  const { data, error } = await supabase
+    .from('inventory_batches')
+    .insert([{
+      product_id: productId,
+      batch_number: batchNumber,
+      manufacture_date: batch.manufactureDate || null,
+      expiry_date: batch.expiryDate,
+      units_per_box: unitsPerBox,
+      boxes_in_stock: stock.boxes,
+      loose_units_in_stock: stock.looseUnits,
+      location_id: batchLocationId(location),
+      received_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  queryCache.delete('inventory_batches');
+  return data;
+};
+
+/**
+ * Put transferred units into the batch's row at the destination
+ * The row is created on first arrival with the source row's dates and
+ * recall state, so a recalled batch stays blocked wherever it goes.
+ * @param {Object} allocation - { batch_id, units } taken from the source row
+ * @param {Object} location - Destination location
+ * @returns {Promise<Object>} - Updated batch row at the destination
+ */
+export const receiveTransferredBatch = async (allocation, location) => {
+  const { data: source, error: sourceError } = await supabase
+    .from('inventory_batches')
+    .select('*')
+    .eq('id', allocation.batch_id)
+    .single();
+
+  if (sourceError) throw sourceError;
+
+  const existing = await findBatchRow(source.product_id, source.batch_number, location);
+  if (existing) return adjustBatchStock(existing.id, allocation.units);
+
+  const stock = splitUnits(allocation.units, source.units_per_box || 1);
+  const { data, error } = await supabase
+    .from('inventory_batches')
+    .insert([{
+      product_id: source.product_id,
+      batch_number: source.batch_number,
+      manufacture_date: source.manufacture_date,
+      expiry_date: source.expiry_date,
+      units_per_box: source.units_per_box,
+      boxes_in_stock: stock.boxes,
+      loose_units_in_stock: stock.looseUnits,
+      location_id: batchLocationId(location),
+      recall_id: source.recall_id,
+      blocked_at: source.blocked_at,
+      received_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  queryCache.delete('inventory_batches');
+  return data;
+};
+
+/**
+ * Add or remove units from a batch
+ * @param {string} batchId - Batch ID
+ * @param {number} unitsDelta - Units to add (negative to remove)
+ * @returns {Promise<Object>} - Updated batch
+ */
+export const adjustBatchStock = async (batchId, unitsDelta) => {
+  const { data: batch, error: fetchError } = await supabase
+    .from('inventory_batches')
+    .select('*')
+    .eq('id', batchId)
+    .single();
+
+  if (fetchError) throw fetchError;
+
+  const newUnits = stockUnits(batch) + unitsDelta;
+  if (newUnits < 0) {
+    throw new Error(`Batch ${batch.batch_number} only holds ${stockUnits(batch)} units`);
+  }
+
+  const stock = splitUnits(newUnits, batch.units_per_box || 1);
+  const { data, error } = await supabase
+    .from('inventory_batches')
+    .update({
+      boxes_in_stock: stock.boxes,
+      loose_units_in_stock: stock.looseUnits,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', batchId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  queryCache.delete('inventory_batches');
+  return data;
+};
+
+/**
+ * Whether a batch is past its expiry date
+ * The expiry date itself is the last day the batch may be sold.
+ * @param {Object} batch - Batch
+ * @param {string} asOfDate - ISO date (defaults to today)
+ * @returns {boolean}
+ */
+export const isBatchExpired = (batch, asOfDate = new Date().toISOString().split('T')[0]) =>
+  Boolean(batch?.expiry_date) && batch.expiry_date < asOfDate;
+
+/**
+ * Whether a batch is blocked from sale by a recall (see lib/recalls)
+ * @param {Object} batch - Batch
+ * @returns {boolean}
+ */
+export const isBatchBlocked = (batch) => Boolean(batch?.blocked_at);
+
+/**
+ * Allocate units to batches, earliest expiry first (FEFO)
+ * Expired and recalled batches are never picked. Whatever the batches
+ * cannot cover is the shortfall, which only unbatched stock may fill.
+ * @param {Array} batches - The product's batches
+ * @param {number} units - Units to allocate
+ * @param {string} asOfDate - ISO date the stock leaves
+ * @returns {Object} - { allocations: [{ batch_id, batch_number, expiry_date, units }], shortfall }
+ */
+export const allocateFefo = (batches, units, asOfDate) => {
+  let remaining = parseInt(units || 0);
+  const allocations = [];
+
+  const sellable = batches
+    .filter(batch => !isBatchExpired(batch, asOfDate) && !isBatchBlocked(batch) && stockUnits(batch) > 0)
+    .sort((a, b) => a.expiry_date.localeCompare(b.expiry_date));
+
+  for (const batch of sellable) {
+    if (remaining <= 0) break;
+    const take = Math.min(stockUnits(batch), remaining);
+    allocations.push({
+      batch_id: batch.id,
+      batch_number: batch.batch_number,
+      expiry_date: batch.expiry_date,
+      units: take
+    });
+    remaining -= take;
+  }
+
+  return { allocations, shortfall: Math.max(remaining, 0) };
+};
+
+/**
+ * Check a hand-picked allocation before it replaces FEFO
+ * @param {Array} allocations - [{ batch_id, units }]
+ * @param {Array} batches - The product's batches
+ * @param {number} units - Units on the line
+ * @param {string} asOfDate - ISO date the stock leaves
+ * @returns {Array<string>} - Problems (empty when valid)
+ */
+export const validateAllocation = (allocations, batches, units, asOfDate) => {
+  const problems = [];
+  let total = 0;
+
+  for (const allocation of allocations) {
+    const batch = batches.find(b => b.id === allocation.batch_id);
+    if (!batch) {
+      problems.push(`Batch ${allocation.batch_number} is no longer in stock`);
+      continue;
+    }
+    if (isBatchExpired(batch, asOfDate)) {
+      problems.push(`Batch ${batch.batch_number} expired on ${batch.expiry_date}`);
+    }
+    if (isBatchBlocked(batch)) {
+      problems.push(`Batch ${batch.batch_number} is under recall`);
+    }
+    if (allocation.units > stockUnits(batch)) {
+      problems.push(`Batch ${batch.batch_number} only holds ${stockUnits(batch)} units`);
+    }
+    total += allocation.units;
+  }
+
+  if (total > units) {
+    problems.push(`${total} units allocated but the line is for ${units}`);
+  }
+  return problems;
+};
+
+/**
+ * Short text for a line's batches, as printed on the invoice
+ * @param {Array} allocations - Line batch allocations
+ * @returns {string}
+ */
+export const batchAllocationLabel = (allocations) => {
+  if (!allocations?.length) return '';
+  if (allocations.length === 1) {
+    return `${allocations[0].batch_number} (exp ${allocations[0].expiry_date})`;
+  }
+  return allocations
+    .map(a => `${a.batch_number} (exp ${a.expiry_date}) x${a.units}`)
+    .join(', ');
+};
+
+/**
+ * Put allocated units back into their batches (rollback or void)
+ * @param {Array} allocations - Line batch allocations
+ * @returns {Promise<void>}
+ */
+export const restoreAllocatedBatches = async (allocations = []) => {
+  for (const allocation of allocations) {
+    await adjustBatchStock(allocation.batch_id, allocation.units);
+  }
+};
+
+/**
+ * Batches that units returned on a sale line came from
+ * Returns are matched to the line's allocations in order, after the units
+ * already returned on earlier credit notes; anything beyond the
+ * allocations was sold from unbatched stock.
+ * @param {Array} allocations - The line's batch_allocations
+ * @param {number} units - Units being returned now
+ * @param {number} alreadyReturned - Units returned on the line before
+ * @returns {Object} - { allocations: [{ batch_id, batch_number, expiry_date, units }], unbatched }
+ */
+export const returnedBatchAllocations = (allocations = [], units, alreadyReturned = 0) => {
+  let skip = parseInt(alreadyReturned || 0);
+  let remaining = parseInt(units || 0);
+  const returned = [];
+
+  for (const allocation of allocations) {
+    const left = Math.max(0, allocation.units - skip);
+    skip = Math.max(0, skip - allocation.units);
+    const take = Math.min(left, remaining);
+    if (take > 0) {
+      returned.push({ ...allocation, units: take });
+      remaining -= take;
+    }
+  }
+
+  return { allocations: returned, unbatched: remaining };
+};
+
+/**
+ * Work out which batches each sale line is taken from
+ * Lines with a supervisor override keep their hand-picked batches; the
+ * rest are allocated FEFO. Lines of the same product share the batches,
+ * so a second line continues where the first stopped.
+ * @param {Array} lines - [{ product_id, units_sold, batch_allocations, batch_override_by }]
+ * @param {Object} batchesByProduct - From groupBatchesByProduct
+ * @param {Object} stockByProduct - { [productId]: inventory row }
+ * @param {string} asOfDate - ISO date the stock leaves (defaults to today)
+ * @returns {Array} - Per line { allocations, fromUnbatched, shortfall, problems }
+ */
+export const planBatchAllocations = (lines, batchesByProduct, stockByProduct, asOfDate) => {
+  const usedByBatch = {};
+  const unbatchedLeft = {};
+
+  return lines.map(line => {
+    const units = parseInt(line.units_sold || 0);
+    const productBatches = batchesByProduct[line.product_id] || [];
+    if (!line.product_id || units <= 0) {
+      return { allocations: [], fromUnbatched: 0, shortfall: 0, problems: [] };
+    }
+
+    if (unbatchedLeft[line.product_id] === undefined) {
+      unbatchedLeft[line.product_id] = unbatchedUnits(stockByProduct[line.product_id], productBatches);
+    }
+
+    // What is left in each batch after the earlier lines
+    const available = productBatches.map(batch => ({
+      ...batch,
+      boxes_in_stock: 0,
+      loose_units_in_stock: stockUnits(batch) - (usedByBatch[batch.id] || 0)
+    }));
+
+    let allocations;
+    let problems = [];
+    if (line.batch_override_by && line.batch_allocations?.length) {
+      allocations = line.batch_allocations.filter(a => a.units > 0);
+      problems = validateAllocation(allocations, available, units, asOfDate);
+    } else {
+      allocations = allocateFefo(available, units, asOfDate).allocations;
+    }
+
+    allocations.forEach(a => { usedByBatch[a.batch_id] = (usedByBatch[a.batch_id] || 0) + a.units; });
+
+    const uncovered = units - allocations.reduce((sum, a) => sum + a.units, 0);
+    const fromUnbatched = Math.min(Math.max(uncovered, 0), unbatchedLeft[line.product_id]);
+    unbatchedLeft[line.product_id] -= fromUnbatched;
+
+    return { allocations, fromUnbatched, shortfall: Math.max(uncovered - fromUnbatched, 0), problems };
+  });
+};
+
+/**
+ * Attach batch allocations to sale lines from current stock
+ * With a location, only batches held there are used and `unitsByProduct`
+ * (the units held there) bounds the unbatched stock.
+ * Throws when a line cannot be covered without expired or recalled stock, or a
+ * hand-picked allocation is no longer valid.
+ * @param {Array} lines - Invoice line items
+ * @param {Object} options - { location, unitsByProduct: { [productId]: units } }
+ * @returns {Promise<Array>} - Lines with `batch_allocations`
+ */
+export const allocateSaleLines = async (lines, { location = null, unitsByProduct = null } = {}) => {
+  const productIds = [...new Set(lines.map(line => line.product_id).filter(Boolean))];
+  if (productIds.length === 0) return lines;
+
+  const [batchesResult, stockResult] = await Promise.all([
+    supabase
+      .from('inventory_batches')
+      .select('*')
+      .in('product_id', productIds)
+      .or('boxes_in_stock.gt.0,loose_units_in_stock.gt.0'),
+    unitsByProduct
+      ? { data: productIds.map(productId => ({ product_id: productId, loose_units_in_stock: unitsByProduct[productId] || 0 })) }
+      : supabase
+        .from('inventory')
+        .select('product_id, boxes_in_stock, loose_units_in_stock, units_per_box')
+        .in('product_id', productIds)
+  ]);
+
+  if (batchesResult.error) throw batchesResult.error;
+  if (stockResult.error) throw stockResult.error;
+
+  const stockByProduct = Object.fromEntries((stockResult.data || []).map(row => [row.product_id, row]));
+  const batches = batchesAtLocation(batchesResult.data || [], location);
+  const plan = planBatchAllocations(lines, groupBatchesByProduct(batches), stockByProduct);
+
+  return lines.map((line, index) => {
+    const { allocations, shortfall, problems } = plan[index];
+    if (problems.length > 0) {
+      throw new Error(`${line.product_name}: ${problems.join('; ')}`);
+    }
+    if (shortfall > 0) {
+      throw new Error(`Not enough sellable stock for ${line.product_name} (short by ${shortfall} units)`);
+    }
+    return { ...line, batch_allocations: allocations };
+  });
+};
@@ -0,0 +1,124 @@
+import { allocateFefo, validateAllocation, returnedBatchAllocations } from './batches';
+
+jest.mock('./supabase', () => ({ supabase: {} }));
+
+const batch = (id, expiry_date, units, extra = {}) => ({
+  id,
+  batch_number: id.toUpperCase(),
+  expiry_date,
+  boxes_in_stock: 0,
+  units_per_box: 10,
+  loose_units_in_stock: units,
+  ...extra
+});
+
+const TODAY = '2026-06-01';
+
+describe('allocateFefo', () => {
+  it('takes the earliest expiry first and spills into the next batch', () => {
+    const batches = [batch('b2', '2027-03-01', 50), batch('b1', '2026-09-01', 20)];
+
+    const { allocations, shortfall } = allocateFefo(batches, 30, TODAY);
+
+    expect(allocations.map(a => [a.batch_id, a.units])).toEqual([['b1', 20], ['b2', 10]]);
+    expect(shortfall).toBe(0);
+  });
+
+  it('never picks expired, recalled or empty batches', () => {
+    const batches = [
+      batch('expired', '2026-05-31', 40),
+      batch('recalled', '2026-07-01', 40, { blocked_at: '2026-05-20T10:00:00Z' }),
+      batch('empty', '2026-08-01', 0),
+      batch('good', '2026-12-01', 40)
+    ];
+
+    const { allocations } = allocateFefo(batches, 10, TODAY);
+
+    expect(allocations.map(a => a.batch_id)).toEqual(['good']);
+  });
+
+  it('still sells a batch on its expiry date', () => {
+    const { allocations } = allocateFefo([batch('b1', TODAY, 5)], 5, TODAY);
+
+    expect(allocations).toHaveLength(1);
+  });
+
+  it('reports what the batches cannot cover as the shortfall', () => {
+    const { allocations, shortfall } = allocateFefo([batch('b1', '2026-09-01', 12)], 20, TODAY);
+
+    expect(allocations[0].units).toBe(12);
+    expect(shortfall).toBe(8);
+  });
+
+  it('counts boxes as well as loose units', () => {
+    const { shortfall } = allocateFefo([batch('b1', '2026-09-01', 5, { boxes_in_stock: 2 })], 25, TODAY);
+
+    expect(shortfall).toBe(0);
+  });
+});
+
+describe('validateAllocation', () => {
+  const batches = [
+    batch('b1', '2026-09-01', 20),
+    batch('old', '2026-01-01', 20),
+    batch('recalled', '2026-09-01', 20, { blocked_at: '2026-05-20T10:00:00Z' })
+  ];
+
+  it('accepts a pick within stock and the line quantity', () => {
+    expect(validateAllocation([{ batch_id: 'b1', units: 15 }], batches, 15, TODAY)).toEqual([]);
+  });
+
+  it('rejects expired and recalled batches', () => {
+    const problems = validateAllocation([
+      { batch_id: 'old', units: 5 },
+      { batch_id: 'recalled', units: 5 }
+    ], batches, 10, TODAY);
+
+    expect(problems).toEqual([
+      'Batch OLD expired on 2026-01-01',
+      'Batch RECALLED is under recall'
+    ]);
+  });
+
+  it('rejects picks beyond the batch stock or the line quantity', () => {
+    const problems = validateAllocation([{ batch_id: 'b1', units: 25 }], batches, 20, TODAY);
+
+    expect(problems).toEqual([
+      'Batch B1 only holds 20 units',
+      '25 units allocated but the line is for 20'
+    ]);
+  });
+
+  it('rejects batches that are gone', () => {
+    const problems = validateAllocation([{ batch_id: 'sold', batch_number: 'SOLD', units: 1 }], batches, 1, TODAY);
+
+    expect(problems).toEqual(['Batch SOLD is no longer in stock']);
+  });
+});
+
+describe('returnedBatchAllocations', () => {
+  const allocations = [
+    { batch_id: 'b1', batch_number: 'B1', expiry_date: '2026-09-01', units: 10 },
+    { batch_id: 'b2', batch_number: 'B2', expiry_date: '2027-03-01', units: 5 }
+  ];
+
+  it('returns units to the batches they were sold from, in order', () => {
+    const result = returnedBatchAllocations(allocations, 12, 0);
+
+    expect(result.allocations.map(a => [a.batch_id, a.units])).toEqual([['b1', 10], ['b2', 2]]);
+    expect(result.unbatched).toBe(0);
+  });
+
+  it('skips units already returned on earlier credit notes', () => {
+    const result = returnedBatchAllocations(allocations, 4, 8);
+
+    expect(result.allocations.map(a => [a.batch_id, a.units])).toEqual([['b1', 2], ['b2', 2]]);
+  });
+
+  it('treats units beyond the allocations as unbatched', () => {
+    const result = returnedBatchAllocations(allocations, 6, 12);
+
+    expect(result.allocations.map(a => [a.batch_id, a.units])).toEqual([['b2', 3]]);
+    expect(result.unbatched).toBe(3);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * BULK INVOICE OPERATIONS
+ * Month-end jobs over a selection of invoices: PDF export (ZIP or one
+ * merged file), CSV export with line detail, mark paid and void. Every
+ * job runs invoice by invoice, reports progress as it goes and carries
+ * on past failures, returning them so the user can see what was skipped.
+ */
+
+import JSZip from 'jszip';
+import { supabase } from './supabase';
+import { downloadBlob } from './api';
+import { invoicePDFBlob, generateMergedInvoicesPDFClient } from './clientPDF';
+import { loadInvoiceDocument, invoiceDocumentTotals } from './invoiceDocument';
+import { recordPayment, getInvoicePayments } from './payments';
+import { voidInvoice, isInvoiceVoided } from './invoices';
+
+export const BULK_ACTIONS = {
+  ZIP: 'zip',
+  MERGED_PDF: 'merged_pdf',
+  CSV: 'csv',
+  MARK_PAID: 'mark_paid',
+  VOID: 'void'
+};
+
+const exportStamp = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Run a step for each invoice in turn
+ * @param {Array} invoices - Selected invoices
+ * @param {Function} step - async (invoice) => void
+ * @param {Function} onProgress - Called with { done, total, current }
+ * @returns {Promise<Object>} - { succeeded: [invoice], failed: [{ invoice, error }] }
+ */
+const runForEach = async (invoices, step, onProgress) => {
+  const succeeded = [];
+  const failed = [];
+
+  for (const [index, invoice] of invoices.entries()) {
+    if (onProgress) onProgress({ done: index, total: invoices.length, current: invoice.invoice_number });
+    try {
+      await step(invoice);
+      succeeded.push(invoice);
+    } catch (error) {
+      console.error(`Bulk action failed for ${invoice.invoice_number}:`, error);
+      failed.push({ invoice, error: error.message || String(error) });
+    }
+  }
+
+  if (onProgress) onProgress({ done: invoices.length, total: invoices.length, current: null });
+  return { succeeded, failed };
+};
+
+const loadDocument = async (invoice) => {
+  const invoiceDocument = await loadInvoiceDocument({ id: invoice.id });
+  if (!invoiceDocument) throw new Error('Invoice not found');
+  return invoiceDocument;
+};
+
+/**
+ * Download the selected invoices as a ZIP with one PDF each
+ * @param {Array} invoices - Selected invoices
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} - { succeeded, failed }
+ */
+export const exportInvoicesZip = async (invoices, onProgress) => {
+  const zip = new JSZip();
+
+  const result = await runForEach(invoices, async (invoice) => {
+    const invoiceDocument = await loadDocument(invoice);
+    zip.file(`${invoice.invoice_number}.pdf`, await invoicePDFBlob(invoiceDocument));
+  }, onProgress);
+
+  if (result.succeeded.length > 0) {
+    downloadBlob(await zip.generateAsync({ type: 'blob' }), `Invoices-${exportStamp()}.zip`);
+  }
+  return result;
+};
+
+/**
+ * Download the selected invoices as one PDF, one invoice per page
+ * @param {Array} invoices - Selected invoices
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} - { succeeded, failed }
+ */
+export const exportInvoicesMergedPDF = async (invoices, onProgress) => {
+  const documents = [];
+
+  const result = await runForEach(invoices, async (invoice) => {
+    documents.push(await loadDocument(invoice));
+  }, onProgress);
+
+  if (documents.length > 0) {
+    await generateMergedInvoicesPDFClient(documents, `Invoices-${exportStamp()}.pdf`);
+  }
+  return result;
+};
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+/**
+ * Download the selected invoices as CSV, one row per line item
+ * Invoice-level columns repeat on each of the invoice's lines.
+ * @param {Array} invoices - Selected invoices
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} - { succeeded, failed }
+ */
+export const exportInvoicesCSV = async (invoices, onProgress) => {
+  if (onProgress) onProgress({ done: 0, total: invoices.length, current: null });
+
+  const { data, error } = await supabase
+    .from('invoices')
+    .select('*, invoice_line_items (*)')
+    .in('id', invoices.map(invoice => invoice.id));
+
+  if (error) throw error;
+
+  // Keep the order the user selected them in
+  const byId = Object.fromEntries((data || []).map(invoice => [invoice.id, invoice]));
+  const headers = [
+    'Invoice #', 'Date', 'Due Date', 'Customer', 'Region', 'Sale Type', 'Status',
+    'Payment Status', 'Salesperson', 'Product', 'Product Code', 'Boxes', 'Units',
+    'Unit Price', 'Line Discount', 'Line Tax', 'Line Total', 'Invoice Total', 'Balance Due'
+  ];
+  const rows = [];
+
+  const result = await runForEach(invoices, async (selected) => {
+    const invoice = byId[selected.id];
+    if (!invoice) throw new Error('Invoice not found');
+    const { total, balanceDue } = invoiceDocumentTotals(invoice);
+    const header = [
+      invoice.invoice_number, invoice.invoice_date, invoice.due_date || '', invoice.customer_name,
+      invoice.region || '', invoice.sale_type, invoice.status, invoice.payment_status || '',
+      invoice.salesperson_name || ''
+    ];
+    const lines = invoice.invoice_line_items?.length ? invoice.invoice_line_items : [{}];
+    lines.forEach(item => {
+      rows.push([
+        ...header,
+        item.product_name || '', item.product_code || '',
+        item.boxes_sold ?? '', item.units_sold ?? '',
+        item.unit_price != null ? Number(item.unit_price).toFixed(2) : '',
+        item.discount_amount != null ? Number(item.discount_amount).toFixed(2) : '',
+        item.tax_amount != null ? Number(item.tax_amount).toFixed(2) : '',
+        item.line_total != null ? Number(item.line_total).toFixed(2) : '',
+        total.toFixed(2), balanceDue.toFixed(2)
+      ]);
+    });
+  }, onProgress);
+
+  if (rows.length > 0) {
+    const csv = [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8;' }), `Invoices-${exportStamp()}.csv`);
+  }
+  return result;
+};
+
+/**
+ * Record a payment for the full balance on each selected invoice
+ * Invoices already paid, voided or with nothing owing are reported as failures.
+ * @param {Array} invoices - Selected invoices
+ * @param {Object} payment - { method, payment_date, reference }
+ * @param {Object} recordedBy - User profile ({ id, full_name })
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} - { succeeded, failed }
+ */
+export const markInvoicesPaid = async (invoices, payment, recordedBy, onProgress) =>
+  runForEach(invoices, async (invoice) => {
+    if (isInvoiceVoided(invoice)) throw new Error('Invoice is voided');
+    // Cash sales are stamped Paid without amount_paid or a payment row
+    if (invoice.payment_status === 'Paid') throw new Error('Invoice is already paid');
+    const payments = await getInvoicePayments(invoice.id);
+    const { balanceDue } = invoiceDocumentTotals(invoice, { payments });
+    if (balanceDue <= 0) throw new Error('Nothing left to pay');
+    await recordPayment(invoice, {
+      ...payment,
+      amount: balanceDue,
+      notes: 'Bulk mark paid'
+    }, recordedBy);
+  }, onProgress);
+
+/**
+ * Void each selected invoice with the same reason
+ * @param {Array} invoices - Selected invoices
+ * @param {string} reason - Why they are being voided
+ * @param {Object} voidedBy - User profile ({ id, full_name, role })
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} - { succeeded, failed }
+ */
+export const voidInvoices = async (invoices, reason, voidedBy, onProgress) =>
+  runForEach(invoices, invoice => voidInvoice(invoice, reason, voidedBy), onProgress);
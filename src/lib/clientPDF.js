@@ -1,7 +1,292 @@
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
+import { taxLabel } from './tax';
+import {
+  getInvoiceTemplate,
+  templateColumns,
+  companyDetailLines,
+  paymentInstructionLines,
+  paymentTermsLine,
+  hexToRgb
+} from './invoiceTemplate';
+import { verificationQRCode } from './invoiceVerification';
+import { invoiceDocumentTotals, billToLines } from './invoiceDocument';
 
-export const generateInvoicePDFClient = (invoice) => {
+/**
+ * Subtotal, discount, tax breakdown and total under a line-item table
+ * Shared by invoices and quotes, which carry the same amount fields.
+ */
+const drawTotals = (doc, source, startY) => {
+  let finalY = startY;
+  doc.setFontSize(12);
+  doc.text(`Subtotal: ₵${Number(source.subtotal ?? source.total_amount).toFixed(2)}`, 140, finalY);
+  if (source.discount_amount > 0) {
+    finalY += 7;
+    doc.text(`Discount: -₵${Number(source.discount_amount).toFixed(2)}`, 140, finalY);
+  }
+  
+  // Tax breakdown
+  const taxes = (source.tax_breakdown || []).filter(tax => tax.amount > 0);
+  if (taxes.length > 0) {
+    doc.setFontSize(10);
+    finalY += 7;
+    doc.text(`Taxable: ₵${Number(source.taxable_amount).toFixed(2)}`, 140, finalY);
+    if (source.exempt_amount > 0) {
+      finalY += 6;
+      doc.text(`Zero-rated: ₵${Number(source.exempt_amount).toFixed(2)}`, 140, finalY);
+    }
+    taxes.forEach(tax => {
+      finalY += 6;
+      doc.text(`${taxLabel(tax)}: ₵${Number(tax.amount).toFixed(2)}`, 140, finalY);
+    });
+  }
+  
+  doc.setFontSize(14);
+  doc.setFont(undefined, 'bold');
+  finalY += 7;
+  doc.text(`TOTAL: ₵${Number(source.total_amount).toFixed(2)}`, 140, finalY);
+  doc.setFont(undefined, 'normal');
+  
+  return finalY;
+};
+
+/**
+ * Fetch an image as a data URL for jsPDF (null when it cannot be loaded)
+ */
+const loadImageDataUrl = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.error('Could not load logo for PDF:', error);
+    return null;
+  }
+};
+
+/**
+ * Draw one invoice onto the current page of a PDF
+ * Shared by the single, bulk ZIP and merged invoice exports.
+ */
+const drawInvoice = async (doc, invoice, settings, related = {}) => {
+  const primary = hexToRgb(settings.primaryColor);
+  const accent = hexToRgb(settings.accentColor);
+  
+  // Header
+  let textX = 20;
+  if (settings.showLogo && settings.logoUrl) {
+    const logo = await loadImageDataUrl(settings.logoUrl);
+    if (logo) {
+      doc.addImage(logo, 'PNG', 20, 10, 22, 22);
+      textX = 47;
+    }
+  }
+  
+  doc.setFontSize(20);
+  doc.setTextColor(...primary);
+  doc.text(settings.companyName, textX, 18);
+  
+  doc.setFontSize(9);
+  doc.setTextColor(0, 0, 0);
+  let headerY = 24;
+  companyDetailLines(settings).forEach(line => {
+    doc.text(line, textX, headerY);
+    headerY += 4.5;
+  });
+  
+  // Invoice Info
+  doc.setFontSize(16);
+  doc.setTextColor(...primary);
+  doc.text('INVOICE', 150, 18);
+  doc.setTextColor(0, 0, 0);
+  doc.setFontSize(10);
+  doc.text(`Invoice #: ${invoice.invoice_number}`, 150, 25);
+  doc.text(`Date: ${new Date(invoice.invoice_date).toLocaleDateString()}`, 150, 30);
+  if (invoice.due_date) {
+    doc.text(`Due: ${new Date(invoice.due_date).toLocaleDateString()}`, 150, 35);
+  }
+  
+  // Customer Info
+  const billToY = Math.max(headerY, 40) + 5;
+  doc.setFontSize(12);
+  doc.text('BILL TO:', 20, billToY);
+  doc.setFontSize(10);
+  const billTo = billToLines(invoice, related.customer);
+  billTo.forEach((line, index) => {
+    doc.text(line, 20, billToY + 7 + index * 5, { maxWidth: 120 });
+  });
+  doc.text(`Sale Type: ${invoice.sale_type || '-'}`, 150, billToY + 7);
+  doc.text(`Salesperson: ${invoice.salesperson_name || '-'}`, 150, billToY + 12);
+  doc.text(`Payment Status: ${invoice.payment_status || 'Pending'}`, 150, billToY + 17);
+  if (invoice.status === 'Voided') {
+    doc.setFontSize(14);
+    doc.setTextColor(220, 38, 38);
+    doc.text('VOIDED', 150, billToY - 5);
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(10);
+  }
+  
+  // Line Items Table
+  const columns = templateColumns(settings);
+  const tableData = invoice.invoice_line_items?.map(item => columns.map(column => column.value(item))) || [];
+  
+  doc.autoTable({
+    startY: billToY + Math.max(billTo.length, 3) * 5 + 10,
+    head: [columns.map(column => column.label)],
+    body: tableData,
+    theme: 'grid',
+    headStyles: { fillColor: primary },
+    alternateRowStyles: { fillColor: accent },
+    columnStyles: Object.fromEntries(columns.map((column, index) => [index, { halign: column.align }])),
+  });
+  
+  // Totals
+  let finalY = drawTotals(doc, invoice, doc.lastAutoTable.finalY + 10);
+  
+  // What has been settled and what is still owed
+  const totals = invoiceDocumentTotals(invoice, related);
+  if (invoice.sale_type === 'Credit' || totals.credited > 0) {
+    doc.setFontSize(10);
+    if (totals.credited > 0) {
+      finalY += 6;
+      doc.text(`Credit notes: -₵${totals.credited.toFixed(2)}`, 140, finalY);
+    }
+    finalY += 6;
+    doc.text(`Paid: -₵${totals.paid.toFixed(2)}`, 140, finalY);
+    finalY += 6;
+    doc.setFont(undefined, 'bold');
+    doc.text(`Balance Due: ₵${totals.balanceDue.toFixed(2)}`, 140, finalY);
+    doc.setFont(undefined, 'normal');
+  }
+  
+  // Payments received, beside the totals
+  const payments = related.payments || [];
+  if (payments.length > 0) {
+    let paymentsY = doc.lastAutoTable.finalY + 10;
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'bold');
+    doc.text('Payments Received:', 20, paymentsY);
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(9);
+    payments.forEach(payment => {
+      paymentsY += 5;
+      doc.text(
+        `${new Date(payment.payment_date).toLocaleDateString()}  ${payment.method}${payment.reference ? ` (${payment.reference})` : ''}  ₵${(Number(payment.amount) || 0).toFixed(2)}`,
+        20,
+        paymentsY,
+        { maxWidth: 110 }
+      );
+    });
+    finalY = Math.max(finalY, paymentsY);
+  }
+  
+  // Payment terms & instructions
+  const termsLine = paymentTermsLine(invoice, settings);
+  const instructions = paymentInstructionLines(settings);
+  if (termsLine || instructions.length > 0) {
+    if (finalY > 230) {
+      doc.addPage();
+      finalY = 10;
+    }
+    finalY += 12;
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'bold');
+    doc.setTextColor(...primary);
+    doc.text('PAYMENT DETAILS', 20, finalY);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(9);
+    [termsLine, ...instructions].filter(Boolean).forEach(line => {
+      finalY += 5;
+      doc.text(line, 20, finalY, { maxWidth: 170 });
+    });
+  }
+  
+  // Verification QR code and signature share the bottom band
+  let bandY = Math.max(finalY + 10, 245);
+  if (bandY > 250) {
+    doc.addPage();
+    bandY = 20;
+  }
+  
+  try {
+    const qrCode = await verificationQRCode(invoice);
+    doc.addImage(qrCode, 'PNG', 20, bandY, 25, 25);
+    doc.setFontSize(7);
+    doc.text('Scan to verify this invoice', 32.5, bandY + 28, { align: 'center' });
+  } catch (error) {
+    console.error('Could not add verification QR code:', error);
+  }
+  
+  if (settings.showSignature) {
+    const signatureY = bandY + 20;
+    doc.setDrawColor(0, 0, 0);
+    doc.line(130, signatureY, 190, signatureY);
+    doc.setFontSize(9);
+    doc.text(settings.signatureLabel, 160, signatureY + 5, { align: 'center' });
+  }
+  
+  // Footer
+  doc.setFontSize(8);
+  doc.setFont(undefined, 'normal');
+  const footerLines = (settings.footerTerms || '').split('\n').filter(Boolean);
+  footerLines.forEach((line, index) => {
+    doc.text(line, 105, 285 - (footerLines.length - 1 - index) * 4, { align: 'center', maxWidth: 180 });
+  });
+};
+
+/**
+ * Invoice PDF from the same data as the on-screen invoice
+ * @param {Object} invoice - Invoice with invoice_line_items
+ * @param {Object} template - Invoice template (loaded when omitted)
+ * @param {Object} related - { customer, payments, creditNotes } from loadInvoiceDocument
+ */
+export const generateInvoicePDFClient = async (invoice, template, related = {}) => {
+  const doc = new jsPDF();
+  await drawInvoice(doc, invoice, template || await getInvoiceTemplate(), related);
+  
+  // Save
+  doc.save(`${invoice.invoice_number}.pdf`);
+  
+  return { success: true };
+};
+
+/**
+ * Invoice PDF as a Blob, for bundling into a ZIP
+ * @param {Object} invoiceDocument - From loadInvoiceDocument
+ * @returns {Promise<Blob>}
+ */
+export const invoicePDFBlob = async ({ invoice, template, ...related }) => {
+  const doc = new jsPDF();
+  await drawInvoice(doc, invoice, template, related);
+  return doc.output('blob');
+};
+
+/**
+ * Several invoices in one PDF, each starting on a new page
+ * @param {Array} invoiceDocuments - From loadInvoiceDocument
+ * @param {string} filename - Download name
+ */
+export const generateMergedInvoicesPDFClient = async (invoiceDocuments, filename) => {
+  const doc = new jsPDF();
+  
+  for (const [index, { invoice, template, ...related }] of invoiceDocuments.entries()) {
+    if (index > 0) doc.addPage();
+    await drawInvoice(doc, invoice, template, related);
+  }
+  
+  doc.save(filename);
+  
+  return { success: true };
+};
+
+export const generateCreditNotePDFClient = (creditNote) => {
   const doc = new jsPDF();
   
   // Header
@@ -14,26 +299,94 @@ export const generateInvoicePDFClient = (invoice) => {
   doc.text('Medical Supplies Ltd', 20, 27);
   doc.text('SteriCare Brand', 20, 32);
   
-  // Invoice Info
+  // Credit Note Info
+  doc.setFontSize(16);
+  doc.text('CREDIT NOTE', 150, 20);
+  doc.setFontSize(10);
+  doc.text(`Credit Note #: ${creditNote.credit_note_number}`, 150, 27);
+  doc.text(`Date: ${new Date(creditNote.credit_date).toLocaleDateString()}`, 150, 32);
+  doc.text(`Invoice #: ${creditNote.invoice_number}`, 150, 37);
+  
+  // Customer Info
+  doc.setFontSize(12);
+  doc.text('CREDIT TO:', 20, 45);
+  doc.setFontSize(10);
+  doc.text(creditNote.customer_name, 20, 52);
+  if (creditNote.region) {
+    doc.text(creditNote.region, 20, 57);
+  }
+  
+  // Reason
+  doc.text(`Reason: ${creditNote.reason}`, 20, 65, { maxWidth: 170 });
+  
+  // Returned Items Table
+  const tableData = creditNote.credit_note_line_items?.map(item => [
+    item.product_name,
+    item.units_returned.toString(),
+    item.disposition,
+    `₵${Number(item.unit_credit).toFixed(2)}`,
+    `₵${Number(item.line_total).toFixed(2)}`
+  ]) || [];
+  
+  doc.autoTable({
+    startY: 75,
+    head: [['Product', 'Units Returned', 'Disposition', 'Unit Credit', 'Total']],
+    body: tableData,
+    theme: 'grid',
+    headStyles: { fillColor: [37, 99, 235] },
+  });
+  
+  // Total
+  const finalY = doc.lastAutoTable.finalY + 10;
+  doc.setFontSize(14);
+  doc.setFont(undefined, 'bold');
+  doc.text(`TOTAL CREDIT: ₵${Number(creditNote.total_amount).toFixed(2)}`, 120, finalY);
+  
+  // Footer
+  doc.setFontSize(8);
+  doc.setFont(undefined, 'normal');
+  doc.text('This credit note reduces the balance owed on the invoice referenced above.', 105, 280, { align: 'center' });
+  
+  // Save
+  doc.save(`${creditNote.credit_note_number}.pdf`);
+  
+  return { success: true };
+};
+
+export const generateQuotePDFClient = (quote) => {
+  const doc = new jsPDF();
+  
+  // Header
+  doc.setFontSize(20);
+  doc.setTextColor(37, 99, 235); // Blue
+  doc.text('PHARMA-C', 20, 20);
+  
+  doc.setFontSize(10);
+  doc.setTextColor(0, 0, 0);
+  doc.text('Medical Supplies Ltd', 20, 27);
+  doc.text('SteriCare Brand', 20, 32);
+  
+  // Quote Info
   doc.setFontSize(16);
-  doc.text('INVOICE', 150, 20);
+  doc.text('PRO-FORMA INVOICE', 130, 20);
   doc.setFontSize(10);
-  doc.text(`Invoice #: ${invoice.invoice_number}`, 150, 27);
-  doc.text(`Date: ${new Date(invoice.invoice_date).toLocaleDateString()}`, 150, 32);
+  doc.text(`Quote #: ${quote.quote_number}`, 130, 27);
+  doc.text(`Date: ${new Date(quote.quote_date).toLocaleDateString()}`, 130, 32);
+  doc.text(`Valid Until: ${new Date(quote.expiry_date).toLocaleDateString()}`, 130, 37);
   
   // Customer Info
   doc.setFontSize(12);
-  doc.text('BILL TO:', 20, 45);
+  doc.text('PREPARED FOR:', 20, 45);
   doc.setFontSize(10);
-  doc.text(invoice.customer_name, 20, 52);
-  doc.text(invoice.region, 20, 57);
+  doc.text(quote.customer_name, 20, 52);
+  doc.text(quote.region || '', 20, 57);
   
   // Line Items Table
-  const tableData = invoice.invoice_line_items?.map(item => [
+  const tableData = quote.quote_line_items?.map(item => [
     item.product_name,
     item.units_sold.toString(),
-    `₵${item.unit_price.toFixed(2)}`,
-    `₵${item.line_total.toFixed(2)}`
+    `₵${Number(item.unit_price).toFixed(2)}`,
+    `₵${Number(item.line_total).toFixed(2)}`
   ]) || [];
   
   doc.autoTable({
@@ -45,23 +398,283 @@ export const generateInvoicePDFClient = (invoice) => {
   });
   
   // Totals
-  const finalY = doc.lastAutoTable.finalY + 10;
+  drawTotals(doc, quote, doc.lastAutoTable.finalY + 10);
+  
+  // Footer
+  doc.setFontSize(8);
+  doc.text('This is a quotation, not a tax invoice. Prices and availability are', 105, 272, { align: 'center' });
+  doc.text('held until the date above and confirmed when the order is invoiced.', 105, 276, { align: 'center' });
+  doc.text('Thank you for your business!', 105, 280, { align: 'center' });
+  
+  // Save
+  doc.save(`${quote.quote_number}.pdf`);
+  
+  return { success: true };
+};
+
+export const generateAgingReportPDFClient = (report, { groupByLabel, asOfDate, buckets }) => {
+  const doc = new jsPDF({ orientation: 'landscape' });
+  
+  // Header
+  doc.setFontSize(20);
+  doc.setTextColor(37, 99, 235); // Blue
+  doc.text('PHARMA-C', 20, 20);
+  
+  doc.setFontSize(10);
+  doc.setTextColor(0, 0, 0);
+  doc.text('Medical Supplies Ltd', 20, 27);
+  doc.text('SteriCare Brand', 20, 32);
+  
+  // Report Info
+  doc.setFontSize(16);
+  doc.text('ACCOUNTS RECEIVABLE AGING', 190, 20);
+  doc.setFontSize(10);
+  doc.text(`As of: ${new Date(asOfDate).toLocaleDateString()}`, 190, 27);
+  doc.text(`Grouped by: ${groupByLabel}`, 190, 32);
+  
+  // Aging Table
+  const money = (value) => `₵${Number(value).toFixed(2)}`;
+  const tableData = report.rows.map(row => [
+    row.label,
+    ...buckets.map(bucket => money(row.buckets[bucket.key].amount)),
+    money(row.total)
+  ]);
+  
+  doc.autoTable({
+    startY: 42,
+    head: [[groupByLabel, ...buckets.map(bucket => bucket.label), 'Total']],
+    body: tableData,
+    foot: [['TOTAL', ...buckets.map(bucket => money(report.totals[bucket.key].amount)), money(report.grandTotal)]],
+    theme: 'grid',
+    headStyles: { fillColor: [37, 99, 235] },
+    footStyles: { fillColor: [229, 231, 235], textColor: [0, 0, 0], fontStyle: 'bold' },
+  });
+  
+  // Footer
+  doc.setFontSize(8);
+  doc.text(`Unpaid Credit invoices only. Generated ${new Date().toLocaleString()}`, 148, 200, { align: 'center' });
+  
+  // Save
+  doc.save(`ar-aging-${asOfDate}.pdf`);
+  
+  return { success: true };
+};
+
+export const generateNearExpiryReportPDFClient = (report, { windowDays, asOfDate }) => {
+  const doc = new jsPDF({ orientation: 'landscape' });
+  
+  // Header
+  doc.setFontSize(20);
+  doc.setTextColor(37, 99, 235); // Blue
+  doc.text('PHARMA-C', 20, 20);
+  
+  doc.setFontSize(10);
+  doc.setTextColor(0, 0, 0);
+  doc.text('Medical Supplies Ltd', 20, 27);
+  doc.text('SteriCare Brand', 20, 32);
+  
+  // Report Info
+  doc.setFontSize(16);
+  doc.text('NEAR-EXPIRY STOCK', 190, 20);
+  doc.setFontSize(10);
+  doc.text(`As of: ${new Date(asOfDate).toLocaleDateString()}`, 190, 27);
+  doc.text(`Window: expired and next ${windowDays} days`, 190, 32);
+  
+  // Batch Table
+  const money = (value) => `₵${Number(value).toFixed(2)}`;
+  const tableData = report.rows.map(row => [
+    row.productName,
+    row.batchNumber,
+    new Date(row.expiryDate).toLocaleDateString(),
+    row.expired ? 'Expired' : String(row.daysLeft),
+    String(row.units),
+    money(row.valueAtRisk),
+    row.suggestions.join('\n')
+  ]);
+  
+  doc.autoTable({
+    startY: 42,
+    head: [['Product', 'Batch', 'Expiry', 'Days Left', 'Units', 'Value at Risk', 'Suggested Action']],
+    body: tableData,
+    foot: [['TOTAL', '', '', '', '', money(report.totals.total), '']],
+    theme: 'grid',
+    headStyles: { fillColor: [37, 99, 235] },
+    footStyles: { fillColor: [229, 231, 235], textColor: [0, 0, 0], fontStyle: 'bold' },
+    columnStyles: { 6: { cellWidth: 90 } },
+  });
+  
+  // Footer
+  doc.setFontSize(8);
+  doc.text(`Value at risk is stock not expected to sell before expiry. Generated ${new Date().toLocaleString()}`, 148, 200, { align: 'center' });
+  
+  // Save
+  doc.save(`near-expiry-${asOfDate}.pdf`);
+  
+  return { success: true };
+};
+
+export const generateRecallNoticePDFClient = (recall, item, notice) => {
+  const doc = new jsPDF();
+  
+  // Header
+  doc.setFontSize(20);
+  doc.setTextColor(37, 99, 235); // Blue
+  doc.text('PHARMA-C', 20, 20);
+  
+  doc.setFontSize(10);
+  doc.setTextColor(0, 0, 0);
+  doc.text('Medical Supplies Ltd', 20, 27);
+  doc.text('SteriCare Brand', 20, 32);
+  
+  // Notice Info
+  doc.setFontSize(16);
+  doc.setTextColor(220, 38, 38); // Red
+  doc.text('PRODUCT RECALL', 140, 20);
+  doc.setTextColor(0, 0, 0);
+  doc.setFontSize(10);
+  doc.text(`Date: ${new Date().toLocaleDateString()}`, 140, 27);
+  doc.text(`Batch: ${recall.batch_number}`, 140, 32);
+  
+  // Customer Info
   doc.setFontSize(12);
-  doc.text(`Subtotal: ₵${invoice.subtotal.toFixed(2)}`, 140, finalY);
-  if (invoice.discount_amount > 0) {
-    doc.text(`Discount: -₵${invoice.discount_amount.toFixed(2)}`, 140, finalY + 7);
-  }
-  doc.setFontSize(14);
-  doc.setFont(undefined, 'bold');
-  doc.text(`TOTAL: ₵${invoice.total_amount.toFixed(2)}`, 140, finalY + (invoice.discount_amount > 0 ? 14 : 7));
+  doc.text('TO:', 20, 45);
+  doc.setFontSize(10);
+  doc.text(item.customer_name, 20, 52);
+  
+  // Affected Stock Table
+  doc.autoTable({
+    startY: 60,
+    head: [['Product', 'Batch', 'Expiry', 'Invoice #', 'Invoice Date', 'Units']],
+    body: [[
+      recall.product_name,
+      recall.batch_number,
+      recall.expiry_date ? new Date(recall.expiry_date).toLocaleDateString() : '',
+      item.invoice_number,
+      new Date(item.invoice_date).toLocaleDateString(),
+      String(item.units_received)
+    ]],
+    theme: 'grid',
+    headStyles: { fillColor: [220, 38, 38] },
+  });
+  
+  // Letter
+  doc.setFontSize(10);
+  doc.text(notice.email, 20, doc.lastAutoTable.finalY + 12, { maxWidth: 170 });
   
   // Footer
   doc.setFontSize(8);
+  doc.text('Please keep this notice with the recalled stock until it is collected.', 105, 280, { align: 'center' });
+  
+  // Save
+  doc.save(`recall-${recall.batch_number}-${item.invoice_number}.pdf`);
+  
+  return { success: true };
+};
+
+/**
+ * One customer's statement on the current page of `doc`
+ */
+const drawStatement = (doc, statement) => {
+  const { customer } = statement;
+  const money = (value) => `₵${Number(value).toFixed(2)}`;
+  
+  // Header
+  doc.setFontSize(20);
+  doc.setTextColor(37, 99, 235); // Blue
+  doc.text('PHARMA-C', 20, 20);
+  
+  doc.setFontSize(10);
+  doc.setTextColor(0, 0, 0);
+  doc.text('Medical Supplies Ltd', 20, 27);
+  doc.text('SteriCare Brand', 20, 32);
+  
+  // Statement Info
+  doc.setFontSize(16);
+  doc.text('STATEMENT OF ACCOUNT', 120, 20);
+  doc.setFontSize(10);
+  doc.text(`Period: ${new Date(statement.startDate).toLocaleDateString()} - ${new Date(statement.endDate).toLocaleDateString()}`, 120, 27);
+  doc.text(`Issued: ${new Date().toLocaleDateString()}`, 120, 32);
+  
+  // Customer Info
+  doc.setFontSize(12);
+  doc.text('STATEMENT FOR:', 20, 45);
+  doc.setFontSize(10);
+  let customerY = 52;
+  [customer.name, customer.contact_person, customer.address, customer.region, customer.phone]
+    .filter(Boolean)
+    .forEach(line => {
+      doc.text(String(line), 20, customerY);
+      customerY += 5;
+    });
+  
+  // Account Summary
+  doc.setFillColor(239, 246, 255);
+  doc.rect(120, 40, 75, 34, 'F');
+  doc.text('Opening balance:', 123, 46);
+  doc.text(money(statement.openingBalance), 192, 46, { align: 'right' });
+  doc.text('Invoices:', 123, 52);
+  doc.text(money(statement.totals.invoiced), 192, 52, { align: 'right' });
+  doc.text('Payments:', 123, 58);
+  doc.text(`-${money(statement.totals.paid)}`, 192, 58, { align: 'right' });
+  doc.text('Credit notes:', 123, 64);
+  doc.text(`-${money(statement.totals.credited)}`, 192, 64, { align: 'right' });
+  doc.setFont(undefined, 'bold');
+  doc.text('Balance due:', 123, 71);
+  doc.text(money(statement.closingBalance), 192, 71, { align: 'right' });
   doc.setFont(undefined, 'normal');
-  doc.text('Thank you for your business!', 105, 280, { align: 'center' });
+  
+  // Transactions Table
+  const tableData = [
+    [new Date(statement.startDate).toLocaleDateString(), '', 'Balance brought forward', '', '', money(statement.openingBalance)],
+    ...statement.entries.map(entry => [
+      new Date(entry.date).toLocaleDateString(),
+      entry.reference,
+      entry.description,
+      entry.debit ? money(entry.debit) : '',
+      entry.credit ? money(entry.credit) : '',
+      money(entry.balance)
+    ])
+  ];
+  
+  doc.autoTable({
+    startY: Math.max(customerY, 80) + 4,
+    head: [['Date', 'Reference', 'Details', 'Charges', 'Credits', 'Balance']],
+    body: tableData,
+    foot: [['', '', 'Closing balance', money(statement.totals.invoiced), money(statement.totals.paid + statement.totals.credited), money(statement.closingBalance)]],
+    theme: 'grid',
+    headStyles: { fillColor: [37, 99, 235] },
+    footStyles: { fillColor: [229, 231, 235], textColor: [0, 0, 0], fontStyle: 'bold' },
+    columnStyles: { 3: { halign: 'right' }, 4: { halign: 'right' }, 5: { halign: 'right' } },
+  });
+  
+  // Footer
+  doc.setFontSize(8);
+  doc.text('Please review this statement and report any discrepancy within 14 days.', 105, 280, { align: 'center' });
+  doc.text('Thank you for your business!', 105, 285, { align: 'center' });
+};
+
+export const generateStatementPDFClient = (statement) => {
+  const doc = new jsPDF();
+  drawStatement(doc, statement);
   
   // Save
-  doc.save(`${invoice.invoice_number}.pdf`);
+  const safeName = statement.customer.name.replace(/[^a-z0-9]+/gi, '-');
+  doc.save(`statement-${safeName}-${statement.endDate}.pdf`);
+  
+  return { success: true };
+};
+
+export const generateBulkStatementsPDFClient = (statements, { startDate, endDate }) => {
+  const doc = new jsPDF();
+  
+  // One customer per page; autotable adds further pages for long statements
+  statements.forEach((statement, index) => {
+    if (index > 0) doc.addPage();
+    drawStatement(doc, statement);
+  });
+  
+  // Save
+  doc.save(`statements-${startDate}-to-${endDate}.pdf`);
   
   return { success: true };
-};
\ No newline at end of file
+};
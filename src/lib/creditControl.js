@@ -0,0 +1,200 @@
+/**
+ * CREDIT CONTROL
+ * Checks a Credit sale against the customer's credit limit before the
+ * invoice is saved. A sale that would take the customer past the limit
+ * is blocked unless a manager or admin approves an override; every
+ * approval is written to credit_overrides with the approver's identity.
+ * A credit limit of 0 means no limit has been set.
+ *
+ * Table:
+ *   credit_overrides
+ *     id, customer_id, customer_name, sale_amount, credit_limit,
+ *     outstanding_balance, excess_amount, reason, requested_by,
+ *     requested_by_name, approved_by, approved_by_name, approved_by_role,
+ *     approved_at, invoice_id, invoice_number
+ *   invoices.credit_override_id links an invoice to the approval that allowed it
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { supabase } from './supabase';
+import { roundMoney } from './payments';
+
+export const OVERRIDE_ROLES = ['admin', 'manager'];
+
+/**
+ * Whether a user may approve a credit-limit override
+ * @param {Object} profile - User profile
+ * @returns {boolean}
+ */
+export const canOverrideCredit = (profile) => OVERRIDE_ROLES.includes(profile?.role);
+
+/**
+ * Current credit position of a customer, read fresh from the database
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} - { creditLimit, outstanding, headroom, hasLimit }
+ */
+export const getCreditPosition = async (customerId) => {
+  const { data, error } = await supabase
+    .from('customers')
+    .select('credit_limit, outstanding_balance')
+    .eq('id', customerId)
+    .single();
+
+  if (error) throw error;
+
+  const creditLimit = Number(data?.credit_limit) || 0;
+  const outstanding = Number(data?.outstanding_balance) || 0;
+
+  return {
+    creditLimit,
+    outstanding,
+    hasLimit: creditLimit > 0,
+    headroom: creditLimit > 0 ? roundMoney(creditLimit - outstanding) : Infinity
+  };
+};
+
+/**
+ * Whether a sale fits within the customer's remaining credit
+ * @param {Object} position - From getCreditPosition
+ * @param {number} saleAmount - Invoice total
+ * @returns {Object} - { withinLimit, projectedBalance, excess }
+ */
+export const evaluateCredit = (position, saleAmount) => {
+  const projectedBalance = roundMoney(position.outstanding + (Number(saleAmount) || 0));
+  const excess = position.hasLimit ? roundMoney(projectedBalance - position.creditLimit) : 0;
+
+  return {
+    withinLimit: excess <= 0,
+    projectedBalance,
+    excess: Math.max(0, excess)
+  };
+};
+
+/**
+ * Error raised when a Credit sale is over the limit without an override
+ * that covers it. Carries the fresh `position` for the override prompt.
+ */
+export class CreditLimitError extends Error {
+  constructor(position, saleAmount) {
+    const { excess } = evaluateCredit(position, saleAmount);
+    super(`This sale exceeds the customer's credit limit by ₵${excess.toFixed(2)}; a manager must approve it`);
+    this.name = 'CreditLimitError';
+    this.position = position;
+  }
+}
+
+/**
+ * Check a Credit sale against the customer's limit before it is invoiced
+ * The balance is re-read now. A sale within the limit needs nothing;
+ * above it, `override` must be an approval for this customer covering
+ * the whole amount. Used by sales entry and quote conversion alike.
+ * @param {string} customerId - Customer ID
+ * @param {number} saleAmount - Invoice total
+ * @param {Object} override - Approved credit_overrides row, if any
+ * @returns {Promise<Object>} - { position, override } (override is null when not needed)
+ * @throws {CreditLimitError} - When over the limit and not covered
+ */
+export const enforceCreditLimit = async (customerId, saleAmount, override) => {
+  const position = await getCreditPosition(customerId);
+  if (evaluateCredit(position, saleAmount).withinLimit) return { position, override: null };
+
+  const covers = override &&
+    override.customer_id === customerId &&
+    override.sale_amount >= saleAmount - 0.005;
+  if (!covers) throw new CreditLimitError(position, saleAmount);
+
+  return { position, override };
+};
+
+/**
+ * Confirm a manager's credentials without touching the signed-in session
+ * Uses a throwaway client so the rep stays logged in on this device.
+ * Also used to approve discounts above a rep's limit (see promotions).
+ * @param {string} email - Manager email
+ * @param {string} password - Manager password
+ * @returns {Promise<Object>} - Manager profile ({ id, full_name, role })
+ */
+export const verifyManager = async (email, password) => {
+  const client = createClient(process.env.REACT_APP_SUPABASE_URL, process.env.REACT_APP_SUPABASE_ANON_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+  });
+
+  const { data, error } = await client.auth.signInWithPassword({ email, password });
+  if (error) throw new Error('Manager email or password is incorrect');
+
+  try {
+    const { data: profile, error: profileError } = await client
+      .from('user_profiles')
+      .select('id, full_name, role')
+      .eq('id', data.user.id)
+      .single();
+
+    if (profileError) throw profileError;
+    if (!canOverrideCredit(profile)) throw new Error('Only a manager or admin can approve this');
+    return profile;
+  } finally {
+    // Local scope ends only this throwaway session, not the manager's other devices
+    await client.auth.signOut({ scope: 'local' });
+  }
+};
+
+/**
+ * Approve and record a credit-limit override
+ * A manager or admin at the keyboard approves as themselves; a sales rep
+ * needs a manager to enter their credentials.
+ * @param {Object} params
+ * @param {Object} params.customer - Customer ({ id, name })
+ * @param {Object} params.position - From getCreditPosition
+ * @param {number} params.saleAmount - Invoice total being approved
+ * @param {string} params.reason - Why the limit may be exceeded
+ * @param {Object} params.requestedBy - Current user profile
+ * @param {Object} params.managerCredentials - { email, password } when the current user is not a manager
+ * @returns {Promise<Object>} - Override row
+ */
+export const approveCreditOverride = async ({ customer, position, saleAmount, reason, requestedBy, managerCredentials }) => {
+  if (!reason || reason.trim().length < 5) throw new Error('Please give a reason for the override (at least 5 characters)');
+
+  const approver = canOverrideCredit(requestedBy)
+    ? requestedBy
+    : await verifyManager(managerCredentials?.email, managerCredentials?.password);
+
+  const { excess } = evaluateCredit(position, saleAmount);
+
+  const { data, error } = await supabase
+    .from('credit_overrides')
+    .insert({
+      customer_id: customer.id,
+      customer_name: customer.name,
+      sale_amount: roundMoney(saleAmount),
+      credit_limit: position.creditLimit,
+      outstanding_balance: position.outstanding,
+      excess_amount: excess,
+      reason: reason.trim(),
+      requested_by: requestedBy?.id || null,
+      requested_by_name: requestedBy?.full_name || null,
+      approved_by: approver.id,
+      approved_by_name: approver.full_name,
+      approved_by_role: approver.role,
+      approved_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Link an approved override to the invoice it allowed
+ * @param {string} overrideId - Override ID
+ * @param {Object} invoice - Created invoice
+ * @returns {Promise<void>}
+ */
+export const attachOverrideToInvoice = async (overrideId, invoice) => {
+  const { error } = await supabase
+    .from('credit_overrides')
+    .update({ invoice_id: invoice.id, invoice_number: invoice.invoice_number })
+    .eq('id', overrideId);
+
+  if (error) throw error;
+};
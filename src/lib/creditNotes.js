@@ -0,0 +1,260 @@
+/**
+ * CREDIT NOTES & CUSTOMER RETURNS
+ * A credit note is raised against an existing invoice when a facility
+ * returns expired or damaged boxes. Returned units either go back to
+ * sellable stock, into the batches and location the invoice line took
+ * them from, or
+ * are written off as damaged. Units from a recalled batch can only be
+ * written off; they are quarantined for the supplier, never resold.
+ *
+ * Tables:
+ *   credit_notes
+ *     id, credit_note_number, invoice_id, invoice_number, customer_id,
+ *     customer_name, region, credit_date, reason, total_amount,
+ *     created_by, created_by_name, created_at
+ *   credit_note_line_items
+ *     id, credit_note_id, invoice_line_item_id, product_id, product_name,
+ *     product_code, boxes_returned, units_returned, unit_credit,
+ *     line_total, disposition
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { nextDocumentNumber } from './documentNumbers';
+import { adjustProductStock } from './inventory';
+import { adjustBatchStock, returnedBatchAllocations, isBatchBlocked } from './batches';
+import { getLocation, adjustLocationStock } from './locations';
+import {
+  adjustCustomerBalance,
+  derivePaymentStatus,
+  getInvoicePayments,
+  invoiceAmountOwed,
+  roundMoney,
+  sumPayments
+} from './payments';
+
+export const RETURN_DISPOSITIONS = {
+  RESTOCK: 'Restock',
+  WRITE_OFF: 'Write-off'
+};
+
+/**
+ * Credit value of one unit on an invoice line
+ * Line discount, the invoice-level discount and the line's tax are all
+ * spread across the units, so crediting every unit refunds exactly what
+ * was charged.
+ * @param {Object} lineItem - Invoice line item
+ * @param {Object} invoice - Invoice row
+ * @returns {number} - Credit per unit
+ */
+export const unitCreditValue = (lineItem, invoice) => {
+  const units = Number(lineItem.units_sold) || 0;
+  if (units === 0) return 0;
+
+  const subtotal = Number(invoice.subtotal) || 0;
+  const discountFactor = subtotal > 0
+    ? (subtotal - (Number(invoice.discount_amount) || 0)) / subtotal
+    : 1;
+
+  return ((Number(lineItem.line_total) || 0) * discountFactor + (Number(lineItem.tax_amount) || 0)) / units;
+};
+
+/**
+ * Load the credit notes raised against an invoice, newest first
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Array>} - Credit notes with their line items
+ */
+export const getInvoiceCreditNotes = async (invoiceId) => {
+  const { data, error } = await supabase
+    .from('credit_notes')
+    .select('*, credit_note_line_items (*)')
+    .eq('invoice_id', invoiceId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Invoice lines with the units still available to return
+ * @param {Object} invoice - Invoice row
+ * @returns {Promise<Array>} - Line items with `returned_units` and `returnable_units`
+ */
+export const getReturnableLines = async (invoice) => {
+  const { data: lineItems, error } = await supabase
+    .from('invoice_line_items')
+    .select('*, products (units_per_box)')
+    .eq('invoice_id', invoice.id)
+    .order('id');
+
+  if (error) throw error;
+
+  const creditNotes = await getInvoiceCreditNotes(invoice.id);
+  const returnedByLine = {};
+  creditNotes.forEach(note => {
+    (note.credit_note_line_items || []).forEach(line => {
+      returnedByLine[line.invoice_line_item_id] =
+        (returnedByLine[line.invoice_line_item_id] || 0) + (Number(line.units_returned) || 0);
+    });
+  });
+
+  return (lineItems || []).map(item => {
+    const returned = returnedByLine[item.id] || 0;
+    const unitsPerBox = item.products?.units_per_box ||
+      (item.boxes_sold > 0 ? Math.round(item.units_sold / item.boxes_sold) : 1);
+
+    return {
+      ...item,
+      units_per_box: unitsPerBox,
+      returned_units: returned,
+      returnable_units: Math.max(0, (Number(item.units_sold) || 0) - returned),
+      unit_credit: unitCreditValue(item, invoice)
+    };
+  });
+};
+
+/**
+ * Raise a credit note for returned goods
+ * @param {Object} invoice - Invoice row
+ * @param {Array} returns - [{ line, boxes, units, disposition }] where `line`
+ *   comes from getReturnableLines and `units` is the total units returned
+ * @param {string} reason - Why the goods came back
+ * @param {Object} createdBy - User profile ({ id, full_name })
+ * @returns {Promise<Object>} - Credit note with `credit_note_line_items`
+ */
+export const createCreditNote = async (invoice, returns, reason, createdBy) => {
+  if (!invoice?.id) throw new Error('Invoice is required');
+  if (invoice.status === 'Voided' || invoice.status === 'Cancelled') {
+    throw new Error('Cannot raise a credit note on a voided invoice');
+  }
+  if (!reason || !reason.trim()) throw new Error('Please give a reason for the return');
+
+  const lines = (returns || []).filter(r => (parseInt(r.units) || 0) > 0);
+  if (lines.length === 0) throw new Error('Select at least one item to return');
+
+  lines.forEach(({ line, units, disposition }) => {
+    if (parseInt(units) > line.returnable_units) {
+      throw new Error(`Only ${line.returnable_units} units of ${line.product_name} can be returned`);
+    }
+    if (!Object.values(RETURN_DISPOSITIONS).includes(disposition)) {
+      throw new Error(`Choose restock or write-off for ${line.product_name}`);
+    }
+  });
+
+  // Batches each return came from, so restocked units rejoin them
+  const returnBatches = lines.map(({ line, units }) =>
+    returnedBatchAllocations(line.batch_allocations || [], parseInt(units), line.returned_units)
+  );
+
+  const restockBatchIds = [...new Set(lines.flatMap(({ disposition }, index) => (
+    disposition === RETURN_DISPOSITIONS.RESTOCK
+      ? returnBatches[index].allocations.map(allocation => allocation.batch_id)
+      : []
+  )))];
+  if (restockBatchIds.length > 0) {
+    const { data: batches, error: batchesError } = await supabase
+      .from('inventory_batches')
+      .select('id, batch_number, blocked_at')
+      .in('id', restockBatchIds);
+
+    if (batchesError) throw batchesError;
+    const recalled = (batches || []).find(isBatchBlocked);
+    if (recalled) {
+      throw new Error(`Batch ${recalled.batch_number} is recalled; returned units from it must be written off`);
+    }
+  }
+
+  const lineData = lines.map(({ line, boxes, units, disposition }) => ({
+    invoice_line_item_id: line.id,
+    product_id: line.product_id,
+    product_name: line.product_name,
+    product_code: line.product_code,
+    boxes_returned: parseInt(boxes) || 0,
+    units_returned: parseInt(units),
+    unit_credit: roundMoney(line.unit_credit),
+    line_total: roundMoney(line.unit_credit * parseInt(units)),
+    disposition
+  }));
+  const totalAmount = roundMoney(lineData.reduce((sum, l) => sum + l.line_total, 0));
+
+  const creditNoteNumber = await nextDocumentNumber('CN');
+
+  const { data: creditNote, error: noteError } = await supabase
+    .from('credit_notes')
+    .insert({
+      credit_note_number: creditNoteNumber,
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoice_number,
+      customer_id: invoice.customer_id,
+      customer_name: invoice.customer_name,
+      region: invoice.region,
+      credit_date: new Date().toISOString().split('T')[0],
+      reason: reason.trim(),
+      total_amount: totalAmount,
+      created_by: createdBy?.id || null,
+      created_by_name: createdBy?.full_name || null
+    })
+    .select()
+    .single();
+
+  if (noteError) throw noteError;
+
+  const { data: insertedLines, error: linesError } = await supabase
+    .from('credit_note_line_items')
+    .insert(lineData.map(l => ({ ...l, credit_note_id: creditNote.id })))
+    .select();
+
+  if (linesError) {
+    await supabase.from('credit_notes').delete().eq('id', creditNote.id);
+    throw linesError;
+  }
+
+  // Sellable returns go back on the shelf; damaged ones stay out of stock
+  const location = await getLocation(invoice.location_id);
+  for (const [index, line] of lineData.entries()) {
+    if (line.disposition === RETURN_DISPOSITIONS.RESTOCK) {
+      await adjustProductStock(line.product_id, line.units_returned, {
+        movementType: 'Adjustment In',
+        invoiceId: invoice.id,
+        notes: `Return on ${creditNoteNumber}: ${reason.trim()}`,
+        userId: createdBy?.id
+      });
+      await adjustLocationStock(location, line.product_id, line.units_returned);
+      for (const allocation of returnBatches[index].allocations) {
+        await adjustBatchStock(allocation.batch_id, allocation.units);
+      }
+    }
+  }
+
+  // Reduce what the customer owes on the invoice
+  const creditedAmount = roundMoney((Number(invoice.credited_amount) || 0) + totalAmount);
+  const payments = await getInvoicePayments(invoice.id);
+  const amountPaid = sumPayments(payments);
+  const owed = invoiceAmountOwed({ ...invoice, credited_amount: creditedAmount });
+
+  const invoiceUpdate = { credited_amount: creditedAmount };
+  if (invoice.sale_type === 'Credit') {
+    invoiceUpdate.balance_due = Math.max(0, roundMoney(owed - amountPaid));
+    invoiceUpdate.payment_status = owed <= 0 ? 'Paid' : derivePaymentStatus(owed, amountPaid);
+  }
+
+  const { error: invoiceError } = await supabase
+    .from('invoices')
+    .update(invoiceUpdate)
+    .eq('id', invoice.id);
+
+  if (invoiceError) throw invoiceError;
+
+  // Only the unpaid part of a credit sale sits in the outstanding balance
+  if (invoice.sale_type === 'Credit') {
+    const previousBalance = Math.max(0, invoiceAmountOwed(invoice) - amountPaid);
+    const reduction = roundMoney(previousBalance - invoiceUpdate.balance_due);
+    if (reduction > 0) {
+      await adjustCustomerBalance(invoice.customer_id, -reduction);
+    }
+  }
+
+  queryCache.clearPattern('invoices_');
+
+  return { ...creditNote, credit_note_line_items: insertedLines || [], invoiceUpdate };
+};
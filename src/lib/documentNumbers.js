@@ -0,0 +1,36 @@
+/**
+ * DOCUMENT NUMBERING
+ * Yearly sequential numbers for credit notes, quotes and other documents,
+ * e.g. CN-2026-0001. Invoices keep using the generate_invoice_number RPC.
+ *
+ * Numbers come from a database function so two users saving at the same
+ * moment can never be given the same number:
+ *   next_document_number(p_prefix text, p_year int)
+ *     increments document_sequences.last_number for (prefix, year) in a
+ *     single upsert and returns the new value
+ *
+ * Table: document_sequences
+ *   prefix, year, last_number (primary key prefix + year; the current
+ *   year's row is seeded from the highest existing number when added)
+ */
+
+import { supabase } from './supabase';
+
+/**
+ * Next number in a yearly sequence
+ * @param {string} prefix - Document prefix, e.g. 'CN'
+ * @param {Date} date - Date the document is issued (defaults to today)
+ * @returns {Promise<string>} - e.g. 'CN-2026-0007'
+ */
+export const nextDocumentNumber = async (prefix, date = new Date()) => {
+  const year = date.getFullYear();
+
+  const { data: sequence, error } = await supabase.rpc('next_document_number', {
+    p_prefix: prefix,
+    p_year: year
+  });
+
+  if (error) throw error;
+
+  return `${prefix}-${year}-${String(sequence).padStart(4, '0')}`;
+};
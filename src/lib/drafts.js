@@ -0,0 +1,136 @@
+/**
+ * DRAFT INVOICES
+ * Work in progress from SalesEntry, saved as an invoice row with status
+ * 'Draft' so it can be resumed from any device. The editor state lives in
+ * `invoices.draft_payload` (jsonb); no line items are written and no stock
+ * moves until the draft is finalised with createInvoice({ draftId }).
+ *
+ * Columns used on invoices:
+ *   draft_payload, draft_updated_at (plus the usual header fields;
+ *   invoice_number stays null until finalised)
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { DRAFT_STATUS } from './invoices';
+
+/**
+ * Whether an invoice row is an unfinished draft
+ * @param {Object} invoice - Invoice row
+ * @returns {boolean}
+ */
+export const isDraft = (invoice) => invoice?.status === DRAFT_STATUS;
+
+/**
+ * Snapshot of the SalesEntry editor for storage
+ * @param {Object} state - { saleType, saleDate, overallDiscount, notes, lineItems }
+ * @returns {Object} - JSON-safe payload
+ */
+export const buildDraftPayload = ({ saleType, saleDate, overallDiscount, notes, lineItems }) => ({
+  saleType,
+  saleDate,
+  overallDiscount,
+  notes,
+  lineItems: lineItems.map(item => ({
+    productId: item.product?.id || null,
+    boxes: item.boxes,
+    units: item.units,
+    unitPrice: item.unitPrice,
+    listPrice: item.listPrice ?? null,
+    priceSource: item.priceSource || null,
+    costPerUnit: item.costPerUnit,
+    discount: item.discount
+  }))
+});
+
+/**
+ * Rebuild editor line items from a stored payload
+ * Products no longer active are dropped from the draft.
+ * @param {Object} payload - Stored draft payload
+ * @param {Array} products - Active products
+ * @returns {Array} - SalesEntry line items
+ */
+export const restoreDraftLineItems = (payload, products) =>
+  (payload?.lineItems || [])
+    .map((item, index) => ({
+      id: Date.now() + index,
+      product: products.find(p => p.id === item.productId) || null,
+      boxes: item.boxes || 0,
+      units: item.units || 0,
+      unitPrice: item.unitPrice || 0,
+      listPrice: item.listPrice ?? null,
+      priceSource: item.priceSource || null,
+      costPerUnit: item.costPerUnit || 0,
+      discount: item.discount || 0
+    }))
+    .filter((item, index) => item.product || !payload.lineItems[index].productId);
+
+/**
+ * Create or update a draft
+ * @param {string|null} draftId - Existing draft ID, or null for a new draft
+ * @param {Object} header - Invoice header fields (customer, totals, ...)
+ * @param {Object} payload - Editor snapshot from buildDraftPayload
+ * @returns {Promise<Object>} - Saved draft row
+ */
+export const saveDraft = async (draftId, header, payload) => {
+  const row = {
+    ...header,
+    status: DRAFT_STATUS,
+    draft_payload: payload,
+    draft_updated_at: new Date().toISOString()
+  };
+
+  const { data, error } = draftId
+    ? await supabase
+        .from('invoices')
+        .update(row)
+        .eq('id', draftId)
+        .eq('status', DRAFT_STATUS)
+        .select()
+        .maybeSingle()
+    : await supabase
+        .from('invoices')
+        .insert(row)
+        .select()
+        .single();
+
+  if (error) throw error;
+  if (!data) throw new Error('This draft has already been finalised');
+
+  queryCache.clearPattern('invoices_');
+  return data;
+};
+
+/**
+ * Load a draft to resume it
+ * @param {string} draftId - Draft invoice ID
+ * @returns {Promise<Object>} - Draft row
+ */
+export const getDraft = async (draftId) => {
+  const { data, error } = await supabase
+    .from('invoices')
+    .select('*')
+    .eq('id', draftId)
+    .single();
+
+  if (error) throw error;
+  if (!isDraft(data)) throw new Error(`Invoice ${data.invoice_number} has already been finalised`);
+  return data;
+};
+
+/**
+ * Throw a draft away
+ * Only rows still in Draft status can be deleted.
+ * @param {string} draftId - Draft invoice ID
+ * @returns {Promise<void>}
+ */
+export const discardDraft = async (draftId) => {
+  const { error } = await supabase
+    .from('invoices')
+    .delete()
+    .eq('id', draftId)
+    .eq('status', DRAFT_STATUS);
+
+  if (error) throw error;
+  queryCache.clearPattern('invoices_');
+};
@@ -0,0 +1,262 @@
+/**
+ * DUNNING (OVERDUE REMINDERS)
+ * Credit invoices past their due date get escalating reminders:
+ * friendly → firm → final notice. An invoice moves up one level at a time,
+ * only once it is overdue long enough for the next level and at least
+ * MIN_DAYS_BETWEEN_REMINDERS after the previous reminder. Messages go out
+ * through the pluggable transport in messaging.js and every attempt is
+ * logged, whether or not the provider accepted it.
+ *
+ * Table:
+ *   dunning_reminders
+ *     id, invoice_id, invoice_number, customer_id, customer_name, level,
+ *     level_label, channel, recipient, subject, message, status, error,
+ *     transport, sent_by, sent_by_name, sent_at
+ *
+ * Columns on invoices:
+ *   dunning_level (0 = no reminder yet), last_reminder_at
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { MESSAGE_CHANNELS, getMessageTransport, sendMessage } from './messaging';
+import { getOpenReceivables, daysOverdue } from './receivables';
+
+export const DUNNING_LEVELS = [
+  { level: 1, key: 'friendly', label: 'Friendly reminder', minDaysOverdue: 1 },
+  { level: 2, key: 'firm', label: 'Firm reminder', minDaysOverdue: 15 },
+  { level: 3, key: 'final', label: 'Final notice', minDaysOverdue: 30 }
+];
+
+export const MIN_DAYS_BETWEEN_REMINDERS = 7;
+
+export const REMINDER_STATUSES = {
+  SENT: 'Sent',
+  FAILED: 'Failed'
+};
+
+// Placeholders: {{customer_name}} {{contact_name}} {{invoice_number}} {{invoice_date}}
+// {{due_date}} {{days_overdue}} {{total_amount}} {{balance_due}}
+export const DUNNING_TEMPLATES = {
+  friendly: {
+    subject: 'Payment reminder: invoice {{invoice_number}}',
+    email:
+      'Dear {{contact_name}},\n\n' +
+      'This is a friendly reminder that invoice {{invoice_number}} dated {{invoice_date}} ' +
+      'was due for payment on {{due_date}}. The outstanding balance is ₵{{balance_due}}.\n\n' +
+      'If you have already paid, please ignore this message and accept our thanks.\n\n' +
+      'Kind regards,\nPharma-C Medical Supplies',
+    sms:
+      'Pharma-C: Friendly reminder - invoice {{invoice_number}} (₵{{balance_due}}) was due on {{due_date}}. ' +
+      'Please ignore if already paid. Thank you.'
+  },
+  firm: {
+    subject: 'Overdue: invoice {{invoice_number}} is {{days_overdue}} days past due',
+    email:
+      'Dear {{contact_name}},\n\n' +
+      'Our records show that invoice {{invoice_number}} for {{customer_name}} is now ' +
+      '{{days_overdue}} days overdue. The outstanding balance of ₵{{balance_due}} was due on {{due_date}}.\n\n' +
+      'Please arrange payment within 7 days or contact us to discuss.\n\n' +
+      'Regards,\nPharma-C Medical Supplies',
+    sms:
+      'Pharma-C: Invoice {{invoice_number}} is {{days_overdue}} days overdue. ' +
+      'Balance ₵{{balance_due}}. Please pay within 7 days or call us.'
+  },
+  final: {
+    subject: 'FINAL NOTICE: invoice {{invoice_number}}',
+    email:
+      'Dear {{contact_name}},\n\n' +
+      'Despite previous reminders, invoice {{invoice_number}} dated {{invoice_date}} remains unpaid, ' +
+      '{{days_overdue}} days after its due date of {{due_date}}. The outstanding balance is ₵{{balance_due}}.\n\n' +
+      'This is our final notice. If payment is not received within 7 days, further credit ' +
+      'sales to {{customer_name}} will be suspended.\n\n' +
+      'Pharma-C Medical Supplies',
+    sms:
+      'Pharma-C FINAL NOTICE: Invoice {{invoice_number}} (₵{{balance_due}}) is {{days_overdue}} days overdue. ' +
+      'Pay within 7 days to avoid suspension of credit.'
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Replace {{placeholders}} in a template
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} - Filled text (unknown placeholders are left as-is)
+ */
+export const fillTemplate = (template, values) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+
+/**
+ * Next reminder level an invoice is due for, if any
+ * @param {Object} invoice - Invoice row (with due_date, dunning_level, last_reminder_at)
+ * @param {string} asOfDate - Today (YYYY-MM-DD)
+ * @returns {Object|null} - Entry from DUNNING_LEVELS, or null when nothing is due
+ */
+export const nextDunningLevel = (invoice, asOfDate) => {
+  if (!invoice?.due_date) return null;
+
+  const current = Number(invoice.dunning_level) || 0;
+  const next = DUNNING_LEVELS.find(level => level.level === current + 1);
+  if (!next) return null;
+  if (daysOverdue(invoice, asOfDate) < next.minDaysOverdue) return null;
+
+  if (invoice.last_reminder_at) {
+    const sinceLast = Math.floor((Date.parse(asOfDate) - Date.parse(invoice.last_reminder_at.split('T')[0])) / DAY_MS);
+    if (sinceLast < MIN_DAYS_BETWEEN_REMINDERS) return null;
+  }
+
+  return next;
+};
+
+/**
+ * Fill the templates for one reminder
+ * @param {Object} level - Entry from DUNNING_LEVELS
+ * @param {Object} invoice - Invoice row (with balance)
+ * @param {Object} customer - Customer row
+ * @param {string} asOfDate - Today (YYYY-MM-DD)
+ * @returns {Object} - { subject, email, sms }
+ */
+export const buildReminder = (level, invoice, customer, asOfDate) => {
+  const template = DUNNING_TEMPLATES[level.key];
+  const values = {
+    customer_name: invoice.customer_name,
+    contact_name: customer?.contact_person || invoice.customer_name,
+    invoice_number: invoice.invoice_number,
+    invoice_date: new Date(invoice.invoice_date).toLocaleDateString(),
+    due_date: new Date(invoice.due_date).toLocaleDateString(),
+    days_overdue: Math.max(0, daysOverdue(invoice, asOfDate)),
+    total_amount: Number(invoice.total_amount).toFixed(2),
+    balance_due: Number(invoice.balance).toFixed(2)
+  };
+
+  return {
+    subject: fillTemplate(template.subject, values),
+    email: fillTemplate(template.email, values),
+    sms: fillTemplate(template.sms, values)
+  };
+};
+
+/**
+ * Overdue Credit invoices with their customer and the reminder due next
+ * @param {string} asOfDate - Today (YYYY-MM-DD)
+ * @returns {Promise<Array>} - [{ invoice, customer, daysOverdue, nextLevel }], most overdue first
+ */
+export const getDunningQueue = async (asOfDate) => {
+  const receivables = await getOpenReceivables();
+  const overdue = receivables.filter(invoice => invoice.due_date && daysOverdue(invoice, asOfDate) > 0);
+  if (overdue.length === 0) return [];
+
+  const customerIds = [...new Set(overdue.map(invoice => invoice.customer_id))];
+  const { data: customers, error } = await supabase
+    .from('customers')
+    .select('id, name, contact_person, email, phone, payment_terms')
+    .in('id', customerIds);
+
+  if (error) throw error;
+
+  const customersById = new Map((customers || []).map(customer => [customer.id, customer]));
+
+  return overdue
+    .map(invoice => ({
+      invoice,
+      customer: customersById.get(invoice.customer_id) || null,
+      daysOverdue: daysOverdue(invoice, asOfDate),
+      nextLevel: nextDunningLevel(invoice, asOfDate)
+    }))
+    .sort((a, b) => b.daysOverdue - a.daysOverdue);
+};
+
+/**
+ * Send a reminder by email and SMS (whichever the customer has) and log it
+ * The invoice only moves to the new level if at least one channel succeeds.
+ * @param {Object} params
+ * @param {Object} params.invoice - Invoice row (with balance)
+ * @param {Object} params.customer - Customer row (email, phone, contact_person)
+ * @param {Object} params.level - Entry from DUNNING_LEVELS
+ * @param {Object} params.sentBy - User profile ({ id, full_name })
+ * @param {string} params.asOfDate - Today (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { sent: [channel], failed: [{ channel, error }] }
+ */
+export const sendReminder = async ({ invoice, customer, level, sentBy, asOfDate }) => {
+  const reminder = buildReminder(level, invoice, customer, asOfDate);
+  const deliveries = [
+    customer?.email && { channel: MESSAGE_CHANNELS.EMAIL, to: customer.email, subject: reminder.subject, message: reminder.email },
+    customer?.phone && { channel: MESSAGE_CHANNELS.SMS, to: customer.phone, subject: null, message: reminder.sms }
+  ].filter(Boolean);
+
+  if (deliveries.length === 0) {
+    throw new Error(`${invoice.customer_name} has no email or phone number on file`);
+  }
+
+  const sent = [];
+  const failed = [];
+  const logRows = [];
+  const sentAt = new Date().toISOString();
+
+  for (const delivery of deliveries) {
+    let status = REMINDER_STATUSES.SENT;
+    let errorMessage = null;
+    try {
+      await sendMessage(delivery);
+      sent.push(delivery.channel);
+    } catch (error) {
+      console.error(`Reminder ${delivery.channel} to ${delivery.to} failed:`, error);
+      status = REMINDER_STATUSES.FAILED;
+      errorMessage = error.message;
+      failed.push({ channel: delivery.channel, error: error.message });
+    }
+
+    logRows.push({
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoice_number,
+      customer_id: invoice.customer_id,
+      customer_name: invoice.customer_name,
+      level: level.level,
+      level_label: level.label,
+      channel: delivery.channel,
+      recipient: delivery.to,
+      subject: delivery.subject,
+      message: delivery.message,
+      status,
+      error: errorMessage,
+      transport: getMessageTransport().name,
+      sent_by: sentBy?.id || null,
+      sent_by_name: sentBy?.full_name || null,
+      sent_at: sentAt
+    });
+  }
+
+  const { error: logError } = await supabase.from('dunning_reminders').insert(logRows);
+  if (logError) throw logError;
+
+  if (sent.length > 0) {
+    const { error: updateError } = await supabase
+      .from('invoices')
+      .update({ dunning_level: level.level, last_reminder_at: sentAt })
+      .eq('id', invoice.id);
+
+    if (updateError) throw updateError;
+    queryCache.clearPattern('invoices_');
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Reminders sent to a customer, newest first
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Array>} - dunning_reminders rows
+ */
+export const getCustomerReminders = async (customerId) => {
+  const { data, error } = await supabase
+    .from('dunning_reminders')
+    .select('*')
+    .eq('customer_id', customerId)
+    .order('sent_at', { ascending: false })
+    .limit(20);
+
+  if (error) throw error;
+  return data || [];
+};
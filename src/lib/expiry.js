@@ -0,0 +1,218 @@
+/**
+ * EXPIRY ALERTS & NEAR-EXPIRY REPORT
+ * Flags batches that have expired or expire within the chosen window and
+ * values the stock at risk. Suggestions compare each batch with how fast
+ * its product sold over the last SALES_LOOKBACK_DAYS, overall and by
+ * region. Batches of the same product sell in expiry order (FEFO), so a
+ * later batch only gets the sales left over after the earlier ones.
+ *
+ * Reads inventory_batches (see lib/batches), products (unit_price) and
+ * recent invoices with their invoice_line_items (product_id, units_sold).
+ */
+
+import { supabase } from './supabase';
+import { roundMoney } from './payments';
+import { DRAFT_STATUS, isInvoiceVoided } from './invoices';
+import { stockUnits, isBatchExpired, isBatchBlocked } from './batches';
+
+export const EXPIRY_WINDOWS = [30, 60, 90];
+export const DEFAULT_EXPIRY_WINDOW = 60;
+export const SALES_LOOKBACK_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Days from `asOfDate` until a batch expires (negative once expired)
+ * @param {Object} batch - Batch with expiry_date
+ * @param {string} asOfDate - ISO date
+ * @returns {number}
+ */
+export const daysUntilExpiry = (batch, asOfDate = today()) =>
+  Math.round((new Date(batch.expiry_date) - new Date(asOfDate)) / DAY_MS);
+
+/**
+ * Split batches with stock into expired and expiring within the window
+ * Recalled batches are left out; the recall already keeps them off sale.
+ * @param {Array} batches - Batches
+ * @param {number} windowDays - Days ahead to warn about
+ * @param {string} asOfDate - ISO date
+ * @returns {Object} - { expired, expiringSoon } (each batch gets daysLeft and units)
+ */
+export const getExpiryAlerts = (batches, windowDays, asOfDate = today()) => {
+  const expired = [];
+  const expiringSoon = [];
+
+  batches
+    .filter(batch => batch.expiry_date && !isBatchBlocked(batch) && stockUnits(batch) > 0)
+    .forEach(batch => {
+      const entry = { ...batch, daysLeft: daysUntilExpiry(batch, asOfDate), units: stockUnits(batch) };
+      if (isBatchExpired(batch, asOfDate)) {
+        expired.push(entry);
+      } else if (entry.daysLeft <= windowDays) {
+        expiringSoon.push(entry);
+      }
+    });
+
+  const byExpiry = (a, b) => a.expiry_date.localeCompare(b.expiry_date);
+  return { expired: expired.sort(byExpiry), expiringSoon: expiringSoon.sort(byExpiry) };
+};
+
+/**
+ * Units sold per product over the lookback period, overall and by region
+ * @param {Array<string>} productIds - Products to measure
+ * @param {string} asOfDate - ISO date the period ends
+ * @returns {Promise<Object>} - { [productId]: { units, byRegion: { [region]: units } } }
+ */
+export const getSalesVelocity = async (productIds, asOfDate = today()) => {
+  if (productIds.length === 0) return {};
+
+  const since = new Date(new Date(asOfDate).getTime() - SALES_LOOKBACK_DAYS * DAY_MS)
+    .toISOString().split('T')[0];
+
+  const { data, error } = await supabase
+    .from('invoices')
+    .select('status, region, invoice_line_items (product_id, units_sold)')
+    .neq('status', DRAFT_STATUS)
+    .gte('invoice_date', since)
+    .lte('invoice_date', asOfDate);
+
+  if (error) throw error;
+
+  const wanted = new Set(productIds);
+  const velocity = {};
+
+  (data || []).filter(invoice => !isInvoiceVoided(invoice)).forEach(invoice => {
+    (invoice.invoice_line_items || [])
+      .filter(line => wanted.has(line.product_id))
+      .forEach(line => {
+        const units = Number(line.units_sold) || 0;
+        const entry = velocity[line.product_id] || (velocity[line.product_id] = { units: 0, byRegion: {} });
+        const region = invoice.region || 'Unassigned';
+        entry.units += units;
+        entry.byRegion[region] = (entry.byRegion[region] || 0) + units;
+      });
+  });
+
+  return velocity;
+};
+
+// Bigger markdown the closer the batch is to expiry
+const suggestedDiscount = (daysLeft) => {
+  if (daysLeft <= 30) return 25;
+  if (daysLeft <= 60) return 15;
+  return 10;
+};
+
+const topRegion = (byRegion = {}) =>
+  Object.entries(byRegion).sort((a, b) => b[1] - a[1])[0] || null;
+
+/**
+ * Near-expiry report: every expired or expiring batch with its value at
+ * risk and what to do about it. Value at risk is the units not expected
+ * to sell before expiry (all of them once expired) at the selling price.
+ * @param {Array} batches - Batches
+ * @param {Object} productsById - { [productId]: product }
+ * @param {Object} velocity - From getSalesVelocity
+ * @param {number} windowDays - Days ahead to include
+ * @param {string} asOfDate - ISO date
+ * @returns {Object} - { rows, totals: { expired, expiringSoon, total } }
+ */
+export const buildNearExpiryReport = (batches, productsById, velocity, windowDays, asOfDate = today()) => {
+  const { expired, expiringSoon } = getExpiryAlerts(batches, windowDays, asOfDate);
+  const salesUsed = {};
+
+  const toRow = (batch, isExpired) => {
+    const product = productsById[batch.product_id] || {};
+    const unitValue = Number(product.unit_price) || 0;
+    const sales = velocity[batch.product_id] || { units: 0, byRegion: {} };
+    const suggestions = [];
+    let unsoldUnits = batch.units;
+
+    if (isExpired) {
+      suggestions.push('Expired: quarantine and write off or return to the supplier; it must not be sold');
+    } else {
+      // Sales expected before expiry, less what earlier batches will use up
+      const expected = Math.floor((sales.units / SALES_LOOKBACK_DAYS) * batch.daysLeft);
+      const available = Math.max(expected - (salesUsed[batch.product_id] || 0), 0);
+      const sold = Math.min(available, batch.units);
+      salesUsed[batch.product_id] = (salesUsed[batch.product_id] || 0) + sold;
+      unsoldUnits = batch.units - sold;
+
+      const region = topRegion(sales.byRegion);
+      if (unsoldUnits === 0) {
+        suggestions.push('On track to sell before expiry at the current rate');
+      } else if (sales.units === 0) {
+        suggestions.push(`No sales in the last ${SALES_LOOKBACK_DAYS} days: offer it to other customers or ask the supplier about a return`);
+      } else {
+        suggestions.push(`Discount about ${suggestedDiscount(batch.daysLeft)}% to clear ${unsoldUnits} units before ${batch.expiry_date}`);
+        if (region) {
+          suggestions.push(`Move stock to ${region[0]}, where it sells fastest (${region[1]} units in the last ${SALES_LOOKBACK_DAYS} days)`);
+        }
+      }
+    }
+
+    return {
+      key: batch.id,
+      productId: batch.product_id,
+      productName: product.name || product.product_name || 'Unknown product',
+      sku: product.sku || product.product_code || '',
+      batchNumber: batch.batch_number,
+      expiryDate: batch.expiry_date,
+      daysLeft: batch.daysLeft,
+      expired: isExpired,
+      units: batch.units,
+      unsoldUnits,
+      unitValue,
+      stockValue: roundMoney(batch.units * unitValue),
+      valueAtRisk: roundMoney(unsoldUnits * unitValue),
+      suggestions
+    };
+  };
+
+  // Expiring rows are built in expiry order so FEFO sales go to the earliest batch
+  const rows = [
+    ...expired.map(batch => toRow(batch, true)),
+    ...expiringSoon.map(batch => toRow(batch, false))
+  ];
+
+  const sum = (list) => roundMoney(list.reduce((total, row) => total + row.valueAtRisk, 0));
+  const expiredRows = rows.filter(row => row.expired);
+  const soonRows = rows.filter(row => !row.expired);
+
+  return {
+    rows,
+    totals: {
+      expired: sum(expiredRows),
+      expiringSoon: sum(soonRows),
+      total: sum(rows)
+    }
+  };
+};
+
+/**
+ * Near-expiry report as CSV text
+ * @param {Object} report - From buildNearExpiryReport
+ * @returns {string} - CSV content
+ */
+export const nearExpiryReportToCSV = (report) => {
+  const headers = ['Product', 'SKU', 'Batch', 'Expiry Date', 'Days Left', 'Units', 'Stock Value', 'Units Unlikely to Sell', 'Value at Risk', 'Suggested Action'];
+  const rows = report.rows.map(row => [
+    row.productName,
+    row.sku,
+    row.batchNumber,
+    row.expiryDate,
+    row.daysLeft,
+    row.units,
+    row.stockValue.toFixed(2),
+    row.unsoldUnits,
+    row.valueAtRisk.toFixed(2),
+    row.suggestions.join(' / ')
+  ]);
+
+  return [
+    headers.join(','),
+    ...rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+  ].join('\n');
+};
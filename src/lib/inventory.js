@@ -0,0 +1,85 @@
+/**
+ * INVENTORY HELPERS
+ * Stock adjustments that must keep the `inventory` row and the
+ * `inventory_movements` audit trail in step.
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+
+/**
+ * Split a unit count into whole boxes and loose units
+ * @param {number} totalUnits - Units to split
+ * @param {number} unitsPerBox - Units in one box
+ * @returns {Object} - { boxes, looseUnits }
+ */
+export const splitUnits = (totalUnits, unitsPerBox) => {
+  const perBox = unitsPerBox > 0 ? unitsPerBox : 1;
+  return {
+    boxes: Math.floor(totalUnits / perBox),
+    looseUnits: totalUnits % perBox
+  };
+};
+
+/**
+ * Move stock for a product and record the movement
+ * @param {string} productId - Product ID
+ * @param {number} units - Units to move (always positive)
+ * @param {Object} movement - { movementType, notes, invoiceId, userId }
+ *   movementType 'Purchase' and 'Adjustment In' add stock, anything else removes it
+ * @returns {Promise<Object>} - Updated { boxes_in_stock, loose_units_in_stock }
+ */
+export const adjustProductStock = async (productId, units, movement) => {
+  const quantity = parseInt(units || 0);
+  if (!productId || quantity <= 0) return null;
+
+  const { data: item, error: fetchError } = await supabase
+    .from('inventory')
+    .select('id, boxes_in_stock, loose_units_in_stock, units_per_box')
+    .eq('product_id', productId)
+    .single();
+
+  if (fetchError) throw fetchError;
+
+  const unitsPerBox = item.units_per_box || 1;
+  const isIncrease = movement.movementType === 'Purchase' || movement.movementType === 'Adjustment In';
+  const currentUnits = (item.boxes_in_stock * unitsPerBox) + item.loose_units_in_stock;
+  const newUnits = currentUnits + (isIncrease ? quantity : -quantity);
+
+  if (newUnits < 0) {
+    throw new Error('Insufficient stock for this adjustment');
+  }
+
+  const stock = splitUnits(newUnits, unitsPerBox);
+  const moved = splitUnits(quantity, unitsPerBox);
+
+  const { error: updateError } = await supabase
+    .from('inventory')
+    .update({
+      boxes_in_stock: stock.boxes,
+      loose_units_in_stock: stock.looseUnits,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', item.id);
+
+  if (updateError) throw updateError;
+
+  const { error: movementError } = await supabase
+    .from('inventory_movements')
+    .insert([{
+      product_id: productId,
+      movement_type: movement.movementType,
+      boxes_moved: moved.boxes,
+      units_per_box: unitsPerBox,
+      loose_units_moved: moved.looseUnits,
+      movement_date: new Date().toISOString(),
+      invoice_id: movement.invoiceId || null,
+      notes: movement.notes || null,
+      user_id: movement.userId || null
+    }]);
+
+  if (movementError) throw movementError;
+
+  queryCache.clearPattern('inventory_');
+  return { boxes_in_stock: stock.boxes, loose_units_in_stock: stock.looseUnits };
+};
@@ -0,0 +1,118 @@
+/**
+ * INVOICE DOCUMENT
+ * One loader and one set of figures behind every view of an invoice:
+ * the in-app viewer, the /invoice/:invoiceNumber page, the printed copy
+ * and the PDF. Views should never query invoices or work out totals
+ * themselves, so the screen, paper and PDF always agree.
+ */
+
+import { supabase } from './supabase';
+import { getInvoicePayments, invoiceAmountOwed, roundMoney, sumPayments } from './payments';
+import { getInvoiceCreditNotes } from './creditNotes';
+import { getInvoiceTemplate } from './invoiceTemplate';
+
+// Body class that switches the print stylesheet to the invoice copy only
+export const INVOICE_PRINT_CLASS = 'printing-invoice';
+
+const amount = (value) => {
+  const num = Number(value);
+  return isNaN(num) ? 0 : num;
+};
+
+/**
+ * Load everything needed to show, print or export an invoice
+ * @param {Object} lookup - { id } or { invoiceNumber }
+ * @returns {Promise<Object|null>} - { invoice, payments, creditNotes, customer, template }, or null when not found
+ */
+export const loadInvoiceDocument = async ({ id, invoiceNumber }) => {
+  let query = supabase
+    .from('invoices')
+    .select('*, invoice_line_items (*)');
+  query = id ? query.eq('id', id) : query.eq('invoice_number', invoiceNumber);
+
+  const { data: invoice, error } = await query.maybeSingle();
+  if (error) throw error;
+  if (!invoice) return null;
+
+  invoice.invoice_line_items = [...(invoice.invoice_line_items || [])].sort((a, b) =>
+    String(a.id).localeCompare(String(b.id), undefined, { numeric: true })
+  );
+
+  const [payments, creditNotes, customerResult, template] = await Promise.all([
+    getInvoicePayments(invoice.id),
+    getInvoiceCreditNotes(invoice.id),
+    invoice.customer_id
+      ? supabase.from('customers').select('*').eq('id', invoice.customer_id).maybeSingle()
+      : Promise.resolve({ data: null }),
+    getInvoiceTemplate()
+  ]);
+
+  if (customerResult.error) console.error('Error loading invoice customer:', customerResult.error);
+
+  return {
+    invoice,
+    payments,
+    creditNotes,
+    customer: customerResult.data || null,
+    template
+  };
+};
+
+/**
+ * Every amount shown on an invoice, with missing values treated as zero
+ * @param {Object} invoice - Invoice row
+ * @param {Object} related - { payments, creditNotes } from loadInvoiceDocument
+ * @returns {Object} - { subtotal, discount, taxable, exempt, taxes, total, credited, paid, balanceDue }
+ */
+export const invoiceDocumentTotals = (invoice, { payments = [], creditNotes = [] } = {}) => {
+  const total = amount(invoice.total_amount);
+  const credited = invoice.credited_amount != null
+    ? amount(invoice.credited_amount)
+    : roundMoney(creditNotes.reduce((sum, note) => sum + amount(note.total_amount), 0));
+  // Cash sales are stamped paid at the till without a payment row
+  const paid = invoice.amount_paid != null ? amount(invoice.amount_paid) : sumPayments(payments);
+  const balanceDue = invoice.balance_due != null
+    ? amount(invoice.balance_due)
+    : Math.max(0, roundMoney(invoiceAmountOwed({ ...invoice, credited_amount: credited }) - paid));
+
+  return {
+    subtotal: invoice.subtotal != null ? amount(invoice.subtotal) : total,
+    discount: amount(invoice.discount_amount),
+    taxable: amount(invoice.taxable_amount),
+    exempt: amount(invoice.exempt_amount),
+    taxes: (invoice.tax_breakdown || []).filter(tax => amount(tax.amount) > 0),
+    total,
+    credited,
+    paid,
+    balanceDue
+  };
+};
+
+/**
+ * Bill-to block: customer name followed by whatever contact details are on file
+ * @param {Object} invoice - Invoice row
+ * @param {Object|null} customer - Customer row
+ * @returns {Array<string>}
+ */
+export const billToLines = (invoice, customer) => [
+  invoice.customer_name || customer?.name || '-',
+  customer?.contact_person && `Attn: ${customer.contact_person}`,
+  customer?.address,
+  invoice.region || customer?.region,
+  [customer?.phone && `Tel: ${customer.phone}`, customer?.email].filter(Boolean).join(' | ')
+].filter(Boolean);
+
+/**
+ * Print the invoice copy alone, without the app's navigation and panels
+ * The viewer renders the copy into an `.invoice-print-root` portal that
+ * the print stylesheet shows while INVOICE_PRINT_CLASS is on the body.
+ */
+export const printInvoiceDocument = () => {
+  const cleanup = () => {
+    document.body.classList.remove(INVOICE_PRINT_CLASS);
+    window.removeEventListener('afterprint', cleanup);
+  };
+  document.body.classList.add(INVOICE_PRINT_CLASS);
+  window.addEventListener('afterprint', cleanup);
+  window.print();
+};
@@ -0,0 +1,152 @@
+/**
+ * INVOICE SEARCH
+ * Server-side filtering, sorting and pagination for the invoice list.
+ * Each page is a range query with an exact count, so the browser only
+ * ever holds one page of invoices. Filters round-trip through the URL
+ * query string so a filtered view can be bookmarked or shared.
+ */
+
+import { supabase } from './supabase';
+import { DRAFT_STATUS } from './invoices';
+
+export const INVOICE_PAGE_SIZES = [25, 50, 100];
+
+export const INVOICE_SORT_FIELDS = {
+  created_at: 'Created',
+  invoice_number: 'Invoice #',
+  invoice_date: 'Date',
+  customer_name: 'Customer',
+  sale_type: 'Type',
+  total_amount: 'Amount',
+  status: 'Status'
+};
+
+export const DEFAULT_INVOICE_FILTERS = {
+  search: '',
+  customerId: '',
+  startDate: '',
+  endDate: '',
+  saleType: 'All',
+  status: 'All',
+  salespersonId: '',
+  sort: 'created_at',
+  ascending: false,
+  page: 1,
+  pageSize: INVOICE_PAGE_SIZES[0]
+};
+
+// Filter key → query string parameter
+const URL_PARAMS = {
+  search: 'q',
+  customerId: 'customer',
+  startDate: 'from',
+  endDate: 'to',
+  saleType: 'type',
+  status: 'status',
+  salespersonId: 'rep',
+  sort: 'sort',
+  page: 'page',
+  pageSize: 'size'
+};
+
+/**
+ * Read invoice list filters from the URL query string
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {Object} - Filters, with defaults for anything missing or invalid
+ */
+export const filtersFromSearchParams = (searchParams) => {
+  const filters = { ...DEFAULT_INVOICE_FILTERS };
+  Object.entries(URL_PARAMS).forEach(([key, param]) => {
+    const value = searchParams.get(param);
+    if (value !== null && value !== '') filters[key] = value;
+  });
+
+  if (!INVOICE_SORT_FIELDS[filters.sort]) filters.sort = DEFAULT_INVOICE_FILTERS.sort;
+  filters.ascending = searchParams.get('dir') === 'asc';
+  filters.page = Math.max(1, parseInt(filters.page) || 1);
+  filters.pageSize = INVOICE_PAGE_SIZES.includes(parseInt(filters.pageSize))
+    ? parseInt(filters.pageSize)
+    : DEFAULT_INVOICE_FILTERS.pageSize;
+  return filters;
+};
+
+/**
+ * Write invoice list filters to a query string, leaving out defaults
+ * @param {Object} filters - Filters
+ * @returns {URLSearchParams}
+ */
+export const filtersToSearchParams = (filters) => {
+  const params = new URLSearchParams();
+  Object.entries(URL_PARAMS).forEach(([key, param]) => {
+    const value = filters[key];
+    if (value !== undefined && value !== '' && String(value) !== String(DEFAULT_INVOICE_FILTERS[key])) {
+      params.set(param, value);
+    }
+  });
+  if (filters.ascending) params.set('dir', 'asc');
+  return params;
+};
+
+// PostgREST filter strings treat these characters as syntax
+const cleanSearchTerm = (term) => term.replace(/[,()%*\\]/g, ' ').trim();
+
+/**
+ * Fetch one page of invoices matching the filters
+ * Non-admins only ever see their own invoices. Drafts only appear when
+ * the 'Draft' status is selected.
+ * @param {Object} filters - Filters (see DEFAULT_INVOICE_FILTERS)
+ * @param {Object} viewer - Current user's profile ({ id, role })
+ * @returns {Promise<Object>} - { invoices, count }
+ */
+export const searchInvoices = async (filters, viewer) => {
+  const from = (filters.page - 1) * filters.pageSize;
+
+  let query = supabase
+    .from('invoices')
+    .select('*', { count: 'exact' })
+    .order(filters.sort, { ascending: filters.ascending })
+    .order('id', { ascending: filters.ascending })
+    .range(from, from + filters.pageSize - 1);
+
+  if (viewer?.role !== 'admin') {
+    query = query.eq('salesperson_id', viewer?.id);
+  } else if (filters.salespersonId) {
+    query = query.eq('salesperson_id', filters.salespersonId);
+  }
+
+  const term = cleanSearchTerm(filters.search || '');
+  if (term) {
+    query = query.or(`invoice_number.ilike.%${term}%,customer_name.ilike.%${term}%`);
+  }
+  if (filters.customerId) query = query.eq('customer_id', filters.customerId);
+  if (filters.startDate) query = query.gte('invoice_date', filters.startDate);
+  if (filters.endDate) query = query.lte('invoice_date', filters.endDate);
+  if (filters.saleType !== 'All') query = query.eq('sale_type', filters.saleType);
+  query = filters.status === 'All'
+    ? query.neq('status', DRAFT_STATUS)
+    : query.eq('status', filters.status);
+
+  const { data, count, error } = await query;
+  if (error) throw error;
+
+  return { invoices: data || [], count: count || 0 };
+};
+
+/**
+ * Customers and salespeople for the list's filter dropdowns
+ * @returns {Promise<Object>} - { customers: [{ id, name }], salespeople: [{ id, full_name }] }
+ */
+export const getInvoiceFilterOptions = async () => {
+  const [customersResult, salespeopleResult] = await Promise.all([
+    supabase.from('customers').select('id, name').order('name'),
+    supabase.from('user_profiles').select('id, full_name').order('full_name')
+  ]);
+
+  if (customersResult.error) throw customersResult.error;
+  if (salespeopleResult.error) throw salespeopleResult.error;
+
+  return {
+    customers: customersResult.data || [],
+    salespeople: salespeopleResult.data || []
+  };
+};
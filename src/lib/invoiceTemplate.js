@@ -0,0 +1,199 @@
+/**
+ * INVOICE TEMPLATE
+ * Branding and layout options shared by the client-side PDF and the
+ * on-screen/print invoice, so both always look the same. Admins edit
+ * the template in Settings.
+ *
+ * Table:
+ *   invoice_template_settings
+ *     id, template (jsonb, shape of DEFAULT_INVOICE_TEMPLATE),
+ *     updated_by, updated_by_name, updated_at
+ *   The newest row is the active template.
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { termsLabel } from './paymentTerms';
+import { batchAllocationLabel } from './batches';
+
+const CACHE_KEY = 'invoice_template';
+
+export const DEFAULT_INVOICE_TEMPLATE = {
+  showLogo: true,
+  logoUrl: '/pharma-c-logo.png',
+  companyName: 'PHARMA-C',
+  tagline: 'Medical Supplies Ltd',
+  brandLine: 'SteriCare Brand',
+  address: 'Accra, Ghana',
+  phone: '',
+  email: 'info@pharmacmedical.com',
+  tin: '',
+  primaryColor: '#2563EB',
+  accentColor: '#EFF6FF',
+  bankName: '',
+  bankAccountName: '',
+  bankAccountNumber: '',
+  bankBranch: '',
+  momoNetwork: '',
+  momoNumber: '',
+  momoName: '',
+  showPaymentTerms: true,
+  showSignature: true,
+  signatureLabel: 'Authorised Signature',
+  footerTerms: 'Thank you for your business!\nGoods once sold are returnable only under our returns policy.',
+  columns: {
+    batches: true,
+    boxes: false,
+    units: true,
+    discount: false,
+    tax: false
+  }
+};
+
+const money = (value) => `₵${(Number(value) || 0).toFixed(2)}`;
+
+// Product, unit price and total always show; the rest are optional
+const LINE_COLUMNS = [
+  { key: 'product', label: 'Product', align: 'left', value: item => item.product_name || '-' },
+  { key: 'batches', label: 'Batch / Expiry', align: 'left', optional: true, value: item => batchAllocationLabel(item.batch_allocations) || '-' },
+  { key: 'boxes', label: 'Boxes', align: 'right', optional: true, value: item => String(Number(item.boxes_sold) || 0) },
+  { key: 'units', label: 'Units', align: 'right', optional: true, value: item => String(Number(item.units_sold) || 0) },
+  { key: 'unitPrice', label: 'Unit Price', align: 'right', value: item => money(item.unit_price) },
+  { key: 'discount', label: 'Discount', align: 'right', optional: true, value: item => money(item.discount_amount) },
+  { key: 'tax', label: 'Tax', align: 'right', optional: true, value: item => (item.tax_exempt ? 'Zero-rated' : money(item.tax_amount)) },
+  { key: 'total', label: 'Total', align: 'right', value: item => money(item.line_total) }
+];
+
+export const OPTIONAL_COLUMNS = LINE_COLUMNS.filter(column => column.optional);
+
+/**
+ * Fill any missing fields of a stored template with the defaults
+ * @param {Object} template - Stored template (may be partial)
+ * @returns {Object} - Complete template
+ */
+export const withTemplateDefaults = (template) => ({
+  ...DEFAULT_INVOICE_TEMPLATE,
+  ...(template || {}),
+  columns: { ...DEFAULT_INVOICE_TEMPLATE.columns, ...(template?.columns || {}) }
+});
+
+/**
+ * Line-item columns the template shows, in display order
+ * @param {Object} template - Invoice template
+ * @returns {Array} - [{ key, label, align, value(item) }]
+ */
+export const templateColumns = (template) =>
+  LINE_COLUMNS.filter(column => !column.optional || template.columns?.[column.key]);
+
+/**
+ * Company contact lines under the name (address, phone/email, TIN)
+ * @param {Object} template - Invoice template
+ * @returns {Array<string>}
+ */
+export const companyDetailLines = (template) => [
+  template.tagline,
+  template.brandLine,
+  template.address,
+  [template.phone && `Tel: ${template.phone}`, template.email].filter(Boolean).join(' | '),
+  template.tin && `TIN: ${template.tin}`
+].filter(Boolean);
+
+/**
+ * How to pay, one line per method that is filled in
+ * @param {Object} template - Invoice template
+ * @returns {Array<string>}
+ */
+export const paymentInstructionLines = (template) => {
+  const lines = [];
+  if (template.bankName || template.bankAccountNumber) {
+    lines.push(
+      `Bank: ${[template.bankName, template.bankBranch].filter(Boolean).join(', ')}` +
+      `${template.bankAccountName ? ` | Account name: ${template.bankAccountName}` : ''}` +
+      `${template.bankAccountNumber ? ` | Account no: ${template.bankAccountNumber}` : ''}`
+    );
+  }
+  if (template.momoNumber) {
+    lines.push(
+      `Mobile Money${template.momoNetwork ? ` (${template.momoNetwork})` : ''}: ${template.momoNumber}` +
+      `${template.momoName ? ` | Name: ${template.momoName}` : ''}`
+    );
+  }
+  return lines;
+};
+
+/**
+ * Payment terms line for a Credit invoice
+ * @param {Object} invoice - Invoice row
+ * @param {Object} template - Invoice template
+ * @returns {string|null} - e.g. "Net 30 - payment due by 15/11/2026"
+ */
+export const paymentTermsLine = (invoice, template) => {
+  if (!template.showPaymentTerms || !invoice?.due_date) return null;
+  const days = Math.round((Date.parse(invoice.due_date) - Date.parse(invoice.invoice_date)) / (24 * 60 * 60 * 1000));
+  return `${termsLabel(days)} - payment due by ${new Date(invoice.due_date).toLocaleDateString()}`;
+};
+
+/**
+ * "#2563EB" → [37, 99, 235]
+ * @param {string} hex - CSS hex colour
+ * @returns {Array<number>} - RGB triple (falls back to the default blue)
+ */
+export const hexToRgb = (hex) => {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  return match ? match.slice(1).map(part => parseInt(part, 16)) : [37, 99, 235];
+};
+
+/**
+ * Load the active invoice template
+ * @returns {Promise<Object>} - Complete template
+ */
+export const getInvoiceTemplate = async () => {
+  if (queryCache.isValid(CACHE_KEY)) {
+    return queryCache.get(CACHE_KEY);
+  }
+
+  const { data, error } = await supabase
+    .from('invoice_template_settings')
+    .select('template')
+    .order('updated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error loading invoice template, using defaults:', error);
+    return DEFAULT_INVOICE_TEMPLATE;
+  }
+
+  const template = withTemplateDefaults(data?.template);
+  queryCache.set(CACHE_KEY, template, 600000);
+  return template;
+};
+
+/**
+ * Save a new invoice template
+ * @param {Object} template - Invoice template
+ * @param {Object} updatedBy - User profile ({ id, full_name })
+ * @returns {Promise<Object>} - Saved template
+ */
+export const saveInvoiceTemplate = async (template, updatedBy) => {
+  if (!template.companyName?.trim()) throw new Error('Company name is required');
+  if (!/^#[0-9a-f]{6}$/i.test(template.primaryColor) || !/^#[0-9a-f]{6}$/i.test(template.accentColor)) {
+    throw new Error('Colours must be hex values like #2563EB');
+  }
+
+  const cleaned = withTemplateDefaults(template);
+
+  const { error } = await supabase
+    .from('invoice_template_settings')
+    .insert({
+      template: cleaned,
+      updated_by: updatedBy?.id || null,
+      updated_by_name: updatedBy?.full_name || null,
+      updated_at: new Date().toISOString()
+    });
+
+  if (error) throw error;
+
+  queryCache.delete(CACHE_KEY);
+  return cleaned;
+};
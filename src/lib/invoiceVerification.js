@@ -0,0 +1,91 @@
+/**
+ * INVOICE VERIFICATION
+ * Printed invoices carry a QR code linking to the public /verify page.
+ * The link holds the invoice number, date, total and a short security
+ * code. The code is an HMAC of those values under a key held only by
+ * the database, so it cannot be computed from anything the app or the
+ * verify page can read.
+ *
+ * Both checks run in database functions:
+ *   invoice_verification_code(p_invoice_id uuid)
+ *     security definer; signed-in staff only; returns the code (text) for
+ *     the invoice's number, date and total
+ *   verify_invoice(p_invoice_number text, p_invoice_date date,
+ *                  p_total_amount numeric, p_code text)
+ *     security definer; callable without a login; recomputes the code
+ *     and returns one row of
+ *     { result: 'authentic' | 'mismatch' | 'not_found',
+ *       invoice_number, invoice_date, total_amount, status, payment_status }
+ *     The invoice columns are null unless result is 'authentic'; the
+ *     invoice ID, customer and balance are never returned.
+ */
+
+import QRCode from 'qrcode';
+import { supabase } from './supabase';
+
+export const VERIFICATION_RESULTS = {
+  AUTHENTIC: 'authentic',
+  MISMATCH: 'mismatch',
+  NOT_FOUND: 'not_found'
+};
+
+/**
+ * Security code printed on an invoice, signed by the database
+ * @param {Object} invoice - Invoice row ({ id })
+ * @returns {Promise<string>} - Short hex code
+ */
+export const invoiceVerificationCode = async (invoice) => {
+  const { data, error } = await supabase.rpc('invoice_verification_code', { p_invoice_id: invoice.id });
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Public verification link for an invoice
+ * @param {Object} invoice - Invoice row
+ * @returns {Promise<string>} - Absolute URL of the /verify page
+ */
+export const verificationUrl = async (invoice) => {
+  const params = new URLSearchParams({
+    d: invoice.invoice_date,
+    t: (Number(invoice.total_amount) || 0).toFixed(2),
+    h: await invoiceVerificationCode(invoice)
+  });
+  return `${window.location.origin}/verify/${encodeURIComponent(invoice.invoice_number)}?${params}`;
+};
+
+/**
+ * QR code image for an invoice's verification link
+ * @param {Object} invoice - Invoice row
+ * @returns {Promise<string>} - PNG data URL
+ */
+export const verificationQRCode = async (invoice) =>
+  QRCode.toDataURL(await verificationUrl(invoice), { margin: 1, width: 240, errorCorrectionLevel: 'M' });
+
+/**
+ * Check the printed values of an invoice on the public verify page
+ * @param {string} invoiceNumber - Invoice number from the URL
+ * @param {Object} printed - Values from the QR link ({ date, total, hash })
+ * @returns {Promise<Object>} - { result, invoice } (invoice only when authentic)
+ */
+export const verifyInvoice = async (invoiceNumber, printed) => {
+  if (!printed.date || !printed.total || !printed.hash) {
+    return { result: VERIFICATION_RESULTS.MISMATCH, invoice: null };
+  }
+
+  const { data, error } = await supabase.rpc('verify_invoice', {
+    p_invoice_number: invoiceNumber,
+    p_invoice_date: printed.date,
+    p_total_amount: Number(printed.total),
+    p_code: printed.hash
+  });
+  if (error) throw error;
+
+  const row = Array.isArray(data) ? data[0] : data;
+  const result = row?.result || VERIFICATION_RESULTS.NOT_FOUND;
+
+  return {
+    result,
+    invoice: result === VERIFICATION_RESULTS.AUTHENTIC ? row : null
+  };
+};
@@ -0,0 +1,364 @@
+/**
+ * INVOICE LIFECYCLE
+ * Creating invoices and changing their status. Creation is all-or-nothing:
+ * every step has a compensating action that runs if a later step fails
+ * (a new invoice that fails after its header is saved stays on file as
+ * Voided, so its number and stock movements remain accounted for).
+ * Invoices are never deleted once issued; a wrong invoice is voided and
+ * its stock put back. Drafts (status 'Draft') are invoice rows without a
+ * number or line items and have no effect on stock or balances until
+ * they are finalised through createInvoice.
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { adjustProductStock } from './inventory';
+import { adjustBatchStock, restoreAllocatedBatches, allocateSaleLines } from './batches';
+import { getLocations, getLocation, getDefaultLocation, checkLocationStock, adjustLocationStock } from './locations';
+import { adjustCustomerBalance, getInvoicePayments, sumPayments, invoiceAmountOwed } from './payments';
+
+const VOID_ROLES = ['admin', 'manager'];
+
+export const DRAFT_STATUS = 'Draft';
+
+export const INVOICE_STEPS = {
+  stock: 'Check stock and batches',
+  number: 'Generate invoice number',
+  header: 'Save invoice header',
+  lines: 'Save line items',
+  inventory: 'Deduct inventory',
+  balance: 'Update customer balance'
+};
+
+/**
+ * Error raised when invoice creation fails part-way
+ * `step` is the INVOICE_STEPS key that failed; `rolledBack` says whether
+ * every earlier step was undone cleanly.
+ */
+export class InvoiceStepError extends Error {
+  constructor(step, cause, rolledBack, detail = null) {
+    super(`${INVOICE_STEPS[step]}${detail ? ` (${detail})` : ''} failed: ${cause?.message || cause}`);
+    this.name = 'InvoiceStepError';
+    this.step = step;
+    this.cause = cause;
+    this.rolledBack = rolledBack;
+  }
+}
+
+/**
+ * New idempotency key for one invoice-entry session
+ * @returns {string}
+ */
+export const newIdempotencyKey = () =>
+  (window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+const findInvoiceByIdempotencyKey = async (idempotencyKey) => {
+  const { data, error } = await supabase
+    .from('invoices')
+    .select('*')
+    .eq('idempotency_key', idempotencyKey)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+                     'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Reporting period stored on an invoice header
+ * @param {string|Date} invoiceDate - Invoice date
+ * @returns {Object} - { month: 'October', quarter: 'Q4 2026' }
+ */
+export const invoicePeriod = (invoiceDate) => {
+  const date = new Date(invoiceDate);
+  return {
+    month: MONTH_NAMES[date.getMonth()],
+    quarter: `Q${Math.floor(date.getMonth() / 3) + 1} ${date.getFullYear()}`
+  };
+};
+
+/**
+ * Create an invoice with its line items, stock deduction and balance update
+ * If any step fails, the steps already done are undone in reverse order.
+ * Saving twice with the same idempotency key returns the first invoice.
+ * Passing `draftId` finalises that draft row instead of inserting a new one.
+ * Each line is taken from the location's stock batches first-expiry-first-out
+ * unless it carries a supervisor's `batch_override_by` with its own allocations.
+ * The stock must be at the invoice's `location_id` and leaves it; without
+ * one (e.g. a converted quote) the sale ships from the default location.
+ * @param {Object} invoiceData - Invoice header (without invoice_number)
+ * @param {Array} lineItemsData - Line items (without invoice_id)
+ * @param {Object} options - { idempotencyKey, draftId, onProgress(step, status) }
+ * @returns {Promise<Object>} - { invoice, duplicate }
+ */
+export const createInvoice = async (invoiceData, lineItemsData, { idempotencyKey, draftId, onProgress } = {}) => {
+  const progress = (step, status) => onProgress && onProgress(step, status);
+  const undo = [];
+  let step = 'stock';
+
+  const rollback = async () => {
+    let clean = true;
+    for (const action of undo.reverse()) {
+      try {
+        await action();
+      } catch (error) {
+        console.error('Invoice rollback step failed:', error);
+        clean = false;
+      }
+    }
+    return clean;
+  };
+
+  if (idempotencyKey) {
+    const existing = await findInvoiceByIdempotencyKey(idempotencyKey);
+    if (existing && existing.status !== DRAFT_STATUS) return { invoice: existing, duplicate: true };
+  }
+
+  let location;
+  let allocatedLines;
+  let invoice;
+  let detail = null;
+
+  try {
+    progress('stock', 'running');
+    location = invoiceData.location_id
+      ? await getLocation(invoiceData.location_id)
+      : getDefaultLocation(await getLocations());
+    const unitsByProduct = location ? await checkLocationStock(location, lineItemsData) : null;
+
+    // Pick the batches held at that location now so the lines are saved with them
+    allocatedLines = await allocateSaleLines(lineItemsData, { location, unitsByProduct });
+    progress('stock', 'done');
+
+    step = 'number';
+    progress('number', 'running');
+    const { data: invoiceNumber, error: numberError } = await supabase.rpc('generate_invoice_number');
+    if (numberError) throw numberError;
+    progress('number', 'done');
+
+    step = 'header';
+    progress('header', 'running');
+    const header = {
+      ...invoiceData,
+      ...(location && { location_id: location.id, location_name: location.name }),
+      invoice_number: invoiceNumber,
+      idempotency_key: idempotencyKey || null
+    };
+    const { data: inserted, error: headerError } = draftId
+      ? await supabase
+          .from('invoices')
+          .update(header)
+          .eq('id', draftId)
+          .eq('status', DRAFT_STATUS)
+          .select()
+          .maybeSingle()
+      : await supabase
+          .from('invoices')
+          .insert(header)
+          .select()
+          .single();
+
+    // Unique idempotency key, or the draft was finalised elsewhere: return that invoice
+    if ((headerError?.code === '23505' || (draftId && !headerError && !inserted)) && idempotencyKey) {
+      const existing = await findInvoiceByIdempotencyKey(idempotencyKey);
+      if (existing && existing.status !== DRAFT_STATUS) return { invoice: existing, duplicate: true };
+    }
+    if (headerError) throw headerError;
+    if (!inserted) throw new Error('Draft not found or already finalised');
+
+    invoice = inserted;
+    undo.push(async () => {
+      // A finalised draft goes back to being a draft. A new invoice is voided
+      // rather than deleted: stock movements written by the deduction and its
+      // rollback still reference it. The idempotency key is released so a
+      // retry creates a fresh invoice.
+      const { error } = draftId
+        ? await supabase
+            .from('invoices')
+            .update({ status: DRAFT_STATUS, invoice_number: null })
+            .eq('id', invoice.id)
+        : await supabase
+            .from('invoices')
+            .update({
+              status: 'Voided',
+              voided_at: new Date().toISOString(),
+              void_reason: `Creation failed at step: ${INVOICE_STEPS[step]}`,
+              idempotency_key: null
+            })
+            .eq('id', invoice.id);
+      if (error) throw error;
+    });
+    progress('header', 'done');
+
+    step = 'lines';
+    progress('lines', 'running');
+    const { error: linesError } = await supabase
+      .from('invoice_line_items')
+      .insert(allocatedLines.map(item => ({ ...item, invoice_id: invoice.id })));
+    if (linesError) throw linesError;
+    undo.push(async () => {
+      const { error } = await supabase.from('invoice_line_items').delete().eq('invoice_id', invoice.id);
+      if (error) throw error;
+    });
+    progress('lines', 'done');
+
+    step = 'inventory';
+    progress('inventory', 'running');
+    for (const item of allocatedLines) {
+      detail = item.product_name;
+      const { error: invError } = await supabase.rpc('deduct_inventory_for_sale', {
+        p_product_id: item.product_id,
+        p_units_sold: item.units_sold,
+        p_boxes_sold: item.boxes_sold,
+        p_invoice_id: invoice.id
+      });
+      if (invError) throw invError;
+      undo.push(() => adjustProductStock(item.product_id, item.units_sold, {
+        movementType: 'Adjustment In',
+        invoiceId: invoice.id,
+        notes: `Rollback of failed invoice ${invoice.invoice_number}`
+      }));
+
+      // The units also leave the batches they were allocated to
+      for (const allocation of item.batch_allocations || []) {
+        detail = `${item.product_name} batch ${allocation.batch_number}`;
+        await adjustBatchStock(allocation.batch_id, -allocation.units);
+        undo.push(() => adjustBatchStock(allocation.batch_id, allocation.units));
+      }
+
+      // ...and the location it ships from
+      if (location) {
+        detail = `${item.product_name} at ${location.name}`;
+        await adjustLocationStock(location, item.product_id, -item.units_sold);
+        undo.push(() => adjustLocationStock(location, item.product_id, item.units_sold));
+      }
+    }
+    detail = null;
+    progress('inventory', 'done');
+
+    step = 'balance';
+    progress('balance', 'running');
+    // Credit sales add to the customer's receivable balance
+    if (invoiceData.sale_type === 'Credit') {
+      await adjustCustomerBalance(invoiceData.customer_id, invoiceData.total_amount);
+    }
+    progress('balance', 'done');
+  } catch (error) {
+    progress(step, 'failed');
+    const rolledBack = await rollback();
+    throw new InvoiceStepError(step, error, rolledBack, detail);
+  }
+
+  // The editor snapshot is kept until here so a rollback can restore the draft
+  if (draftId) {
+    const { error: payloadError } = await supabase
+      .from('invoices')
+      .update({ draft_payload: null })
+      .eq('id', invoice.id);
+    if (payloadError) console.error('Could not clear draft payload:', payloadError);
+  }
+
+  queryCache.clearPattern('invoices_');
+  queryCache.clearPattern('inventory_');
+  queryCache.clearPattern('products_');
+
+  return { invoice, duplicate: false };
+};
+
+/**
+ * Whether a user may void invoices
+ * @param {Object} profile - User profile
+ * @returns {boolean}
+ */
+export const canVoidInvoice = (profile) => VOID_ROLES.includes(profile?.role);
+
+/**
+ * Whether an invoice has already been voided or cancelled
+ * @param {Object} invoice - Invoice row
+ * @returns {boolean}
+ */
+export const isInvoiceVoided = (invoice) =>
+  invoice?.status === 'Voided' || invoice?.status === 'Cancelled';
+
+/**
+ * Void an invoice and return its stock
+ * Posts an 'Adjustment In' movement for every line item (the stock goes
+ * back to the location it shipped from), takes any unpaid credit balance
+ * off the customer and keeps the record with who voided it and why.
+ * @param {Object} invoice - Invoice row
+ * @param {string} reason - Why the invoice is being voided
+ * @param {Object} voidedBy - User profile ({ id, full_name, role })
+ * @returns {Promise<Object>} - Updated invoice
+ */
+export const voidInvoice = async (invoice, reason, voidedBy) => {
+  if (!invoice?.id) throw new Error('Invoice is required');
+  if (isInvoiceVoided(invoice)) throw new Error(`Invoice ${invoice.invoice_number} is already voided`);
+  if (invoice.status === DRAFT_STATUS) throw new Error('A draft took no stock; discard it instead of voiding');
+  if (!reason || reason.trim().length < 5) throw new Error('Please give a reason for voiding (at least 5 characters)');
+  if (!canVoidInvoice(voidedBy)) throw new Error('Only admins and managers can void invoices');
+  if (Number(invoice.credited_amount) > 0) {
+    throw new Error('This invoice has credit notes against it; raise a credit note for the remaining items instead');
+  }
+
+  const { data: lineItems, error: lineItemsError } = await supabase
+    .from('invoice_line_items')
+    .select('id, product_id, product_name, units_sold, batch_allocations')
+    .eq('invoice_id', invoice.id);
+
+  if (lineItemsError) throw lineItemsError;
+
+  // Mark voided first so a half-finished reversal can never be voided twice
+  const { data: updated, error: updateError } = await supabase
+    .from('invoices')
+    .update({
+      status: 'Voided',
+      voided_at: new Date().toISOString(),
+      voided_by: voidedBy.id,
+      voided_by_name: voidedBy.full_name,
+      void_reason: reason.trim()
+    })
+    .eq('id', invoice.id)
+    .not('status', 'in', `(Voided,Cancelled,${DRAFT_STATUS})`)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  const location = await getLocation(invoice.location_id);
+  const failures = [];
+  for (const item of lineItems || []) {
+    try {
+      await adjustProductStock(item.product_id, item.units_sold, {
+        movementType: 'Adjustment In',
+        invoiceId: invoice.id,
+        notes: `Void of ${invoice.invoice_number}: ${reason.trim()}`,
+        userId: voidedBy.id
+      });
+      await restoreAllocatedBatches(item.batch_allocations || []);
+      await adjustLocationStock(location, item.product_id, item.units_sold);
+    } catch (error) {
+      console.error(`Stock reversal failed for ${item.product_name}:`, error);
+      failures.push(item.product_name);
+    }
+  }
+
+  if (invoice.sale_type === 'Credit') {
+    const payments = await getInvoicePayments(invoice.id);
+    const unpaid = invoiceAmountOwed(invoice) - sumPayments(payments);
+    if (unpaid > 0) {
+      await adjustCustomerBalance(invoice.customer_id, -unpaid);
+    }
+  }
+
+  queryCache.clearPattern('invoices_');
+
+  if (failures.length > 0) {
+    throw new Error(
+      `Invoice voided, but stock could not be returned for: ${failures.join(', ')}. Adjust these manually.`
+    );
+  }
+
+  return updated;
+};
@@ -0,0 +1,563 @@
+/**
+ * STOCK LOCATIONS & TRANSFERS
+ * Stock is held at several locations: warehouses (Accra, Kumasi) and
+ * consignment stock at hospitals. Stock moves between them with a
+ * transfer, which is in transit from dispatch until the destination
+ * confirms receipt.
+ *
+ * The `inventory` row stays the product total across all locations.
+ * Only non-default locations keep a location_stock row; the default
+ * location holds whatever the others and open transfers do not. That way
+ * stock counted before locations existed, and restocks that name no
+ * location (voids of invoices raised before locations), land at the default
+ * location without any change to those paths. Units in transit are still
+ * in the product total but cannot be sold from either end.
+ *
+ * Batch rows (lib/batches) belong to a location too. A transfer takes the
+ * sender's batches earliest expiry first, then unbatched stock, and the
+ * units join the same batches at the destination on receipt.
+ *
+ * Tables:
+ *   locations
+ *     id, name, code, type, address, is_default, is_active, created_at,
+ *     updated_at
+ *   location_stock
+ *     id, product_id, location_id, units_per_box, boxes_in_stock,
+ *     loose_units_in_stock, updated_at
+ *     unique (product_id, location_id)
+ *   stock_transfers
+ *     id, product_id, product_name, units, from_location_id,
+ *     from_location_name, to_location_id, to_location_name, status, notes,
+ *     batch_allocations (jsonb [{ batch_id, batch_number, expiry_date, units }]
+ *     taken from the sender's batch rows),
+ *     sent_by, sent_by_name, sent_at, received_by, received_by_name,
+ *     received_at, cancelled_by, cancelled_by_name, cancelled_at
+ *
+ * Columns used on inventory_movements:
+ *   location_id, location_name - where the stock moved
+ *   to_location_id, to_location_name, transfer_id - for Transfer movements
+ *
+ * Columns used on invoices:
+ *   location_id, location_name - location the sale ships from
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { splitUnits } from './inventory';
+import {
+  stockUnits,
+  getProductBatches,
+  batchesAtLocation,
+  isBatchBlocked,
+  adjustBatchStock,
+  restoreAllocatedBatches,
+  receiveTransferredBatch
+} from './batches';
+
+export const LOCATION_TYPES = ['Warehouse', 'Consignment'];
+
+export const TRANSFER_STATUSES = {
+  IN_TRANSIT: 'In Transit',
+  RECEIVED: 'Received',
+  CANCELLED: 'Cancelled'
+};
+
+export const TRANSFER_MOVEMENT = 'Transfer';
+
+/**
+ * Get all locations, default first
+ * @returns {Promise<Array>} - Locations (active and inactive)
+ */
+export const getLocations = async () => {
+  const cacheKey = 'inventory_locations';
+  if (queryCache.isValid(cacheKey, 600000)) {
+    return queryCache.get(cacheKey);
+  }
+
+  const { data, error } = await supabase
+    .from('locations')
+    .select('*')
+    .order('is_default', { ascending: false })
+    .order('name');
+
+  if (error) throw error;
+  queryCache.set(cacheKey, data || [], 600000);
+  return data || [];
+};
+
+/**
+ * The location that holds stock not recorded anywhere else
+ * @param {Array} locations - Locations
+ * @returns {Object|null}
+ */
+export const getDefaultLocation = (locations) =>
+  locations.find(location => location.is_default) || null;
+
+/**
+ * Find a location by ID
+ * @param {string} locationId - Location ID
+ * @returns {Promise<Object|null>}
+ */
+export const getLocation = async (locationId) => {
+  if (!locationId) return null;
+  const locations = await getLocations();
+  return locations.find(location => location.id === locationId) || null;
+};
+
+/**
+ * Create or update a location
+ * The first location becomes the default. The default cannot be moved
+ * to another location or deactivated, because its stock is implied.
+ * @param {Object} location - { id?, name, code, type, address, is_active }
+ * @returns {Promise<Object>} - Saved location
+ */
+export const saveLocation = async (location) => {
+  const name = (location.name || '').trim();
+  if (!name) throw new Error('Location name is required');
+  if (!LOCATION_TYPES.includes(location.type)) throw new Error('Choose a location type');
+
+  const locations = await getLocations();
+  if (locations.some(other => other.id !== location.id && other.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`A location named ${name} already exists`);
+  }
+
+  const existing = locations.find(other => other.id === location.id);
+  if (existing?.is_default && location.is_active === false) {
+    throw new Error('The default location cannot be deactivated');
+  }
+
+  const fields = {
+    name,
+    code: (location.code || '').trim().toUpperCase() || null,
+    type: location.type,
+    address: location.address || null,
+    is_active: location.is_active !== false,
+    updated_at: new Date().toISOString()
+  };
+
+  const { data, error } = existing
+    ? await supabase.from('locations').update(fields).eq('id', existing.id).select().single()
+    : await supabase
+      .from('locations')
+      .insert([{ ...fields, is_default: locations.length === 0 }])
+      .select()
+      .single();
+
+  if (error) throw error;
+  queryCache.delete('inventory_locations');
+  return data;
+};
+
+/**
+ * Get the stock rows of all non-default locations
+ * @returns {Promise<Array>} - location_stock rows
+ */
+export const getLocationStockRows = async () => {
+  const cacheKey = 'inventory_location_stock';
+  if (queryCache.isValid(cacheKey, 300000)) {
+    return queryCache.get(cacheKey);
+  }
+
+  const { data, error } = await supabase
+    .from('location_stock')
+    .select('*');
+
+  if (error) throw error;
+  queryCache.set(cacheKey, data || [], 300000);
+  return data || [];
+};
+
+/**
+ * Get recent transfers, newest first
+ * @param {Object} filters - { status }
+ * @returns {Promise<Array>} - stock_transfers rows
+ */
+export const getStockTransfers = async ({ status } = {}) => {
+  let query = supabase
+    .from('stock_transfers')
+    .select('*')
+    .order('sent_at', { ascending: false })
+    .limit(200);
+
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Units per product per location, plus units in transit
+ * @param {Array} inventory - Inventory rows (product totals)
+ * @param {Array} locations - Locations
+ * @param {Array} rows - location_stock rows
+ * @param {Array} transfers - Transfers (only those in transit are counted)
+ * @returns {Object} - { [productId]: { byLocation: { [locationId]: units }, inTransit, total } }
+ */
+export const buildLocationStock = (inventory, locations, rows, transfers) => {
+  const defaultLocation = getDefaultLocation(locations);
+  const result = {};
+
+  inventory.forEach(item => {
+    result[item.product_id] = { byLocation: {}, inTransit: 0, total: stockUnits(item) };
+  });
+
+  rows.forEach(row => {
+    const entry = result[row.product_id];
+    if (entry && row.location_id !== defaultLocation?.id) {
+      entry.byLocation[row.location_id] = stockUnits(row);
+    }
+  });
+
+  transfers
+    .filter(transfer => transfer.status === TRANSFER_STATUSES.IN_TRANSIT)
+    .forEach(transfer => {
+      const entry = result[transfer.product_id];
+      if (entry) entry.inTransit += transfer.units;
+    });
+
+  if (defaultLocation) {
+    Object.values(result).forEach(entry => {
+      const elsewhere = Object.values(entry.byLocation).reduce((sum, units) => sum + units, 0);
+      entry.byLocation[defaultLocation.id] = Math.max(entry.total - elsewhere - entry.inTransit, 0);
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Units of a product available at one location, read fresh
+ * @param {string} productId - Product ID
+ * @param {Object} location - Location
+ * @returns {Promise<number>} - Units
+ */
+export const locationUnits = async (productId, location) => {
+  if (!location.is_default) {
+    const { data, error } = await supabase
+      .from('location_stock')
+      .select('boxes_in_stock, loose_units_in_stock, units_per_box')
+      .eq('product_id', productId)
+      .eq('location_id', location.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return stockUnits(data);
+  }
+
+  const [itemResult, rowsResult, transfersResult] = await Promise.all([
+    supabase
+      .from('inventory')
+      .select('boxes_in_stock, loose_units_in_stock, units_per_box')
+      .eq('product_id', productId)
+      .maybeSingle(),
+    supabase
+      .from('location_stock')
+      .select('location_id, boxes_in_stock, loose_units_in_stock, units_per_box')
+      .eq('product_id', productId)
+      .neq('location_id', location.id),
+    supabase
+      .from('stock_transfers')
+      .select('units')
+      .eq('product_id', productId)
+      .eq('status', TRANSFER_STATUSES.IN_TRANSIT)
+  ]);
+
+  if (itemResult.error) throw itemResult.error;
+  if (rowsResult.error) throw rowsResult.error;
+  if (transfersResult.error) throw transfersResult.error;
+
+  const elsewhere = (rowsResult.data || []).reduce((sum, row) => sum + stockUnits(row), 0);
+  const inTransit = (transfersResult.data || []).reduce((sum, transfer) => sum + transfer.units, 0);
+  return Math.max(stockUnits(itemResult.data) - elsewhere - inTransit, 0);
+};
+
+/**
+ * Add or remove units at a location
+ * The default location's stock is implied, so nothing is written for it.
+ * @param {Object} location - Location
+ * @param {string} productId - Product ID
+ * @param {number} unitsDelta - Units to add (negative to remove)
+ * @returns {Promise<Object|null>} - Updated location_stock row
+ */
+export const adjustLocationStock = async (location, productId, unitsDelta) => {
+  if (!location || location.is_default || !unitsDelta) return null;
+
+  const { data: row, error: fetchError } = await supabase
+    .from('location_stock')
+    .select('*')
+    .eq('product_id', productId)
+    .eq('location_id', location.id)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const newUnits = stockUnits(row) + unitsDelta;
+  if (newUnits < 0) {
+    throw new Error(`${location.name} only holds ${stockUnits(row)} units of this product`);
+  }
+
+  let unitsPerBox = row?.units_per_box;
+  if (!unitsPerBox) {
+    const { data: item, error: itemError } = await supabase
+      .from('inventory')
+      .select('units_per_box')
+      .eq('product_id', productId)
+      .single();
+
+    if (itemError) throw itemError;
+    unitsPerBox = item.units_per_box || 1;
+  }
+
+  const stock = splitUnits(newUnits, unitsPerBox);
+  const fields = {
+    units_per_box: unitsPerBox,
+    boxes_in_stock: stock.boxes,
+    loose_units_in_stock: stock.looseUnits,
+    updated_at: new Date().toISOString()
+  };
+
+  const { data, error } = row
+    ? await supabase.from('location_stock').update(fields).eq('id', row.id).select().single()
+    : await supabase
+      .from('location_stock')
+      .insert([{ ...fields, product_id: productId, location_id: location.id }])
+      .select()
+      .single();
+
+  if (error) throw error;
+  queryCache.delete('inventory_location_stock');
+  return data;
+};
+
+/**
+ * Check a location holds enough of every product on a sale
+ * @param {Object} location - Location the sale ships from
+ * @param {Array} lines - [{ product_id, product_name, units_sold }]
+ * @returns {Promise<Object>} - Units held there, { [productId]: units }
+ */
+export const checkLocationStock = async (location, lines) => {
+  const needed = {};
+  lines.forEach(line => {
+    if (!line.product_id) return;
+    const entry = needed[line.product_id] || (needed[line.product_id] = { name: line.product_name, units: 0 });
+    entry.units += parseInt(line.units_sold || 0);
+  });
+
+  const unitsByProduct = {};
+  for (const [productId, { name, units }] of Object.entries(needed)) {
+    const available = await locationUnits(productId, location);
+    if (units > available) {
+      throw new Error(`Only ${available} units of ${name} at ${location.name} (need ${units})`);
+    }
+    unitsByProduct[productId] = available;
+  }
+  return unitsByProduct;
+};
+
+/**
+ * Batches a transfer takes from the sender, earliest expiry first
+ * Expired stock may move (e.g. back to the main warehouse); recalled
+ * batches stay where they are. Whatever the batches do not cover must be
+ * unbatched stock at the sender.
+ * @param {Array} batches - The product's batch rows at the sender
+ * @param {number} units - Units sent
+ * @param {number} available - Units held at the sender
+ * @returns {Array} - [{ batch_id, batch_number, expiry_date, units }]
+ */
+const allocateTransferBatches = (batches, units, available) => {
+  const held = batches.filter(batch => stockUnits(batch) > 0);
+  const movable = held
+    .filter(batch => !isBatchBlocked(batch))
+    .sort((a, b) => a.expiry_date.localeCompare(b.expiry_date));
+  const unbatched = Math.max(available - held.reduce((sum, batch) => sum + stockUnits(batch), 0), 0);
+
+  let remaining = units;
+  const allocations = [];
+  for (const batch of movable) {
+    if (remaining <= 0) break;
+    const take = Math.min(stockUnits(batch), remaining);
+    allocations.push({ batch_id: batch.id, batch_number: batch.batch_number, expiry_date: batch.expiry_date, units: take });
+    remaining -= take;
+  }
+
+  if (remaining > unbatched) {
+    throw new Error(`${remaining} of these units are in recalled batches and cannot be transferred`);
+  }
+  return allocations;
+};
+
+const recordTransferMovement = async (transfer, atLocation, notes, user) => {
+  const { data: item, error: itemError } = await supabase
+    .from('inventory')
+    .select('units_per_box')
+    .eq('product_id', transfer.product_id)
+    .single();
+
+  if (itemError) throw itemError;
+
+  const moved = splitUnits(transfer.units, item.units_per_box || 1);
+  const { error } = await supabase
+    .from('inventory_movements')
+    .insert([{
+      product_id: transfer.product_id,
+      movement_type: TRANSFER_MOVEMENT,
+      boxes_moved: moved.boxes,
+      units_per_box: item.units_per_box || 1,
+      loose_units_moved: moved.looseUnits,
+      location_id: atLocation.id,
+      location_name: atLocation.name,
+      to_location_id: transfer.to_location_id,
+      to_location_name: transfer.to_location_name,
+      transfer_id: transfer.id,
+      movement_date: new Date().toISOString(),
+      notes,
+      user_id: user?.id || null
+    }]);
+
+  if (error) throw error;
+};
+
+/**
+ * Dispatch stock to another location; it is in transit until received
+ * @param {Object} params
+ * @param {Object} params.product - Product row
+ * @param {Object} params.fromLocation - Location sending the stock
+ * @param {Object} params.toLocation - Location receiving it
+ * @param {number} params.units - Units sent
+ * @param {string} params.notes - Optional notes (waybill, driver)
+ * @param {Object} params.sentBy - User profile ({ id, full_name })
+ * @returns {Promise<Object>} - Transfer
+ */
+export const createTransfer = async ({ product, fromLocation, toLocation, units, notes, sentBy }) => {
+  const quantity = parseInt(units || 0);
+  if (!product?.id) throw new Error('Choose a product');
+  if (!fromLocation || !toLocation) throw new Error('Choose both locations');
+  if (fromLocation.id === toLocation.id) throw new Error('Choose two different locations');
+  if (!toLocation.is_active) throw new Error(`${toLocation.name} is inactive`);
+  if (quantity <= 0) throw new Error('Enter the units to transfer');
+
+  const productName = product.name || product.product_name;
+  const available = await locationUnits(product.id, fromLocation);
+  if (quantity > available) {
+    throw new Error(`Only ${available} units of ${productName} at ${fromLocation.name}`);
+  }
+
+  const batchAllocations = allocateTransferBatches(
+    batchesAtLocation(await getProductBatches(product.id), fromLocation),
+    quantity,
+    available
+  );
+
+  const { data: transfer, error } = await supabase
+    .from('stock_transfers')
+    .insert([{
+      product_id: product.id,
+      product_name: productName,
+      units: quantity,
+      from_location_id: fromLocation.id,
+      from_location_name: fromLocation.name,
+      to_location_id: toLocation.id,
+      to_location_name: toLocation.name,
+      status: TRANSFER_STATUSES.IN_TRANSIT,
+      batch_allocations: batchAllocations,
+      notes: notes || null,
+      sent_by: sentBy?.id || null,
+      sent_by_name: sentBy?.full_name || null,
+      sent_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const taken = [];
+  try {
+    for (const allocation of batchAllocations) {
+      await adjustBatchStock(allocation.batch_id, -allocation.units);
+      taken.push(allocation);
+    }
+    await adjustLocationStock(fromLocation, product.id, -quantity);
+  } catch (stockError) {
+    await restoreAllocatedBatches(taken);
+    await supabase.from('stock_transfers').delete().eq('id', transfer.id);
+    throw stockError;
+  }
+
+  await recordTransferMovement(transfer, fromLocation, `Sent to ${toLocation.name}${notes ? `: ${notes}` : ''}`, sentBy);
+
+  queryCache.clearPattern('inventory_');
+  return transfer;
+};
+
+/**
+ * Confirm a transfer arrived; the stock joins the destination
+ * @param {Object} transfer - Transfer in transit
+ * @param {Object} receivedBy - User profile ({ id, full_name })
+ * @returns {Promise<Object>} - Updated transfer
+ */
+export const receiveTransfer = async (transfer, receivedBy) => {
+  if (transfer.status !== TRANSFER_STATUSES.IN_TRANSIT) {
+    throw new Error(`This transfer is already ${transfer.status.toLowerCase()}`);
+  }
+
+  // Claim the transfer first so it can only be received once
+  const { data: updated, error } = await supabase
+    .from('stock_transfers')
+    .update({
+      status: TRANSFER_STATUSES.RECEIVED,
+      received_by: receivedBy?.id || null,
+      received_by_name: receivedBy?.full_name || null,
+      received_at: new Date().toISOString()
+    })
+    .eq('id', transfer.id)
+    .eq('status', TRANSFER_STATUSES.IN_TRANSIT)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const toLocation = await getLocation(transfer.to_location_id);
+  await adjustLocationStock(toLocation, transfer.product_id, transfer.units);
+  for (const allocation of transfer.batch_allocations || []) {
+    await receiveTransferredBatch(allocation, toLocation);
+  }
+  await recordTransferMovement(updated, toLocation, `Received from ${transfer.from_location_name}`, receivedBy);
+
+  queryCache.clearPattern('inventory_');
+  return updated;
+};
+
+/**
+ * Cancel a transfer still in transit; the stock goes back to the sender
+ * @param {Object} transfer - Transfer in transit
+ * @param {Object} cancelledBy - User profile ({ id, full_name })
+ * @returns {Promise<Object>} - Updated transfer
+ */
+export const cancelTransfer = async (transfer, cancelledBy) => {
+  if (transfer.status !== TRANSFER_STATUSES.IN_TRANSIT) {
+    throw new Error(`This transfer is already ${transfer.status.toLowerCase()}`);
+  }
+
+  const { data: updated, error } = await supabase
+    .from('stock_transfers')
+    .update({
+      status: TRANSFER_STATUSES.CANCELLED,
+      cancelled_by: cancelledBy?.id || null,
+      cancelled_by_name: cancelledBy?.full_name || null,
+      cancelled_at: new Date().toISOString()
+    })
+    .eq('id', transfer.id)
+    .eq('status', TRANSFER_STATUSES.IN_TRANSIT)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const fromLocation = await getLocation(transfer.from_location_id);
+  await adjustLocationStock(fromLocation, transfer.product_id, transfer.units);
+  await restoreAllocatedBatches(transfer.batch_allocations || []);
+
+  queryCache.clearPattern('inventory_');
+  return updated;
+};
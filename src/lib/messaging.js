@@ -0,0 +1,66 @@
+/**
+ * OUTBOUND MESSAGING
+ * Email and SMS go through a swappable transport so the app never talks
+ * to a provider directly. A transport is an object with a `name` and an
+ * async `send({ channel, to, subject, message })` that resolves when the
+ * provider accepts the message and throws when it does not.
+ *
+ * REACT_APP_MESSAGE_TRANSPORT selects the default:
+ *   'edge-function' - Supabase Edge Function `send-message`, which holds
+ *                     the email/SMS provider keys server-side
+ *   anything else   - local stub that logs to the console and sends nothing
+ */
+
+import { supabase } from './supabase';
+
+export const MESSAGE_CHANNELS = {
+  EMAIL: 'email',
+  SMS: 'sms'
+};
+
+export const stubTransport = {
+  name: 'stub',
+  send: async ({ channel, to, subject, message }) => {
+    console.log(`📨 [stub ${channel}] to ${to}${subject ? ` — ${subject}` : ''}\n${message}`);
+    return { id: `stub-${Date.now()}` };
+  }
+};
+
+export const edgeFunctionTransport = {
+  name: 'edge-function',
+  send: async (payload) => {
+    const { data, error } = await supabase.functions.invoke('send-message', { body: payload });
+    if (error) throw error;
+    return data || {};
+  }
+};
+
+let activeTransport = process.env.REACT_APP_MESSAGE_TRANSPORT === 'edge-function'
+  ? edgeFunctionTransport
+  : stubTransport;
+
+/**
+ * Replace the transport (e.g. a test double or another provider)
+ * @param {Object} transport - { name, send }
+ */
+export const setMessageTransport = (transport) => {
+  if (typeof transport?.send !== 'function') throw new Error('A message transport needs a send() function');
+  activeTransport = transport;
+};
+
+/**
+ * Transport currently in use
+ * @returns {Object} - { name, send }
+ */
+export const getMessageTransport = () => activeTransport;
+
+/**
+ * Send one message through the active transport
+ * @param {Object} message - { channel, to, subject, message }
+ * @returns {Promise<Object>} - Provider response ({ id, ... })
+ */
+export const sendMessage = async ({ channel, to, subject, message }) => {
+  if (!Object.values(MESSAGE_CHANNELS).includes(channel)) throw new Error(`Unknown message channel: ${channel}`);
+  if (!to) throw new Error(`No ${channel} recipient`);
+  return activeTransport.send({ channel, to, subject, message });
+};
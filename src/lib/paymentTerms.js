@@ -0,0 +1,51 @@
+/**
+ * PAYMENT TERMS
+ * Each customer has payment terms in days (Net 15 / 30 / 60). A Credit
+ * invoice is due that many days after its invoice date; Cash invoices are
+ * paid on the spot and have no due date.
+ *
+ * Columns:
+ *   customers.payment_terms (integer days, defaults to 30)
+ *   invoices.due_date (date, Credit invoices only)
+ */
+
+import { supabase } from './supabase';
+
+export const PAYMENT_TERMS = [15, 30, 60];
+
+export const DEFAULT_PAYMENT_TERMS = 30;
+
+/**
+ * Display label for payment terms
+ * @param {number} days - Terms in days
+ * @returns {string} - e.g. "Net 30"
+ */
+export const termsLabel = (days) => `Net ${Number(days) || DEFAULT_PAYMENT_TERMS}`;
+
+/**
+ * Due date of an invoice
+ * @param {string} invoiceDate - Invoice date (YYYY-MM-DD)
+ * @param {number} terms - Payment terms in days
+ * @returns {string} - Due date (YYYY-MM-DD)
+ */
+export const calculateDueDate = (invoiceDate, terms) => {
+  const date = new Date(`${invoiceDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + (Number(terms) || DEFAULT_PAYMENT_TERMS));
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Payment terms of a customer, read fresh from the database
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<number>} - Terms in days
+ */
+export const getCustomerPaymentTerms = async (customerId) => {
+  const { data, error } = await supabase
+    .from('customers')
+    .select('payment_terms')
+    .eq('id', customerId)
+    .single();
+
+  if (error) throw error;
+  return Number(data?.payment_terms) || DEFAULT_PAYMENT_TERMS;
+};
@@ -0,0 +1,190 @@
+/**
+ * INVOICE PAYMENTS
+ * Records payments against invoices and keeps the invoice payment status
+ * and the customer's outstanding balance in sync.
+ *
+ * Table: invoice_payments
+ *   id, invoice_id, customer_id, amount, payment_date, method,
+ *   reference, notes, recorded_by, recorded_by_name, created_at
+ *
+ * Balance changes go through one database function so concurrent payments,
+ * credit notes and voids for a customer cannot overwrite each other:
+ *   adjust_customer_balance(p_customer_id uuid, p_delta numeric)
+ *     update customers set outstanding_balance =
+ *       greatest(0, round(outstanding_balance + p_delta, 2))
+ *     returns the new balance (numeric), null when no such customer
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+
+export const PAYMENT_METHODS = ['Cash', 'Cheque', 'Bank Transfer', 'Mobile Money'];
+
+// Anything below one pesewa is treated as settled
+const BALANCE_TOLERANCE = 0.005;
+
+export const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Derive payment status from invoice total and amount paid
+ * @param {number} totalAmount - Invoice total
+ * @param {number} amountPaid - Sum of payments recorded
+ * @returns {string} - 'Pending' | 'Partial' | 'Paid'
+ */
+export const derivePaymentStatus = (totalAmount, amountPaid) => {
+  const total = roundMoney(totalAmount);
+  const paid = roundMoney(amountPaid);
+
+  if (paid <= BALANCE_TOLERANCE) return 'Pending';
+  if (total - paid > BALANCE_TOLERANCE) return 'Partial';
+  return 'Paid';
+};
+
+/**
+ * Amount the customer owes on an invoice before payments
+ * (invoice total less any credit notes raised against it)
+ * @param {Object} invoice - Invoice row
+ * @returns {number} - Amount owed
+ */
+export const invoiceAmountOwed = (invoice) =>
+  Math.max(0, roundMoney((Number(invoice?.total_amount) || 0) - (Number(invoice?.credited_amount) || 0)));
+
+/**
+ * Tailwind classes for a payment status badge
+ * @param {string} status - Payment status
+ * @returns {string} - Class names
+ */
+export const paymentStatusClasses = (status) => {
+  switch (status) {
+    case 'Paid':
+      return 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200';
+    case 'Partial':
+      return 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200';
+    case 'Pending':
+      return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200';
+    default:
+      return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200';
+  }
+};
+
+/**
+ * Load all payments recorded against an invoice (oldest first)
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Array>} - Payments
+ */
+export const getInvoicePayments = async (invoiceId) => {
+  const { data, error } = await supabase
+    .from('invoice_payments')
+    .select('*')
+    .eq('invoice_id', invoiceId)
+    .order('payment_date', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Sum the amounts of a list of payments
+ * @param {Array} payments - Payments
+ * @returns {number} - Total paid
+ */
+export const sumPayments = (payments) =>
+  roundMoney((payments || []).reduce((sum, p) => sum + (Number(p.amount) || 0), 0));
+
+/**
+ * Add a delta to a customer's outstanding balance (never below zero)
+ * @param {string} customerId - Customer ID
+ * @param {number} delta - Positive to increase, negative to reduce
+ * @returns {Promise<number|null>} - New balance, or null when no customer
+ */
+export const adjustCustomerBalance = async (customerId, delta) => {
+  if (!customerId || !delta) return null;
+
+  // Read and write in one statement so simultaneous changes both count
+  const { data: newBalance, error } = await supabase.rpc('adjust_customer_balance', {
+    p_customer_id: customerId,
+    p_delta: roundMoney(delta)
+  });
+
+  if (error) throw error;
+
+  queryCache.clearPattern('customers_');
+  return newBalance == null ? null : Number(newBalance);
+};
+
+/**
+ * Record a payment against an invoice
+ * Moves the invoice Pending → Partial → Paid and reduces the customer's
+ * outstanding balance by the amount received.
+ * @param {Object} invoice - Invoice row (needs id, total_amount, customer_id)
+ * @param {Object} payment - { amount, payment_date, method, reference, notes }
+ * @param {Object} recordedBy - User profile ({ id, full_name })
+ * @returns {Promise<Object>} - { payment, amountPaid, balanceDue, paymentStatus }
+ */
+export const recordPayment = async (invoice, payment, recordedBy = null) => {
+  const amount = roundMoney(payment.amount);
+
+  if (!invoice?.id) throw new Error('Invoice is required');
+  if (invoice.status === 'Voided' || invoice.status === 'Cancelled') {
+    throw new Error('Cannot record a payment on a voided invoice');
+  }
+  if (amount <= 0) throw new Error('Payment amount must be greater than zero');
+  if (!PAYMENT_METHODS.includes(payment.method)) {
+    throw new Error(`Unknown payment method: ${payment.method}`);
+  }
+  if ((payment.method === 'Cheque' || payment.method === 'Bank Transfer') && !payment.reference?.trim()) {
+    throw new Error(`A reference is required for ${payment.method} payments`);
+  }
+
+  const existing = await getInvoicePayments(invoice.id);
+  const alreadyPaid = sumPayments(existing);
+  const total = invoiceAmountOwed(invoice);
+  const balanceBefore = roundMoney(total - alreadyPaid);
+
+  if (amount - balanceBefore > BALANCE_TOLERANCE) {
+    throw new Error(`Payment exceeds balance due (₵${balanceBefore.toFixed(2)})`);
+  }
+
+  const { data: inserted, error: insertError } = await supabase
+    .from('invoice_payments')
+    .insert({
+      invoice_id: invoice.id,
+      customer_id: invoice.customer_id,
+      amount,
+      payment_date: payment.payment_date || new Date().toISOString().split('T')[0],
+      method: payment.method,
+      reference: payment.reference?.trim() || null,
+      notes: payment.notes || null,
+      recorded_by: recordedBy?.id || null,
+      recorded_by_name: recordedBy?.full_name || null
+    })
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+
+  const amountPaid = roundMoney(alreadyPaid + amount);
+  const balanceDue = Math.max(0, roundMoney(total - amountPaid));
+  const paymentStatus = derivePaymentStatus(total, amountPaid);
+
+  const { error: invoiceError } = await supabase
+    .from('invoices')
+    .update({
+      amount_paid: amountPaid,
+      balance_due: balanceDue,
+      payment_status: paymentStatus
+    })
+    .eq('id', invoice.id);
+
+  if (invoiceError) throw invoiceError;
+
+  // Cash sales never hit the ledger, so only credit invoices carry a balance
+  if (invoice.sale_type === 'Credit') {
+    await adjustCustomerBalance(invoice.customer_id, -amount);
+  }
+
+  queryCache.clearPattern('invoices_');
+
+  return { payment: inserted, amountPaid, balanceDue, paymentStatus };
+};
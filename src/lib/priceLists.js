@@ -0,0 +1,231 @@
+/**
+ * PRICE LISTS
+ * Negotiated prices that override a product's standard selling price.
+ * A sale is priced from the most specific list that has the product:
+ * the customer's own list, then the list for their customer type
+ * (Facility / Individual), then the default list, then the product
+ * price. Each list item can carry a quantity break (`min_boxes`); the
+ * highest break the order reaches wins.
+ *
+ * Tables:
+ *   price_lists
+ *     id, name, scope ('default' | 'customer_type' | 'customer'),
+ *     customer_type, customer_id, customer_name, is_active,
+ *     created_by, created_at, updated_at
+ *   price_list_items
+ *     id, price_list_id, product_id, product_name, min_boxes, unit_price
+ *
+ * Columns used on other tables:
+ *   invoice_line_items / quote_line_items / deal_products
+ *     list_price, price_source, price_overridden
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { roundMoney } from './payments';
+
+const CACHE_KEY = 'price_lists_active';
+
+export const PRICE_LIST_SCOPES = {
+  customer: { label: 'Customer', rank: 0 },
+  customer_type: { label: 'Customer Type', rank: 1 },
+  default: { label: 'Default', rank: 2 }
+};
+
+export const PRICE_LIST_CUSTOMER_TYPES = ['Facility', 'Individual'];
+
+/**
+ * Load the active price lists with their items
+ * @returns {Promise<Array>} - Lists with `price_list_items`
+ */
+export const getActivePriceLists = async () => {
+  if (queryCache.isValid(CACHE_KEY, 600000)) {
+    return queryCache.get(CACHE_KEY);
+  }
+
+  const { data, error } = await supabase
+    .from('price_lists')
+    .select('*, price_list_items (*)')
+    .eq('is_active', true);
+
+  if (error) {
+    console.error('Error loading price lists, using product prices:', error);
+    return [];
+  }
+
+  queryCache.set(CACHE_KEY, data || [], 600000);
+  return data || [];
+};
+
+/**
+ * Load every price list for the settings screen
+ * @returns {Promise<Array>} - Lists with `price_list_items`, most specific first
+ */
+export const getPriceLists = async () => {
+  const { data, error } = await supabase
+    .from('price_lists')
+    .select('*, price_list_items (*)')
+    .order('name');
+
+  if (error) throw error;
+  return (data || []).sort((a, b) => PRICE_LIST_SCOPES[a.scope].rank - PRICE_LIST_SCOPES[b.scope].rank);
+};
+
+/**
+ * Create or update a price list and replace its items
+ * @param {Object} list - List fields (with id when editing)
+ * @param {Array} items - [{ product_id, product_name, min_boxes, unit_price }]
+ * @param {Object} savedBy - User profile ({ id, full_name })
+ * @returns {Promise<Object>} - Saved list
+ */
+export const savePriceList = async (list, items, savedBy) => {
+  if (!list.name?.trim()) throw new Error('Price list name is required');
+  if (!PRICE_LIST_SCOPES[list.scope]) throw new Error('Choose who the price list applies to');
+  if (list.scope === 'customer_type' && !list.customer_type) throw new Error('Choose a customer type');
+  if (list.scope === 'customer' && !list.customer_id) throw new Error('Choose a customer');
+
+  const cleaned = items
+    .filter(item => item.product_id)
+    .map(item => {
+      const unitPrice = parseFloat(item.unit_price);
+      if (isNaN(unitPrice) || unitPrice < 0) throw new Error(`${item.product_name}: enter a valid price`);
+      return {
+        product_id: item.product_id,
+        product_name: item.product_name,
+        min_boxes: Math.max(parseInt(item.min_boxes) || 0, 0),
+        unit_price: roundMoney(unitPrice)
+      };
+    });
+
+  const seen = new Set();
+  cleaned.forEach(item => {
+    const key = `${item.product_id}:${item.min_boxes}`;
+    if (seen.has(key)) throw new Error(`${item.product_name} has two prices for ${item.min_boxes}+ boxes`);
+    seen.add(key);
+  });
+
+  const row = {
+    name: list.name.trim(),
+    scope: list.scope,
+    customer_type: list.scope === 'customer_type' ? list.customer_type : null,
+    customer_id: list.scope === 'customer' ? list.customer_id : null,
+    customer_name: list.scope === 'customer' ? list.customer_name : null,
+    is_active: list.is_active !== false,
+    updated_at: new Date().toISOString()
+  };
+
+  const { data: saved, error } = list.id
+    ? await supabase
+        .from('price_lists')
+        .update(row)
+        .eq('id', list.id)
+        .select()
+        .single()
+    : await supabase
+        .from('price_lists')
+        .insert({ ...row, created_by: savedBy?.id || null })
+        .select()
+        .single();
+
+  if (error) throw error;
+
+  const { error: deleteError } = await supabase
+    .from('price_list_items')
+    .delete()
+    .eq('price_list_id', saved.id);
+  if (deleteError) throw deleteError;
+
+  if (cleaned.length > 0) {
+    const { error: itemsError } = await supabase
+      .from('price_list_items')
+      .insert(cleaned.map(item => ({ ...item, price_list_id: saved.id })));
+    if (itemsError) throw itemsError;
+  }
+
+  queryCache.delete(CACHE_KEY);
+  return saved;
+};
+
+/**
+ * Delete a price list and its items
+ * @param {string} listId - Price list ID
+ * @returns {Promise<void>}
+ */
+export const deletePriceList = async (listId) => {
+  const { error: itemsError } = await supabase
+    .from('price_list_items')
+    .delete()
+    .eq('price_list_id', listId);
+  if (itemsError) throw itemsError;
+
+  const { error } = await supabase
+    .from('price_lists')
+    .delete()
+    .eq('id', listId);
+  if (error) throw error;
+
+  queryCache.delete(CACHE_KEY);
+};
+
+const listApplies = (list, customer) => {
+  if (list.scope === 'default') return true;
+  if (!customer) return false;
+  if (list.scope === 'customer') return list.customer_id === customer.id;
+  return list.customer_type === customer.customer_type;
+};
+
+/**
+ * Work out the price for a product sold to a customer
+ * Boxes are derived from units when only units are known.
+ * @param {Object} product - Product row
+ * @param {Object} context - { customer, boxes, units }
+ * @param {Array} priceLists - Active lists from getActivePriceLists
+ * @returns {Object} - { unitPrice, source: { scope, listName, minBoxes } }
+ */
+export const resolvePrice = (product, { customer = null, boxes = 0, units = 0 } = {}, priceLists = []) => {
+  const productPrice = product?.selling_price || product?.unit_price || 0;
+  if (!product) return { unitPrice: 0, source: { scope: 'product' } };
+
+  const orderedBoxes = parseInt(boxes) > 0
+    ? parseInt(boxes)
+    : Math.floor((parseInt(units) || 0) / (product.units_per_box || 1));
+
+  const lists = priceLists
+    .filter(list => listApplies(list, customer))
+    .sort((a, b) => PRICE_LIST_SCOPES[a.scope].rank - PRICE_LIST_SCOPES[b.scope].rank);
+
+  for (const list of lists) {
+    const tier = (list.price_list_items || [])
+      .filter(item => item.product_id === product.id && (item.min_boxes || 0) <= orderedBoxes)
+      .sort((a, b) => (b.min_boxes || 0) - (a.min_boxes || 0))[0];
+
+    if (tier) {
+      return {
+        unitPrice: Number(tier.unit_price),
+        source: { scope: list.scope, listName: list.name, minBoxes: tier.min_boxes || 0 }
+      };
+    }
+  }
+
+  return { unitPrice: productPrice, source: { scope: 'product' } };
+};
+
+/**
+ * Short description of where a price came from
+ * @param {Object} source - `source` from resolvePrice
+ * @returns {string}
+ */
+export const priceSourceLabel = (source) => {
+  if (!source || source.scope === 'product') return 'Standard price';
+  const tier = source.minBoxes > 0 ? ` (${source.minBoxes}+ boxes)` : '';
+  return `${source.listName}${tier}`;
+};
+
+/**
+ * Whether a price was typed over the list price
+ * @param {number} unitPrice - Price on the line
+ * @param {number|null} listPrice - Resolved list price
+ * @returns {boolean}
+ */
+export const isPriceOverridden = (unitPrice, listPrice) =>
+  listPrice != null && roundMoney(parseFloat(unitPrice) || 0) !== roundMoney(listPrice);
@@ -0,0 +1,64 @@
+/**
+ * PRODUCT LOOKUP
+ * Finds products by what a counter clerk types or scans: the barcode
+ * printed on the box, or the SKU / product code. USB scanners type the
+ * code and press Enter, so any focused text input works as a scan field.
+ *
+ * Columns used on products:
+ *   barcode - unique when set; sku / product_code are matched too
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+
+const normalizeCode = (code) => String(code ?? '').trim().toLowerCase();
+
+/**
+ * Find a product by barcode, then by SKU or product code
+ * @param {Array} products - Products to search
+ * @param {string} code - Scanned or typed code
+ * @returns {Object|null} - Matching product
+ */
+export const findProductByCode = (products, code) => {
+  const wanted = normalizeCode(code);
+  if (!wanted) return null;
+
+  return products.find(p => normalizeCode(p.barcode) === wanted) ||
+    products.find(p => normalizeCode(p.sku) === wanted || normalizeCode(p.product_code) === wanted) ||
+    null;
+};
+
+/**
+ * Set or clear a product's barcode
+ * @param {string} productId - Product ID
+ * @param {string} barcode - New barcode ('' to clear)
+ * @returns {Promise<Object>} - Updated product
+ */
+export const setProductBarcode = async (productId, barcode) => {
+  const value = String(barcode ?? '').trim() || null;
+
+  if (value) {
+    const { data: existing, error: lookupError } = await supabase
+      .from('products')
+      .select('id, product_name, name')
+      .eq('barcode', value)
+      .neq('id', productId)
+      .maybeSingle();
+
+    if (lookupError) throw lookupError;
+    if (existing) {
+      throw new Error(`Barcode ${value} is already used by ${existing.product_name || existing.name}`);
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('products')
+    .update({ barcode: value })
+    .eq('id', productId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  queryCache.clearPattern('products_');
+  return data;
+};
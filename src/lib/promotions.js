@@ -0,0 +1,482 @@
+/**
+ * PROMOTIONS & DISCOUNT RULES
+ * Promotions are discount rules that SalesEntry applies by itself:
+ *   percent_off  - N% off a product (optionally from a minimum quantity)
+ *   buy_x_get_y  - in every X + Y units of a product, Y are free
+ *   bundle_price - a set of products sold together for a fixed price
+ * Each runs between optional start and end dates. A line takes the single
+ * best offer available to it; promotions do not stack.
+ *
+ * Anything the rep gives on top (the overall discount, or a price typed
+ * below the list price) is a manual discount. Each role has a maximum
+ * manual discount %; an invoice or quote above the rep's limit needs a
+ * manager (whose own limit covers it) to approve, recorded in
+ * discount_approvals. A converted quote's approval carries over to the invoice.
+ *
+ * Tables:
+ *   promotions
+ *     id, name, type, product_id, product_name, percent, min_units,
+ *     buy_units, free_units, bundle_items (jsonb: [{ product_id,
+ *     product_name, units }]), bundle_price, start_date, end_date,
+ *     is_active, created_by, created_at, updated_at
+ *   discount_limits
+ *     role (unique), max_percent, updated_by, updated_at
+ *   discount_approvals
+ *     id, customer_id, customer_name, discount_amount, discount_percent,
+ *     allowed_percent, reason, requested_by, requested_by_name,
+ *     approved_by, approved_by_name, approved_by_role, approved_at,
+ *     invoice_id, invoice_number, quote_id, quote_number
+ *
+ * Columns used on other tables:
+ *   invoices / quotes.promotion_discount, manual_discount, discount_approval_id
+ *   invoice_line_items / quote_line_items.promotion_id, promotion_name
+ *     (the promotion's saving is the line's discount_amount)
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { roundMoney } from './payments';
+import { verifyManager } from './creditControl';
+import { DRAFT_STATUS, isInvoiceVoided } from './invoices';
+
+const PROMOTIONS_CACHE_KEY = 'promotions_all';
+const LIMITS_CACHE_KEY = 'discount_limits';
+
+export const PROMOTION_TYPES = {
+  percent_off: { label: 'Percent Off' },
+  buy_x_get_y: { label: 'Buy X Get Y Free' },
+  bundle_price: { label: 'Bundle Price' }
+};
+
+export const DEFAULT_DISCOUNT_LIMITS = {
+  sales_rep: 5,
+  manager: 15,
+  admin: 100
+};
+
+/**
+ * Whether a promotion runs on a date
+ * @param {Object} promotion - Promotion row
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export const isPromotionLive = (promotion, date) =>
+  promotion.is_active !== false &&
+  (!promotion.start_date || promotion.start_date <= date) &&
+  (!promotion.end_date || promotion.end_date >= date);
+
+/**
+ * Load every promotion, newest first
+ * @returns {Promise<Array>}
+ */
+export const getPromotions = async () => {
+  if (queryCache.isValid(PROMOTIONS_CACHE_KEY, 600000)) {
+    return queryCache.get(PROMOTIONS_CACHE_KEY);
+  }
+
+  const { data, error } = await supabase
+    .from('promotions')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('Error loading promotions:', error);
+    return [];
+  }
+
+  queryCache.set(PROMOTIONS_CACHE_KEY, data || [], 600000);
+  return data || [];
+};
+
+/**
+ * Create or update a promotion
+ * @param {Object} promotion - Promotion fields (with id when editing)
+ * @param {Object} savedBy - User profile ({ id, full_name })
+ * @returns {Promise<Object>} - Saved promotion
+ */
+export const savePromotion = async (promotion, savedBy) => {
+  if (!promotion.name?.trim()) throw new Error('Promotion name is required');
+  if (!PROMOTION_TYPES[promotion.type]) throw new Error('Choose a promotion type');
+  if (promotion.start_date && promotion.end_date && promotion.end_date < promotion.start_date) {
+    throw new Error('End date must be after the start date');
+  }
+
+  const row = {
+    name: promotion.name.trim(),
+    type: promotion.type,
+    product_id: null,
+    product_name: null,
+    percent: null,
+    min_units: null,
+    buy_units: null,
+    free_units: null,
+    bundle_items: null,
+    bundle_price: null,
+    start_date: promotion.start_date || null,
+    end_date: promotion.end_date || null,
+    is_active: promotion.is_active !== false,
+    updated_at: new Date().toISOString()
+  };
+
+  if (promotion.type === 'bundle_price') {
+    const items = (promotion.bundle_items || []).filter(item => item.product_id && parseInt(item.units) > 0);
+    const price = parseFloat(promotion.bundle_price);
+    if (items.length < 2) throw new Error('A bundle needs at least two products');
+    if (isNaN(price) || price <= 0) throw new Error('Enter the bundle price');
+    row.bundle_items = items.map(item => ({
+      product_id: item.product_id,
+      product_name: item.product_name,
+      units: parseInt(item.units)
+    }));
+    row.bundle_price = roundMoney(price);
+  } else {
+    if (!promotion.product_id) throw new Error('Choose the product on promotion');
+    row.product_id = promotion.product_id;
+    row.product_name = promotion.product_name;
+
+    if (promotion.type === 'percent_off') {
+      const percent = parseFloat(promotion.percent);
+      if (isNaN(percent) || percent <= 0 || percent > 100) throw new Error('Percent off must be between 0 and 100');
+      row.percent = percent;
+      row.min_units = parseInt(promotion.min_units) || 0;
+    } else {
+      const buy = parseInt(promotion.buy_units);
+      const free = parseInt(promotion.free_units);
+      if (!(buy > 0) || !(free > 0)) throw new Error('Enter how many units to buy and how many are free');
+      row.buy_units = buy;
+      row.free_units = free;
+    }
+  }
+
+  const { data, error } = promotion.id
+    ? await supabase
+        .from('promotions')
+        .update(row)
+        .eq('id', promotion.id)
+        .select()
+        .single()
+    : await supabase
+        .from('promotions')
+        .insert({ ...row, created_by: savedBy?.id || null })
+        .select()
+        .single();
+
+  if (error) throw error;
+  queryCache.delete(PROMOTIONS_CACHE_KEY);
+  return data;
+};
+
+/**
+ * Switch a promotion on or off
+ * @param {string} promotionId - Promotion ID
+ * @param {boolean} isActive - New state
+ * @returns {Promise<void>}
+ */
+export const setPromotionActive = async (promotionId, isActive) => {
+  const { error } = await supabase
+    .from('promotions')
+    .update({ is_active: isActive, updated_at: new Date().toISOString() })
+    .eq('id', promotionId);
+
+  if (error) throw error;
+  queryCache.delete(PROMOTIONS_CACHE_KEY);
+};
+
+/**
+ * Describe a promotion's offer in a few words
+ * @param {Object} promotion - Promotion row
+ * @returns {string}
+ */
+export const describePromotion = (promotion) => {
+  if (promotion.type === 'percent_off') {
+    return `${promotion.percent}% off ${promotion.product_name}` +
+      (promotion.min_units > 0 ? ` (${promotion.min_units}+ units)` : '');
+  }
+  if (promotion.type === 'buy_x_get_y') {
+    return `Buy ${promotion.buy_units} ${promotion.product_name}, get ${promotion.free_units} free`;
+  }
+  return `${(promotion.bundle_items || []).map(item => `${item.units} × ${item.product_name}`).join(' + ')} for ₵${Number(promotion.bundle_price).toFixed(2)}`;
+};
+
+/**
+ * Work out the promotion discount on each SalesEntry line
+ * @param {Array} lineItems - SalesEntry lines ({ product, units, unitPrice })
+ * @param {Array} promotions - Promotions
+ * @param {string} saleDate - YYYY-MM-DD
+ * @returns {Array} - Per line: { promotion: { id, name } | null, discount }
+ */
+export const applyPromotions = (lineItems, promotions, saleDate) => {
+  const result = lineItems.map(() => ({ promotion: null, discount: 0 }));
+  const offer = (index, promotion, amount) => {
+    const discount = roundMoney(amount);
+    if (discount > result[index].discount) {
+      result[index] = { promotion: { id: promotion.id, name: promotion.name }, discount };
+    }
+  };
+
+  promotions.filter(promotion => isPromotionLive(promotion, saleDate)).forEach(promotion => {
+    if (promotion.type === 'bundle_price') {
+      const matches = (promotion.bundle_items || []).map(item => ({
+        item,
+        index: lineItems.findIndex(line => line.product?.id === item.product_id && line.units > 0)
+      }));
+      if (matches.some(match => match.index < 0)) return;
+
+      const bundles = Math.min(...matches.map(({ item, index }) => Math.floor(lineItems[index].units / item.units)));
+      const normal = matches.reduce((sum, { item, index }) => sum + item.units * lineItems[index].unitPrice, 0);
+      const saving = bundles * (normal - promotion.bundle_price);
+      if (bundles < 1 || saving <= 0) return;
+
+      // Spread the saving over the bundle's lines by value
+      matches.forEach(({ item, index }) => {
+        offer(index, promotion, saving * (item.units * lineItems[index].unitPrice) / normal);
+      });
+      return;
+    }
+
+    lineItems.forEach((line, index) => {
+      if (line.product?.id !== promotion.product_id || !(line.units > 0)) return;
+      const units = parseInt(line.units);
+
+      if (promotion.type === 'percent_off' && units >= (promotion.min_units || 0)) {
+        offer(index, promotion, units * line.unitPrice * promotion.percent / 100);
+      }
+      if (promotion.type === 'buy_x_get_y') {
+        const sets = Math.floor(units / (promotion.buy_units + promotion.free_units));
+        offer(index, promotion, sets * promotion.free_units * line.unitPrice);
+      }
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Manual discount on a sale: the overall discount plus prices typed below list
+ * Measured against the value left after promotions.
+ * @param {Array} lineItems - SalesEntry lines with `discount` from promotions
+ * @param {number} overallDiscount - Overall discount amount
+ * @returns {Object} - { amount, percent }
+ */
+export const measureManualDiscount = (lineItems, overallDiscount) => {
+  let listValue = 0;
+  let priceCuts = 0;
+  let promotionDiscount = 0;
+
+  lineItems.forEach(item => {
+    if (!item.product || !(item.units > 0)) return;
+    const listPrice = item.listPrice ?? item.unitPrice;
+    listValue += item.units * listPrice;
+    priceCuts += item.units * Math.max(0, listPrice - item.unitPrice);
+    promotionDiscount += item.discount || 0;
+  });
+
+  const amount = roundMoney(priceCuts + (parseFloat(overallDiscount) || 0));
+  const base = listValue - promotionDiscount;
+  return {
+    amount,
+    percent: base > 0 ? (amount / base) * 100 : 0
+  };
+};
+
+/**
+ * Maximum manual discount % for each role
+ * @returns {Promise<Object>} - { role: percent }
+ */
+export const getDiscountLimits = async () => {
+  if (queryCache.isValid(LIMITS_CACHE_KEY, 600000)) {
+    return queryCache.get(LIMITS_CACHE_KEY);
+  }
+
+  const { data, error } = await supabase
+    .from('discount_limits')
+    .select('role, max_percent');
+
+  if (error) {
+    console.error('Error loading discount limits, using defaults:', error);
+    return DEFAULT_DISCOUNT_LIMITS;
+  }
+
+  const limits = { ...DEFAULT_DISCOUNT_LIMITS };
+  (data || []).forEach(row => { limits[row.role] = Number(row.max_percent); });
+  queryCache.set(LIMITS_CACHE_KEY, limits, 600000);
+  return limits;
+};
+
+/**
+ * Save the maximum discount % for each role
+ * @param {Object} limits - { role: percent }
+ * @param {Object} updatedBy - User profile ({ id, full_name })
+ * @returns {Promise<Object>} - Saved limits
+ */
+export const saveDiscountLimits = async (limits, updatedBy) => {
+  const rows = Object.entries(limits).map(([role, value]) => {
+    const maxPercent = parseFloat(value);
+    if (isNaN(maxPercent) || maxPercent < 0 || maxPercent > 100) {
+      throw new Error(`${role}: limit must be between 0 and 100`);
+    }
+    return {
+      role,
+      max_percent: maxPercent,
+      updated_by: updatedBy?.id || null,
+      updated_at: new Date().toISOString()
+    };
+  });
+
+  const { error } = await supabase
+    .from('discount_limits')
+    .upsert(rows, { onConflict: 'role' });
+
+  if (error) throw error;
+  queryCache.delete(LIMITS_CACHE_KEY);
+  return Object.fromEntries(rows.map(row => [row.role, row.max_percent]));
+};
+
+/**
+ * Whether a manual discount is within what a role may give
+ * @param {number} percent - Manual discount %
+ * @param {string} role - User role
+ * @param {Object} limits - From getDiscountLimits
+ * @returns {boolean}
+ */
+export const isWithinDiscountLimit = (percent, role, limits) =>
+  percent <= (limits[role] ?? 0) + 0.005;
+
+/**
+ * Approve and record a discount above the rep's limit
+ * The approving manager enters their credentials; their own role limit
+ * must cover the discount.
+ * @param {Object} params
+ * @param {Object} params.customer - Customer ({ id, name })
+ * @param {Object} params.discount - From measureManualDiscount
+ * @param {string} params.reason - Why the discount is needed
+ * @param {Object} params.requestedBy - Current user profile
+ * @param {Object} params.managerCredentials - { email, password }
+ * @param {Object} params.limits - From getDiscountLimits
+ * @returns {Promise<Object>} - Approval row
+ */
+export const approveDiscount = async ({ customer, discount, reason, requestedBy, managerCredentials, limits }) => {
+  if (!reason || reason.trim().length < 5) throw new Error('Please give a reason for the discount (at least 5 characters)');
+
+  const approver = await verifyManager(managerCredentials?.email, managerCredentials?.password);
+
+  if (!isWithinDiscountLimit(discount.percent, approver.role, limits)) {
+    throw new Error(`${approver.full_name} can approve up to ${limits[approver.role] ?? 0}% discount`);
+  }
+
+  const { data, error } = await supabase
+    .from('discount_approvals')
+    .insert({
+      customer_id: customer.id,
+      customer_name: customer.name,
+      discount_amount: discount.amount,
+      discount_percent: roundMoney(discount.percent),
+      allowed_percent: limits[requestedBy?.role] ?? 0,
+      reason: reason.trim(),
+      requested_by: requestedBy?.id || null,
+      requested_by_name: requestedBy?.full_name || null,
+      approved_by: approver.id,
+      approved_by_name: approver.full_name,
+      approved_by_role: approver.role,
+      approved_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Link an approved discount to the invoice it allowed
+ * @param {string} approvalId - Approval ID
+ * @param {Object} invoice - Created invoice
+ * @returns {Promise<void>}
+ */
+export const attachApprovalToInvoice = async (approvalId, invoice) => {
+  const { error } = await supabase
+    .from('discount_approvals')
+    .update({ invoice_id: invoice.id, invoice_number: invoice.invoice_number })
+    .eq('id', approvalId);
+
+  if (error) throw error;
+};
+
+/**
+ * Link an approved discount to the quote it was given on
+ * Conversion later links the same approval to the invoice.
+ * @param {string} approvalId - Approval ID
+ * @param {Object} quote - Created quote
+ * @returns {Promise<void>}
+ */
+export const attachApprovalToQuote = async (approvalId, quote) => {
+  const { error } = await supabase
+    .from('discount_approvals')
+    .update({ quote_id: quote.id, quote_number: quote.quote_number })
+    .eq('id', approvalId);
+
+  if (error) throw error;
+};
+
+/**
+ * Discount given between two dates, by rep and by promotion
+ * Drafts and voided invoices are left out.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Object>} - { byRep: [...], byPromotion: [...], totals }
+ */
+export const getDiscountAnalytics = async (startDate, endDate) => {
+  const { data, error } = await supabase
+    .from('invoices')
+    .select('id, status, salesperson_name, subtotal, discount_amount, promotion_discount, manual_discount, discount_approval_id, invoice_line_items (promotion_id, promotion_name, discount_amount, line_subtotal)')
+    .neq('status', DRAFT_STATUS)
+    .gte('invoice_date', startDate)
+    .lte('invoice_date', endDate);
+
+  if (error) throw error;
+
+  const reps = {};
+  const promotions = {};
+  const totals = { invoices: 0, sales: 0, promotion: 0, manual: 0, approvals: 0 };
+
+  (data || []).filter(invoice => !isInvoiceVoided(invoice)).forEach(invoice => {
+    const lines = invoice.invoice_line_items || [];
+    const promotion = invoice.promotion_discount ??
+      lines.reduce((sum, line) => sum + (Number(line.discount_amount) || 0), 0);
+    const manual = invoice.manual_discount ?? (Number(invoice.discount_amount) || 0);
+    const sales = lines.reduce((sum, line) => sum + (Number(line.line_subtotal) || 0), 0);
+
+    const name = invoice.salesperson_name || 'Unknown';
+    const rep = reps[name] || (reps[name] = { name, invoices: 0, sales: 0, promotion: 0, manual: 0, approvals: 0 });
+    [rep, totals].forEach(row => {
+      row.invoices += 1;
+      row.sales += sales;
+      row.promotion += Number(promotion) || 0;
+      row.manual += Number(manual) || 0;
+      if (invoice.discount_approval_id) row.approvals += 1;
+    });
+
+    lines.filter(line => line.promotion_id).forEach(line => {
+      const entry = promotions[line.promotion_id] ||
+        (promotions[line.promotion_id] = { id: line.promotion_id, name: line.promotion_name, lines: 0, invoices: new Set(), discount: 0, sales: 0 });
+      entry.lines += 1;
+      entry.invoices.add(invoice.id);
+      entry.discount += Number(line.discount_amount) || 0;
+      entry.sales += Number(line.line_subtotal) || 0;
+    });
+  });
+
+  const withPercent = row => ({
+    ...row,
+    total: roundMoney(row.promotion + row.manual),
+    percent: row.sales > 0 ? ((row.promotion + row.manual) / row.sales) * 100 : 0
+  });
+
+  return {
+    byRep: Object.values(reps).map(withPercent).sort((a, b) => b.total - a.total),
+    byPromotion: Object.values(promotions)
+      .map(entry => ({ ...entry, invoices: entry.invoices.size }))
+      .sort((a, b) => b.discount - a.discount),
+    totals: withPercent(totals)
+  };
+};
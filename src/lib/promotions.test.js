@@ -0,0 +1,71 @@
+import { applyPromotions } from './promotions';
+
+jest.mock('./supabase', () => ({ supabase: {} }));
+
+const line = (productId, units, unitPrice) => ({ product: { id: productId }, units, unitPrice });
+
+const SALE_DATE = '2026-06-15';
+
+describe('applyPromotions', () => {
+  const percentOff = { id: 'p1', name: '10% off Amoxil', type: 'percent_off', product_id: 'amoxil', percent: 10, min_units: 5 };
+  const buyTwoGetOne = { id: 'p2', name: 'Amoxil 2+1', type: 'buy_x_get_y', product_id: 'amoxil', buy_units: 2, free_units: 1 };
+
+  it('takes a percentage off once the minimum quantity is reached', () => {
+    const [under, over] = applyPromotions([line('amoxil', 4, 10), line('amoxil', 5, 10)], [percentOff], SALE_DATE);
+
+    expect(under).toEqual({ promotion: null, discount: 0 });
+    expect(over).toEqual({ promotion: { id: 'p1', name: '10% off Amoxil' }, discount: 5 });
+  });
+
+  it('gives the free units for each complete set', () => {
+    const [result] = applyPromotions([line('amoxil', 7, 5)], [buyTwoGetOne], SALE_DATE);
+
+    expect(result.discount).toBe(10);
+  });
+
+  it('applies only the best promotion to a line', () => {
+    const [result] = applyPromotions([line('amoxil', 6, 10)], [percentOff, buyTwoGetOne], SALE_DATE);
+
+    expect(result).toEqual({ promotion: { id: 'p2', name: 'Amoxil 2+1' }, discount: 20 });
+  });
+
+  it('spreads a bundle saving over its lines by value', () => {
+    const bundle = {
+      id: 'p3',
+      name: 'Cold pack',
+      type: 'bundle_price',
+      bundle_price: 40,
+      bundle_items: [{ product_id: 'para', units: 2 }, { product_id: 'syrup', units: 1 }]
+    };
+
+    const result = applyPromotions([line('para', 4, 10), line('syrup', 2, 30), line('other', 1, 99)], [bundle], SALE_DATE);
+
+    expect(result.map(r => r.discount)).toEqual([8, 12, 0]);
+  });
+
+  it('skips a bundle when one of its products is missing', () => {
+    const bundle = {
+      id: 'p3',
+      name: 'Cold pack',
+      type: 'bundle_price',
+      bundle_price: 40,
+      bundle_items: [{ product_id: 'para', units: 2 }, { product_id: 'syrup', units: 1 }]
+    };
+
+    const [result] = applyPromotions([line('para', 4, 10)], [bundle], SALE_DATE);
+
+    expect(result.discount).toBe(0);
+  });
+
+  it('ignores inactive promotions and promotions outside their dates', () => {
+    const promotions = [
+      { ...percentOff, is_active: false },
+      { ...percentOff, id: 'early', start_date: '2026-07-01' },
+      { ...percentOff, id: 'late', end_date: '2026-06-14' }
+    ];
+
+    const [result] = applyPromotions([line('amoxil', 10, 10)], promotions, SALE_DATE);
+
+    expect(result).toEqual({ promotion: null, discount: 0 });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * QUOTATIONS / PRO-FORMA INVOICES
+ * A quote records the same header and lines as an invoice but never
+ * touches inventory or customer balances. Converting a quote creates a
+ * real invoice through createInvoice, which is the only point where
+ * stock is deducted.
+ *
+ * Tables:
+ *   quotes
+ *     id, quote_number, quote_date, expiry_date, customer_id, customer_name,
+ *     region, sale_type, salesperson_id, salesperson_name, subtotal,
+ *     discount_amount, taxable_amount, exempt_amount, tax_amount,
+ *     tax_breakdown, total_amount, total_cost, total_profit,
+ *     margin_percentage, promotion_discount, manual_discount,
+ *     discount_approval_id, notes, status, converted_invoice_id,
+ *     converted_invoice_number, converted_at, converted_by, created_at
+ *   quote_line_items
+ *     id, quote_id, product_id, product_name, product_code, boxes_sold,
+ *     units_sold, unit_price, cost_per_unit, line_subtotal, line_cost,
+ *     line_profit, line_margin, discount_amount, line_total, tax_exempt,
+ *     tax_amount, list_price, price_source, price_overridden, promotion_id,
+ *     promotion_name
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { nextDocumentNumber } from './documentNumbers';
+import { createInvoice, invoicePeriod } from './invoices';
+import { calculateDueDate, getCustomerPaymentTerms } from './paymentTerms';
+import { enforceCreditLimit, attachOverrideToInvoice } from './creditControl';
+import { attachApprovalToInvoice } from './promotions';
+
+export const QUOTE_VALIDITY_DAYS = 30;
+
+export const QUOTE_STATUSES = {
+  OPEN: 'Open',
+  CONVERTED: 'Converted',
+  EXPIRED: 'Expired'
+};
+
+const LINE_FIELDS = [
+  'product_id', 'product_name', 'product_code', 'boxes_sold', 'units_sold',
+  'unit_price', 'cost_per_unit', 'line_subtotal', 'line_cost', 'line_profit',
+  'line_margin', 'discount_amount', 'line_total', 'tax_exempt', 'tax_amount',
+  'list_price', 'price_source', 'price_overridden', 'promotion_id', 'promotion_name'
+];
+
+/**
+ * Default expiry date for a quote issued on `fromDate`
+ * @param {string} fromDate - Quote date (YYYY-MM-DD)
+ * @returns {string} - Expiry date (YYYY-MM-DD)
+ */
+export const defaultQuoteExpiry = (fromDate) => {
+  const date = fromDate ? new Date(fromDate) : new Date();
+  date.setDate(date.getDate() + QUOTE_VALIDITY_DAYS);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Status of a quote, treating open quotes past their expiry date as expired
+ * @param {Object} quote - Quote row
+ * @returns {string} - One of QUOTE_STATUSES
+ */
+export const quoteStatus = (quote) => {
+  if (quote?.status === QUOTE_STATUSES.CONVERTED) return QUOTE_STATUSES.CONVERTED;
+  const today = new Date().toISOString().split('T')[0];
+  if (quote?.expiry_date && quote.expiry_date < today) return QUOTE_STATUSES.EXPIRED;
+  return quote?.status || QUOTE_STATUSES.OPEN;
+};
+
+/**
+ * Save a new quote with its line items
+ * @param {Object} quoteData - Quote header (without quote_number)
+ * @param {Array} lineItemsData - Line items in the SalesEntry shape (without quote_id)
+ * @returns {Promise<Object>} - Created quote
+ */
+export const createQuote = async (quoteData, lineItemsData) => {
+  if (!quoteData.expiry_date) throw new Error('Quote expiry date is required');
+  if (quoteData.expiry_date < quoteData.quote_date) {
+    throw new Error('Expiry date cannot be before the quote date');
+  }
+
+  const quoteNumber = await nextDocumentNumber('QT', new Date(quoteData.quote_date));
+
+  const { data: quote, error: quoteError } = await supabase
+    .from('quotes')
+    .insert({ ...quoteData, quote_number: quoteNumber, status: QUOTE_STATUSES.OPEN })
+    .select()
+    .single();
+
+  if (quoteError) throw quoteError;
+
+  const { data: lines, error: linesError } = await supabase
+    .from('quote_line_items')
+    .insert(lineItemsData.map(item => ({ ...item, quote_id: quote.id })))
+    .select();
+
+  if (linesError) {
+    await supabase.from('quotes').delete().eq('id', quote.id);
+    throw linesError;
+  }
+
+  queryCache.clearPattern('quotes_');
+
+  return { ...quote, quote_line_items: lines || [] };
+};
+
+/**
+ * Load quotes, newest first
+ * @returns {Promise<Array>} - Quotes with their line items
+ */
+export const getQuotes = async () => {
+  const cacheKey = 'quotes_all';
+  if (queryCache.isValid(cacheKey)) {
+    return queryCache.get(cacheKey);
+  }
+
+  const { data, error } = await supabase
+    .from('quotes')
+    .select('*, quote_line_items (*)')
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  queryCache.set(cacheKey, data || [], 120000);
+  return data || [];
+};
+
+/**
+ * Turn a quote into a real invoice
+ * Customer, lines and quoted prices carry over unchanged; the invoice
+ * is dated today, falls due on the customer's current payment terms,
+ * and stock is deducted now. The quote ID doubles as the idempotency
+ * key, so converting twice returns the same invoice.
+ * A Credit quote is checked against the customer's credit limit as it
+ * stands today, exactly as sales entry checks a new invoice. A manual
+ * discount approved when the quote was saved stays linked to the invoice.
+ * @param {Object} quote - Quote with `quote_line_items`
+ * @param {Object} convertedBy - User profile ({ id, full_name })
+ * @param {Object} options - { creditOverride, onProgress(step, status) }
+ * @returns {Promise<Object>} - Created invoice
+ * @throws {CreditLimitError} - When over the limit without a covering override
+ */
+export const convertQuoteToInvoice = async (quote, convertedBy, { creditOverride, onProgress } = {}) => {
+  const status = quoteStatus(quote);
+  if (status === QUOTE_STATUSES.CONVERTED) {
+    throw new Error(`Quote ${quote.quote_number} was already converted to ${quote.converted_invoice_number}`);
+  }
+  if (status === QUOTE_STATUSES.EXPIRED) {
+    throw new Error(`Quote ${quote.quote_number} expired on ${new Date(quote.expiry_date).toLocaleDateString()}`);
+  }
+  if (!quote.quote_line_items?.length) throw new Error('Quote has no line items');
+
+  const invoiceDate = new Date().toISOString().split('T')[0];
+  const total = Number(quote.total_amount) || 0;
+
+  const { override } = quote.sale_type === 'Credit'
+    ? await enforceCreditLimit(quote.customer_id, total, creditOverride)
+    : { override: null };
+  const dueDate = quote.sale_type === 'Credit'
+    ? calculateDueDate(invoiceDate, await getCustomerPaymentTerms(quote.customer_id))
+    : null;
+
+  const invoiceData = {
+    invoice_date: invoiceDate,
+    customer_id: quote.customer_id,
+    customer_name: quote.customer_name,
+    sale_type: quote.sale_type,
+    region: quote.region,
+    salesperson_id: quote.salesperson_id,
+    salesperson_name: quote.salesperson_name,
+    ...invoicePeriod(invoiceDate),
+    subtotal: quote.subtotal,
+    discount_amount: quote.discount_amount,
+    taxable_amount: quote.taxable_amount,
+    exempt_amount: quote.exempt_amount,
+    tax_amount: quote.tax_amount,
+    tax_breakdown: quote.tax_breakdown,
+    total_amount: total,
+    total_cost: quote.total_cost,
+    total_profit: quote.total_profit,
+    margin_percentage: quote.margin_percentage,
+    notes: [quote.notes, `Converted from quote ${quote.quote_number}`].filter(Boolean).join('\n'),
+    due_date: dueDate,
+    status: 'Active',
+    payment_status: quote.sale_type === 'Cash' ? 'Paid' : 'Pending',
+    amount_paid: quote.sale_type === 'Cash' ? total : 0,
+    balance_due: quote.sale_type === 'Cash' ? 0 : total,
+    promotion_discount: quote.promotion_discount,
+    manual_discount: quote.manual_discount,
+    discount_approval_id: quote.discount_approval_id || null,
+    ...(override && { credit_override_id: override.id })
+  };
+
+  const lineItemsData = quote.quote_line_items.map(line =>
+    Object.fromEntries(LINE_FIELDS.map(field => [field, line[field]]))
+  );
+
+  const { invoice, duplicate } = await createInvoice(invoiceData, lineItemsData, {
+    idempotencyKey: `quote:${quote.id}`,
+    onProgress
+  });
+
+  if (override && !duplicate) {
+    try {
+      await attachOverrideToInvoice(override.id, invoice);
+    } catch (error) {
+      console.error('Could not link credit override to invoice:', error);
+    }
+  }
+
+  if (quote.discount_approval_id && !duplicate) {
+    try {
+      await attachApprovalToInvoice(quote.discount_approval_id, invoice);
+    } catch (error) {
+      console.error('Could not link discount approval to invoice:', error);
+    }
+  }
+
+  const { error: updateError } = await supabase
+    .from('quotes')
+    .update({
+      status: QUOTE_STATUSES.CONVERTED,
+      converted_invoice_id: invoice.id,
+      converted_invoice_number: invoice.invoice_number,
+      converted_at: new Date().toISOString(),
+      converted_by: convertedBy?.id || null
+    })
+    .eq('id', quote.id);
+
+  if (updateError) {
+    console.error('Invoice created but quote not marked converted:', updateError);
+  }
+
+  queryCache.clearPattern('quotes_');
+
+  return invoice;
+};
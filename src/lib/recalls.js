@@ -0,0 +1,413 @@
+/**
+ * PRODUCT RECALLS
+ * A recall targets one batch of a product. Opening it traces every
+ * invoice line that took stock from the batch (through the line's
+ * batch_allocations), lists the customers who received it and blocks the
+ * batch so nothing left on the shelf can be sold. Customers get a recall
+ * notice through the pluggable transport in messaging.js, every attempt
+ * is logged, and returned units are counted per invoice line until the
+ * recall is closed.
+ *
+ * Returned units are quarantined for the supplier; they are not put back
+ * into sellable stock.
+ *
+ * Tables:
+ *   recalls
+ *     id, product_id, product_name, batch_id, batch_number, expiry_date,
+ *     reason, status, units_blocked, initiated_by, initiated_by_name,
+ *     created_at, closed_at, closed_by, closed_by_name
+ *   recall_items
+ *     id, recall_id, invoice_id, invoice_number, invoice_date,
+ *     invoice_line_item_id, customer_id, customer_name, units_received,
+ *     units_returned, notice_sent_at, last_returned_at
+ *   recall_notices
+ *     id, recall_id, recall_item_id, customer_id, customer_name, channel,
+ *     recipient, subject, message, status, error, transport, sent_by,
+ *     sent_by_name, sent_at
+ *
+ * Columns used on inventory_batches:
+ *   recall_id, blocked_at - set on the batch's rows at every location when
+ *     it is recalled, and kept after the recall closes (see isBatchBlocked
+ *     in lib/batches)
+ *
+ * Opening a recall goes through one database function so the recall, its
+ * items and the batch block are written together or not at all:
+ *   open_recall(p_recall jsonb, p_items jsonb)
+ *     inserts the recalls row and its recall_items, sets recall_id and
+ *     blocked_at on every row with the recall's product_id and
+ *     batch_number, raises if the batch already has an Open
+ *     recall; returns the recalls row
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { MESSAGE_CHANNELS, getMessageTransport, sendMessage } from './messaging';
+import { fillTemplate } from './dunning';
+import { DRAFT_STATUS, isInvoiceVoided } from './invoices';
+import { stockUnits } from './batches';
+
+export const RECALL_STATUSES = {
+  OPEN: 'Open',
+  CLOSED: 'Closed'
+};
+
+export const RECALL_ROLES = ['admin', 'manager'];
+
+export const NOTICE_STATUSES = {
+  SENT: 'Sent',
+  FAILED: 'Failed'
+};
+
+// Placeholders: {{customer_name}} {{contact_name}} {{product_name}} {{batch_number}}
+// {{expiry_date}} {{invoice_number}} {{invoice_date}} {{units_received}} {{reason}}
+export const RECALL_NOTICE_TEMPLATE = {
+  subject: 'PRODUCT RECALL: {{product_name}} batch {{batch_number}}',
+  email:
+    'Dear {{contact_name}},\n\n' +
+    'We are recalling {{product_name}}, batch {{batch_number}} (expiry {{expiry_date}}).\n\n' +
+    'Reason: {{reason}}\n\n' +
+    'Our records show that {{customer_name}} received {{units_received}} units of this batch ' +
+    'on invoice {{invoice_number}} dated {{invoice_date}}. Please stop using or selling it at once, ' +
+    'set the stock aside and contact us to arrange its return. Returned units will be credited.\n\n' +
+    'We apologise for the inconvenience.\n\n' +
+    'Pharma-C Medical Supplies',
+  sms:
+    'Pharma-C RECALL: {{product_name}} batch {{batch_number}} ({{units_received}} units on invoice ' +
+    '{{invoice_number}}). Stop use or sale now and call us to arrange its return.'
+};
+
+/**
+ * Whether a user may open, update or close recalls
+ * @param {Object} profile - User profile
+ * @returns {boolean}
+ */
+export const canManageRecalls = (profile) => RECALL_ROLES.includes(profile?.role);
+
+/**
+ * Every invoice line that took stock from a batch, with how much
+ * Matched on the batch number, so sales from the batch's rows at every
+ * location are found. Voided invoices are left out: their stock went back
+ * to the batch.
+ * @param {Object} batch - Batch ({ product_id, batch_number })
+ * @returns {Promise<Array>} - [{ invoice_id, invoice_number, invoice_date, invoice_line_item_id, customer_id, customer_name, units_received }]
+ */
+export const getBatchRecipients = async (batch) => {
+  const { data: lines, error: linesError } = await supabase
+    .from('invoice_line_items')
+    .select('id, invoice_id, batch_allocations')
+    .eq('product_id', batch.product_id)
+    .contains('batch_allocations', [{ batch_number: batch.batch_number }]);
+
+  if (linesError) throw linesError;
+  if (!lines || lines.length === 0) return [];
+
+  const invoiceIds = [...new Set(lines.map(line => line.invoice_id))];
+  const { data: invoices, error: invoicesError } = await supabase
+    .from('invoices')
+    .select('id, invoice_number, invoice_date, customer_id, customer_name, status')
+    .in('id', invoiceIds);
+
+  if (invoicesError) throw invoicesError;
+
+  const invoicesById = new Map(
+    (invoices || [])
+      .filter(invoice => invoice.status !== DRAFT_STATUS && !isInvoiceVoided(invoice))
+      .map(invoice => [invoice.id, invoice])
+  );
+
+  return lines
+    .filter(line => invoicesById.has(line.invoice_id))
+    .map(line => {
+      const invoice = invoicesById.get(line.invoice_id);
+      const units = (line.batch_allocations || [])
+        .filter(a => a.batch_number === batch.batch_number)
+        .reduce((sum, a) => sum + (Number(a.units) || 0), 0);
+
+      return {
+        invoice_id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        invoice_date: invoice.invoice_date,
+        invoice_line_item_id: line.id,
+        customer_id: invoice.customer_id,
+        customer_name: invoice.customer_name,
+        units_received: units
+      };
+    })
+    .filter(item => item.units_received > 0)
+    .sort((a, b) => a.invoice_date.localeCompare(b.invoice_date));
+};
+
+/**
+ * Get all recalls with their items, newest first
+ * @returns {Promise<Array>} - Recalls with `recall_items`
+ */
+export const getRecalls = async () => {
+  const cacheKey = 'recalls';
+  if (queryCache.isValid(cacheKey, 60000)) {
+    return queryCache.get(cacheKey);
+  }
+
+  const { data, error } = await supabase
+    .from('recalls')
+    .select('*, recall_items (*)')
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  queryCache.set(cacheKey, data || [], 60000);
+  return data || [];
+};
+
+/**
+ * Open a recall: record who received the batch and block what is left
+ * @param {Object} params
+ * @param {Object} params.product - Product row
+ * @param {Object} params.batch - Batch row
+ * @param {string} params.reason - Why the batch is recalled
+ * @param {Object} params.initiatedBy - User profile ({ id, full_name, role })
+ * @returns {Promise<Object>} - Recall with `recall_items`
+ */
+export const createRecall = async ({ product, batch, reason, initiatedBy }) => {
+  if (!canManageRecalls(initiatedBy)) throw new Error('Only a manager or admin can open a recall');
+  if (!batch?.id) throw new Error('Choose the batch to recall');
+  if (!reason?.trim()) throw new Error('A reason is required');
+
+  const { data: openRecall, error: lookupError } = await supabase
+    .from('recalls')
+    .select('id')
+    .eq('product_id', product.id)
+    .eq('batch_number', batch.batch_number)
+    .eq('status', RECALL_STATUSES.OPEN)
+    .maybeSingle();
+
+  if (lookupError) throw lookupError;
+  if (openRecall) throw new Error(`Batch ${batch.batch_number} is already under recall`);
+
+  const recipients = await getBatchRecipients({ product_id: product.id, batch_number: batch.batch_number });
+  const now = new Date().toISOString();
+
+  // Recall row, items and batch block in one transaction: a half-opened
+  // recall would leave the batch sellable and refuse every retry
+  const { data: recall, error: recallError } = await supabase.rpc('open_recall', {
+    p_recall: {
+      product_id: product.id,
+      product_name: product.name || product.product_name,
+      batch_id: batch.id,
+      batch_number: batch.batch_number,
+      expiry_date: batch.expiry_date,
+      reason: reason.trim(),
+      status: RECALL_STATUSES.OPEN,
+      units_blocked: stockUnits(batch),
+      initiated_by: initiatedBy.id,
+      initiated_by_name: initiatedBy.full_name,
+      created_at: now
+    },
+    p_items: recipients.map(recipient => ({ ...recipient, units_returned: 0 }))
+  });
+
+  if (recallError) throw recallError;
+
+  queryCache.delete('recalls');
+  queryCache.delete('inventory_batches');
+
+  const { data: items, error: itemsError } = await supabase
+    .from('recall_items')
+    .select('*')
+    .eq('recall_id', recall.id);
+
+  if (itemsError) throw itemsError;
+  return { ...recall, recall_items: items || [] };
+};
+
+/**
+ * Fill the notice templates for one customer's recall item
+ * @param {Object} recall - Recall row
+ * @param {Object} item - recall_items row
+ * @param {Object} customer - Customer row
+ * @returns {Object} - { subject, email, sms }
+ */
+export const buildRecallNotice = (recall, item, customer) => {
+  const values = {
+    customer_name: item.customer_name,
+    contact_name: customer?.contact_person || item.customer_name,
+    product_name: recall.product_name,
+    batch_number: recall.batch_number,
+    expiry_date: recall.expiry_date ? new Date(recall.expiry_date).toLocaleDateString() : 'n/a',
+    invoice_number: item.invoice_number,
+    invoice_date: new Date(item.invoice_date).toLocaleDateString(),
+    units_received: item.units_received,
+    reason: recall.reason
+  };
+
+  return {
+    subject: fillTemplate(RECALL_NOTICE_TEMPLATE.subject, values),
+    email: fillTemplate(RECALL_NOTICE_TEMPLATE.email, values),
+    sms: fillTemplate(RECALL_NOTICE_TEMPLATE.sms, values)
+  };
+};
+
+/**
+ * Contact details for the customers on a recall
+ * @param {Array<string>} customerIds - Customer IDs
+ * @returns {Promise<Map>} - customerId → customer
+ */
+export const getRecallCustomers = async (customerIds) => {
+  if (customerIds.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('customers')
+    .select('id, name, contact_person, email, phone, address')
+    .in('id', customerIds);
+
+  if (error) throw error;
+  return new Map((data || []).map(customer => [customer.id, customer]));
+};
+
+/**
+ * Send a recall notice by email and SMS (whichever the customer has) and log it
+ * The item is marked as notified only if at least one channel succeeds.
+ * @param {Object} params
+ * @param {Object} params.recall - Recall row
+ * @param {Object} params.item - recall_items row
+ * @param {Object} params.customer - Customer row (email, phone, contact_person)
+ * @param {Object} params.sentBy - User profile ({ id, full_name })
+ * @returns {Promise<Object>} - { sent: [channel], failed: [{ channel, error }] }
+ */
+export const sendRecallNotice = async ({ recall, item, customer, sentBy }) => {
+  const notice = buildRecallNotice(recall, item, customer);
+  const deliveries = [
+    customer?.email && { channel: MESSAGE_CHANNELS.EMAIL, to: customer.email, subject: notice.subject, message: notice.email },
+    customer?.phone && { channel: MESSAGE_CHANNELS.SMS, to: customer.phone, subject: null, message: notice.sms }
+  ].filter(Boolean);
+
+  if (deliveries.length === 0) {
+    throw new Error(`${item.customer_name} has no email or phone number on file`);
+  }
+
+  const sent = [];
+  const failed = [];
+  const logRows = [];
+  const sentAt = new Date().toISOString();
+
+  for (const delivery of deliveries) {
+    let status = NOTICE_STATUSES.SENT;
+    let errorMessage = null;
+    try {
+      await sendMessage(delivery);
+      sent.push(delivery.channel);
+    } catch (error) {
+      console.error(`Recall notice ${delivery.channel} to ${delivery.to} failed:`, error);
+      status = NOTICE_STATUSES.FAILED;
+      errorMessage = error.message;
+      failed.push({ channel: delivery.channel, error: error.message });
+    }
+
+    logRows.push({
+      recall_id: recall.id,
+      recall_item_id: item.id,
+      customer_id: item.customer_id,
+      customer_name: item.customer_name,
+      channel: delivery.channel,
+      recipient: delivery.to,
+      subject: delivery.subject,
+      message: delivery.message,
+      status,
+      error: errorMessage,
+      transport: getMessageTransport().name,
+      sent_by: sentBy?.id || null,
+      sent_by_name: sentBy?.full_name || null,
+      sent_at: sentAt
+    });
+  }
+
+  const { error: logError } = await supabase.from('recall_notices').insert(logRows);
+  if (logError) throw logError;
+
+  if (sent.length > 0) {
+    const { error: updateError } = await supabase
+      .from('recall_items')
+      .update({ notice_sent_at: sentAt })
+      .eq('id', item.id);
+
+    if (updateError) throw updateError;
+    queryCache.delete('recalls');
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Record units a customer has sent back
+ * @param {Object} item - recall_items row
+ * @param {number} units - Units returned now
+ * @returns {Promise<Object>} - Updated recall item
+ */
+export const recordRecallReturn = async (item, units) => {
+  const returning = parseInt(units);
+  if (!returning || returning <= 0) throw new Error('Enter the number of units returned');
+
+  const outstanding = item.units_received - (item.units_returned || 0);
+  if (returning > outstanding) {
+    throw new Error(`Only ${outstanding} units from invoice ${item.invoice_number} are still out`);
+  }
+
+  const { data, error } = await supabase
+    .from('recall_items')
+    .update({
+      units_returned: (item.units_returned || 0) + returning,
+      last_returned_at: new Date().toISOString()
+    })
+    .eq('id', item.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  queryCache.delete('recalls');
+  return data;
+};
+
+/**
+ * Close a recall once it has run its course
+ * The batch stays blocked: recalled stock must never be sold.
+ * @param {Object} recall - Recall row
+ * @param {Object} closedBy - User profile ({ id, full_name, role })
+ * @returns {Promise<Object>} - Updated recall
+ */
+export const closeRecall = async (recall, closedBy) => {
+  if (!canManageRecalls(closedBy)) throw new Error('Only a manager or admin can close a recall');
+  if (recall.status === RECALL_STATUSES.CLOSED) throw new Error('This recall is already closed');
+
+  const { data, error } = await supabase
+    .from('recalls')
+    .update({
+      status: RECALL_STATUSES.CLOSED,
+      closed_at: new Date().toISOString(),
+      closed_by: closedBy.id,
+      closed_by_name: closedBy.full_name
+    })
+    .eq('id', recall.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  queryCache.delete('recalls');
+  return data;
+};
+
+/**
+ * Totals for a recall
+ * @param {Object} recall - Recall with `recall_items`
+ * @returns {Object} - { customers, unitsReceived, unitsReturned, outstanding, notified }
+ */
+export const recallProgress = (recall) => {
+  const items = recall.recall_items || [];
+  const unitsReceived = items.reduce((sum, item) => sum + (item.units_received || 0), 0);
+  const unitsReturned = items.reduce((sum, item) => sum + (item.units_returned || 0), 0);
+
+  return {
+    customers: new Set(items.map(item => item.customer_id)).size,
+    unitsReceived,
+    unitsReturned,
+    outstanding: unitsReceived - unitsReturned,
+    notified: items.filter(item => item.notice_sent_at).length
+  };
+};
@@ -0,0 +1,151 @@
+/**
+ * ACCOUNTS RECEIVABLE AGING
+ * Buckets the unpaid balance on Credit invoices by how many days overdue
+ * each invoice is, and groups the result by customer, region or
+ * salesperson. Invoices are aged from their due date, so "Current" means
+ * not yet due; invoices raised before payment terms existed have no due
+ * date and are aged from their invoice date. Drafts and voided invoices
+ * are ignored.
+ *
+ * Reads invoices only (invoice_date, due_date, total_amount, credited_amount,
+ * amount_paid, balance_due, payment_status, region, salesperson_name).
+ */
+
+import { supabase } from './supabase';
+import { invoiceAmountOwed, roundMoney } from './payments';
+import { DRAFT_STATUS } from './invoices';
+
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', min: -Infinity, max: 0 },
+  { key: 'days_1_30', label: '1–30 days', min: 1, max: 30 },
+  { key: 'days_31_60', label: '31–60 days', min: 31, max: 60 },
+  { key: 'days_61_90', label: '61–90 days', min: 61, max: 90 },
+  { key: 'days_90_plus', label: '90+ days', min: 91, max: Infinity }
+];
+
+export const AGING_GROUPS = {
+  customer: { label: 'Customer', field: 'customer_name' },
+  region: { label: 'Region', field: 'region' },
+  salesperson: { label: 'Salesperson', field: 'salesperson_name' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Unpaid balance on an invoice after payments and credit notes
+ * @param {Object} invoice - Invoice row
+ * @returns {number} - Balance due
+ */
+export const invoiceBalance = (invoice) => {
+  if (invoice?.balance_due !== null && invoice?.balance_due !== undefined) {
+    return roundMoney(invoice.balance_due);
+  }
+  return Math.max(0, roundMoney(invoiceAmountOwed(invoice) - (Number(invoice?.amount_paid) || 0)));
+};
+
+/**
+ * Days past due as of a date (zero or negative means not yet due)
+ * @param {Object} invoice - Invoice row
+ * @param {string} asOfDate - Report date (YYYY-MM-DD)
+ * @returns {number} - Days overdue
+ */
+export const daysOverdue = (invoice, asOfDate) => {
+  const from = Date.parse(invoice.due_date || invoice.invoice_date);
+  const to = Date.parse(asOfDate);
+  return Math.floor((to - from) / DAY_MS);
+};
+
+/**
+ * Aging bucket for a number of days overdue
+ * @param {number} days - Days overdue
+ * @returns {Object} - Entry from AGING_BUCKETS
+ */
+export const agingBucket = (days) =>
+  AGING_BUCKETS.find(bucket => days >= bucket.min && days <= bucket.max);
+
+const emptyBuckets = () =>
+  Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, { amount: 0, invoices: [] }]));
+
+/**
+ * Load Credit invoices that still have a balance
+ * @returns {Promise<Array>} - Invoices with a positive balance
+ */
+export const getOpenReceivables = async () => {
+  const { data, error } = await supabase
+    .from('invoices')
+    .select('*')
+    .eq('sale_type', 'Credit')
+    .neq('payment_status', 'Paid')
+    .neq('status', DRAFT_STATUS)
+    .neq('status', 'Voided')
+    .order('invoice_date', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).filter(invoice => invoiceBalance(invoice) > 0);
+};
+
+/**
+ * Build the aging grid
+ * @param {Array} invoices - From getOpenReceivables
+ * @param {string} groupBy - Key of AGING_GROUPS
+ * @param {string} asOfDate - Report date (YYYY-MM-DD)
+ * @returns {Object} - { rows: [{ key, label, buckets, total }], totals, grandTotal }
+ */
+export const buildAgingReport = (invoices, groupBy, asOfDate) => {
+  const field = AGING_GROUPS[groupBy]?.field || AGING_GROUPS.customer.field;
+  const groups = new Map();
+  const totals = emptyBuckets();
+
+  invoices.forEach(invoice => {
+    // Invoices raised after the report date did not exist yet
+    if (invoice.invoice_date > asOfDate) return;
+
+    const label = invoice[field] || 'Unassigned';
+    if (!groups.has(label)) {
+      groups.set(label, { key: label, label, buckets: emptyBuckets(), total: 0 });
+    }
+
+    const days = daysOverdue(invoice, asOfDate);
+    const bucket = agingBucket(days);
+    const balance = invoiceBalance(invoice);
+    const entry = { ...invoice, balance, daysOverdue: days };
+
+    const row = groups.get(label);
+    row.buckets[bucket.key].amount = roundMoney(row.buckets[bucket.key].amount + balance);
+    row.buckets[bucket.key].invoices.push(entry);
+    row.total = roundMoney(row.total + balance);
+
+    totals[bucket.key].amount = roundMoney(totals[bucket.key].amount + balance);
+    totals[bucket.key].invoices.push(entry);
+  });
+
+  const rows = [...groups.values()].sort((a, b) => b.total - a.total);
+  const grandTotal = roundMoney(rows.reduce((sum, row) => sum + row.total, 0));
+
+  return { rows, totals, grandTotal };
+};
+
+/**
+ * Aging grid as CSV text
+ * @param {Object} report - From buildAgingReport
+ * @param {string} groupBy - Key of AGING_GROUPS
+ * @returns {string} - CSV content
+ */
+export const agingReportToCSV = (report, groupBy) => {
+  const headers = [AGING_GROUPS[groupBy].label, ...AGING_BUCKETS.map(b => b.label), 'Total'];
+  const toRow = (label, buckets, total) => [
+    label,
+    ...AGING_BUCKETS.map(b => buckets[b.key].amount.toFixed(2)),
+    total.toFixed(2)
+  ];
+
+  const rows = [
+    ...report.rows.map(row => toRow(row.label, row.buckets, row.total)),
+    toRow('TOTAL', report.totals, report.grandTotal)
+  ];
+
+  return [
+    headers.join(','),
+    ...rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+  ].join('\n');
+};
@@ -0,0 +1,35 @@
+import { agingBucket, daysOverdue } from './receivables';
+
+jest.mock('./supabase', () => ({ supabase: {} }));
+
+describe('agingBucket', () => {
+  it.each([
+    [-15, 'current'],
+    [0, 'current'],
+    [1, 'days_1_30'],
+    [30, 'days_1_30'],
+    [31, 'days_31_60'],
+    [60, 'days_31_60'],
+    [61, 'days_61_90'],
+    [90, 'days_61_90'],
+    [91, 'days_90_plus'],
+    [400, 'days_90_plus']
+  ])('puts %i days overdue in %s', (days, key) => {
+    expect(agingBucket(days).key).toBe(key);
+  });
+});
+
+describe('daysOverdue', () => {
+  it('ages from the due date', () => {
+    expect(daysOverdue({ invoice_date: '2026-01-01', due_date: '2026-01-31' }, '2026-03-02')).toBe(30);
+  });
+
+  it('ages from the invoice date when there is no due date', () => {
+    expect(daysOverdue({ invoice_date: '2026-01-01', due_date: null }, '2026-01-31')).toBe(30);
+  });
+
+  it('is zero or less until the invoice falls due', () => {
+    expect(daysOverdue({ invoice_date: '2026-01-01', due_date: '2026-01-31' }, '2026-01-31')).toBe(0);
+    expect(agingBucket(daysOverdue({ invoice_date: '2026-01-01', due_date: '2026-01-31' }, '2026-01-10')).key).toBe('current');
+  });
+});
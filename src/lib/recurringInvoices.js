@@ -0,0 +1,356 @@
+/**
+ * RECURRING INVOICES
+ * Standing orders for facilities that take the same products on a
+ * regular cycle. When a schedule's next run is due the app writes a
+ * draft invoice in the same shape SalesEntry autosaves, priced from the
+ * customer's price list on the day it runs. The rep resumes the draft, checks it and
+ * finalises it; stock is only deducted at that point by createInvoice.
+ *
+ * Table:
+ *   recurring_invoice_schedules
+ *     id, customer_id, customer_name, region, sale_type, frequency,
+ *     start_date, end_date (nullable), next_run_date, last_run_at,
+ *     lines (jsonb: [{ product_id, product_name, boxes, units }]),
+ *     notes, is_active, salesperson_id, salesperson_name,
+ *     created_by, created_at, updated_at
+ *
+ * Columns used on invoices:
+ *   recurring_schedule_id - schedule that generated the draft
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { getTaxConfig, calculateInvoiceTax } from './tax';
+import { roundMoney } from './payments';
+import { newIdempotencyKey } from './invoices';
+import { buildDraftPayload, saveDraft } from './drafts';
+import { getActivePriceLists, resolvePrice } from './priceLists';
+
+export const RECURRING_FREQUENCIES = {
+  weekly: { label: 'Weekly', days: 7 },
+  monthly: { label: 'Monthly', months: 1 },
+  quarterly: { label: 'Quarterly', months: 3 }
+};
+
+const toISODate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * The run after `date` for a frequency
+ * Monthly and quarterly runs keep the start date's day of the month,
+ * falling back to the last day in shorter months (31st → 28th/30th).
+ * @param {string} date - Current run (YYYY-MM-DD)
+ * @param {string} frequency - RECURRING_FREQUENCIES key
+ * @param {string} startDate - Schedule start (YYYY-MM-DD), for the day of month
+ * @returns {string} - Next run (YYYY-MM-DD)
+ */
+export const advanceRunDate = (date, frequency, startDate = date) => {
+  const { days, months } = RECURRING_FREQUENCIES[frequency];
+  const current = new Date(`${date}T00:00:00Z`);
+
+  if (days) {
+    current.setUTCDate(current.getUTCDate() + days);
+    return toISODate(current);
+  }
+
+  const anchorDay = new Date(`${startDate}T00:00:00Z`).getUTCDate();
+  const year = current.getUTCFullYear();
+  const month = current.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return toISODate(new Date(Date.UTC(year, month, Math.min(anchorDay, lastDay))));
+};
+
+/**
+ * Whether a schedule has a run due on or before a date
+ * @param {Object} schedule - Schedule row
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export const isScheduleDue = (schedule, asOfDate) =>
+  !!schedule.is_active &&
+  schedule.next_run_date <= asOfDate &&
+  (!schedule.end_date || schedule.next_run_date <= schedule.end_date);
+
+/**
+ * Load schedules, optionally for one customer
+ * @param {string|null} customerId - Customer ID, or null for all
+ * @returns {Promise<Array>} - Schedules, soonest next run first
+ */
+export const getRecurringSchedules = async (customerId = null) => {
+  let query = supabase
+    .from('recurring_invoice_schedules')
+    .select('*')
+    .order('next_run_date', { ascending: true });
+  if (customerId) query = query.eq('customer_id', customerId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Create or update a schedule
+ * A new schedule's first run is its start date.
+ * @param {Object} schedule - Schedule fields (with id when editing)
+ * @param {Object} savedBy - User profile ({ id, full_name })
+ * @returns {Promise<Object>} - Saved schedule
+ */
+export const saveRecurringSchedule = async (schedule, savedBy) => {
+  const lines = (schedule.lines || []).filter(line => line.product_id && (parseInt(line.units) || 0) > 0);
+
+  if (!schedule.customer_id) throw new Error('Customer is required');
+  if (!RECURRING_FREQUENCIES[schedule.frequency]) throw new Error('Choose how often the invoice repeats');
+  if (!schedule.start_date) throw new Error('Start date is required');
+  if (schedule.end_date && schedule.end_date < schedule.start_date) {
+    throw new Error('End date must be after the start date');
+  }
+  if (lines.length === 0) throw new Error('Add at least one product with a quantity');
+
+  const row = {
+    customer_id: schedule.customer_id,
+    customer_name: schedule.customer_name,
+    region: schedule.region || null,
+    sale_type: schedule.sale_type || 'Credit',
+    frequency: schedule.frequency,
+    start_date: schedule.start_date,
+    end_date: schedule.end_date || null,
+    next_run_date: schedule.next_run_date || schedule.start_date,
+    lines: lines.map(line => ({
+      product_id: line.product_id,
+      product_name: line.product_name,
+      boxes: parseInt(line.boxes) || 0,
+      units: parseInt(line.units)
+    })),
+    notes: schedule.notes || null,
+    is_active: schedule.is_active !== false,
+    salesperson_id: schedule.salesperson_id || savedBy?.id || null,
+    salesperson_name: schedule.salesperson_name || savedBy?.full_name || null,
+    updated_at: new Date().toISOString()
+  };
+
+  const { data, error } = schedule.id
+    ? await supabase
+        .from('recurring_invoice_schedules')
+        .update(row)
+        .eq('id', schedule.id)
+        .select()
+        .single()
+    : await supabase
+        .from('recurring_invoice_schedules')
+        .insert({ ...row, created_by: savedBy?.id || null })
+        .select()
+        .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Pause or resume a schedule
+ * @param {string} scheduleId - Schedule ID
+ * @param {boolean} isActive - New state
+ * @returns {Promise<void>}
+ */
+export const setRecurringScheduleActive = async (scheduleId, isActive) => {
+  const { error } = await supabase
+    .from('recurring_invoice_schedules')
+    .update({ is_active: isActive, updated_at: new Date().toISOString() })
+    .eq('id', scheduleId);
+
+  if (error) throw error;
+};
+
+/**
+ * Delete a schedule (drafts it already created are kept)
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<void>}
+ */
+export const deleteRecurringSchedule = async (scheduleId) => {
+  const { error } = await supabase
+    .from('recurring_invoice_schedules')
+    .delete()
+    .eq('id', scheduleId);
+
+  if (error) throw error;
+};
+
+/**
+ * Draft header and editor payload for one run, priced like SalesEntry
+ * Lines whose product is no longer active are left out.
+ * @param {Object} schedule - Schedule row
+ * @param {string} runDate - Invoice date for the draft (YYYY-MM-DD)
+ * @param {Array} products - Active products
+ * @param {Array} taxConfig - Tax configuration
+ * @param {Array} priceLists - Active price lists
+ * @param {Object} customer - Customer row ({ id, customer_type })
+ * @returns {Object} - { header, payload, skipped: [product_name] }
+ */
+export const buildScheduledDraft = (schedule, runDate, products, taxConfig, priceLists = [], customer = null) => {
+  const skipped = [];
+  const lineItems = [];
+
+  schedule.lines.forEach(line => {
+    const product = products.find(p => p.id === line.product_id);
+    if (!product) {
+      skipped.push(line.product_name);
+      return;
+    }
+    const { unitPrice, source } = resolvePrice(
+      product,
+      { customer: customer || { id: schedule.customer_id }, boxes: line.boxes, units: line.units },
+      priceLists
+    );
+    lineItems.push({
+      product,
+      boxes: line.boxes,
+      units: line.units,
+      unitPrice,
+      listPrice: unitPrice,
+      priceSource: source,
+      costPerUnit: product.cost_per_unit || 0,
+      discount: 0
+    });
+  });
+
+  const subtotal = roundMoney(lineItems.reduce((sum, item) => sum + item.units * item.unitPrice, 0));
+  const tax = calculateInvoiceTax(
+    lineItems.map(item => ({ lineTotal: item.units * item.unitPrice, taxExempt: !!item.product.tax_exempt })),
+    0,
+    taxConfig
+  );
+  const notes = [
+    schedule.notes,
+    `Recurring ${RECURRING_FREQUENCIES[schedule.frequency].label.toLowerCase()} order`,
+    skipped.length > 0 && `Not included (product inactive): ${skipped.join(', ')}`
+  ].filter(Boolean).join('\n');
+
+  return {
+    header: {
+      invoice_date: runDate,
+      customer_id: schedule.customer_id,
+      customer_name: schedule.customer_name,
+      region: schedule.region,
+      sale_type: schedule.sale_type,
+      salesperson_id: schedule.salesperson_id,
+      salesperson_name: schedule.salesperson_name,
+      subtotal,
+      discount_amount: 0,
+      tax_amount: tax.taxTotal,
+      total_amount: roundMoney(subtotal + tax.taxTotal),
+      notes,
+      idempotency_key: newIdempotencyKey(),
+      recurring_schedule_id: schedule.id
+    },
+    payload: buildDraftPayload({
+      saleType: schedule.sale_type,
+      saleDate: runDate,
+      overallDiscount: 0,
+      notes,
+      lineItems
+    }),
+    skipped
+  };
+};
+
+/**
+ * Create the drafts for every run that is due
+ * A schedule that missed several runs gets one draft per missed run.
+ * Each run is claimed by moving next_run_date on only if nobody else
+ * has, so two users opening the app together cannot double-generate.
+ * @param {string} asOfDate - Generate runs due on or before this date
+ * @param {Function} onProgress - Called with { done, total }
+ * @returns {Promise<Object>} - { created: [{ schedule, draft }], failed: [{ schedule, error }] }
+ */
+export const runDueSchedules = async (asOfDate = toISODate(new Date()), onProgress = null) => {
+  const { data: due, error } = await supabase
+    .from('recurring_invoice_schedules')
+    .select('*')
+    .eq('is_active', true)
+    .lte('next_run_date', asOfDate);
+
+  if (error) throw error;
+
+  const schedules = (due || []).filter(schedule => isScheduleDue(schedule, asOfDate));
+  const created = [];
+  const failed = [];
+  if (schedules.length === 0) return { created, failed };
+
+  const productIds = [...new Set(schedules.flatMap(schedule => schedule.lines.map(line => line.product_id)))];
+  const customerIds = [...new Set(schedules.map(schedule => schedule.customer_id))];
+  const [
+    { data: products, error: productsError },
+    { data: customers, error: customersError },
+    taxConfig,
+    priceLists
+  ] = await Promise.all([
+    supabase.from('products').select('*').in('id', productIds).eq('is_active', true),
+    supabase.from('customers').select('id, customer_type').in('id', customerIds),
+    getTaxConfig(),
+    getActivePriceLists()
+  ]);
+  if (productsError) throw productsError;
+  if (customersError) throw customersError;
+
+  for (const [index, schedule] of schedules.entries()) {
+    if (onProgress) onProgress({ done: index, total: schedules.length });
+    const customer = (customers || []).find(c => c.id === schedule.customer_id);
+    let current = schedule;
+
+    while (isScheduleDue(current, asOfDate)) {
+      const runDate = current.next_run_date;
+      const nextRun = advanceRunDate(runDate, current.frequency, current.start_date);
+      const finished = current.end_date && nextRun > current.end_date;
+
+      const { header, payload } = buildScheduledDraft(
+        current,
+        runDate,
+        products || [],
+        taxConfig,
+        priceLists,
+        customer
+      );
+
+      try {
+        const { data: claimed, error: claimError } = await supabase
+          .from('recurring_invoice_schedules')
+          .update({
+            next_run_date: nextRun,
+            last_run_at: new Date().toISOString(),
+            is_active: !finished
+          })
+          .eq('id', current.id)
+          .eq('next_run_date', runDate)
+          .select()
+          .maybeSingle();
+
+        if (claimError) throw claimError;
+        if (!claimed) break; // Another session already ran it
+
+        // A run with nothing to sell is skipped rather than retried forever
+        if (payload.lineItems.length === 0) {
+          failed.push({ schedule, error: `No active products left on the ${runDate} run; run skipped` });
+        } else {
+          try {
+            created.push({ schedule: current, draft: await saveDraft(null, header, payload) });
+          } catch (draftError) {
+            // Hand the run back so it is tried again next time
+            await supabase
+              .from('recurring_invoice_schedules')
+              .update({ next_run_date: runDate, is_active: true })
+              .eq('id', current.id)
+              .eq('next_run_date', nextRun);
+            throw draftError;
+          }
+        }
+        current = claimed;
+      } catch (runError) {
+        console.error(`Recurring run failed for ${schedule.customer_name}:`, runError);
+        failed.push({ schedule, error: runError.message || String(runError) });
+        break;
+      }
+    }
+  }
+
+  if (onProgress) onProgress({ done: schedules.length, total: schedules.length });
+  if (created.length > 0) queryCache.clearPattern('invoices_');
+  return { created, failed };
+};
@@ -0,0 +1,30 @@
+import { advanceRunDate } from './recurringInvoices';
+
+jest.mock('./supabase', () => ({ supabase: {} }));
+
+describe('advanceRunDate', () => {
+  it('moves weekly runs on seven days, across month and year ends', () => {
+    expect(advanceRunDate('2026-03-02', 'weekly')).toBe('2026-03-09');
+    expect(advanceRunDate('2026-12-29', 'weekly')).toBe('2027-01-05');
+  });
+
+  it('keeps the day of the month for monthly runs', () => {
+    expect(advanceRunDate('2026-01-15', 'monthly')).toBe('2026-02-15');
+    expect(advanceRunDate('2026-12-15', 'monthly')).toBe('2027-01-15');
+  });
+
+  it('falls back to the last day of shorter months', () => {
+    expect(advanceRunDate('2026-01-31', 'monthly')).toBe('2026-02-28');
+    expect(advanceRunDate('2028-01-31', 'monthly')).toBe('2028-02-29');
+    expect(advanceRunDate('2026-03-31', 'monthly')).toBe('2026-04-30');
+  });
+
+  it('returns to the start day after a short month', () => {
+    expect(advanceRunDate('2026-02-28', 'monthly', '2026-01-31')).toBe('2026-03-31');
+  });
+
+  it('moves quarterly runs on three months', () => {
+    expect(advanceRunDate('2026-11-30', 'quarterly')).toBe('2027-02-28');
+    expect(advanceRunDate('2027-02-28', 'quarterly', '2026-11-30')).toBe('2027-05-30');
+  });
+});
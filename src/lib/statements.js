@@ -0,0 +1,180 @@
+/**
+ * CUSTOMER STATEMENTS OF ACCOUNT
+ * A statement covers a date range: the balance brought forward, every
+ * invoice, payment and credit note in the period, and the closing balance.
+ * Only Credit sales are on account, so Cash invoices are left out, as are
+ * drafts and voided invoices together with anything recorded against them.
+ *
+ * Reads invoices, invoice_payments and credit_notes.
+ */
+
+import { supabase } from './supabase';
+import { roundMoney } from './payments';
+import { DRAFT_STATUS } from './invoices';
+
+export const STATEMENT_ENTRY_TYPES = {
+  INVOICE: 'Invoice',
+  PAYMENT: 'Payment',
+  CREDIT_NOTE: 'Credit Note'
+};
+
+// Same-day entries list invoices before what settles them
+const ENTRY_ORDER = {
+  [STATEMENT_ENTRY_TYPES.INVOICE]: 0,
+  [STATEMENT_ENTRY_TYPES.CREDIT_NOTE]: 1,
+  [STATEMENT_ENTRY_TYPES.PAYMENT]: 2
+};
+
+/**
+ * Default statement period: the previous calendar month
+ * @returns {Object} - { startDate, endDate } (YYYY-MM-DD)
+ */
+export const defaultStatementPeriod = () => {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  const end = new Date(now.getFullYear(), now.getMonth(), 0);
+  return {
+    startDate: `${start.getFullYear()}-${pad(start.getMonth() + 1)}-01`,
+    endDate: `${end.getFullYear()}-${pad(end.getMonth() + 1)}-${pad(end.getDate())}`
+  };
+};
+
+/**
+ * Build a customer's statement for a period
+ * @param {Object} customer - Customer row
+ * @param {string} startDate - First day of the period (YYYY-MM-DD)
+ * @param {string} endDate - Last day of the period (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { customer, startDate, endDate, openingBalance,
+ *   entries: [{ date, type, reference, description, debit, credit, balance }],
+ *   totals: { invoiced, paid, credited }, closingBalance }
+ */
+export const getCustomerStatement = async (customer, startDate, endDate) => {
+  if (startDate > endDate) throw new Error('Statement start date must be before the end date');
+
+  const { data: invoices, error: invoicesError } = await supabase
+    .from('invoices')
+    .select('id, invoice_number, invoice_date, total_amount')
+    .eq('customer_id', customer.id)
+    .eq('sale_type', 'Credit')
+    .neq('status', DRAFT_STATUS)
+    .neq('status', 'Voided')
+    .lte('invoice_date', endDate);
+
+  if (invoicesError) throw invoicesError;
+
+  const invoiceNumbers = new Map((invoices || []).map(inv => [inv.id, inv.invoice_number]));
+
+  const { data: payments, error: paymentsError } = await supabase
+    .from('invoice_payments')
+    .select('id, invoice_id, amount, payment_date, method, reference')
+    .eq('customer_id', customer.id)
+    .lte('payment_date', endDate);
+
+  if (paymentsError) throw paymentsError;
+
+  const { data: creditNotes, error: creditNotesError } = await supabase
+    .from('credit_notes')
+    .select('id, invoice_id, credit_note_number, credit_date, reason, total_amount')
+    .eq('customer_id', customer.id)
+    .lte('credit_date', endDate);
+
+  if (creditNotesError) throw creditNotesError;
+
+  const ledger = [
+    ...(invoices || []).map(inv => ({
+      date: inv.invoice_date,
+      type: STATEMENT_ENTRY_TYPES.INVOICE,
+      reference: inv.invoice_number,
+      description: 'Invoice',
+      debit: roundMoney(inv.total_amount),
+      credit: 0
+    })),
+    ...(payments || [])
+      .filter(payment => invoiceNumbers.has(payment.invoice_id))
+      .map(payment => ({
+        date: payment.payment_date,
+        type: STATEMENT_ENTRY_TYPES.PAYMENT,
+        reference: payment.reference || payment.method,
+        description: `Payment (${payment.method}) - ${invoiceNumbers.get(payment.invoice_id)}`,
+        debit: 0,
+        credit: roundMoney(payment.amount)
+      })),
+    ...(creditNotes || [])
+      .filter(note => invoiceNumbers.has(note.invoice_id))
+      .map(note => ({
+        date: note.credit_date,
+        type: STATEMENT_ENTRY_TYPES.CREDIT_NOTE,
+        reference: note.credit_note_number,
+        description: `Credit note - ${invoiceNumbers.get(note.invoice_id)}${note.reason ? `: ${note.reason}` : ''}`,
+        debit: 0,
+        credit: roundMoney(note.total_amount)
+      }))
+  ].sort((a, b) => a.date.localeCompare(b.date) || ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type]);
+
+  const openingBalance = roundMoney(
+    ledger
+      .filter(entry => entry.date < startDate)
+      .reduce((sum, entry) => sum + entry.debit - entry.credit, 0)
+  );
+
+  let running = openingBalance;
+  const entries = ledger
+    .filter(entry => entry.date >= startDate)
+    .map(entry => {
+      running = roundMoney(running + entry.debit - entry.credit);
+      return { ...entry, balance: running };
+    });
+
+  const sumOf = (type, field) => roundMoney(
+    entries.filter(entry => entry.type === type).reduce((sum, entry) => sum + entry[field], 0)
+  );
+
+  return {
+    customer,
+    startDate,
+    endDate,
+    openingBalance,
+    entries,
+    totals: {
+      invoiced: sumOf(STATEMENT_ENTRY_TYPES.INVOICE, 'debit'),
+      paid: sumOf(STATEMENT_ENTRY_TYPES.PAYMENT, 'credit'),
+      credited: sumOf(STATEMENT_ENTRY_TYPES.CREDIT_NOTE, 'credit')
+    },
+    closingBalance: running
+  };
+};
+
+/**
+ * Customers that currently owe money, largest balance first
+ * @returns {Promise<Array>} - Customer rows
+ */
+export const getCustomersWithBalance = async () => {
+  const { data, error } = await supabase
+    .from('customers')
+    .select('*')
+    .gt('outstanding_balance', 0)
+    .order('outstanding_balance', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Build statements for every customer with a balance
+ * @param {string} startDate - First day of the period (YYYY-MM-DD)
+ * @param {string} endDate - Last day of the period (YYYY-MM-DD)
+ * @param {Function} onProgress - Called with (done, total) after each customer
+ * @returns {Promise<Array>} - Statements
+ */
+export const getBulkStatements = async (startDate, endDate, onProgress) => {
+  const customers = await getCustomersWithBalance();
+  const statements = [];
+
+  for (const customer of customers) {
+    statements.push(await getCustomerStatement(customer, startDate, endDate));
+    if (onProgress) onProgress(statements.length, customers.length);
+  }
+
+  return statements;
+};
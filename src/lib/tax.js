@@ -0,0 +1,190 @@
+/**
+ * TAX ENGINE - Ghana VAT & Levies
+ * Works out the GRA taxes on an invoice. Each tax in the config is
+ * applied in order; a tax with `compound: true` is charged on the
+ * taxable value plus every tax before it (VAT on top of NHIL, GETFund
+ * and COVID-19 levy), otherwise it is charged on the taxable value only.
+ * Products flagged `tax_exempt` (zero-rated medical supplies) carry no tax.
+ *
+ * Table:
+ *   tax_settings
+ *     id, taxes (jsonb array of { code, name, rate, compound, enabled }),
+ *     updated_by, updated_by_name, updated_at
+ *   The newest row is the active configuration.
+ *
+ * Columns used on other tables:
+ *   products.tax_exempt
+ *   invoices.taxable_amount, exempt_amount, tax_amount, tax_breakdown (jsonb)
+ *   invoice_line_items.tax_exempt, tax_amount
+ */
+
+import { supabase } from './supabase';
+import { queryCache } from './queryCache';
+import { roundMoney } from './payments';
+
+const CACHE_KEY = 'tax_settings';
+
+export const DEFAULT_TAXES = [
+  { code: 'NHIL', name: 'NHIL', rate: 2.5, compound: false, enabled: true },
+  { code: 'GETFUND', name: 'GETFund Levy', rate: 2.5, compound: false, enabled: true },
+  { code: 'COVID', name: 'COVID-19 Levy', rate: 1, compound: false, enabled: true },
+  { code: 'VAT', name: 'VAT', rate: 15, compound: true, enabled: true }
+];
+
+/**
+ * Load the active tax configuration
+ * Falls back to the standard GRA rates when nothing has been saved yet.
+ * @returns {Promise<Array>} - Taxes in the order they are applied
+ */
+export const getTaxConfig = async () => {
+  if (queryCache.isValid(CACHE_KEY)) {
+    return queryCache.get(CACHE_KEY);
+  }
+
+  const { data, error } = await supabase
+    .from('tax_settings')
+    .select('taxes')
+    .order('updated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error loading tax settings, using defaults:', error);
+    return DEFAULT_TAXES;
+  }
+
+  const taxes = data?.taxes?.length ? data.taxes : DEFAULT_TAXES;
+  queryCache.set(CACHE_KEY, taxes, 600000);
+  return taxes;
+};
+
+/**
+ * Save a new tax configuration
+ * @param {Array} taxes - Taxes in the order they are applied
+ * @param {Object} updatedBy - User profile ({ id, full_name })
+ * @returns {Promise<Array>} - Saved taxes
+ */
+export const saveTaxConfig = async (taxes, updatedBy) => {
+  const cleaned = taxes.map(tax => {
+    const rate = parseFloat(tax.rate);
+    if (!tax.code || !tax.name) throw new Error('Every tax needs a code and a name');
+    if (isNaN(rate) || rate < 0 || rate > 100) throw new Error(`${tax.name}: rate must be between 0 and 100`);
+    return {
+      code: tax.code.trim().toUpperCase(),
+      name: tax.name.trim(),
+      rate,
+      compound: !!tax.compound,
+      enabled: tax.enabled !== false
+    };
+  });
+
+  const { error } = await supabase
+    .from('tax_settings')
+    .insert({
+      taxes: cleaned,
+      updated_by: updatedBy?.id || null,
+      updated_by_name: updatedBy?.full_name || null,
+      updated_at: new Date().toISOString()
+    });
+
+  if (error) throw error;
+
+  queryCache.delete(CACHE_KEY);
+  return cleaned;
+};
+
+/**
+ * Mark a product as zero-rated (or taxable again)
+ * @param {string} productId - Product ID
+ * @param {boolean} exempt - Whether the product is exempt from tax
+ * @returns {Promise<void>}
+ */
+export const setProductTaxExempt = async (productId, exempt) => {
+  const { error } = await supabase
+    .from('products')
+    .update({ tax_exempt: exempt })
+    .eq('id', productId);
+
+  if (error) throw error;
+  queryCache.clearPattern('products_');
+};
+
+/**
+ * Taxes due on a single net amount
+ * @param {number} amount - Taxable value after discounts
+ * @param {Array} taxes - Tax configuration
+ * @returns {Object} - { total, byCode: { [code]: amount } }
+ */
+const taxOnAmount = (amount, taxes) => {
+  const byCode = {};
+  let runningBase = amount;
+  let total = 0;
+
+  taxes.filter(tax => tax.enabled !== false).forEach(tax => {
+    const base = tax.compound ? runningBase : amount;
+    const value = base * (Number(tax.rate) || 0) / 100;
+    byCode[tax.code] = value;
+    runningBase += value;
+    total += value;
+  });
+
+  return { total, byCode };
+};
+
+/**
+ * Tax breakdown for an invoice
+ * The overall invoice discount is spread across lines in proportion to
+ * their value, so exempt and taxable lines each carry their share.
+ * @param {Array} lines - [{ lineTotal, taxExempt }] net of line discounts
+ * @param {number} discountAmount - Invoice-level discount
+ * @param {Array} taxes - Tax configuration
+ * @returns {Object} - { taxableAmount, exemptAmount, taxTotal, breakdown, lineTaxes }
+ */
+export const calculateInvoiceTax = (lines, discountAmount, taxes) => {
+  const subtotal = lines.reduce((sum, line) => sum + (Number(line.lineTotal) || 0), 0);
+  const discountFactor = subtotal > 0 ? Math.max(0, subtotal - (Number(discountAmount) || 0)) / subtotal : 0;
+
+  let taxableAmount = 0;
+  let exemptAmount = 0;
+  const totals = {};
+
+  const lineTaxes = lines.map(line => {
+    const net = (Number(line.lineTotal) || 0) * discountFactor;
+    if (line.taxExempt) {
+      exemptAmount += net;
+      return 0;
+    }
+
+    taxableAmount += net;
+    const { total, byCode } = taxOnAmount(net, taxes);
+    Object.entries(byCode).forEach(([code, value]) => {
+      totals[code] = (totals[code] || 0) + value;
+    });
+    return roundMoney(total);
+  });
+
+  const breakdown = taxes
+    .filter(tax => tax.enabled !== false)
+    .map(tax => ({
+      code: tax.code,
+      name: tax.name,
+      rate: Number(tax.rate) || 0,
+      compound: !!tax.compound,
+      amount: roundMoney(totals[tax.code] || 0)
+    }));
+
+  return {
+    taxableAmount: roundMoney(taxableAmount),
+    exemptAmount: roundMoney(exemptAmount),
+    taxTotal: roundMoney(breakdown.reduce((sum, tax) => sum + tax.amount, 0)),
+    breakdown,
+    lineTaxes
+  };
+};
+
+/**
+ * Display label for a tax line, e.g. "VAT (15%)"
+ * @param {Object} tax - Breakdown entry
+ * @returns {string}
+ */
+export const taxLabel = (tax) => `${tax.name} (${Number(tax.rate)}%)`;
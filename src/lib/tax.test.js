@@ -0,0 +1,45 @@
+import { calculateInvoiceTax, DEFAULT_TAXES } from './tax';
+
+jest.mock('./supabase', () => ({ supabase: {} }));
+
+const amounts = (breakdown) =>
+  Object.fromEntries(breakdown.map(tax => [tax.code, tax.amount]));
+
+describe('calculateInvoiceTax', () => {
+  it('charges VAT on the taxable value plus the levies', () => {
+    const result = calculateInvoiceTax([{ lineTotal: 100, taxExempt: false }], 0, DEFAULT_TAXES);
+
+    expect(amounts(result.breakdown)).toEqual({ NHIL: 2.5, GETFUND: 2.5, COVID: 1, VAT: 15.9 });
+    expect(result.taxableAmount).toBe(100);
+    expect(result.taxTotal).toBe(21.9);
+    expect(result.lineTaxes).toEqual([21.9]);
+  });
+
+  it('charges non-compound taxes on the taxable value only', () => {
+    const taxes = DEFAULT_TAXES.map(tax => ({ ...tax, compound: false }));
+    const result = calculateInvoiceTax([{ lineTotal: 100 }], 0, taxes);
+
+    expect(amounts(result.breakdown).VAT).toBe(15);
+    expect(result.taxTotal).toBe(21);
+  });
+
+  it('spreads the invoice discount over exempt and taxable lines', () => {
+    const result = calculateInvoiceTax([
+      { lineTotal: 60, taxExempt: false },
+      { lineTotal: 40, taxExempt: true }
+    ], 10, DEFAULT_TAXES);
+
+    expect(result.taxableAmount).toBe(54);
+    expect(result.exemptAmount).toBe(36);
+    expect(amounts(result.breakdown).VAT).toBe(8.59);
+    expect(result.lineTaxes).toEqual([11.83, 0]);
+  });
+
+  it('skips disabled taxes', () => {
+    const taxes = DEFAULT_TAXES.map(tax => (tax.code === 'COVID' ? { ...tax, enabled: false } : tax));
+    const result = calculateInvoiceTax([{ lineTotal: 100 }], 0, taxes);
+
+    expect(result.breakdown.map(tax => tax.code)).toEqual(['NHIL', 'GETFUND', 'VAT']);
+    expect(amounts(result.breakdown).VAT).toBe(15.75);
+  });
+});